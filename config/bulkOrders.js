@@ -0,0 +1,31 @@
+// Bulk order operation settings (utils/bulkOrderOperations.js)
+//
+//   BULK_ORDER_MAX        - most orders one bulk request may select (default 500)
+//   BULK_ORDER_SYNC_LIMIT - selections up to this size finish within the request;
+//                           larger ones run as a background job (default 25)
+//   BULK_JOB_RETENTION_DAYS - how long finished jobs and their files are kept (default 3)
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+};
+
+// status        - move every order to one status ({ status, note })
+// tracking      - assign tracking numbers ({ assignments: [{ orderId, trackingNumber, courier }] })
+//                 or book the orders with a courier integration ({ courier })
+// invoices / labels / packing_slips - one PDF to print for the whole selection
+// export        - CSV of the selection
+const BULK_ACTIONS = ['status', 'tracking', 'invoices', 'labels', 'packing_slips', 'export'];
+
+const BULK_ORDER_MAX = readNumber(process.env.BULK_ORDER_MAX, 500);
+
+const BULK_ORDER_SYNC_LIMIT = readNumber(process.env.BULK_ORDER_SYNC_LIMIT, 25);
+
+const BULK_JOB_RETENTION_DAYS = readNumber(process.env.BULK_JOB_RETENTION_DAYS, 3);
+
+module.exports = {
+  BULK_ACTIONS,
+  BULK_ORDER_MAX,
+  BULK_ORDER_SYNC_LIMIT,
+  BULK_JOB_RETENTION_DAYS
+};
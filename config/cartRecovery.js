@@ -0,0 +1,40 @@
+// Abandoned cart / checkout recovery settings
+//
+//   CART_RECOVERY_ENABLED          - set to 'false' to stop the background job
+//   CART_RECOVERY_STEPS_HOURS      - idle hours before each reminder, e.g. "1,24,72"
+//   CART_RECOVERY_INTERVAL_MINUTES - how often the job looks for idle carts
+//   CART_RECOVERY_MAX_AGE_DAYS     - carts idle longer than this are left alone
+
+const readNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+const parseSteps = (value) => {
+  const steps = (value || '')
+    .split(',')
+    .map(step => parseFloat(step))
+    .filter(step => !Number.isNaN(step) && step > 0)
+    .sort((a, b) => a - b);
+  return steps.length > 0 ? steps : [1, 24, 72];
+};
+
+const RECOVERY_ENABLED = process.env.CART_RECOVERY_ENABLED !== 'false';
+
+// Idle hours before reminder 1, 2, 3...
+const RECOVERY_STEPS_HOURS = parseSteps(process.env.CART_RECOVERY_STEPS_HOURS);
+
+const RECOVERY_INTERVAL_MINUTES = readNumber(process.env.CART_RECOVERY_INTERVAL_MINUTES, 30);
+
+const RECOVERY_MAX_AGE_DAYS = readNumber(process.env.CART_RECOVERY_MAX_AGE_DAYS, 14);
+
+// One-click restore link sent in the reminder emails
+const getRestoreUrl = (token) => `${process.env.FRONTEND_URL}/cart/restore/${token}`;
+
+module.exports = {
+  RECOVERY_ENABLED,
+  RECOVERY_STEPS_HOURS,
+  RECOVERY_INTERVAL_MINUTES,
+  RECOVERY_MAX_AGE_DAYS,
+  getRestoreUrl
+};
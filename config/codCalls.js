@@ -0,0 +1,35 @@
+// Cash on delivery confirmation call settings
+//
+//   COD_CALL_MAX_ATTEMPTS - failed calls (no answer / wrong number) before the
+//                           order is cancelled and its stock restored
+//   COD_CALL_RETRY_MINUTES - wait before the next call after failed attempt 1, 2...,
+//                           e.g. "30,120,360"; the last value repeats
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+const parseDelays = (value) => {
+  const delays = (value || '')
+    .split(',')
+    .map(delay => parseFloat(delay))
+    .filter(delay => !Number.isNaN(delay) && delay > 0);
+  return delays.length > 0 ? delays : [30, 120, 360];
+};
+
+const MAX_CALL_ATTEMPTS = readNumber(process.env.COD_CALL_MAX_ATTEMPTS, 3);
+
+const CALL_RETRY_MINUTES = parseDelays(process.env.COD_CALL_RETRY_MINUTES);
+
+// Minutes to wait after the given number of failed attempts
+const getRetryDelayMinutes = (failedAttempts) => {
+  const index = Math.min(Math.max(failedAttempts, 1), CALL_RETRY_MINUTES.length) - 1;
+  return CALL_RETRY_MINUTES[index];
+};
+
+module.exports = {
+  MAX_CALL_ATTEMPTS,
+  CALL_RETRY_MINUTES,
+  getRetryDelayMinutes
+};
@@ -0,0 +1,47 @@
+// Courier integration settings
+//
+//   DEFAULT_COURIER              - adapter used when a booking doesn't name one (default 'mock')
+//   COURIER_WEBHOOK_SECRET_<CODE> - shared secret for a courier's status webhooks,
+//                                  e.g. COURIER_WEBHOOK_SECRET_MOCK (required outside
+//                                  development)
+//   COD_REMITTANCE_TOLERANCE     - PKR difference still treated as a match when
+//                                  reconciling courier remittances
+//   COD_REMITTANCE_IMPORT_MAX_ROWS - most lines one settlement CSV may have (default 5000)
+//   SHIPPER_NAME / SHIPPER_PHONE / SHIPPER_ADDRESS / SHIPPER_CITY - printed on labels
+//                                  and sent to couriers as the pickup address
+//   MOCK_COURIER_STEP_MINUTES    - how quickly mock parcels move to the next status
+//   MOCK_COURIER_FEE             - delivery fee the mock courier deducts from COD
+
+const readNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+const DEFAULT_COURIER = (process.env.DEFAULT_COURIER || 'mock').toLowerCase();
+
+const COD_REMITTANCE_TOLERANCE = readNumber(process.env.COD_REMITTANCE_TOLERANCE, 1);
+
+const COD_REMITTANCE_IMPORT_MAX_ROWS = readNumber(process.env.COD_REMITTANCE_IMPORT_MAX_ROWS, 5000);
+
+const SHIPPER = {
+  name: process.env.SHIPPER_NAME || 'Prince Vibe',
+  phone: process.env.SHIPPER_PHONE || '',
+  address: process.env.SHIPPER_ADDRESS || '',
+  city: process.env.SHIPPER_CITY || 'Lahore'
+};
+
+const MOCK_COURIER_STEP_MINUTES = readNumber(process.env.MOCK_COURIER_STEP_MINUTES, 60);
+
+const MOCK_COURIER_FEE = readNumber(process.env.MOCK_COURIER_FEE, 200);
+
+const getWebhookSecret = (courierCode) => process.env[`COURIER_WEBHOOK_SECRET_${courierCode.toUpperCase()}`];
+
+module.exports = {
+  DEFAULT_COURIER,
+  COD_REMITTANCE_TOLERANCE,
+  COD_REMITTANCE_IMPORT_MAX_ROWS,
+  SHIPPER,
+  MOCK_COURIER_STEP_MINUTES,
+  MOCK_COURIER_FEE,
+  getWebhookSecret
+};
@@ -0,0 +1,30 @@
+// Display currency settings (utils/currency.js)
+//
+// Prices, orders and payments are settled in PKR. Other currencies are only for
+// showing prices to overseas buyers, converted with the exchange rates admins set
+// at /api/admin/currencies.
+//
+//   DISPLAY_CURRENCIES      - currencies the storefront may ask for, comma separated
+//                             (default USD,GBP,EUR,AED,SAR,CAD)
+//   EXCHANGE_RATE_MAX_AGE_DAYS - a rate older than this is still used but reported
+//                             as stale to admins (default 7)
+
+const BASE_CURRENCY = 'PKR';
+
+const readNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+const DISPLAY_CURRENCIES = (process.env.DISPLAY_CURRENCIES || 'USD,GBP,EUR,AED,SAR,CAD')
+  .split(',')
+  .map(code => code.trim().toUpperCase())
+  .filter(code => /^[A-Z]{3}$/.test(code) && code !== BASE_CURRENCY);
+
+const EXCHANGE_RATE_MAX_AGE_DAYS = readNumber(process.env.EXCHANGE_RATE_MAX_AGE_DAYS, 7);
+
+module.exports = {
+  BASE_CURRENCY,
+  DISPLAY_CURRENCIES,
+  EXCHANGE_RATE_MAX_AGE_DAYS
+};
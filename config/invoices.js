@@ -0,0 +1,32 @@
+// Invoice and packing slip settings (utils/orderDocuments.js)
+//
+//   INVOICE_PREFIX      - invoice number prefix (default 'INV'), e.g. INV-000123
+//   INVOICE_LINK_SECRET - signs customer invoice download links (defaults to JWT_SECRET)
+//   STORE_NAME / STORE_ADDRESS / STORE_PHONE / STORE_EMAIL - printed in the document header
+//   STORE_TAX_ID        - NTN / STRN printed on invoices
+//   STORE_LOGO_PATH     - local PNG or JPEG printed in the header
+//   INVOICE_ACCENT_COLOR - header and table colour (default '#9b59b6')
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
+
+// Invoice numbers are zero-padded to this many digits
+const INVOICE_NUMBER_DIGITS = 6;
+
+const STORE = {
+  name: process.env.STORE_NAME || 'Prince Vibe',
+  address: process.env.STORE_ADDRESS || '',
+  phone: process.env.STORE_PHONE || '',
+  email: process.env.STORE_EMAIL || process.env.FROM_EMAIL || '',
+  taxId: process.env.STORE_TAX_ID || '',
+  logoPath: process.env.STORE_LOGO_PATH || '',
+  accentColor: process.env.INVOICE_ACCENT_COLOR || '#9b59b6'
+};
+
+const getInvoiceLinkSecret = () => process.env.INVOICE_LINK_SECRET || process.env.JWT_SECRET || 'fallback-secret-key';
+
+module.exports = {
+  INVOICE_PREFIX,
+  INVOICE_NUMBER_DIGITS,
+  STORE,
+  getInvoiceLinkSecret
+};
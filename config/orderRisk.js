@@ -0,0 +1,51 @@
+// Order risk scoring settings
+//
+//   ORDER_RISK_MEDIUM_SCORE     - score at which an order is flagged medium risk
+//   ORDER_RISK_HIGH_SCORE       - score at which an order is high risk and held for a call
+//   ORDER_RISK_HIGH_VALUE       - COD order total (PKR) that adds value risk
+//   ORDER_RISK_IP_WINDOW_MINUTES - window for counting orders from the same IP address
+
+const readNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+const RISK_MEDIUM_SCORE = readNumber(process.env.ORDER_RISK_MEDIUM_SCORE, 30);
+
+const RISK_HIGH_SCORE = readNumber(process.env.ORDER_RISK_HIGH_SCORE, 60);
+
+const HIGH_VALUE_THRESHOLD = readNumber(process.env.ORDER_RISK_HIGH_VALUE, 75000);
+
+const IP_WINDOW_MINUTES = readNumber(process.env.ORDER_RISK_IP_WINDOW_MINUTES, 60);
+
+// Points added per signal (scores are capped at 100)
+const RISK_WEIGHTS = {
+  invalidPhone: 35,
+  suspiciousPhone: 20,
+  cancelledOrder: 15,      // per past cancelled order, up to maxHistory
+  returnedOrder: 20,       // per past returned order, up to maxHistory
+  maxHistory: 45,
+  deliveredOrderCredit: -10, // per past delivered order, up to maxCredit
+  maxCredit: -30,
+  openOrders: 15,          // same phone already has orders waiting for confirmation
+  ipVelocityMedium: 15,    // 3+ orders from the IP in the window
+  ipVelocityHigh: 30,      // 5+ orders from the IP in the window
+  incompleteAddress: 15,
+  highValue: 15,
+  veryHighValue: 25        // over twice the high value threshold
+};
+
+const getRiskLevel = (score) => {
+  if (score >= RISK_HIGH_SCORE) return 'high';
+  if (score >= RISK_MEDIUM_SCORE) return 'medium';
+  return 'low';
+};
+
+module.exports = {
+  RISK_MEDIUM_SCORE,
+  RISK_HIGH_SCORE,
+  HIGH_VALUE_THRESHOLD,
+  IP_WINDOW_MINUTES,
+  RISK_WEIGHTS,
+  getRiskLevel
+};
@@ -0,0 +1,99 @@
+// Order status state machine, applied by utils/orderStateMachine.js
+//
+//   ORDER_CHANGE_WINDOW_DAYS - orders older than this can't be cancelled or
+//                              returned outside the return request flow (default 30)
+//   CUSTOMER_CANCEL_WINDOW_HOURS - hours after placing an order that the customer can
+//                              still cancel it themselves (default 24)
+
+const readNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+const ORDER_CHANGE_WINDOW_DAYS = readNumber(process.env.ORDER_CHANGE_WINDOW_DAYS, 30);
+
+const CUSTOMER_CANCEL_WINDOW_HOURS = readNumber(process.env.CUSTOMER_CANCEL_WINDOW_HOURS, 24);
+
+// Once an order is being packed only the store can cancel it
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+// Every allowed move, as TRANSITIONS[from][to]. Anything not listed is refused.
+//
+//   requires - input the caller must provide (see REQUIREMENTS in the engine)
+//   guards   - named checks that can block the move
+//   hooks    - named side effects, run in this order. Hooks that change the order
+//              run before it is saved; publishEvent and notifyCustomer run after.
+const TRANSITIONS = {
+  pending: {
+    confirmed: {
+      guards: ['notHeldForCall'],
+      hooks: ['publishEvent', 'notifyCustomer']
+    },
+    cancelled: {
+      guards: ['withinChangeWindow', 'customerCancelWindow'],
+      hooks: ['restoreStock', 'releasePromotion', 'publishEvent', 'notifyCustomer']
+    }
+  },
+  confirmed: {
+    processing: {
+      hooks: ['publishEvent', 'notifyCustomer']
+    },
+    shipped: {
+      requires: ['trackingNumber'],
+      hooks: ['syncParcels', 'publishEvent', 'notifyCustomer']
+    },
+    // Hand delivery by the store's own rider, without a courier
+    delivered: {
+      hooks: ['syncParcels', 'markDelivered', 'publishEvent', 'notifyCustomer', 'requestReviews']
+    },
+    cancelled: {
+      guards: ['withinChangeWindow', 'customerCancelWindow'],
+      hooks: ['restoreStock', 'releasePromotion', 'publishEvent', 'notifyCustomer']
+    }
+  },
+  processing: {
+    shipped: {
+      requires: ['trackingNumber'],
+      hooks: ['syncParcels', 'publishEvent', 'notifyCustomer']
+    },
+    delivered: {
+      hooks: ['syncParcels', 'markDelivered', 'publishEvent', 'notifyCustomer', 'requestReviews']
+    },
+    cancelled: {
+      guards: ['withinChangeWindow', 'customerCancelWindow'],
+      hooks: ['restoreStock', 'releasePromotion', 'publishEvent', 'notifyCustomer']
+    }
+  },
+  shipped: {
+    delivered: {
+      hooks: ['syncParcels', 'markDelivered', 'publishEvent', 'notifyCustomer', 'requestReviews']
+    },
+    // Refused or undeliverable parcels coming back to the warehouse
+    returned: {
+      guards: ['withinChangeWindow'],
+      hooks: ['restoreStock', 'publishEvent', 'notifyCustomer']
+    }
+  },
+  delivered: {
+    returned: {
+      guards: ['withinChangeWindow'],
+      hooks: ['restoreStock', 'publishEvent', 'notifyCustomer']
+    }
+  },
+  cancelled: {},
+  returned: {}
+};
+
+// Whether TRANSITIONS allows moving from one status to another
+const isTransitionAllowed = (from, to) => Boolean(TRANSITIONS[from] && TRANSITIONS[from][to]);
+
+module.exports = {
+  ORDER_CHANGE_WINDOW_DAYS,
+  CUSTOMER_CANCEL_WINDOW_HOURS,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  ORDER_STATUSES,
+  TRANSITIONS,
+  isTransitionAllowed
+};
@@ -0,0 +1,79 @@
+// Online payment gateway settings. A gateway is offered at checkout once its
+// credentials are set.
+//
+//   PAYMENT_CALLBACK_BASE_URL - public URL of this API, used for gateway return URLs
+//                            (default http://localhost:<PORT>)
+//   PAYMENT_SIMULATOR      - 'true' sends JazzCash and Easypaisa to the local simulator
+//                            at /api/payments/simulator instead of the real gateways
+//                            (never in production)
+//   PAYMENT_EXPIRY_MINUTES - how long a hosted wallet checkout stays valid (default 60)
+//
+//   STRIPE_SECRET_KEY      - server key for creating PaymentIntents and refunds
+//   STRIPE_PUBLISHABLE_KEY - handed to the storefront to confirm card payments
+//   STRIPE_WEBHOOK_SECRET  - signing secret of the /api/payments/webhook/stripe endpoint
+//   STRIPE_API_BASE        - point the client somewhere other than api.stripe.com,
+//                            e.g. http://localhost:12111 for stripe-mock in tests
+//   STRIPE_CURRENCY        - currency charged (default 'pkr')
+//   JAZZCASH_MERCHANT_ID / JAZZCASH_PASSWORD / JAZZCASH_INTEGRITY_SALT - merchant
+//                            credentials; the salt keys the pp_SecureHash HMAC
+//   JAZZCASH_MPIN          - merchant MPIN, needed for wallet refunds
+//   JAZZCASH_API_BASE      - default https://sandbox.jazzcash.com.pk
+//   EASYPAISA_STORE_ID / EASYPAISA_HASH_KEY - Easypay store and the key that
+//                            encrypts merchantHashedReq
+//   EASYPAISA_USERNAME / EASYPAISA_PASSWORD / EASYPAISA_ACCOUNT_NUM - credentials
+//                            of the transaction inquiry API
+//   EASYPAISA_API_BASE     - default https://easypaystg.easypaisa.com.pk
+//   PAYMENT_EVENT_RETENTION_DAYS - how long processed webhook event ids are kept
+//                            to drop redelivered events (default 90)
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+const STRIPE = {
+  secretKey: process.env.STRIPE_SECRET_KEY || process.env.MASTERCARD_API_KEY,
+  publishableKey: process.env.STRIPE_PUBLISHABLE_KEY || process.env.MASTERCARD_PUBLIC_KEY,
+  webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+  apiBase: process.env.STRIPE_API_BASE,
+  currency: (process.env.STRIPE_CURRENCY || 'pkr').toLowerCase()
+};
+
+const PAYMENT_CALLBACK_BASE_URL = (process.env.PAYMENT_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const PAYMENT_SIMULATOR = process.env.PAYMENT_SIMULATOR === 'true' && process.env.NODE_ENV !== 'production';
+
+const PAYMENT_EXPIRY_MINUTES = readNumber(process.env.PAYMENT_EXPIRY_MINUTES, 60);
+
+const JAZZCASH = {
+  merchantId: process.env.JAZZCASH_MERCHANT_ID,
+  password: process.env.JAZZCASH_PASSWORD,
+  integritySalt: process.env.JAZZCASH_INTEGRITY_SALT,
+  mpin: process.env.JAZZCASH_MPIN,
+  apiBase: (process.env.JAZZCASH_API_BASE || 'https://sandbox.jazzcash.com.pk').replace(/\/$/, '')
+};
+
+const EASYPAISA = {
+  storeId: process.env.EASYPAISA_STORE_ID,
+  hashKey: process.env.EASYPAISA_HASH_KEY,
+  username: process.env.EASYPAISA_USERNAME,
+  password: process.env.EASYPAISA_PASSWORD,
+  accountNum: process.env.EASYPAISA_ACCOUNT_NUM,
+  apiBase: (process.env.EASYPAISA_API_BASE || 'https://easypaystg.easypaisa.com.pk').replace(/\/$/, '')
+};
+
+const PAYMENT_EVENT_RETENTION_DAYS = readNumber(process.env.PAYMENT_EVENT_RETENTION_DAYS, 90);
+
+// Where the simulator serves a gateway's hosted page and APIs
+const getSimulatorBase = (gatewayCode) => `${PAYMENT_CALLBACK_BASE_URL}/api/payments/simulator/${gatewayCode}`;
+
+module.exports = {
+  PAYMENT_CALLBACK_BASE_URL,
+  PAYMENT_SIMULATOR,
+  PAYMENT_EXPIRY_MINUTES,
+  STRIPE,
+  JAZZCASH,
+  EASYPAISA,
+  PAYMENT_EVENT_RETENTION_DAYS,
+  getSimulatorBase
+};
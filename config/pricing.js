@@ -0,0 +1,58 @@
+// Pricing configuration used by the order pricing engine (utils/pricingEngine.js)
+//
+// All amounts are in PKR. Every value can be overridden through environment
+// variables so rates can change without a deploy.
+
+const readAmount = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+// Tax rules - rates are fractions (0.05 = 5%) applied on top of catalog prices.
+// A category rate overrides the default rate for products in that category.
+const TAX_RULES = {
+  label: process.env.TAX_LABEL || 'Sales Tax',
+  defaultRate: readAmount(process.env.TAX_RATE, 0),
+  categoryRates: {
+    luxury: readAmount(process.env.TAX_RATE_LUXURY, readAmount(process.env.TAX_RATE, 0)),
+    smart: readAmount(process.env.TAX_RATE_SMART, readAmount(process.env.TAX_RATE, 0)),
+    sport: readAmount(process.env.TAX_RATE_SPORT, readAmount(process.env.TAX_RATE, 0)),
+    classic: readAmount(process.env.TAX_RATE_CLASSIC, readAmount(process.env.TAX_RATE, 0))
+  }
+};
+
+// Shipping tiers - mirror Order.shipping.method
+const SHIPPING_METHODS = {
+  standard: {
+    name: 'Standard Delivery',
+    fee: readAmount(process.env.SHIPPING_FEE_STANDARD, 250),
+    estimatedDays: 5
+  },
+  express: {
+    name: 'Express Delivery',
+    fee: readAmount(process.env.SHIPPING_FEE_EXPRESS, 500),
+    estimatedDays: 2
+  },
+  overnight: {
+    name: 'Overnight Delivery',
+    fee: readAmount(process.env.SHIPPING_FEE_OVERNIGHT, 1000),
+    estimatedDays: 1
+  }
+};
+
+// Extra handling charged once per line item, by Product.shipping.shippingClass
+const SHIPPING_CLASS_SURCHARGES = {
+  standard: 0,
+  express: readAmount(process.env.SHIPPING_SURCHARGE_EXPRESS, 100),
+  premium: readAmount(process.env.SHIPPING_SURCHARGE_PREMIUM, 300)
+};
+
+// Orders at or above this subtotal ship free with standard delivery (0 disables)
+const FREE_SHIPPING_THRESHOLD = readAmount(process.env.FREE_SHIPPING_THRESHOLD, 0);
+
+module.exports = {
+  TAX_RULES,
+  SHIPPING_METHODS,
+  SHIPPING_CLASS_SURCHARGES,
+  FREE_SHIPPING_THRESHOLD
+};
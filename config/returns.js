@@ -0,0 +1,28 @@
+// Customer return (RMA) settings
+//
+//   RETURN_WINDOW_DAYS - days after delivery a customer can open a return request
+//   RETURN_MAX_PHOTOS  - photos accepted per request
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+const RETURN_WINDOW_DAYS = readNumber(process.env.RETURN_WINDOW_DAYS, 7);
+
+const RETURN_MAX_PHOTOS = readNumber(process.env.RETURN_MAX_PHOTOS, 5);
+
+const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'wrong_item',
+  'not_as_described',
+  'changed_mind',
+  'other'
+];
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  RETURN_MAX_PHOTOS,
+  RETURN_REASONS
+};
@@ -0,0 +1,23 @@
+// Verified review settings (utils/productReviews.js)
+//
+//   REVIEW_REQUESTS_ENABLED - set to 'false' to stop emailing review links when an
+//                             order is delivered
+//   REVIEW_LINK_EXPIRY_DAYS - days a review link keeps working after it is sent (default 60)
+
+const readNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+const REVIEW_REQUESTS_ENABLED = process.env.REVIEW_REQUESTS_ENABLED !== 'false';
+
+const REVIEW_LINK_EXPIRY_DAYS = readNumber(process.env.REVIEW_LINK_EXPIRY_DAYS, 60);
+
+// Link in the review request email, opening the order's review page
+const getReviewUrl = (token) => `${process.env.FRONTEND_URL}/review/${token}`;
+
+module.exports = {
+  REVIEW_REQUESTS_ENABLED,
+  REVIEW_LINK_EXPIRY_DAYS,
+  getReviewUrl
+};
@@ -0,0 +1,63 @@
+// Low stock alert thresholds
+//
+// Thresholds are resolved per product in this order:
+//   1. Product.stockAlerts.lowStockThreshold / criticalStockThreshold
+//   2. Category thresholds below (overridable with LOW_STOCK_THRESHOLD_<CATEGORY>
+//      and CRITICAL_STOCK_THRESHOLD_<CATEGORY>, e.g. LOW_STOCK_THRESHOLD_LUXURY=2)
+//   3. Store-wide defaults (LOW_STOCK_THRESHOLD / CRITICAL_STOCK_THRESHOLD)
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+const DEFAULT_THRESHOLDS = {
+  lowStockThreshold: readNumber(process.env.LOW_STOCK_THRESHOLD, 5),
+  criticalStockThreshold: readNumber(process.env.CRITICAL_STOCK_THRESHOLD, 1)
+};
+
+// Luxury pieces are stocked in very small numbers, so they alert later
+const CATEGORY_DEFAULTS = {
+  luxury: { lowStockThreshold: 3, criticalStockThreshold: 1 },
+  smart: { lowStockThreshold: 5, criticalStockThreshold: 2 },
+  sport: { lowStockThreshold: 5, criticalStockThreshold: 2 },
+  classic: { lowStockThreshold: 5, criticalStockThreshold: 1 }
+};
+
+const CATEGORY_THRESHOLDS = Object.keys(CATEGORY_DEFAULTS).reduce((acc, category) => {
+  const suffix = category.toUpperCase();
+  acc[category] = {
+    lowStockThreshold: readNumber(
+      process.env[`LOW_STOCK_THRESHOLD_${suffix}`],
+      CATEGORY_DEFAULTS[category].lowStockThreshold
+    ),
+    criticalStockThreshold: readNumber(
+      process.env[`CRITICAL_STOCK_THRESHOLD_${suffix}`],
+      CATEGORY_DEFAULTS[category].criticalStockThreshold
+    )
+  };
+  return acc;
+}, {});
+
+// Resolve the effective thresholds for a product document
+const getStockThresholds = (product = {}) => {
+  const categoryThresholds = CATEGORY_THRESHOLDS[product.category] || DEFAULT_THRESHOLDS;
+  const overrides = product.stockAlerts || {};
+
+  const lowStockThreshold = Math.max(
+    1,
+    overrides.lowStockThreshold ?? categoryThresholds.lowStockThreshold
+  );
+  const criticalStockThreshold = Math.min(
+    lowStockThreshold,
+    overrides.criticalStockThreshold ?? categoryThresholds.criticalStockThreshold
+  );
+
+  return { lowStockThreshold, criticalStockThreshold };
+};
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  CATEGORY_THRESHOLDS,
+  getStockThresholds
+};
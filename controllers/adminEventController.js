@@ -0,0 +1,93 @@
+const AdminEvent = require('../models/AdminEvent');
+const { subscribeAdminEvents } = require('../utils/adminEvents');
+
+// Comment line sent periodically so proxies don't close an idle stream
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How long the browser waits before reconnecting after a dropped stream
+const RECONNECT_DELAY_MS = 5000;
+
+// Most events replayed to a reconnecting client
+const MAX_REPLAY = 500;
+
+// Write one event in SSE wire format
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify({ ...event.data, createdAt: event.createdAt })}\n\n`);
+  // compression() buffers responses; push the event out immediately
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+};
+
+// @desc    Real-time stream of new orders, status changes, stock alerts and reviews
+// @route   GET /api/admin/events
+// @access  Private (Admin) - token via Authorization header or ?token=
+const streamAdminEvents = async (req, res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  // Events published while the backlog is replayed are queued, then sent in order.
+  // Only those are checked against the replayed ids: live events are sent as they
+  // come, since concurrent publishes can be saved out of ObjectId order.
+  let replaying = true;
+  let lastEventId = req.header('Last-Event-ID') || req.query.lastEventId || '';
+  // Anything but a lowercase ObjectId hex string is not an id findSince can use
+  if (!/^[0-9a-f]{24}$/.test(lastEventId)) {
+    lastEventId = '';
+  }
+  const queued = [];
+  const replayedIds = new Set();
+
+  const unsubscribe = subscribeAdminEvents((event) => {
+    if (replaying) {
+      queued.push(event);
+    } else {
+      writeEvent(res, event);
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const missed = await AdminEvent.findSince(lastEventId, MAX_REPLAY);
+    for (const event of missed) {
+      replayedIds.add(event._id.toString());
+      writeEvent(res, {
+        id: event._id.toString(),
+        type: event.type,
+        data: event.data,
+        createdAt: event.createdAt
+      });
+    }
+  } catch (error) {
+    console.error('Admin event replay error:', error);
+  }
+
+  replaying = false;
+  queued.splice(0)
+    .filter(event => !replayedIds.has(event.id))
+    .forEach(event => writeEvent(res, event));
+  replayedIds.clear();
+};
+
+module.exports = {
+  streamAdminEvents
+};
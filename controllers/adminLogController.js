@@ -140,15 +140,23 @@ const getActionStats = async (req, res) => {
 // Low Stock Alert Controllers
 const getLowStockAlerts = async (req, res) => {
   try {
-    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const { status = 'pending', alertLevel, category, page = 1, limit = 20 } = req.query;
     
+    // Alerts are open until resolved (manually or automatically on restock)
     const filter = {};
-    if (status !== 'all') filter.status = status;
+    if (status === 'pending') {
+      filter.isActive = true;
+      filter.isResolved = false;
+    } else if (status === 'resolved') {
+      filter.isResolved = true;
+    }
+    if (alertLevel) filter.alertLevel = alertLevel;
+    if (category) filter.category = category;
     
     const alerts = await LowStockAlert.find(filter)
       .populate('productId', 'name sku images price')
-      .populate('resolvedBy', 'name email')
-      .sort({ createdAt: -1 })
+      .populate('resolvedBy.adminId', 'name email')
+      .sort({ updatedAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
     
@@ -176,23 +184,28 @@ const getLowStockAlerts = async (req, res) => {
 const resolveLowStockAlert = async (req, res) => {
   try {
     const { id } = req.params;
-    const { action, notes } = req.body;
+    const { action = 'manual_resolve' } = req.body;
     
-    const alert = await LowStockAlert.findById(id);
-    if (!alert) {
+    const validResolutions = ['restocked', 'discontinued', 'threshold_updated', 'manual_resolve'];
+    if (!validResolutions.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid resolution. Valid resolutions: ' + validResolutions.join(', ')
+      });
+    }
+    
+    const existingAlert = await LowStockAlert.findById(id);
+    if (!existingAlert) {
       return res.status(404).json({
         success: false,
         message: 'Alert not found'
       });
     }
     
-    alert.status = 'resolved';
-    alert.resolvedBy = req.admin.id;
-    alert.resolvedAt = new Date();
-    alert.resolutionAction = action;
-    alert.resolutionNotes = notes;
-    
-    await alert.save();
+    const alert = await LowStockAlert.resolveAlert(id, {
+      adminId: req.admin._id,
+      adminName: req.admin.name
+    }, action);
     
     res.json({
       success: true,
@@ -219,17 +232,20 @@ const getStockAlertStats = async (req, res) => {
       { $match: { createdAt: { $gte: startDate } } },
       {
         $group: {
-          _id: '$status',
+          _id: { $cond: ['$isResolved', 'resolved', 'pending'] },
           count: { $sum: 1 }
         }
       }
     ]);
     
     const criticalAlerts = await LowStockAlert.countDocuments({
-      status: 'pending',
-      severity: 'critical'
+      isActive: true,
+      isResolved: false,
+      alertLevel: { $in: ['critical', 'out_of_stock'] }
     });
     
+    const overview = await LowStockAlert.getAlertStats();
+    
     const totalAlerts = await LowStockAlert.countDocuments({
       createdAt: { $gte: startDate }
     });
@@ -239,7 +255,10 @@ const getStockAlertStats = async (req, res) => {
       data: {
         statusBreakdown: stats,
         criticalAlerts,
-        totalAlerts
+        totalAlerts,
+        activeAlerts: overview.activeAlerts,
+        resolvedToday: overview.resolvedToday,
+        alertsByLevel: overview.alertsByLevel
       }
     });
   } catch (error) {
@@ -1,5 +1,9 @@
 const User = require('../models/User');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const StockSubscription = require('../models/StockSubscription');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
 // Helper function to create user response (exclude sensitive data)
@@ -150,6 +154,16 @@ const login = async (req, res) => {
     // Generate JWT token
     const token = user.generateAuthToken();
 
+    // Move any guest cart onto the account
+    const cartToken = req.body.cartToken || req.header('X-Cart-Token');
+    if (cartToken) {
+      try {
+        await Cart.mergeGuestCart(cartToken, user._id);
+      } catch (cartError) {
+        console.error('Failed to merge guest cart:', cartError);
+      }
+    }
+
     // Create response user object
     const userResponse = createUserResponse(user);
 
@@ -593,6 +607,146 @@ const resetPassword = async (req, res) => {
   }
 };
 
+// Shape wishlist entries for the storefront (skips products that were deleted)
+const formatWishlist = (user) => {
+  return user.wishlist
+    .filter(entry => entry.productId)
+    .map(entry => ({
+      productId: entry.productId._id,
+      name: entry.productId.name,
+      price: entry.productId.price,
+      image: entry.productId.mainImage,
+      category: entry.productId.category,
+      inStock: (entry.productId.quantity || 0) > 0 && entry.productId.isActive,
+      addedAt: entry.addedAt
+    }));
+};
+
+// @desc    Get user wishlist
+// @route   GET /api/auth/wishlist
+// @access  Private
+const getWishlist = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('wishlist.productId', 'name price images category quantity isActive');
+
+    res.status(200).json({
+      success: true,
+      data: formatWishlist(user)
+    });
+
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get wishlist'
+    });
+  }
+};
+
+// @desc    Add a product to the wishlist
+// @route   POST /api/auth/wishlist
+// @access  Private
+const addToWishlist = async (req, res) => {
+  try {
+    const { productId, notifyWhenAvailable = true } = req.body;
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid productId is required'
+      });
+    }
+
+    const product = await Product.findOne({ _id: productId, isActive: true }).select('name quantity');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // $addToSet can't match on productId alone because of addedAt, so guard with the filter
+    await User.updateOne(
+      { _id: req.user._id, 'wishlist.productId': { $ne: product._id } },
+      { $push: { wishlist: { productId: product._id, addedAt: new Date() } } }
+    );
+
+    // Sold-out watches saved to the wishlist get a back in stock email
+    if (notifyWhenAvailable && (product.quantity || 0) <= 0) {
+      try {
+        await StockSubscription.subscribe({
+          productId: product._id,
+          email: req.user.email,
+          userId: req.user._id,
+          source: 'wishlist'
+        });
+      } catch (subscriptionError) {
+        console.error('Failed to create back in stock subscription:', subscriptionError);
+      }
+    }
+
+    const user = await User.findById(req.user._id)
+      .populate('wishlist.productId', 'name price images category quantity isActive');
+
+    res.status(200).json({
+      success: true,
+      message: 'Product added to wishlist',
+      data: formatWishlist(user)
+    });
+
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add product to wishlist'
+    });
+  }
+};
+
+// @desc    Remove a product from the wishlist
+// @route   DELETE /api/auth/wishlist/:productId
+// @access  Private
+const removeFromWishlist = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { wishlist: { productId } } }
+    );
+
+    // Drop the wishlist's back in stock subscription as well
+    await StockSubscription.updateMany(
+      { productId, userId: req.user._id, source: 'wishlist', status: 'pending' },
+      { $set: { status: 'cancelled' } }
+    );
+
+    const user = await User.findById(req.user._id)
+      .populate('wishlist.productId', 'name price images category quantity isActive');
+
+    res.status(200).json({
+      success: true,
+      message: 'Product removed from wishlist',
+      data: formatWishlist(user)
+    });
+
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove product from wishlist'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
@@ -602,5 +756,8 @@ module.exports = {
   changePassword,
   deleteAccount,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist
 }; 
\ No newline at end of file
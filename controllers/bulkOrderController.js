@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const BulkOrderJob = require('../models/BulkOrderJob');
+const { startBulkOperation } = require('../utils/bulkOrderOperations');
+
+// Job as returned to the admin panel, without the file contents
+const serializeJob = (job) => ({
+  id: job._id,
+  action: job.action,
+  params: job.params,
+  status: job.status,
+  progress: job.progress,
+  results: job.results,
+  error: job.error,
+  output: job.output?.filename ? {
+    filename: job.output.filename,
+    contentType: job.output.contentType,
+    size: job.output.size,
+    downloadUrl: `/api/admin/orders/bulk/${job._id}/download`
+  } : null,
+  createdBy: job.createdBy,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  createdAt: job.createdAt
+});
+
+// @desc    Run one operation on many orders
+// @route   POST /api/admin/orders/bulk
+// @access  Private (Admin)
+//
+// Body: { action, orderIds, ...params } - see config/bulkOrders.js for the actions.
+// Small selections answer 200 with every order's result; larger ones answer 202
+// with a job to poll at GET /api/admin/orders/bulk/:jobId.
+const bulkOrderOperation = async (req, res) => {
+  try {
+    const result = await startBulkOperation(req.body, {
+      admin: req.admin,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { job, background } = result;
+    if (background) {
+      return res.status(202).json({
+        success: true,
+        message: `Processing ${job.progress.total} orders in the background`,
+        data: {
+          job: serializeJob(job),
+          statusUrl: `/api/admin/orders/bulk/${job._id}`
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: job.status === 'completed',
+      message: job.status === 'completed'
+        ? `${job.progress.succeeded} of ${job.progress.total} orders processed`
+        : `Bulk ${job.action} failed: ${job.error}`,
+      data: { job: serializeJob(job) }
+    });
+
+  } catch (error) {
+    console.error('Bulk order operation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Progress and per-order results of a bulk operation
+// @route   GET /api/admin/orders/bulk/:jobId
+// @access  Private (Admin)
+const getBulkOrderJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk job not found'
+      });
+    }
+
+    const job = await BulkOrderJob.findById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { job: serializeJob(job) }
+    });
+
+  } catch (error) {
+    console.error('Get bulk job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Download the PDF or CSV a bulk operation produced
+// @route   GET /api/admin/orders/bulk/:jobId/download
+// @access  Private (Admin)
+const downloadBulkOrderJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk job not found'
+      });
+    }
+
+    const job = await BulkOrderJob.findById(req.params.jobId).select('+output.data');
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk job not found'
+      });
+    }
+
+    if (!job.output?.data) {
+      return res.status(400).json({
+        success: false,
+        message: job.status === 'completed' ? 'This job produced no file' : `This job is ${job.status}`
+      });
+    }
+
+    res.set({
+      'Content-Type': job.output.contentType,
+      'Content-Disposition': `attachment; filename="${job.output.filename}"`,
+      'Content-Length': job.output.data.length
+    });
+    res.send(job.output.data);
+
+  } catch (error) {
+    console.error('Download bulk job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  bulkOrderOperation,
+  getBulkOrderJob,
+  downloadBulkOrderJob
+};
@@ -0,0 +1,99 @@
+const CartRecovery = require('../models/CartRecovery');
+const { runRecoveryCycle } = require('../utils/cartRecovery');
+
+// @desc    Get abandoned cart recovery statistics (emails sent, recovered revenue)
+// @route   GET /api/admin/cart-recovery/stats
+// @access  Private (Admin)
+const getCartRecoveryStats = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const stats = await CartRecovery.getRecoveryStats({ startDate, endDate });
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Get cart recovery stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    List recovery sequences
+// @route   GET /api/admin/cart-recovery
+// @access  Private (Admin)
+const getCartRecoveries = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, sourceType } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (sourceType) filter.sourceType = sourceType;
+
+    const recoveries = await CartRecovery.find(filter)
+      .select('-token')
+      .populate('recoveredOrderId', 'orderNumber summary.total status')
+      .sort({ updatedAt: -1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await CartRecovery.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: recoveries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get cart recoveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Run the recovery job immediately
+// @route   POST /api/admin/cart-recovery/run
+// @access  Private (Admin)
+const runCartRecovery = async (req, res) => {
+  try {
+    const result = await runRecoveryCycle();
+
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart recovery cycle completed',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Run cart recovery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getCartRecoveryStats,
+  getCartRecoveries,
+  runCartRecovery
+};
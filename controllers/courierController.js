@@ -0,0 +1,598 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const CodRemittance = require('../models/CodRemittance');
+const AdminActionLog = require('../models/AdminActionLog');
+const { listCouriers: listCourierAdapters, getCourier } = require('../utils/couriers');
+const {
+  bookShipment,
+  refreshShipmentTracking,
+  syncAllTracking,
+  handleCourierWebhook,
+  syncRemittances
+} = require('../utils/courierOperations');
+const { importSettlementFile, getOutstandingCod } = require('../utils/codRemittance');
+const { generateShippingLabel } = require('../utils/shippingLabel');
+const { DEFAULT_COURIER } = require('../config/couriers');
+
+const logCourierAction = async (req, action, target, description, changes) => {
+  try {
+    await AdminActionLog.logAction({
+      adminId: req.admin._id,
+      adminName: req.admin.name,
+      adminEmail: req.admin.email,
+      action,
+      targetType: target.type,
+      targetId: target.id,
+      targetName: target.name,
+      description,
+      changes,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      },
+      severity: 'medium',
+      status: 'success'
+    });
+  } catch (logError) {
+    console.error('Failed to log courier activity:', logError);
+  }
+};
+
+// Load the order and parcel named in the route, answering 404 when either is missing
+const findOrderShipment = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+    return {};
+  }
+
+  const shipment = order.shipments.id(req.params.shipmentId);
+  if (!shipment) {
+    res.status(404).json({
+      success: false,
+      message: 'Shipment not found'
+    });
+    return {};
+  }
+
+  return { order, shipment };
+};
+
+// @desc    List the courier integrations and whether each is configured
+// @route   GET /api/admin/couriers
+// @access  Private (Admin)
+const listCouriers = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        defaultCourier: DEFAULT_COURIER,
+        couriers: listCourierAdapters()
+      }
+    });
+  } catch (error) {
+    console.error('List couriers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Book a parcel with a courier
+// @route   POST /api/admin/orders/:id/shipments/:shipmentId/book
+// @access  Private (Admin)
+//
+// Body: { courier (code, defaults to DEFAULT_COURIER), codAmount (defaults to the
+//         amount still owed on a COD order), weight (kg), pieces }
+const bookOrderShipment = async (req, res) => {
+  try {
+    const courierCode = (req.body.courier || DEFAULT_COURIER).toLowerCase();
+    const { codAmount, weight, pieces } = req.body;
+
+    if (!getCourier(courierCode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown courier: ${courierCode}`
+      });
+    }
+
+    if (codAmount !== undefined && (Number.isNaN(Number(codAmount)) || Number(codAmount) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'COD amount must be zero or more'
+      });
+    }
+
+    const { order, shipment } = await findOrderShipment(req, res);
+    if (!order) return;
+
+    if (shipment.status !== 'preparing') {
+      return res.status(400).json({
+        success: false,
+        message: `Parcel ${shipment.shipmentNumber} is already ${shipment.status.replace(/_/g, ' ')}`
+      });
+    }
+
+    if (shipment.bookedAt) {
+      return res.status(400).json({
+        success: false,
+        message: `Parcel ${shipment.shipmentNumber} is already booked with ${shipment.courier} (${shipment.trackingNumber})`
+      });
+    }
+
+    let booked;
+    try {
+      booked = await bookShipment(order, shipment, {
+        courierCode,
+        codAmount,
+        weight: weight !== undefined ? Number(weight) : undefined,
+        pieces: pieces !== undefined ? Number(pieces) : undefined,
+        updatedBy: req.admin.name
+      });
+    } catch (bookingError) {
+      console.error('Courier booking error:', bookingError);
+      return res.status(502).json({
+        success: false,
+        message: `Courier booking failed: ${bookingError.message}`
+      });
+    }
+
+    if (!booked) {
+      return res.status(409).json({
+        success: false,
+        message: `Parcel ${shipment.shipmentNumber} is already being booked`
+      });
+    }
+
+    await logCourierAction(req, 'shipment_booked', {
+      type: 'order',
+      id: order._id.toString(),
+      name: `Order ${order.orderNumber}`
+    }, `Booked parcel ${shipment.shipmentNumber} with ${shipment.courier}`, {
+      after: {
+        shipmentNumber: shipment.shipmentNumber,
+        courier: shipment.courierCode,
+        trackingNumber: shipment.trackingNumber,
+        codAmount: shipment.codAmount
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipment booked',
+      data: { shipment }
+    });
+
+  } catch (error) {
+    console.error('Book shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Download a parcel's printable shipping label
+// @route   GET /api/admin/orders/:id/shipments/:shipmentId/label.pdf
+// @access  Private (Admin)
+const getShipmentLabel = async (req, res) => {
+  try {
+    const { order, shipment } = await findOrderShipment(req, res);
+    if (!order) return;
+
+    if (!shipment.trackingNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Book the parcel with a courier before printing its label'
+      });
+    }
+
+    const pdf = await generateShippingLabel(order, shipment);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="label-${shipment.shipmentNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Shipping label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Pull the latest tracking events for one parcel from its courier
+// @route   POST /api/admin/orders/:id/shipments/:shipmentId/tracking/refresh
+// @access  Private (Admin)
+const refreshOrderShipmentTracking = async (req, res) => {
+  try {
+    const { order, shipment } = await findOrderShipment(req, res);
+    if (!order) return;
+
+    if (!shipment.courierCode || !shipment.trackingNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'This parcel was not booked through a courier integration'
+      });
+    }
+
+    let added;
+    try {
+      added = await refreshShipmentTracking(order, shipment);
+    } catch (trackingError) {
+      console.error('Courier tracking error:', trackingError);
+      return res.status(502).json({
+        success: false,
+        message: `Could not fetch tracking: ${trackingError.message}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: added > 0 ? `${added} new tracking event(s)` : 'No new tracking events',
+      data: {
+        shipment,
+        orderStatus: order.status,
+        fulfillmentStatus: order.fulfillmentStatus
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh tracking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Pull tracking for every in-flight courier parcel
+// @route   POST /api/admin/couriers/tracking/sync
+// @access  Private (Admin)
+//
+// Body: { courier (code, optional), limit (orders, default 200) }
+// Meant for a scheduler as well as the dashboard button.
+const syncCourierTracking = async (req, res) => {
+  try {
+    const courierCode = req.body.courier ? String(req.body.courier).toLowerCase() : undefined;
+    if (courierCode && !getCourier(courierCode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown courier: ${courierCode}`
+      });
+    }
+
+    const result = await syncAllTracking({
+      courierCode,
+      limit: Math.min(parseInt(req.body.limit) || 200, 1000)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Checked ${result.parcels} parcel(s), ${result.events} new event(s)`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Sync courier tracking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Fetch a courier's COD remittances and reconcile them with order totals
+// @route   POST /api/admin/couriers/:code/remittances/sync
+// @access  Private (Admin)
+//
+// Body: { from, to } - settlement date range passed to the courier
+const syncCourierRemittances = async (req, res) => {
+  try {
+    const courier = getCourier(req.params.code);
+    if (!courier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Courier not found'
+      });
+    }
+
+    let result;
+    try {
+      result = await syncRemittances(courier.code, {
+        from: req.body.from ? new Date(req.body.from) : undefined,
+        to: req.body.to ? new Date(req.body.to) : undefined
+      });
+    } catch (remittanceError) {
+      console.error('Courier remittance error:', remittanceError);
+      return res.status(502).json({
+        success: false,
+        message: `Could not fetch remittances: ${remittanceError.message}`
+      });
+    }
+
+    await logCourierAction(req, 'courier_remittance_synced', {
+      type: 'system',
+      id: courier.code,
+      name: courier.name
+    }, `Reconciled ${result.reconciled} ${courier.name} remittance(s), ${result.discrepancies.length} discrepancy(ies)`, {
+      after: {
+        received: result.received,
+        reconciled: result.reconciled,
+        unmatched: result.unmatched.length,
+        discrepancies: result.discrepancies.length
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Reconciled ${result.reconciled} of ${result.received} remittance(s)`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Sync courier remittances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Orders whose courier COD remittances don't match the order total
+// @route   GET /api/admin/couriers/remittances/discrepancies
+// @access  Private (Admin)
+const getRemittanceDiscrepancies = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const statuses = req.query.status
+      ? req.query.status.split(',').filter(status => ['short', 'over', 'pending', 'matched'].includes(status))
+      : ['short', 'over'];
+
+    const filter = { 'codReconciliation.status': { $in: statuses }, 'codReconciliation.reconciledAt': { $exists: true } };
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .select('orderNumber customer.name summary.total payment.method payment.status codReconciliation shipments.shipmentNumber shipments.courier shipments.trackingNumber shipments.codAmount shipments.remittance')
+        .sort({ 'codReconciliation.reconciledAt': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalOrders: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get remittance discrepancies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Import a courier's COD settlement file and reconcile it with delivered COD orders
+// @route   POST /api/admin/couriers/remittances/import
+// @access  Private (Admin)
+//
+// Multipart: file - the settlement CSV (order number, tracking number, collected
+// amount, fee columns); courier - adapter code or courier name; reference, settledAt
+const importCourierRemittances = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the settlement CSV in the file field'
+      });
+    }
+
+    const settledAt = req.body.settledAt ? new Date(req.body.settledAt) : undefined;
+    if (settledAt && isNaN(settledAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'settledAt must be a valid date'
+      });
+    }
+
+    const result = await importSettlementFile({
+      courier: req.body.courier,
+      reference: req.body.reference,
+      settledAt,
+      fileName: req.file.originalname,
+      csv: req.file.buffer.toString('utf8')
+    }, { admin: req.admin });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { remittance } = result;
+    await logCourierAction(req, 'courier_remittance_imported', {
+      type: 'system',
+      id: remittance._id.toString(),
+      name: remittance.courier
+    }, `Imported ${remittance.courier} settlement ${remittance.reference || remittance.fileName}: ${remittance.totals.matched} matched, ${remittance.totals.flagged} flagged`, {
+      after: remittance.totals
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Recorded ${remittance.totals.recorded} of ${remittance.totals.lines} line(s), ${remittance.totals.flagged} flagged`,
+      data: { remittance }
+    });
+
+  } catch (error) {
+    console.error('Import courier remittances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Imported courier settlement files
+// @route   GET /api/admin/couriers/remittances/imports
+// @access  Private (Admin)
+const getCourierRemittanceImports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = req.query.courier ? { courier: req.query.courier } : {};
+
+    const [remittances, total] = await Promise.all([
+      CodRemittance.find(filter)
+        .select('-lines')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CodRemittance.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        remittances,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRemittances: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get courier remittance imports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    One imported settlement file with every line's outcome
+// @route   GET /api/admin/couriers/remittances/imports/:importId
+// @access  Private (Admin)
+const getCourierRemittanceImport = async (req, res) => {
+  try {
+    const remittance = mongoose.Types.ObjectId.isValid(req.params.importId)
+      ? await CodRemittance.findById(req.params.importId)
+      : null;
+    if (!remittance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement import not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { remittance }
+    });
+
+  } catch (error) {
+    console.error('Get courier remittance import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    COD cash collected on delivered parcels that couriers haven't remitted yet
+// @route   GET /api/admin/couriers/remittances/outstanding
+// @access  Private (Admin)
+//
+// Query: courier - one courier, with its outstanding parcels listed
+const getOutstandingCourierCod = async (req, res) => {
+  try {
+    const report = await getOutstandingCod({ courier: req.query.courier });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get outstanding COD error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Receive a courier's status webhook
+// @route   POST /api/couriers/:code/webhook
+// @access  Public (signed by the courier)
+const receiveCourierWebhook = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await handleCourierWebhook(req.params.code, {
+        headers: req.headers,
+        body: req.body,
+        rawBody: req.rawBody
+      });
+    } catch (webhookError) {
+      console.error('Courier webhook rejected:', webhookError.message);
+      return res.status(400).json({
+        success: false,
+        message: webhookError.message
+      });
+    }
+
+    // Unknown tracking numbers are acknowledged so the courier stops retrying
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Courier webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  listCouriers,
+  bookOrderShipment,
+  getShipmentLabel,
+  refreshOrderShipmentTracking,
+  syncCourierTracking,
+  syncCourierRemittances,
+  getRemittanceDiscrepancies,
+  importCourierRemittances,
+  getCourierRemittanceImports,
+  getCourierRemittanceImport,
+  getOutstandingCourierCod,
+  receiveCourierWebhook
+};
@@ -0,0 +1,166 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const AdminActionLog = require('../models/AdminActionLog');
+const { getDisplayCurrencies, getExchangeRateOverview } = require('../utils/currency');
+const { DISPLAY_CURRENCIES } = require('../config/currency');
+
+// @desc    Currencies the storefront can show prices in, with their current rates
+// @route   GET /api/products/currencies
+// @access  Public
+const getCurrencies = async (req, res) => {
+  try {
+    const currencies = await getDisplayCurrencies();
+
+    res.status(200).json({
+      success: true,
+      data: currencies
+    });
+
+  } catch (error) {
+    console.error('Get currencies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Current exchange rate of every display currency
+// @route   GET /api/admin/currencies
+// @access  Private (Admin)
+const getExchangeRates = async (req, res) => {
+  try {
+    const currencies = await getExchangeRateOverview();
+
+    res.status(200).json({
+      success: true,
+      data: currencies
+    });
+
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Set a currency's exchange rate (PKR for one unit of the currency)
+// @route   PUT /api/admin/currencies/:code/rate
+// @access  Private (Admin)
+const setExchangeRate = async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    if (!DISPLAY_CURRENCIES.includes(code)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency. Display currencies: ${DISPLAY_CURRENCIES.join(', ')}`
+      });
+    }
+
+    const rate = parseFloat(req.body.rate);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rate must be a number more than 0 (PKR for one unit of the currency)'
+      });
+    }
+
+    const previous = await ExchangeRate.findOne({ currency: code }).sort({ createdAt: -1 });
+    const entry = await ExchangeRate.create({
+      currency: code,
+      rate,
+      note: req.body.note,
+      setBy: {
+        adminId: req.admin._id,
+        adminName: req.admin.name
+      }
+    });
+
+    try {
+      await AdminActionLog.logAction({
+        adminId: req.admin._id,
+        adminName: req.admin.name,
+        adminEmail: req.admin.email,
+        action: 'settings_changed',
+        targetType: 'system',
+        targetId: `exchange-rate:${code}`,
+        targetName: `${code} exchange rate`,
+        description: `Set ${code} rate to PKR ${rate}` + (previous ? ` (was PKR ${previous.rate})` : ''),
+        changes: {
+          before: previous ? { rate: previous.rate } : null,
+          after: { rate }
+        },
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        },
+        severity: 'medium',
+        status: 'success'
+      });
+    } catch (logError) {
+      console.error('Failed to log exchange rate change:', logError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${code} rate set to PKR ${rate}`,
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Set exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Every rate a currency has had, newest first
+// @route   GET /api/admin/currencies/:code/history
+// @access  Private (Admin)
+const getExchangeRateHistory = async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [rates, total] = await Promise.all([
+      ExchangeRate.find({ currency: code })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ExchangeRate.countDocuments({ currency: code })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currency: code,
+        rates,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRates: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get exchange rate history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getCurrencies,
+  getExchangeRates,
+  setExchangeRate,
+  getExchangeRateHistory
+};
@@ -0,0 +1,85 @@
+const Order = require('../models/Order');
+const { generateInvoice, generatePackingSlip } = require('../utils/orderDocuments');
+
+const sendPdf = (res, pdf, filename) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+// @desc    Download an order's invoice, issuing its invoice number on first use
+// @route   GET /api/admin/orders/:id/invoice.pdf
+// @access  Private (Admin)
+const getOrderInvoice = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.isInvoiceable()) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot invoice an order that is ${order.status}${order.status === 'pending' ? ' and unpaid' : ''}`
+      });
+    }
+
+    await order.assignInvoiceNumber();
+    const pdf = await generateInvoice(order);
+    sendPdf(res, pdf, `${order.invoice.number}.pdf`);
+
+  } catch (error) {
+    console.error('Invoice PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Download an order's packing slip (?shipmentId= for a single parcel)
+// @route   GET /api/admin/orders/:id/packing-slip.pdf
+// @access  Private (Admin)
+const getOrderPackingSlip = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    let shipment = null;
+    if (req.query.shipmentId) {
+      shipment = order.shipments.id(req.query.shipmentId);
+      if (!shipment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipment not found'
+        });
+      }
+    }
+
+    const pdf = await generatePackingSlip(order, shipment);
+    sendPdf(res, pdf, `packing-slip-${shipment ? shipment.shipmentNumber : order.orderNumber}.pdf`);
+
+  } catch (error) {
+    console.error('Packing slip PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getOrderInvoice,
+  getOrderPackingSlip
+};
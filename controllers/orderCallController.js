@@ -0,0 +1,214 @@
+const Order = require('../models/Order');
+const AdminActionLog = require('../models/AdminActionLog');
+const { transitionOrder } = require('../utils/orderStateMachine');
+const { MAX_CALL_ATTEMPTS } = require('../config/codCalls');
+
+const CALL_OUTCOMES = ['confirmed', 'no_answer', 'wrong_number', 'declined'];
+
+const OUTCOME_LABELS = {
+  confirmed: 'confirmed',
+  no_answer: 'no answer',
+  wrong_number: 'wrong number',
+  declined: 'declined'
+};
+
+// @desc    Pending COD and held high-risk orders in call priority order, with per-agent statistics
+// @route   GET /api/admin/orders/calls/queue
+// @access  Private (Admin)
+const getCallQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, dueOnly, riskLevel, startDate, endDate } = req.query;
+
+    const [queue, agentStats] = await Promise.all([
+      Order.getCallQueue({ page, limit, dueOnly: dueOnly === 'true', riskLevel }),
+      Order.getCallAgentStats({ startDate, endDate })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orders: queue.orders,
+        dueCount: queue.due,
+        maxAttempts: MAX_CALL_ATTEMPTS,
+        agentStats,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(queue.total / parseInt(limit)),
+          totalOrders: queue.total,
+          hasNext: parseInt(page) * parseInt(limit) < queue.total,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get call queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the confirmation call log of an order
+// @route   GET /api/admin/orders/:id/calls
+// @access  Private (Admin)
+const getOrderCalls = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('orderNumber status customer.name customer.phone payment.method risk confirmationCall');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        customer: order.customer,
+        paymentMethod: order.payment.method,
+        risk: order.risk,
+        maxAttempts: MAX_CALL_ATTEMPTS,
+        ...order.confirmationCall.toObject()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get order calls error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Log a confirmation call attempt (confirms or cancels the order when final)
+// @route   POST /api/admin/orders/:id/calls
+// @access  Private (Admin)
+const logOrderCall = async (req, res) => {
+  try {
+    const { outcome, note, retryInMinutes } = req.body;
+
+    if (!CALL_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid call outcome. Valid outcomes: ' + CALL_OUTCOMES.join(', ')
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Only pending orders need a confirmation call. This order is ${order.status}.`
+      });
+    }
+
+    const previousStatus = order.status;
+    const nextStep = order.recordCallAttempt({
+      outcome,
+      note,
+      agent: req.admin,
+      retryInMinutes: Number(retryInMinutes)
+    });
+    const attempt = order.confirmationCall.attempts[order.confirmationCall.attempts.length - 1];
+    const callNote = `Confirmation call: ${OUTCOME_LABELS[outcome]}${note ? ` - ${note}` : ''}`;
+
+    // Confirming or cancelling goes through the order state machine
+    let stockMovements = [];
+    let statusError = null;
+    if (nextStep === 'confirm' || nextStep === 'cancel') {
+      let reason = callNote;
+      if (nextStep === 'cancel') {
+        reason = outcome === 'declined'
+          ? `Customer declined the order on the confirmation call${note ? ` - ${note}` : ''}`
+          : `Cancelled after ${order.confirmationCall.failedAttempts} unsuccessful confirmation calls`;
+      }
+
+      const result = await transitionOrder(order, nextStep === 'confirm' ? 'confirmed' : 'cancelled', {
+        note: reason,
+        admin: req.admin,
+        source: 'call'
+      });
+      if (result.success) {
+        stockMovements = result.stockMovements;
+      } else {
+        statusError = result.message;
+        await order.save();
+      }
+    } else {
+      await order.save();
+    }
+
+    try {
+      await AdminActionLog.logAction({
+        adminId: req.admin._id,
+        adminName: req.admin.name,
+        adminEmail: req.admin.email,
+        action: 'order_call_logged',
+        targetType: 'order',
+        targetId: order._id.toString(),
+        targetName: `Order ${order.orderNumber}`,
+        description: `Logged confirmation call (${OUTCOME_LABELS[outcome]}), attempt ${order.confirmationCall.attemptCount}`,
+        changes: {
+          before: { status: previousStatus },
+          after: { status: order.status, outcome, nextRetryAt: order.confirmationCall.nextRetryAt }
+        },
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          stockMovements: stockMovements.length
+        },
+        severity: order.status === 'cancelled' ? 'high' : 'low',
+        status: 'success'
+      });
+    } catch (logError) {
+      console.error('Admin action logging error:', logError);
+    }
+
+    const messages = {
+      confirm: 'Order confirmed',
+      cancel: 'Order cancelled and stock restored',
+      retry: 'Call attempt logged'
+    };
+
+    res.status(201).json({
+      success: true,
+      message: statusError ? `Call attempt logged, but the order status was not changed: ${statusError}` : messages[nextStep],
+      data: {
+        attempt,
+        status: order.status,
+        attemptCount: order.confirmationCall.attemptCount,
+        failedAttempts: order.confirmationCall.failedAttempts,
+        nextRetryAt: order.confirmationCall.nextRetryAt,
+        stockMovements
+      }
+    });
+
+  } catch (error) {
+    console.error('Log order call error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getCallQueue,
+  getOrderCalls,
+  logOrderCall
+};
@@ -2,7 +2,9 @@ const Order = require('../models/Order');
 const Product = require('../models/Product');
 const AdminActionLog = require('../models/AdminActionLog');
 const StockMovement = require('../models/StockMovement');
-const emailService = require('../utils/emailService');
+const { restoreVariantStock } = require('../utils/stockReservation');
+const { ORDER_STATUSES, changeOrderStatus } = require('../utils/orderStatus');
+const { getNextStatuses } = require('../utils/orderStateMachine');
 
 // @desc    Get all orders with pagination and filtering
 // @route   GET /api/admin/orders
@@ -16,13 +18,20 @@ const getAllOrders = async (req, res) => {
       paymentStatus,
       sortBy = 'createdAt',
       sortOrder = 'desc',
-      search
+      search,
+      riskLevel,
+      minRiskScore,
+      heldForCall
     } = req.query;
 
     // Build filter object
     const filter = {};
     if (status) filter.status = status;
     if (paymentStatus) filter['payment.status'] = paymentStatus;
+    // riskLevel accepts a single level or a list, e.g. "medium,high"
+    if (riskLevel) filter['risk.level'] = { $in: String(riskLevel).split(',') };
+    if (minRiskScore) filter['risk.score'] = { $gte: Number(minRiskScore) };
+    if (heldForCall === 'true') filter['risk.holdForCall'] = true;
     if (search) {
       filter.$or = [
         { orderNumber: { $regex: search, $options: 'i' } },
@@ -92,6 +101,7 @@ const getOrderById = async (req, res) => {
       success: true,
       data: {
         order,
+        nextStatuses: getNextStatuses(order),
         stockMovements,
         adminActions: adminActions.slice(0, 10) // Limit to recent 10 actions
       }
@@ -106,6 +116,36 @@ const getOrderById = async (req, res) => {
   }
 };
 
+// @desc    Statuses an order can move to next, with what blocks or is needed for each
+// @route   GET /api/admin/orders/:id/transitions
+// @access  Private (Admin)
+const getOrderTransitions = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: order.status,
+        nextStatuses: getNextStatuses(order)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get order transitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // @desc    Update order status with business logic validation
 // @route   PUT /api/admin/orders/:id/status
 // @access  Private (Admin)
@@ -117,11 +157,10 @@ const updateOrderStatus = async (req, res) => {
     console.log('Order status update request:', { orderId, status, note, adminId: req.admin?._id });
 
     // Validate status
-    const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'];
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid order status. Valid statuses: ' + validStatuses.join(', ')
+        message: 'Invalid order status. Valid statuses: ' + ORDER_STATUSES.join(', ')
       });
     }
 
@@ -133,165 +172,27 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
-    const previousStatus = order.status;
-
-    // ✅ ORDER MODIFICATION RESTRICTIONS - Business Logic Validation
-    const restrictedTransitions = {
-      'delivered': ['pending', 'confirmed', 'processing'], // Can't go back from delivered
-      'cancelled': ['confirmed', 'processing', 'shipped', 'delivered'], // Can't change from cancelled (except to returned)
-      'returned': ['pending', 'confirmed', 'processing', 'shipped'] // Returns are final
-    };
-
-    if (restrictedTransitions[previousStatus] && restrictedTransitions[previousStatus].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot change order status from ${previousStatus} to ${status}. Invalid status transition.`
-      });
-    }
+    // Transition rules, stock restoration, parcels, logging and email live in utils/orderStatus
+    const result = await changeOrderStatus(order, {
+      status,
+      note,
+      trackingNumber: req.body.trackingNumber,
+      courier: req.body.courier,
+      admin: req.admin,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
 
-    // ✅ PREVENT MODIFICATION OF OLD ORDERS
-    const orderAge = (new Date() - new Date(order.createdAt)) / (1000 * 60 * 60 * 24); // Days
-    if (orderAge > 30 && ['cancelled', 'returned'].includes(status)) {
+    if (!result.success) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot cancel or return orders older than 30 days. Please contact system administrator.'
+        message: result.message
       });
     }
 
-    // ✅ STOCK MOVEMENT TRACKING - Handle inventory changes
-    let stockMovements = [];
-    
-    // Handle status changes that affect inventory
-    if (status === 'cancelled' && !['cancelled', 'returned'].includes(previousStatus)) {
-      // Restore inventory for cancelled orders
-      for (const item of order.items) {
-        try {
-          // Update product stock
-          await Product.findByIdAndUpdate(
-            item.productId,
-            { 
-              $inc: { quantity: item.quantity },
-              $set: { inStock: true } // Mark as in stock
-            }
-          );
-
-          // Record stock movement (if StockMovement model exists and admin is authenticated)
-          if (req.admin && StockMovement.recordMovement) {
-            const movement = await StockMovement.recordMovement({
-              productId: item.productId,
-              movementType: 'cancellation',
-              quantity: item.quantity,
-              relatedOrderId: order._id,
-              relatedOrderNumber: order.orderNumber,
-              adminId: req.admin._id,
-              adminName: req.admin.name,
-              reason: `Order cancelled - stock restored`,
-              notes: note || 'Order cancelled by admin',
-              source: 'admin'
-            });
-            stockMovements.push(movement);
-          }
-        } catch (stockError) {
-          console.error('Stock restoration error:', stockError);
-          // Continue with status update even if stock update fails
-        }
-      }
-    }
-
-    if (status === 'returned' && !['cancelled', 'returned'].includes(previousStatus)) {
-      // Restore inventory for returned orders
-      for (const item of order.items) {
-        try {
-          // Update product stock
-          await Product.findByIdAndUpdate(
-            item.productId,
-            { 
-              $inc: { quantity: item.quantity },
-              $set: { inStock: true }
-            }
-          );
-
-          // Record stock movement (if StockMovement model exists and admin is authenticated)
-          if (req.admin && StockMovement.recordMovement) {
-            const movement = await StockMovement.recordMovement({
-              productId: item.productId,
-              movementType: 'return',
-              quantity: item.quantity,
-              relatedOrderId: order._id,
-              relatedOrderNumber: order.orderNumber,
-              adminId: req.admin._id,
-              adminName: req.admin.name,
-              reason: `Order returned - stock restored`,
-              notes: note || 'Order returned by customer',
-              source: 'admin'
-            });
-            stockMovements.push(movement);
-          }
-        } catch (stockError) {
-          console.error('Stock restoration error:', stockError);
-        }
-      }
-    }
-
-    // Update order status and add timeline entry
-    const adminName = req.admin?.name || 'System';
-    await order.addTimelineEntry(status, note || `Order status updated to ${status}`, adminName);
-
-    // Handle specific status updates
-    if (status === 'shipped' && req.body.trackingNumber) {
-      order.shipping.trackingNumber = req.body.trackingNumber;
-      order.shipping.shippedAt = new Date();
-    }
-
-    if (status === 'delivered') {
-      order.shipping.deliveredAt = new Date();
-      order.payment.status = 'paid'; // Auto-mark as paid for COD
-    }
-
-    await order.save();
-
-    // ✅ ADMIN ACTION LOGGING (if admin is authenticated and AdminActionLog exists)
-    if (req.admin && AdminActionLog.logAction) {
-      try {
-        await AdminActionLog.logAction({
-          adminId: req.admin._id,
-          adminName: req.admin.name,
-          adminEmail: req.admin.email,
-          action: 'order_status_update',
-          targetType: 'order',
-          targetId: order._id.toString(),
-          targetName: `Order ${order.orderNumber}`,
-          description: `Updated order status from ${previousStatus} to ${status}`,
-          changes: {
-            before: { status: previousStatus },
-            after: { status: status, note: note }
-          },
-          metadata: {
-            ipAddress: req.ip,
-            userAgent: req.get('User-Agent'),
-            stockMovements: stockMovements.length,
-            trackingNumber: req.body.trackingNumber
-          },
-          severity: ['cancelled', 'returned'].includes(status) ? 'high' : 'medium',
-          status: 'success'
-        });
-      } catch (logError) {
-        console.error('Admin action logging error:', logError);
-        // Continue even if logging fails
-      }
-    }
-
-    // Send appropriate email notification
-    try {
-      if (status === 'shipped') {
-        await emailService.sendShippingNotification(order);
-      } else if (status !== previousStatus) {
-        await emailService.sendOrderStatusUpdate(order, previousStatus);
-      }
-    } catch (emailError) {
-      console.error('Failed to send status update email:', emailError);
-      // Continue with order update even if email fails
-    }
+    const { previousStatus, stockMovements } = result;
 
     res.status(200).json({
       success: true,
@@ -370,12 +271,17 @@ const deleteOrder = async (req, res) => {
             $set: { inStock: true }
           }
         );
+        if (item.variantId) {
+          await restoreVariantStock(item.productId, item.variantId, item.quantity);
+        }
 
         // Record stock movement
         await StockMovement.recordMovement({
           productId: item.productId,
+          variantId: item.variantId,
           movementType: 'cancellation',
           quantity: item.quantity,
+          stockApplied: true,
           relatedOrderId: order._id,
           relatedOrderNumber: order.orderNumber,
           adminId: req.admin._id,
@@ -470,6 +376,7 @@ const getOrderAnalytics = async (req, res) => {
 module.exports = {
   getAllOrders,
   getOrderById,
+  getOrderTransitions,
   updateOrderStatus,
   deleteOrder,
   getOrderAnalytics
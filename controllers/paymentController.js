@@ -0,0 +1,126 @@
+const Order = require('../models/Order');
+const { refreshOrderPayment } = require('../utils/paymentOperations');
+const { getOrderPaymentLedger, getReconciliationReport } = require('../utils/paymentLedger');
+
+// @desc    Ask the order's payment gateway for the payment's current status and apply it
+// @route   POST /api/admin/orders/:id/payment/refresh
+// @access  Private (Admin)
+const refreshOrderPaymentStatus = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.payment.gateway || !order.payment.transactionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This order was not paid through an online gateway'
+      });
+    }
+
+    let result;
+    try {
+      result = await refreshOrderPayment(order);
+    } catch (gatewayError) {
+      console.error('Payment status check error:', gatewayError);
+      return res.status(502).json({
+        success: false,
+        message: `Could not check the payment: ${gatewayError.message}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Gateway reports the payment as ${result.gatewayStatus}`,
+      data: {
+        ...result,
+        payment: order.payment,
+        orderStatus: order.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh payment status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get an order's payment ledger (every authorize, capture, refund, failure and callback)
+// @route   GET /api/admin/orders/:id/payments
+// @access  Private (Admin)
+const getOrderPayments = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('orderNumber summary.total payment');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const { summary, transactions } = await getOrderPaymentLedger(order);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        total: order.summary.total,
+        payment: order.payment,
+        summary,
+        transactions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get order payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Money received and refunded per gateway, and orders whose ledger doesn't add up
+// @route   GET /api/admin/payments/reconciliation
+// @access  Private (Admin)
+const getPaymentReconciliation = async (req, res) => {
+  try {
+    const { startDate, endDate, gateway } = req.query;
+
+    const from = startDate ? new Date(startDate) : undefined;
+    const to = endDate ? new Date(endDate) : undefined;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be valid dates'
+      });
+    }
+
+    const report = await getReconciliationReport({ from, to, gateway });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Payment reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  refreshOrderPaymentStatus,
+  getOrderPayments,
+  getPaymentReconciliation
+};
@@ -1,12 +1,33 @@
 const Product = require('../models/Product');
 const AdminActionLog = require('../models/AdminActionLog');
+const LowStockAlert = require('../models/LowStockAlert');
+const StockSubscription = require('../models/StockSubscription');
+const Review = require('../models/Review');
+const { normalizeQuery, searchCatalog, correctQuery, getSuggestions } = require('../utils/productSearch');
+const { resolveDisplayCurrency, localizeProduct } = require('../utils/currency');
+const { PRIVATE_REVIEW_FIELDS, submitVerifiedReview } = require('../utils/productReviews');
 const { deleteFile, getFileUrl } = require('../middleware/upload');
 const { uploadToCloudinary, deleteFromCloudinary, getOptimizedUrl } = require('../config/cloudinary');
 const path = require('path');
 const mongoose = require('mongoose');
 
-// Helper function to build query filters
-const buildQuery = (queryParams) => {
+// Resolve the ?currency= a storefront request asks for, answering 400 when it
+// isn't offered. Returns { currency } (null for PKR), or null once answered.
+const resolveRequestCurrency = async (req, res) => {
+  const result = await resolveDisplayCurrency(req.query.currency);
+  if (!result.success) {
+    res.status(400).json({
+      success: false,
+      message: result.message
+    });
+    return null;
+  }
+  return { currency: result.currency };
+};
+
+// Helper function to build query filters. Price filters are in the display
+// currency, when there is one.
+const buildQuery = (queryParams, currency = null) => {
   const query = { isActive: true };
   
   if (queryParams.category) {
@@ -15,8 +36,9 @@ const buildQuery = (queryParams) => {
   
   if (queryParams.priceMin || queryParams.priceMax) {
     query.price = {};
-    if (queryParams.priceMin) query.price.$gte = Number(queryParams.priceMin);
-    if (queryParams.priceMax) query.price.$lte = Number(queryParams.priceMax);
+    const rate = currency ? currency.rate : 1;
+    if (queryParams.priceMin) query.price.$gte = Number(queryParams.priceMin) * rate;
+    if (queryParams.priceMax) query.price.$lte = Number(queryParams.priceMax) * rate;
   }
   
   if (queryParams.inStock === 'true') {
@@ -36,6 +58,22 @@ const buildQuery = (queryParams) => {
   if (queryParams.featured === 'true') {
     query.isFeatured = true;
   }
+
+  // Variant option filters, e.g. ?options=strap:leather,size:42mm
+  // Combined with inStock=true, the matching variant itself must be in stock
+  if (queryParams.options) {
+    const variantMatch = { isActive: { $ne: false } };
+    String(queryParams.options).split(',').forEach(pair => {
+      const [name, value] = pair.split(':').map(part => part && part.trim());
+      if (name && value) {
+        variantMatch[`options.${name.toLowerCase()}`] = value;
+      }
+    });
+    if (queryParams.inStock === 'true') {
+      variantMatch.quantity = { $gt: 0 };
+    }
+    query.variants = { $elemMatch: variantMatch };
+  }
   
   return query;
 };
@@ -67,12 +105,16 @@ const buildSort = (sortBy, sortOrder = 'desc') => {
 // @access  Public
 const getAllProducts = async (req, res) => {
   try {
+    const resolved = await resolveRequestCurrency(req, res);
+    if (!resolved) return;
+    const { currency } = resolved;
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 12;
     const skip = (page - 1) * limit;
     
     // Build query
-    const query = buildQuery(req.query);
+    const query = buildQuery(req.query, currency);
     
     // Build sort
     const sort = buildSort(req.query.sortBy, req.query.sortOrder);
@@ -97,7 +139,7 @@ const getAllProducts = async (req, res) => {
         hasNext: page < Math.ceil(total / limit),
         hasPrev: page > 1
       },
-      data: products
+      data: products.map(product => localizeProduct(product, currency))
     });
     
   } catch (error) {
@@ -114,6 +156,10 @@ const getAllProducts = async (req, res) => {
 // @access  Public
 const getProductById = async (req, res) => {
   try {
+    const resolved = await resolveRequestCurrency(req, res);
+    if (!resolved) return;
+    const { currency } = resolved;
+
     // Use aggregation to handle corrupted reviews data
     const pipeline = [
       { $match: { _id: new mongoose.Types.ObjectId(req.params.id) } },
@@ -125,11 +171,11 @@ const getProductById = async (req, res) => {
               then: {
                 $cond: {
                   if: { $eq: [{ $type: "$reviews" }, "number"] },
-                  then: { count: "$reviews", data: [] },
+                  then: { count: "$reviews" },
                   else: "$reviews"
                 }
               },
-              else: { count: 0, data: [] }
+              else: { count: 0 }
             }
           }
         }
@@ -152,7 +198,7 @@ const getProductById = async (req, res) => {
     
     res.status(200).json({
       success: true,
-      data: product
+      data: localizeProduct(product, currency)
     });
     
   } catch (error) {
@@ -169,6 +215,10 @@ const getProductById = async (req, res) => {
 // @access  Public
 const getProductsByCategory = async (req, res) => {
   try {
+    const resolved = await resolveRequestCurrency(req, res);
+    if (!resolved) return;
+    const { currency } = resolved;
+
     const category = req.params.category.toLowerCase();
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 12;
@@ -195,7 +245,7 @@ const getProductsByCategory = async (req, res) => {
         hasNext: page < Math.ceil(total / limit),
         hasPrev: page > 1
       },
-      data: products
+      data: products.map(product => localizeProduct(product, currency))
     });
     
   } catch (error) {
@@ -212,6 +262,10 @@ const getProductsByCategory = async (req, res) => {
 // @access  Public
 const getFeaturedProducts = async (req, res) => {
   try {
+    const resolved = await resolveRequestCurrency(req, res);
+    if (!resolved) return;
+    const { currency } = resolved;
+
     const limit = parseInt(req.query.limit) || 8;
     
     const products = await Product.find({ isFeatured: true, isActive: true })
@@ -222,7 +276,7 @@ const getFeaturedProducts = async (req, res) => {
     res.status(200).json({
       success: true,
       count: products.length,
-      data: products
+      data: products.map(product => localizeProduct(product, currency))
     });
     
   } catch (error) {
@@ -234,14 +288,18 @@ const getFeaturedProducts = async (req, res) => {
   }
 };
 
-// @desc    Search products
+// @desc    Search products (relevance ranked, with facet counts)
 // @route   GET /api/products/search
 // @access  Public
 const searchProducts = async (req, res) => {
   try {
-    const { q, category, priceMin, priceMax } = req.query;
+    const resolved = await resolveRequestCurrency(req, res);
+    if (!resolved) return;
+    const { currency } = resolved;
+
+    const q = normalizeQuery(req.query.q);
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 12;
+    const limit = Math.min(parseInt(req.query.limit) || 12, 50);
     const skip = (page - 1) * limit;
     
     if (!q) {
@@ -251,46 +309,37 @@ const searchProducts = async (req, res) => {
       });
     }
     
-    // Build search query
-    const searchQuery = {
-      isActive: true,
-      $or: [
-        { name: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } },
-        { tags: { $in: [new RegExp(q, 'i')] } },
-        { 'specifications.movement': { $regex: q, $options: 'i' } },
-        { 'specifications.caseMaterial': { $regex: q, $options: 'i' } }
-      ]
-    };
-    
-    // Add additional filters
-    if (category) searchQuery.category = category.toLowerCase();
-    if (priceMin || priceMax) {
-      searchQuery.price = {};
-      if (priceMin) searchQuery.price.$gte = Number(priceMin);
-      if (priceMax) searchQuery.price.$lte = Number(priceMax);
+    // Price filters arrive in the display currency; the catalog is searched in PKR
+    const queryParams = { ...req.query };
+    if (currency) {
+      if (queryParams.priceMin) queryParams.priceMin = Number(queryParams.priceMin) * currency.rate;
+      if (queryParams.priceMax) queryParams.priceMax = Number(queryParams.priceMax) * currency.rate;
     }
-    
-    const products = await Product.find(searchQuery)
-      .sort({ rating: -1, salesCount: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('-__v');
-    
-    const total = await Product.countDocuments(searchQuery);
+
+    const { products, total, facets } = await searchCatalog({
+      q,
+      queryParams,
+      skip,
+      limit
+    });
+
+    // Offer a spelling correction when nothing matched
+    const didYouMean = total === 0 ? await correctQuery(q) : null;
     
     res.status(200).json({
       success: true,
       count: products.length,
       total,
       query: q,
+      didYouMean,
       pagination: {
         page,
         pages: Math.ceil(total / limit),
         hasNext: page < Math.ceil(total / limit),
         hasPrev: page > 1
       },
-      data: products
+      facets,
+      data: products.map(product => localizeProduct(product, currency))
     });
     
   } catch (error) {
@@ -302,6 +351,38 @@ const searchProducts = async (req, res) => {
   }
 };
 
+// @desc    Autocomplete suggestions for the search box
+// @route   GET /api/products/search/suggest
+// @access  Public
+const getSearchSuggestions = async (req, res) => {
+  try {
+    const q = normalizeQuery(req.query.q);
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+
+    if (q.length < 2) {
+      return res.status(200).json({
+        success: true,
+        data: { products: [], didYouMean: null }
+      });
+    }
+
+    const suggestions = await getSuggestions(q, limit);
+
+    res.status(200).json({
+      success: true,
+      query: q,
+      data: suggestions
+    });
+
+  } catch (error) {
+    console.error('Search suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting search suggestions'
+    });
+  }
+};
+
 // @desc    Get product statistics
 // @route   GET /api/products/stats
 // @access  Public
@@ -424,10 +505,10 @@ const createProduct = async (req, res) => {
       // Ensure arrays are properly handled
       features: Array.isArray(productData.features) ? productData.features : [],
       tags: Array.isArray(productData.tags) ? productData.tags : [],
-      // Handle reviews field properly
+      // A new product has no reviews yet; Review.updateProductRating keeps these
+      rating: 0,
       reviews: {
-        count: parseInt(productData.reviews?.count || productData.reviews) || 0,
-        data: []
+        count: 0
       },
       // Generate SKU if not provided
       sku: productData.sku || `PV-${Date.now()}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`,
@@ -447,6 +528,13 @@ const createProduct = async (req, res) => {
     const savedProduct = await product.save();
     
     console.log('Product created successfully:', savedProduct._id);
+
+    // Create a low stock alert straight away if the product starts low
+    try {
+      await LowStockAlert.evaluateProduct(savedProduct._id);
+    } catch (alertError) {
+      console.error('Low stock alert evaluation error:', alertError);
+    }
     
     // Log product creation activity
     if (req.admin) {
@@ -527,11 +615,11 @@ const updateProduct = async (req, res) => {
               then: {
                 $cond: {
                   if: { $eq: [{ $type: "$reviews" }, "number"] },
-                  then: { count: "$reviews", data: [] },
+                  then: { count: "$reviews" },
                   else: "$reviews"
                 }
               },
-              else: { count: 0, data: [] }
+              else: { count: 0 }
             }
           }
         }
@@ -551,19 +639,13 @@ const updateProduct = async (req, res) => {
     // Parse form data similar to createProduct
     let updateData = {};
 
-    // Handle basic fields
-    const basicFields = ['name', 'description', 'price', 'comparePrice', 'category', 'sku', 'quantity', 'rating', 'reviews', 'inStock', 'isFeatured', 'isActive'];
+    // Handle basic fields. rating and reviews.count are kept by the Review collection
+    // (Review.updateProductRating), so they aren't editable here.
+    const basicFields = ['name', 'description', 'price', 'comparePrice', 'category', 'sku', 'quantity', 'inStock', 'isFeatured', 'isActive'];
     basicFields.forEach(field => {
       if (req.body[field] !== undefined) {
-        if (field === 'price' || field === 'comparePrice' || field === 'quantity' || field === 'rating') {
+        if (field === 'price' || field === 'comparePrice' || field === 'quantity') {
           updateData[field] = Number(req.body[field]);
-        } else if (field === 'reviews') {
-          const reviewsData = req.body[field];
-          // Handle reviews field properly - update the entire object
-          updateData.reviews = {
-            count: parseInt(reviewsData?.count || reviewsData) || 0,
-            data: product.reviews?.data || []
-          };
         } else if (field === 'inStock' || field === 'isFeatured' || field === 'isActive') {
           updateData[field] = req.body[field] === 'true' || req.body[field] === true;
         } else {
@@ -572,12 +654,14 @@ const updateProduct = async (req, res) => {
       }
     });
 
-    // Handle JSON fields (specifications, seo, features, tags)
-    const jsonFields = ['specifications', 'seo', 'features', 'tags'];
+    // Handle JSON fields (specifications, seo, features, tags, stockAlerts, variants)
+    const jsonFields = ['specifications', 'seo', 'features', 'tags', 'stockAlerts', 'variantOptions', 'variants'];
     jsonFields.forEach(field => {
       if (req.body[field]) {
         try {
-          updateData[field] = JSON.parse(req.body[field]);
+          updateData[field] = typeof req.body[field] === 'string'
+            ? JSON.parse(req.body[field])
+            : req.body[field];
         } catch (parseError) {
           console.error(`Error parsing ${field}:`, parseError);
           // Skip invalid JSON fields
@@ -585,6 +669,15 @@ const updateProduct = async (req, res) => {
       }
     });
 
+    // Variants must keep their _id to stay linked to orders and stock history.
+    // Product quantity/inStock are derived from the variants, so a quantity sent
+    // for a product with variants is ignored.
+    const variants = Array.isArray(updateData.variants) ? updateData.variants : product.variants;
+    if (Array.isArray(variants) && variants.length > 0) {
+      delete updateData.quantity;
+      delete updateData.inStock;
+    }
+
     // Handle new image uploads if any
     let newImages = [];
     if (req.files && req.files.length > 0) {
@@ -712,15 +805,37 @@ const updateProduct = async (req, res) => {
 
     console.log('Final update data:', updateData);
 
-    // Update the product
-    const updatedProduct = await Product.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    // Save through the document so the variant checks in the validate hook run
+    // on edits too
+    const previousQuantity = product.quantity;
+    const previousVariants = (product.variants || []).map(variant => ({ _id: variant._id, quantity: variant.quantity || 0 }));
+    const updatedProduct = Product.hydrate(product);
+    updatedProduct.set(updateData);
+    await updatedProduct.save();
 
     console.log('Product updated successfully:', updatedProduct._id);
-    
+
+    // Quantity or thresholds may have changed - re-evaluate the low stock alert
+    try {
+      await LowStockAlert.evaluateProduct(updatedProduct._id);
+    } catch (alertError) {
+      console.error('Low stock alert evaluation error:', alertError);
+    }
+
+    try {
+      if (updatedProduct.variants.length > 0) {
+        // Variant edits restock per variant
+        for (const variant of updatedProduct.variants) {
+          const before = (previousVariants || []).find(entry => String(entry._id) === variant._id.toString());
+          await StockSubscription.handleStockChange(updatedProduct._id, before ? before.quantity : 0, variant.quantity, variant._id);
+        }
+      } else {
+        await StockSubscription.handleStockChange(updatedProduct._id, previousQuantity, updatedProduct.quantity);
+      }
+    } catch (notifyError) {
+      console.error('Back in stock notification error:', notifyError);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Product updated successfully',
@@ -966,7 +1081,7 @@ const deleteProductImage = async (req, res) => {
 // @access  Private (Admin)
 const updateInventory = async (req, res) => {
   try {
-    const { quantity, operation = 'set' } = req.body;
+    const { quantity, operation = 'set', variantId } = req.body;
     
     if (typeof quantity !== 'number' || quantity < 0) {
       return res.status(400).json({
@@ -983,17 +1098,30 @@ const updateInventory = async (req, res) => {
         message: 'Product not found'
       });
     }
+
+    // Products sold in variants are stocked per variant
+    const hasVariants = product.variants && product.variants.length > 0;
+    const variant = hasVariants ? product.variants.id(variantId) : null;
+    if (hasVariants && !variant) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product is sold in variants. Please provide a valid variantId'
+      });
+    }
+    const target = variant || product;
     
+    const previousQuantity = target.quantity;
+
     // Update quantity based on operation
     switch (operation) {
       case 'set':
-        product.quantity = quantity;
+        target.quantity = quantity;
         break;
       case 'add':
-        product.quantity += quantity;
+        target.quantity += quantity;
         break;
       case 'subtract':
-        product.quantity = Math.max(0, product.quantity - quantity);
+        target.quantity = Math.max(0, target.quantity - quantity);
         break;
       default:
         return res.status(400).json({
@@ -1002,10 +1130,22 @@ const updateInventory = async (req, res) => {
         });
     }
     
-    // Update inStock status
+    // Update inStock status (variant totals are rolled up on save)
     product.inStock = product.quantity > 0;
     
     await product.save();
+
+    try {
+      await LowStockAlert.evaluateProduct(product._id, variant?._id);
+    } catch (alertError) {
+      console.error('Low stock alert evaluation error:', alertError);
+    }
+
+    try {
+      await StockSubscription.handleStockChange(product._id, previousQuantity, target.quantity, variant?._id);
+    } catch (notifyError) {
+      console.error('Back in stock notification error:', notifyError);
+    }
     
     res.status(200).json({
       success: true,
@@ -1014,7 +1154,15 @@ const updateInventory = async (req, res) => {
         id: product._id,
         name: product.name,
         quantity: product.quantity,
-        inStock: product.inStock
+        inStock: product.inStock,
+        ...(variant && {
+          variant: {
+            id: variant._id,
+            sku: variant.sku,
+            quantity: variant.quantity,
+            inStock: variant.inStock
+          }
+        })
       }
     });
     
@@ -1032,17 +1180,20 @@ const updateInventory = async (req, res) => {
 // @access  Public
 const getProductReviews = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).select('reviews');
-    if (!product || !product.reviews) {
+    const product = await Product.findById(req.params.id).select('_id');
+    if (!product) {
       return res.status(404).json({
         success: false,
-        message: 'Product or reviews not found'
+        message: 'Product not found'
       });
     }
+    const reviews = await Review.find({ productId: product._id, isActive: true })
+      .select(PRIVATE_REVIEW_FIELDS)
+      .sort({ date: -1 });
     res.status(200).json({
       success: true,
-      count: product.reviews.data.length,
-      data: product.reviews.data
+      count: reviews.length,
+      data: reviews
     });
   } catch (error) {
     console.error('Get product reviews error:', error);
@@ -1053,41 +1204,44 @@ const getProductReviews = async (req, res) => {
   }
 };
 
-// @desc    Add a review to a product
+// @desc    Review a delivered purchase of a product (signed in, or with a review link)
 // @route   POST /api/products/:id/reviews
-// @access  Public
+// @access  Public (customer or review link)
 const addProductReview = async (req, res) => {
   try {
-    const { user, rating, comment } = req.body;
-    if (!user || !rating || !comment) {
+    const { user, rating, comment, orderItemId, reviewToken } = req.body;
+    if (!rating || !comment) {
       return res.status(400).json({
         success: false,
-        message: 'User, rating, and comment are required'
+        message: 'Rating and comment are required'
       });
     }
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      return res.status(404).json({
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) ||
+        (orderItemId && !mongoose.Types.ObjectId.isValid(orderItemId))) {
+      return res.status(400).json({
         success: false,
-        message: 'Product not found'
+        message: 'Invalid product or order item ID'
+      });
+    }
+    const result = await submitVerifiedReview({
+      productId: req.params.id,
+      orderItemId,
+      reviewToken,
+      name: user,
+      rating,
+      text: comment,
+      user: req.user
+    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
       });
     }
-    const review = {
-      user,
-      rating: Number(rating),
-      comment,
-      date: new Date()
-    };
-    product.reviews.data.push(review);
-    product.reviews.count = product.reviews.data.length;
-    // Optionally update average rating
-    const totalRating = product.reviews.data.reduce((sum, r) => sum + r.rating, 0);
-    product.rating = totalRating / product.reviews.data.length;
-    await product.save();
     res.status(201).json({
       success: true,
       message: 'Review added successfully',
-      data: review
+      data: result.review
     });
   } catch (error) {
     console.error('Add product review error:', error);
@@ -1098,6 +1252,85 @@ const addProductReview = async (req, res) => {
   }
 };
 
+// @desc    Subscribe to a back in stock email for a sold-out product
+// @route   POST /api/products/:id/notify-me
+// @access  Public
+const subscribeBackInStock = async (req, res) => {
+  try {
+    const { email, variantId } = req.body;
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) ||
+        (variantId !== undefined && variantId !== null && !mongoose.Types.ObjectId.isValid(variantId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product or variant ID'
+      });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, isActive: true })
+      .select('name quantity variants variantOptions');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // A sold-out size or colour can be watched while other variants are in stock
+    const variant = variantId ? product.variants.id(variantId) : null;
+    if (variantId && (!variant || variant.isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Variant not found for this product'
+      });
+    }
+
+    const variantLabel = variant ? product.getVariantLabel(variant) : undefined;
+    const displayName = variantLabel ? `${product.name} (${variantLabel})` : product.name;
+    if (((variant || product).quantity || 0) > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${displayName} is currently in stock`
+      });
+    }
+
+    await StockSubscription.subscribe({
+      productId: product._id,
+      variantId: variant ? variant._id : null,
+      variantLabel,
+      email: email.trim(),
+      userId: req.user?._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `We'll email you when ${displayName} is back in stock`
+    });
+  } catch (error) {
+    console.error('Back in stock subscription error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating notification subscription'
+    });
+  }
+};
+
 // @desc    Get all products for Admin with filtering, sorting, and pagination
 // @route   GET /api/admin/products
 // @access  Private/Admin
@@ -1134,11 +1367,11 @@ const getAllProductsForAdmin = async (req, res) => {
               then: {
                 $cond: {
                   if: { $eq: [{ $type: "$reviews" }, "number"] },
-                  then: { count: "$reviews", data: [] },
+                  then: { count: "$reviews" },
                   else: "$reviews"
                 }
               },
-              else: { count: 0, data: [] }
+              else: { count: 0 }
             }
           }
         }
@@ -1187,11 +1420,11 @@ const getProductByIdForAdmin = async (req, res) => {
               then: {
                 $cond: {
                   if: { $eq: [{ $type: "$reviews" }, "number"] },
-                  then: { count: "$reviews", data: [] },
+                  then: { count: "$reviews" },
                   else: "$reviews"
                 }
               },
-              else: { count: 0, data: [] }
+              else: { count: 0 }
             }
           }
         }
@@ -1229,6 +1462,7 @@ module.exports = {
   getProductsByCategory,
   getFeaturedProducts,
   searchProducts,
+  getSearchSuggestions,
   getProductStats,
   createProduct,
   updateProduct,
@@ -1238,6 +1472,7 @@ module.exports = {
   updateInventory,
   getProductReviews,
   addProductReview,
+  subscribeBackInStock,
   getAllProductsForAdmin,
   getProductByIdForAdmin,
 }; 
\ No newline at end of file
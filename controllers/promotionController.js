@@ -0,0 +1,339 @@
+const Promotion = require('../models/Promotion');
+const AdminActionLog = require('../models/AdminActionLog');
+
+// Fields admins may set on a promotion
+const EDITABLE_FIELDS = [
+  'code',
+  'name',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'scope',
+  'minSubtotal',
+  'usageLimit',
+  'perCustomerLimit',
+  'startsAt',
+  'endsAt',
+  'isActive'
+];
+
+const pickEditableFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+// Log promotion activity without breaking the request on failure
+const logPromotionAction = async (req, action, promotion, description, changes) => {
+  try {
+    await AdminActionLog.logAction({
+      adminId: req.admin._id,
+      adminName: req.admin.name,
+      adminEmail: req.admin.email,
+      action,
+      targetType: 'promotion',
+      targetId: promotion._id.toString(),
+      targetName: `Promotion ${promotion.code}`,
+      description,
+      changes,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      },
+      severity: 'medium',
+      status: 'success'
+    });
+  } catch (logError) {
+    console.error('Failed to log promotion activity:', logError);
+  }
+};
+
+// @desc    Get all promotions
+// @route   GET /api/admin/promotions
+// @access  Private (Admin)
+const getAllPromotions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, search } = req.query;
+
+    const filter = {};
+    const now = new Date();
+    if (status === 'active') {
+      filter.isActive = true;
+      filter.startsAt = { $lte: now };
+      filter.$or = [{ endsAt: null }, { endsAt: { $gte: now } }];
+    } else if (status === 'expired') {
+      filter.endsAt = { $lt: now };
+    } else if (status === 'inactive') {
+      filter.isActive = false;
+    }
+    if (search) {
+      filter.code = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const promotions = await Promotion.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await Promotion.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: promotions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get promotion redemption analytics (discount cost per code)
+// @route   GET /api/admin/promotions/analytics
+// @access  Private (Admin)
+const getPromotionAnalytics = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const byPromotion = await Promotion.getRedemptionStats({ startDate, endDate });
+
+    const totals = byPromotion.reduce((acc, entry) => {
+      acc.redemptions += entry.redemptions;
+      acc.totalDiscount += entry.totalDiscount;
+      acc.netRevenue += entry.netRevenue;
+      return acc;
+    }, { redemptions: 0, totalDiscount: 0, netRevenue: 0 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totals,
+        byPromotion
+      }
+    });
+
+  } catch (error) {
+    console.error('Get promotion analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get single promotion with redemption stats
+// @route   GET /api/admin/promotions/:id
+// @access  Private (Admin)
+const getPromotionById = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const [stats] = await Promotion.getRedemptionStats({ promotionId: promotion._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promotion,
+        redemptions: stats || {
+          redemptions: 0,
+          totalDiscount: 0,
+          grossRevenue: 0,
+          netRevenue: 0,
+          uniqueCustomers: 0
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Create promotion
+// @route   POST /api/admin/promotions
+// @access  Private (Admin)
+const createPromotion = async (req, res) => {
+  try {
+    const promotion = new Promotion({
+      ...pickEditableFields(req.body),
+      createdBy: {
+        adminId: req.admin._id,
+        adminName: req.admin.name
+      }
+    });
+
+    await promotion.save();
+
+    await logPromotionAction(req, 'promotion_created', promotion,
+      `Created ${promotion.type} promotion ${promotion.code}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+
+  } catch (error) {
+    console.error('Create promotion error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promotion with this code already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating promotion'
+    });
+  }
+};
+
+// @desc    Update promotion
+// @route   PUT /api/admin/promotions/:id
+// @access  Private (Admin)
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const updates = pickEditableFields(req.body);
+    const before = {};
+    Object.keys(updates).forEach(field => {
+      before[field] = promotion[field];
+    });
+
+    promotion.set(updates);
+    await promotion.save();
+
+    await logPromotionAction(req, 'promotion_updated', promotion,
+      `Updated promotion ${promotion.code}`, { before, after: updates });
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion
+    });
+
+  } catch (error) {
+    console.error('Update promotion error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promotion with this code already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating promotion'
+    });
+  }
+};
+
+// @desc    Delete promotion (deactivates it once it has been redeemed)
+// @route   DELETE /api/admin/promotions/:id
+// @access  Private (Admin)
+const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    // Keep redeemed promotions so order history and analytics stay intact
+    if (promotion.usageCount > 0) {
+      promotion.isActive = false;
+      await promotion.save();
+
+      await logPromotionAction(req, 'promotion_updated', promotion,
+        `Deactivated promotion ${promotion.code} (has ${promotion.usageCount} redemptions)`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Promotion has redemptions and was deactivated instead of deleted',
+        data: promotion
+      });
+    }
+
+    await Promotion.findByIdAndDelete(promotion._id);
+
+    await logPromotionAction(req, 'promotion_deleted', promotion,
+      `Deleted promotion ${promotion.code}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting promotion'
+    });
+  }
+};
+
+module.exports = {
+  getAllPromotions,
+  getPromotionAnalytics,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+};
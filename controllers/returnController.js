@@ -0,0 +1,564 @@
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const AdminActionLog = require('../models/AdminActionLog');
+const emailService = require('../utils/emailService');
+const { restoreOrderStock } = require('../utils/orderCancellation');
+const { transitionOrder } = require('../utils/orderStateMachine');
+const { refundOrderPayment } = require('../utils/paymentOperations');
+const { recordPaymentTransaction, getOrderPaymentLedger } = require('../utils/paymentLedger');
+
+const REFUND_METHODS = ['original_payment', 'bank_transfer', 'wallet', 'cash', 'store_credit'];
+
+const logReturnAction = async (req, action, returnRequest, description, changes, severity = 'medium') => {
+  try {
+    await AdminActionLog.logAction({
+      adminId: req.admin._id,
+      adminName: req.admin.name,
+      adminEmail: req.admin.email,
+      action,
+      targetType: 'return',
+      targetId: returnRequest._id.toString(),
+      targetName: `Return ${returnRequest.rmaNumber} (Order ${returnRequest.orderNumber})`,
+      description,
+      changes,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      },
+      severity,
+      status: 'success'
+    });
+  } catch (logError) {
+    console.error('Failed to log return activity:', logError);
+  }
+};
+
+// Move a return to its next status with a conditional update, before any stock or
+// refund work. Of two requests acting on the same return only one finds it still in
+// the old status. Returns true when this request made the move.
+const claimReturnStatus = async (returnRequest, from, to) => {
+  const claimed = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: from },
+    { $set: { status: to } }
+  );
+  return Boolean(claimed);
+};
+
+// Undo a claim when the work after it failed, so the step can be tried again
+const releaseReturnStatus = (returnRequest, from, to) => ReturnRequest.updateOne(
+  { _id: returnRequest._id, status: to },
+  { $set: { status: from } }
+);
+
+// Add received units to the order lines' returnedQuantity in one conditional
+// update. Returns the updated order, or null when a line would go over its
+// ordered quantity (another return for the same order got there first).
+const addReturnedQuantities = async (order, items) => {
+  const guards = [];
+  const increments = {};
+  const arrayFilters = [];
+
+  items.forEach((item, index) => {
+    const line = order.items.id(item.orderItemId);
+    if (!line || !item.receivedQuantity) return;
+
+    guards.push({
+      items: {
+        $elemMatch: {
+          _id: line._id,
+          $or: [
+            { returnedQuantity: { $exists: false } },
+            { returnedQuantity: { $lte: line.quantity - item.receivedQuantity } }
+          ]
+        }
+      }
+    });
+    increments[`items.$[line${index}].returnedQuantity`] = item.receivedQuantity;
+    arrayFilters.push({ [`line${index}._id`]: line._id });
+  });
+
+  if (guards.length === 0) return order;
+
+  return Order.findOneAndUpdate(
+    { _id: order._id, $and: guards },
+    { $inc: increments },
+    { new: true, arrayFilters }
+  );
+};
+
+const notifyCustomer = async (returnRequest) => {
+  try {
+    await emailService.sendReturnStatusUpdate(returnRequest);
+  } catch (emailError) {
+    console.error('Failed to send return status email:', emailError);
+  }
+};
+
+// @desc    Get all return requests
+// @route   GET /api/admin/returns
+// @access  Private (Admin)
+const getAllReturns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, reason, search } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (reason) filter.reason = reason;
+    if (search) {
+      const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      filter.$or = [
+        { rmaNumber: pattern },
+        { orderNumber: pattern },
+        { 'customer.email': pattern },
+        { 'customer.name': pattern }
+      ];
+    }
+
+    const returns = await ReturnRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+
+    const total = await ReturnRequest.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: returns,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a return request with its order
+// @route   GET /api/admin/returns/:id
+// @access  Private (Admin)
+const getReturnById = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('orderId', 'orderNumber status summary payment refunds customer.phone');
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Approve a return request (customer can send the items back)
+// @route   PUT /api/admin/returns/:id/approve
+// @access  Private (Admin)
+const approveReturn = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    if (returnRequest.status !== 'requested') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot approve a return that is ${returnRequest.status}`
+      });
+    }
+
+    returnRequest.setStatus('approved', note || 'Return approved', req.admin.name);
+    if (note) returnRequest.adminNote = note;
+    await returnRequest.save();
+
+    await logReturnAction(req, 'return_approved', returnRequest, `Approved return ${returnRequest.rmaNumber}`, {
+      before: { status: 'requested' },
+      after: { status: 'approved', note }
+    });
+    await notifyCustomer(returnRequest);
+
+    res.status(200).json({
+      success: true,
+      message: 'Return request approved',
+      data: returnRequest
+    });
+
+  } catch (error) {
+    console.error('Approve return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Reject a return request
+// @route   PUT /api/admin/returns/:id/reject
+// @access  Private (Admin)
+const rejectReturn = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining the rejection is required'
+      });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    if (!['requested', 'approved'].includes(returnRequest.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reject a return that is ${returnRequest.status}`
+      });
+    }
+
+    const previousStatus = returnRequest.status;
+    returnRequest.setStatus('rejected', note, req.admin.name);
+    returnRequest.adminNote = note;
+    await returnRequest.save();
+
+    await logReturnAction(req, 'return_rejected', returnRequest, `Rejected return ${returnRequest.rmaNumber}`, {
+      before: { status: previousStatus },
+      after: { status: 'rejected', note }
+    });
+    await notifyCustomer(returnRequest);
+
+    res.status(200).json({
+      success: true,
+      message: 'Return request rejected',
+      data: returnRequest
+    });
+
+  } catch (error) {
+    console.error('Reject return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Mark returned items as received and restock the resellable ones
+// @route   PUT /api/admin/returns/:id/receive
+// @access  Private (Admin)
+//
+// Body items (optional, defaults to everything received in resellable condition):
+//   [{ itemId, receivedQuantity, condition: 'resellable' | 'damaged' | 'missing' }]
+const receiveReturn = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    if (returnRequest.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved returns can be received'
+      });
+    }
+
+    let order = await Order.findById(returnRequest.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const inspected = Array.isArray(req.body.items) ? req.body.items : [];
+    for (const item of returnRequest.items) {
+      const report = inspected.find(entry => String(entry.itemId) === item._id.toString());
+      const received = report?.receivedQuantity !== undefined ? Number(report.receivedQuantity) : item.quantity;
+      const condition = report?.condition || (received > 0 ? 'resellable' : 'missing');
+
+      if (!Number.isInteger(received) || received < 0 || received > item.quantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Received quantity for ${item.name} must be between 0 and ${item.quantity}`
+        });
+      }
+      if (!['resellable', 'damaged', 'missing'].includes(condition)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Condition must be resellable, damaged or missing'
+        });
+      }
+
+      item.receivedQuantity = received;
+      item.condition = condition;
+      item.restockedQuantity = condition === 'resellable' ? received : 0;
+    }
+
+    if (!await claimReturnStatus(returnRequest, 'approved', 'received')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This return has already been received'
+      });
+    }
+
+    // Track returned units on the order lines. Returns for the same order can be
+    // received at once, so the lines are counted with $inc in one update that only
+    // matches while every line still has room for the units.
+    const receivedOrder = await addReturnedQuantities(order, returnRequest.items);
+    if (!receivedOrder) {
+      await releaseReturnStatus(returnRequest, 'approved', 'received');
+      return res.status(409).json({
+        success: false,
+        message: 'More units would be returned than were ordered. Check the other returns for this order.'
+      });
+    }
+    order = receivedOrder;
+
+    const stockMovements = await restoreOrderStock(order, {
+      items: returnRequest.items.map(item => ({
+        productId: item.productId,
+        variantId: item.variantId,
+        quantity: item.restockedQuantity
+      })),
+      movementType: 'return',
+      reason: `Return ${returnRequest.rmaNumber} received - stock restored`,
+      notes: note,
+      admin: req.admin
+    });
+
+    const receivedUnits = returnRequest.items.reduce((sum, item) => sum + item.receivedQuantity, 0);
+    const fullyReturned = order.items.every(line => (line.returnedQuantity || 0) >= line.quantity);
+    const timelineNote = `Return ${returnRequest.rmaNumber} received (${receivedUnits} items)`;
+    // The return email below covers the customer, so the state machine doesn't send one
+    const statusResult = fullyReturned
+      ? await transitionOrder(order, 'returned', {
+        note: timelineNote,
+        admin: req.admin,
+        source: 'return',
+        returnRequestId: returnRequest._id,
+        notify: false
+      })
+      : null;
+    if (!statusResult?.success) {
+      await order.addTimelineEntry(order.status, timelineNote, req.admin.name);
+    }
+
+    returnRequest.setStatus('received', note || timelineNote, req.admin.name);
+    await returnRequest.save();
+
+    await logReturnAction(req, 'return_received', returnRequest, `Received return ${returnRequest.rmaNumber}`, {
+      before: { status: 'approved' },
+      after: {
+        status: 'received',
+        items: returnRequest.items.map(item => ({
+          name: item.name,
+          receivedQuantity: item.receivedQuantity,
+          restockedQuantity: item.restockedQuantity,
+          condition: item.condition
+        }))
+      }
+    });
+    await notifyCustomer(returnRequest);
+
+    res.status(200).json({
+      success: true,
+      message: 'Return received and stock updated',
+      data: {
+        returnRequest,
+        suggestedRefund: returnRequest.receivedValue,
+        stockMovements
+      }
+    });
+
+  } catch (error) {
+    console.error('Receive return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Refund a received return (full or partial amount) and record it on the order
+// @route   POST /api/admin/returns/:id/refund
+// @access  Private (Admin)
+const refundReturn = async (req, res) => {
+  try {
+    const { method = 'original_payment', reference, note } = req.body;
+
+    if (!REFUND_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid refund method. Valid methods: ' + REFUND_METHODS.join(', ')
+      });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    if (returnRequest.status !== 'received') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only received returns can be refunded'
+      });
+    }
+
+    const order = await Order.findById(returnRequest.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const previousPaymentStatus = order.payment.status;
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : returnRequest.receivedValue;
+
+    // Only money the ledger shows as received and not yet refunded can go back
+    const { summary: ledger } = await getOrderPaymentLedger(order);
+    const refundable = Math.round((ledger.captured - ledger.refunded) * 100) / 100;
+    if (amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: refundable > 0
+          ? `Refund amount cannot exceed the PKR ${refundable} received and not yet refunded`
+          : 'No payment has been received for this order that can be refunded'
+      });
+    }
+
+    const refund = order.recordRefund({
+      amount,
+      reason: note || `Return ${returnRequest.rmaNumber}`,
+      method,
+      reference,
+      returnRequestId: returnRequest._id,
+      refundedBy: req.admin.name
+    });
+
+    if (!refund) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be more than 0 and at most PKR ${Math.round((order.summary.total - (order.payment.refundedTotal || 0)) * 100) / 100}`
+      });
+    }
+
+    if (!await claimReturnStatus(returnRequest, 'received', 'refunded')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This return has already been refunded'
+      });
+    }
+
+    // Online payments go back through their gateway; nothing is saved if it refuses
+    if (method === 'original_payment' && order.payment.gateway && order.payment.transactionId) {
+      try {
+        const gatewayRefund = await refundOrderPayment(order, amount, { reason: `Return ${returnRequest.rmaNumber}` });
+        refund.reference = gatewayRefund.reference;
+      } catch (gatewayError) {
+        console.error('Gateway refund error:', gatewayError);
+        await releaseReturnStatus(returnRequest, 'received', 'refunded');
+        return res.status(502).json({
+          success: false,
+          message: `Refund through ${order.payment.gateway} failed: ${gatewayError.message}`
+        });
+      }
+    }
+
+    // Refunds made outside the gateway go in the ledger under their method (cash, bank_transfer, ...)
+    const refundedVia = method === 'original_payment' ? (order.payment.gateway || order.payment.method) : method;
+    await recordPaymentTransaction(order, {
+      type: 'refund',
+      gateway: refundedVia,
+      amount,
+      transactionId: order.payment.transactionId,
+      reference: refund.reference,
+      idempotencyKey: refund.reference && order.payment.gateway === refundedVia ? `${refundedVia}:refund:${refund.reference}` : undefined,
+      source: 'return',
+      reason: refund.reason,
+      createdBy: req.admin.name
+    });
+
+    await order.addTimelineEntry(order.status, `Refunded PKR ${amount} for return ${returnRequest.rmaNumber}`, req.admin.name);
+
+    returnRequest.refund = {
+      amount,
+      method,
+      reference: refund.reference,
+      refundedAt: refund.refundedAt,
+      refundedBy: req.admin.name
+    };
+    returnRequest.setStatus('refunded', note || `Refunded PKR ${amount}`, req.admin.name);
+    await returnRequest.save();
+
+    await logReturnAction(req, 'refund_issued', returnRequest, `Refunded PKR ${amount} for return ${returnRequest.rmaNumber}`, {
+      before: { paymentStatus: previousPaymentStatus },
+      after: { paymentStatus: order.payment.status, amount, method, reference: refund.reference, refundedTotal: order.payment.refundedTotal }
+    }, 'high');
+    await notifyCustomer(returnRequest);
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund recorded',
+      data: {
+        returnRequest,
+        refund,
+        payment: order.payment
+      }
+    });
+
+  } catch (error) {
+    console.error('Refund return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAllReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn
+};
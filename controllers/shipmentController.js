@@ -0,0 +1,282 @@
+const Order = require('../models/Order');
+const AdminActionLog = require('../models/AdminActionLog');
+const { applyShipmentChange } = require('../utils/orderFulfillment');
+
+const SHIPMENT_STATUSES = ['preparing', 'shipped', 'in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'returned', 'cancelled'];
+
+// Statuses a parcel can't leave
+const FINAL_SHIPMENT_STATUSES = ['delivered', 'returned', 'cancelled'];
+
+const logShipmentAction = async (req, action, order, description, changes) => {
+  try {
+    await AdminActionLog.logAction({
+      adminId: req.admin._id,
+      adminName: req.admin.name,
+      adminEmail: req.admin.email,
+      action,
+      targetType: 'order',
+      targetId: order._id.toString(),
+      targetName: `Order ${order.orderNumber}`,
+      description,
+      changes,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      },
+      severity: 'medium',
+      status: 'success'
+    });
+  } catch (logError) {
+    console.error('Failed to log shipment activity:', logError);
+  }
+};
+
+// @desc    Get the shipments (parcels) of an order
+// @route   GET /api/admin/orders/:id/shipments
+// @access  Private (Admin)
+const getOrderShipments = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('orderNumber status fulfillmentStatus items shipments');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const unallocated = order.getUnallocatedQuantities();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        fulfillmentStatus: order.fulfillmentStatus,
+        shipments: order.shipments,
+        unallocatedItems: order.items
+          .filter(item => unallocated[item._id.toString()] > 0)
+          .map(item => ({
+            orderItemId: item._id,
+            name: item.name,
+            variantLabel: item.variantLabel,
+            quantity: unallocated[item._id.toString()]
+          }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get shipments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Create a parcel for some or all of the items not yet shipped
+// @route   POST /api/admin/orders/:id/shipments
+// @access  Private (Admin)
+//
+// Body: { items: [{ orderItemId, quantity }] (defaults to everything unallocated),
+//         courier, trackingNumber, status: 'preparing' | 'shipped', note }
+const createShipment = async (req, res) => {
+  try {
+    const { courier, trackingNumber, status = 'preparing', note } = req.body;
+
+    if (!['preparing', 'shipped'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A new parcel starts as preparing or shipped'
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!['confirmed', 'processing', 'shipped'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot ship an order that is ${order.status}. Confirm it first.`
+      });
+    }
+
+    const unallocated = order.getUnallocatedQuantities();
+    const requested = Array.isArray(req.body.items) && req.body.items.length > 0
+      ? req.body.items
+      : Object.keys(unallocated)
+        .filter(orderItemId => unallocated[orderItemId] > 0)
+        .map(orderItemId => ({ orderItemId, quantity: unallocated[orderItemId] }));
+
+    if (requested.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every item of this order is already in a parcel'
+      });
+    }
+
+    // Merge repeated lines and check each against what is left to ship
+    const quantities = {};
+    for (const entry of requested) {
+      const key = String(entry.orderItemId);
+      const quantity = Number(entry.quantity);
+      if (unallocated[key] === undefined || !Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each parcel item needs a valid orderItemId and a quantity of at least 1'
+        });
+      }
+      quantities[key] = (quantities[key] || 0) + quantity;
+      if (quantities[key] > unallocated[key]) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${unallocated[key]} of ${order.items.id(key).name} are left to ship`
+        });
+      }
+    }
+
+    if (status === 'shipped' && !trackingNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tracking number is required to ship a parcel'
+      });
+    }
+
+    const shipment = order.addShipment({
+      items: Object.keys(quantities).map(orderItemId => ({ orderItemId, quantity: quantities[orderItemId] })),
+      courier,
+      trackingNumber,
+      status,
+      note,
+      updatedBy: req.admin.name
+    });
+
+    await applyShipmentChange(order, {
+      note: `Parcel ${shipment.shipmentNumber} ${status}`,
+      updatedBy: req.admin.name,
+      dispatchedShipment: status === 'shipped' ? shipment : null
+    });
+
+    await logShipmentAction(req, 'shipment_created', order, `Created parcel ${shipment.shipmentNumber}`, {
+      after: {
+        shipmentNumber: shipment.shipmentNumber,
+        status,
+        courier,
+        trackingNumber,
+        items: shipment.items.map(item => ({ name: item.name, quantity: item.quantity }))
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipment created',
+      data: {
+        shipment,
+        orderStatus: order.status,
+        fulfillmentStatus: order.fulfillmentStatus
+      }
+    });
+
+  } catch (error) {
+    console.error('Create shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update a parcel's status, courier or tracking number
+// @route   PUT /api/admin/orders/:id/shipments/:shipmentId
+// @access  Private (Admin)
+const updateShipment = async (req, res) => {
+  try {
+    const { status, courier, trackingNumber, note } = req.body;
+
+    if (status && !SHIPMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid shipment status. Valid statuses: ' + SHIPMENT_STATUSES.join(', ')
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const shipment = order.shipments.id(req.params.shipmentId);
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const previousStatus = shipment.status;
+    if (status && status !== previousStatus && FINAL_SHIPMENT_STATUSES.includes(previousStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Parcel ${shipment.shipmentNumber} is already ${previousStatus}`
+      });
+    }
+
+    if (courier !== undefined) shipment.courier = courier;
+    if (trackingNumber !== undefined) shipment.trackingNumber = trackingNumber;
+
+    const dispatching = status === 'shipped' && previousStatus === 'preparing';
+    if (dispatching && !shipment.trackingNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tracking number is required to ship a parcel'
+      });
+    }
+
+    if (status && status !== previousStatus) {
+      order.updateShipmentStatus(shipment._id, status, note, req.admin.name);
+    }
+
+    await applyShipmentChange(order, {
+      note: `Parcel ${shipment.shipmentNumber} ${shipment.status.replace(/_/g, ' ')}`,
+      updatedBy: req.admin.name,
+      dispatchedShipment: dispatching ? shipment : null
+    });
+
+    await logShipmentAction(req, 'shipment_updated', order, `Updated parcel ${shipment.shipmentNumber}`, {
+      before: { status: previousStatus },
+      after: { status: shipment.status, courier: shipment.courier, trackingNumber: shipment.trackingNumber, note }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipment updated',
+      data: {
+        shipment,
+        orderStatus: order.status,
+        fulfillmentStatus: order.fulfillmentStatus
+      }
+    });
+
+  } catch (error) {
+    console.error('Update shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getOrderShipments,
+  createShipment,
+  updateShipment
+};
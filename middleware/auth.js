@@ -82,6 +82,15 @@ const authenticateAdmin = async (req, res, next) => {
   }
 };
 
+// EventSource can't send an Authorization header, so the admin event stream
+// accepts the access token as ?token= and hands it to authenticateAdmin
+const acceptQueryToken = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
 // Middleware to check specific permissions
 const requirePermission = (resource, action) => {
   return (req, res, next) => {
@@ -324,6 +333,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateAdmin,
+  acceptQueryToken,
   requirePermission,
   requireSuperAdmin,
   generateToken,
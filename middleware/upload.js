@@ -31,6 +31,25 @@ const uploadSingle = upload.single('image');
 // Middleware for multiple file upload
 const uploadMultiple = upload.array('images', 10);
 
+// Spreadsheet uploads (courier settlement files) - one CSV in the 'file' field
+const csvUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    // Browsers send CSV files under several types, so the extension decides
+    if (/\.csv$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV files are allowed.'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 1
+  }
+});
+
+const uploadCsv = csvUpload.single('file');
+
 // Error handling middleware for multer
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -114,6 +133,7 @@ const validateUploadedImages = async (req, res, next) => {
 module.exports = {
   uploadSingle,
   uploadMultiple,
+  uploadCsv,
   handleUploadError,
   validateUploadedImages
 }; 
\ No newline at end of file
@@ -24,6 +24,12 @@ const adminActionLogSchema = new mongoose.Schema({
       'order_deleted',
       'order_modified',
       'tracking_added',
+      'order_call_logged',
+      'shipment_created',
+      'shipment_updated',
+      'shipment_booked',
+      'courier_remittance_synced',
+      'courier_remittance_imported',
       
       // Product Actions
       'product_created',
@@ -38,6 +44,17 @@ const adminActionLogSchema = new mongoose.Schema({
       'stock_removed',
       'bulk_inventory_update',
       
+      // Promotion Actions
+      'promotion_created',
+      'promotion_updated',
+      'promotion_deleted',
+      
+      // Return Actions
+      'return_approved',
+      'return_rejected',
+      'return_received',
+      'refund_issued',
+      
       // Admin Actions
       'admin_login',
       'admin_logout',
@@ -53,7 +70,7 @@ const adminActionLogSchema = new mongoose.Schema({
   targetType: {
     type: String,
     required: true,
-    enum: ['order', 'product', 'user', 'admin', 'system', 'inventory']
+    enum: ['order', 'product', 'user', 'admin', 'system', 'inventory', 'promotion', 'return']
   },
   targetId: {
     type: String, // Can be ObjectId or other identifier
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Events are replayed to reconnecting dashboards for this long
+const EVENT_RETENTION_DAYS = 7;
+
+// Persisted log behind the admin real-time stream (GET /api/admin/events).
+// The document _id doubles as the SSE event id, so ids sort in publish order.
+const adminEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'order.created',
+      'order.status_changed',
+      'stock_alert.created',
+      'review.created',
+      'return.requested'
+    ]
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Old events expire automatically
+adminEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to fetch events published after the given event id (oldest first)
+adminEventSchema.statics.findSince = function(lastEventId, limit = 500) {
+  if (!lastEventId || !mongoose.Types.ObjectId.isValid(lastEventId)) {
+    return Promise.resolve([]);
+  }
+  return this.find({ _id: { $gt: lastEventId } })
+    .sort({ _id: 1 })
+    .limit(limit)
+    .lean();
+};
+
+module.exports = mongoose.model('AdminEvent', adminEventSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { BULK_ACTIONS, BULK_JOB_RETENTION_DAYS } = require('../config/bulkOrders');
+
+// One bulk order operation from the admin panel (POST /api/admin/orders/bulk).
+// Small selections run inside the request; large ones are processed in the
+// background and polled through this document.
+const bulkOrderJobSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: BULK_ACTIONS,
+    required: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  orderIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  results: [{
+    _id: false,
+    orderId: mongoose.Schema.Types.ObjectId,
+    orderNumber: String,
+    success: Boolean,
+    message: String
+  }],
+  // Generated file for printing and export actions
+  output: {
+    filename: String,
+    contentType: String,
+    size: Number,
+    data: { type: Buffer, select: false }
+  },
+  error: String,
+  createdBy: {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    adminName: String
+  },
+  startedAt: Date,
+  completedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Finished jobs (and their files) expire automatically
+bulkOrderJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: BULK_JOB_RETENTION_DAYS * 24 * 60 * 60 });
+bulkOrderJobSchema.index({ 'createdBy.adminId': 1, createdAt: -1 });
+
+// Method to record one order's outcome. Does not save.
+bulkOrderJobSchema.methods.recordResult = function(order, success, message) {
+  this.results.push({
+    orderId: order?._id,
+    orderNumber: order?.orderNumber,
+    success,
+    message
+  });
+  this.progress.processed += 1;
+  if (success) this.progress.succeeded += 1;
+  else this.progress.failed += 1;
+};
+
+// Static method to fail jobs a server restart left running
+bulkOrderJobSchema.statics.failInterrupted = function() {
+  return this.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'failed', error: 'Interrupted by a server restart', completedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('BulkOrderJob', bulkOrderJobSchema);
@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const cartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Opaque token identifying a guest cart (sent back in the X-Cart-Token header)
+  cartToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  items: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variantId: mongoose.Schema.Types.ObjectId,
+    variantLabel: String,
+    name: { type: String, required: true },
+    price: { type: Number, required: true, min: 0 },
+    quantity: { type: Number, required: true, min: 1 },
+    image: String,
+    sku: String,
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Contact details captured at checkout, used for abandoned cart reminders
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  customerName: String,
+  marketingConsent: {
+    type: Boolean,
+    default: false
+  },
+  // checking_out while an order is being placed from the cart (POST /api/cart/checkout)
+  status: {
+    type: String,
+    enum: ['active', 'checking_out', 'converted', 'merged'],
+    default: 'active'
+  },
+  convertedOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  convertedAt: Date,
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// A user has at most one active cart
+cartSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', userId: { $exists: true } } }
+);
+cartSchema.index({ status: 1, lastActivityAt: -1 });
+
+// Virtual for total item count
+cartSchema.virtual('itemCount').get(function() {
+  return this.items.reduce((sum, item) => sum + item.quantity, 0);
+});
+
+// Find a line by product (and variant)
+cartSchema.methods.findItem = function(productId, variantId = null) {
+  return this.items.find(item =>
+    item.productId.toString() === productId.toString() &&
+    String(item.variantId || '') === String(variantId || '')
+  );
+};
+
+// Add a product or increase its quantity, snapshotting the live catalog data
+cartSchema.methods.addItem = function(product, quantity, variant = null) {
+  const price = variant?.price ?? product.price;
+  const existing = this.findItem(product._id, variant?._id);
+  if (existing) {
+    existing.quantity += quantity;
+    existing.price = price;
+  } else {
+    const variantImage = variant?.images?.find(img => img.isMain) || variant?.images?.[0];
+    this.items.push({
+      productId: product._id,
+      variantId: variant?._id,
+      variantLabel: variant ? product.getVariantLabel(variant) : undefined,
+      name: product.name,
+      price,
+      quantity,
+      image: variantImage?.url || product.mainImage,
+      sku: variant?.sku || product.sku
+    });
+  }
+  this.lastActivityAt = new Date();
+  return this;
+};
+
+// Set a line's quantity (removes the line when quantity is 0)
+cartSchema.methods.setItemQuantity = function(productId, quantity, variantId = null) {
+  const existing = this.findItem(productId, variantId);
+  if (!existing) {
+    return null;
+  }
+
+  if (quantity === 0) {
+    this.items.pull(existing._id);
+  } else {
+    existing.quantity = quantity;
+  }
+  this.lastActivityAt = new Date();
+  return this;
+};
+
+// Re-sync every line against the catalog. Removes products that are no longer
+// sold and returns the problems the shopper should be told about.
+cartSchema.methods.refreshFromCatalog = async function() {
+  const Product = mongoose.model('Product');
+
+  const products = await Product.find({
+    _id: { $in: this.items.map(item => item.productId) }
+  });
+
+  const issues = [];
+  for (const item of [...this.items]) {
+    const product = products.find(p => p._id.toString() === item.productId.toString());
+
+    const hasVariants = product && product.variants && product.variants.length > 0;
+    const variant = hasVariants ? product.findVariant(item.variantId) : null;
+
+    if (!product || !product.isActive || (hasVariants && !variant)) {
+      issues.push({ productId: item.productId, variantId: item.variantId, name: item.name, issue: 'unavailable' });
+      this.items.pull(item._id);
+      continue;
+    }
+
+    const price = variant?.price ?? product.price;
+    if (item.price !== price) {
+      issues.push({
+        productId: item.productId,
+        variantId: item.variantId,
+        name: product.name,
+        issue: 'price_changed',
+        previousPrice: item.price,
+        price
+      });
+      item.price = price;
+    }
+
+    const available = Math.max(0, (variant ? variant.quantity : product.quantity) || 0);
+    if (available < item.quantity) {
+      issues.push({ productId: item.productId, variantId: item.variantId, name: product.name, issue: 'insufficient_stock', available });
+    }
+
+    item.name = product.name;
+    if (variant) {
+      const variantImage = variant.images?.find(img => img.isMain) || variant.images?.[0];
+      item.image = variantImage?.url || product.mainImage;
+      item.sku = variant.sku;
+      item.variantLabel = product.getVariantLabel(variant);
+    } else {
+      item.image = product.mainImage;
+      item.sku = product.sku;
+    }
+  }
+
+  if (this.isModified()) {
+    await this.save();
+  }
+
+  return issues;
+};
+
+// Generate a new guest cart token
+cartSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+// Find the shopper's active cart (user cart wins over guest token)
+cartSchema.statics.findActiveCart = function({ userId, cartToken }) {
+  if (userId) {
+    return this.findOne({ userId, status: 'active' });
+  }
+  if (cartToken) {
+    return this.findOne({ cartToken, status: 'active', userId: { $exists: false } });
+  }
+  return null;
+};
+
+// Merge a guest cart into the user's cart after login.
+// The guest cart is adopted when the user has none; otherwise quantities are added
+// together and the guest cart is marked as merged.
+cartSchema.statics.mergeGuestCart = async function(cartToken, userId) {
+  const guestCart = cartToken
+    ? await this.findOne({ cartToken, status: 'active', userId: { $exists: false } })
+    : null;
+  const userCart = await this.findOne({ userId, status: 'active' });
+
+  if (!guestCart) {
+    return userCart;
+  }
+
+  if (!userCart) {
+    guestCart.userId = userId;
+    guestCart.lastActivityAt = new Date();
+    await guestCart.save();
+    return guestCart;
+  }
+
+  for (const item of guestCart.items) {
+    const existing = userCart.findItem(item.productId, item.variantId);
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      userCart.items.push(item.toObject());
+    }
+  }
+  userCart.lastActivityAt = new Date();
+  await userCart.save();
+
+  guestCart.status = 'merged';
+  await guestCart.save();
+
+  return userCart;
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
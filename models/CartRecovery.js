@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One recovery sequence per abandoned cart or unfinished (pending COD) checkout
+const cartRecoverySchema = new mongoose.Schema({
+  sourceType: {
+    type: String,
+    enum: ['cart', 'order'],
+    required: true
+  },
+  cartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  customerName: String,
+  // Token used in the one-click restore link
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  cartValue: {
+    type: Number,
+    default: 0
+  },
+  emails: [{
+    step: { type: Number, required: true },
+    sentAt: { type: Date, default: Date.now },
+    status: {
+      type: String,
+      enum: ['sent', 'failed'],
+      default: 'sent'
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'recovered', 'completed', 'opted_out'],
+    default: 'active'
+  },
+  lastClickedAt: Date,
+  clickCount: {
+    type: Number,
+    default: 0
+  },
+  recoveredAt: Date,
+  recoveredOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  recoveredRevenue: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+cartRecoverySchema.index({ cartId: 1 }, { unique: true, sparse: true });
+cartRecoverySchema.index({ orderId: 1 }, { unique: true, sparse: true });
+cartRecoverySchema.index({ status: 1, createdAt: -1 });
+
+// Number of reminders successfully sent so far
+cartRecoverySchema.virtual('sentCount').get(function() {
+  return this.emails.filter(email => email.status === 'sent').length;
+});
+
+// Record a reminder send
+cartRecoverySchema.methods.recordEmail = function(step, status = 'sent') {
+  this.emails.push({ step, status, sentAt: new Date() });
+  return this;
+};
+
+// Attribute a conversion to the recovery sequence (only once a reminder went out)
+cartRecoverySchema.statics.markRecovered = async function(filter, order) {
+  const recovery = await this.findOne({ ...filter, status: { $in: ['active', 'completed'] } });
+  if (!recovery || !recovery.emails.some(email => email.status === 'sent')) {
+    return null;
+  }
+
+  recovery.status = 'recovered';
+  recovery.recoveredAt = new Date();
+  recovery.recoveredOrderId = order._id;
+  recovery.recoveredRevenue = order.summary?.total || 0;
+  await recovery.save();
+
+  return recovery;
+};
+
+// Static method to get recovery statistics for marketing
+cartRecoverySchema.statics.getRecoveryStats = async function({ startDate, endDate } = {}) {
+  const match = {};
+  if (startDate || endDate) {
+    match.createdAt = {};
+    if (startDate) match.createdAt.$gte = new Date(startDate);
+    if (endDate) match.createdAt.$lte = new Date(endDate);
+  }
+
+  const bySource = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$sourceType',
+        sequences: { $sum: 1 },
+        emailsSent: {
+          $sum: {
+            $size: {
+              $filter: { input: '$emails', as: 'email', cond: { $eq: ['$$email.status', 'sent'] } }
+            }
+          }
+        },
+        clicked: { $sum: { $cond: [{ $gt: ['$clickCount', 0] }, 1, 0] } },
+        recovered: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+        abandonedValue: { $sum: '$cartValue' },
+        recoveredRevenue: { $sum: '$recoveredRevenue' }
+      }
+    }
+  ]);
+
+  // Which reminder in the sequence led to the conversion
+  const byStep = await this.aggregate([
+    { $match: { ...match, status: 'recovered' } },
+    { $project: { recoveredRevenue: 1, lastStep: { $max: '$emails.step' } } },
+    {
+      $group: {
+        _id: '$lastStep',
+        recovered: { $sum: 1 },
+        recoveredRevenue: { $sum: '$recoveredRevenue' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const totals = bySource.reduce((acc, entry) => {
+    acc.sequences += entry.sequences;
+    acc.emailsSent += entry.emailsSent;
+    acc.recovered += entry.recovered;
+    acc.recoveredRevenue += entry.recoveredRevenue;
+    return acc;
+  }, { sequences: 0, emailsSent: 0, recovered: 0, recoveredRevenue: 0 });
+
+  return {
+    ...totals,
+    recoveryRate: totals.sequences > 0
+      ? parseFloat(((totals.recovered / totals.sequences) * 100).toFixed(2))
+      : 0,
+    bySource,
+    byStep
+  };
+};
+
+module.exports = mongoose.model('CartRecovery', cartRecoverySchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// What happened to one settlement line:
+//   matched / short / over / pending - recorded on its parcel; the order's COD
+//                                      reconciliation status afterwards (pending while
+//                                      other COD parcels of the order are unsettled)
+//   unmatched        - no order / parcel found for it
+//   not_cod          - the order was paid online
+//   not_delivered    - the parcel hasn't been delivered
+//   already_remitted - the parcel's remittance was recorded before
+//   invalid          - missing order number or unreadable amount
+const REMITTANCE_LINE_STATUSES = [
+  'matched', 'short', 'over', 'pending',
+  'unmatched', 'not_cod', 'not_delivered', 'already_remitted', 'invalid'
+];
+
+// One courier settlement file imported by an admin
+// (POST /api/admin/couriers/remittances/import)
+const codRemittanceSchema = new mongoose.Schema({
+  // Courier adapter code, or the courier name used on manually tracked parcels
+  courier: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  fileName: String,
+  settledAt: Date,
+  lines: [{
+    _id: false,
+    line: Number, // row in the file, counting the header as 1
+    orderNumber: String,
+    trackingNumber: String,
+    collectedAmount: Number,
+    fee: Number,
+    status: {
+      type: String,
+      enum: REMITTANCE_LINE_STATUSES
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    shipmentNumber: String,
+    message: String
+  }],
+  totals: {
+    lines: { type: Number, default: 0 },
+    recorded: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    flagged: { type: Number, default: 0 },
+    collected: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 },
+    net: { type: Number, default: 0 }
+  },
+  importedBy: {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    adminName: String
+  }
+}, {
+  timestamps: true
+});
+
+codRemittanceSchema.index({ courier: 1, createdAt: -1 });
+codRemittanceSchema.index({ 'lines.orderId': 1 });
+
+module.exports = mongoose.model('CodRemittance', codRemittanceSchema);
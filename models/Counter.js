@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. invoice numbers). The document _id is the sequence name.
+// Every value taken is used as long as callers claim the record they number before
+// taking one, as Order.assignInvoiceNumber does.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static method to atomically take the next value of a sequence
+counterSchema.statics.nextValue = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One exchange rate set by an admin. Rates are never edited: setting a new rate
+// adds an entry, so the history shows which rate applied when. The current rate
+// of a currency is its newest entry.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // PKR for one unit of the currency (USD 278.5 means 1 USD = 278.5 PKR)
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'Rate must be more than 0']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  setBy: {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    adminName: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+exchangeRateSchema.index({ currency: 1, createdAt: -1 });
+
+// Static method to get the newest rate of each currency: Map of code -> entry
+exchangeRateSchema.statics.getCurrentRates = async function() {
+  const latest = await this.aggregate([
+    { $sort: { currency: 1, createdAt: -1 } },
+    { $group: { _id: '$currency', entry: { $first: '$$ROOT' } } }
+  ]);
+  return new Map(latest.map(row => [row._id, row.entry]));
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,12 +1,26 @@
 const mongoose = require('mongoose');
+const { getStockThresholds } = require('../config/stockAlerts');
+const { publishAdminEvent, stockAlertEventData } = require('../utils/adminEvents');
+
+// Relative severity of alert levels, used to detect escalations
+const ALERT_SEVERITY = {
+  low: 1,
+  critical: 2,
+  out_of_stock: 3
+};
 
 const lowStockAlertSchema = new mongoose.Schema({
   productId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
-    required: true,
-    unique: true
+    required: true
   },
+  // Set when the alert is for one variant of a product sold in variants
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  variantLabel: String,
   productName: {
     type: String,
     required: true
@@ -114,7 +128,7 @@ const lowStockAlertSchema = new mongoose.Schema({
 });
 
 // Indexes for efficient querying
-lowStockAlertSchema.index({ productId: 1 });
+lowStockAlertSchema.index({ productId: 1, variantId: 1 }, { unique: true });
 lowStockAlertSchema.index({ alertLevel: 1, isActive: 1 });
 lowStockAlertSchema.index({ isResolved: 1, createdAt: -1 });
 lowStockAlertSchema.index({ lastNotificationSent: 1 });
@@ -159,6 +173,7 @@ lowStockAlertSchema.methods.calculateRestockSuggestion = async function() {
       {
         $match: {
           productId: this.productId,
+          ...(this.variantId && { variantId: this.variantId }),
           movementType: 'sale',
           timestamp: { $gte: thirtyDaysAgo }
         }
@@ -209,6 +224,8 @@ lowStockAlertSchema.statics.createOrUpdateAlert = async function(productData) {
   try {
     const {
       productId,
+      variantId = null,
+      variantLabel,
       productName,
       productSku,
       currentStock,
@@ -219,38 +236,59 @@ lowStockAlertSchema.statics.createOrUpdateAlert = async function(productData) {
     } = productData;
     
     // Check if alert already exists
-    let alert = await this.findOne({ productId });
-    
+    let alert = await this.findOne({ productId, variantId });
+
     if (alert) {
+      const previousLevel = alert.isResolved ? null : alert.alertLevel;
+      const previousStock = alert.currentStock;
+      let reopened = false;
+
       // Update existing alert
       alert.currentStock = currentStock;
       alert.productName = productName;
       alert.productSku = productSku;
       alert.category = category;
       alert.price = price;
-      
+      alert.lowStockThreshold = lowStockThreshold;
+      alert.criticalStockThreshold = criticalStockThreshold;
+
       // Check if stock was replenished (resolved)
       if (currentStock > lowStockThreshold && !alert.isResolved) {
         alert.isResolved = true;
         alert.resolvedAt = new Date();
         alert.resolution = 'restocked';
-      } else if (currentStock <= lowStockThreshold && alert.isResolved) {
-        // Stock is low again - reactivate alert
+      } else if (currentStock <= lowStockThreshold && alert.isResolved && previousStock > lowStockThreshold) {
+        // Stock recovered and is low again - reactivate alert. An alert an admin
+        // resolved while stock was still low stays resolved until then.
         alert.isResolved = false;
         alert.resolvedAt = null;
         alert.resolution = null;
         alert.isActive = true;
+        reopened = true;
       }
       
       alert.updateAlertLevel();
+
+      // Record a dashboard notification when an open alert gets more severe
+      if (!alert.isResolved && ALERT_SEVERITY[alert.alertLevel] > (ALERT_SEVERITY[previousLevel] || 0)) {
+        alert.addNotification('dashboard', 'admin');
+      }
+
       await alert.calculateRestockSuggestion();
       await alert.save();
-      
+
+      // A re-opened alert is a new low-stock situation for the dashboard
+      if (reopened) {
+        await publishAdminEvent('stock_alert.created', stockAlertEventData(alert));
+      }
+
       return alert;
     } else if (currentStock <= lowStockThreshold) {
       // Create new alert only if stock is actually low
       alert = new this({
         productId,
+        variantId,
+        variantLabel,
         productName,
         productSku,
         currentStock,
@@ -265,7 +303,18 @@ lowStockAlertSchema.statics.createOrUpdateAlert = async function(productData) {
       
       alert.updateAlertLevel();
       await alert.calculateRestockSuggestion();
-      await alert.save();
+      try {
+        await alert.save();
+      } catch (saveError) {
+        // Stock dropped in two places at once and the other change created the
+        // alert first: it is already open, so bring it up to date instead
+        if (saveError.code === 11000) {
+          return this.createOrUpdateAlert(productData);
+        }
+        throw saveError;
+      }
+
+      await publishAdminEvent('stock_alert.created', stockAlertEventData(alert));
       
       return alert;
     }
@@ -278,6 +327,57 @@ lowStockAlertSchema.statics.createOrUpdateAlert = async function(productData) {
   }
 };
 
+// Static method to re-evaluate a product's alert from its current stock level.
+// Called after every stock change; creates, escalates or auto-resolves the alert.
+// Products sold in variants are tracked per variant (all variants, or just
+// variantId when given) and an array of alerts is returned.
+lowStockAlertSchema.statics.evaluateProduct = async function(productId, variantId = null) {
+  const Product = mongoose.model('Product');
+
+  const product = await Product.findById(productId)
+    .select('name sku quantity category price stockAlerts variants');
+  if (!product) {
+    return null;
+  }
+
+  const { lowStockThreshold, criticalStockThreshold } = getStockThresholds(product);
+
+  if (product.variants && product.variants.length > 0) {
+    const variants = variantId
+      ? product.variants.filter(variant => variant._id.toString() === variantId.toString())
+      : product.variants.filter(variant => variant.isActive !== false);
+
+    const alerts = [];
+    for (const variant of variants) {
+      const variantLabel = product.getVariantLabel(variant);
+      alerts.push(await this.createOrUpdateAlert({
+        productId: product._id,
+        variantId: variant._id,
+        variantLabel,
+        productName: variantLabel ? `${product.name} (${variantLabel})` : product.name,
+        productSku: variant.sku || product.sku || 'N/A',
+        currentStock: Math.max(0, variant.quantity || 0),
+        lowStockThreshold,
+        criticalStockThreshold,
+        category: product.category,
+        price: variant.price ?? product.price
+      }));
+    }
+    return alerts;
+  }
+
+  return this.createOrUpdateAlert({
+    productId: product._id,
+    productName: product.name,
+    productSku: product.sku || 'N/A',
+    currentStock: Math.max(0, product.quantity || 0),
+    lowStockThreshold,
+    criticalStockThreshold,
+    category: product.category,
+    price: product.price
+  });
+};
+
 // Static method to get active alerts
 lowStockAlertSchema.statics.getActiveAlerts = function(options = {}) {
   const {
@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { MAX_CALL_ATTEMPTS, getRetryDelayMinutes } = require('../config/codCalls');
+const { INVOICE_PREFIX, INVOICE_NUMBER_DIGITS } = require('../config/invoices');
+const { isTransitionAllowed } = require('../config/orderStateMachine');
+
+const CALL_OUTCOMES = ['confirmed', 'no_answer', 'wrong_number', 'declined'];
+
+// How long a request may hold the claim on an order's invoice number
+const INVOICE_CLAIM_TIMEOUT_MS = 30 * 1000;
+
+const SHIPMENT_STATUSES = ['preparing', 'shipped', 'in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'returned', 'cancelled'];
+
+// Shipment statuses that mean the parcel has left the warehouse
+const DISPATCHED_SHIPMENT_STATUSES = ['shipped', 'in_transit', 'out_for_delivery', 'delivered', 'failed_delivery'];
+
+// Outcomes that count towards the auto-cancel limit
+const FAILED_CALL_OUTCOMES = ['no_answer', 'wrong_number'];
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -31,6 +48,8 @@ const orderSchema = new mongoose.Schema({
       required: true,
       trim: true
     },
+    // 03XXXXXXXXX form of the phone, used to match a customer's past orders
+    normalizedPhone: String,
     address: {
       street: { type: String, required: true },
       city: { type: String, required: true },
@@ -49,15 +68,52 @@ const orderSchema = new mongoose.Schema({
     price: { type: Number, required: true },
     quantity: { type: Number, required: true, min: 1 },
     image: { type: String, required: true },
-    sku: { type: String }
+    sku: { type: String },
+    variantId: { type: mongoose.Schema.Types.ObjectId },
+    variantLabel: { type: String },
+    // Units received back through return requests
+    returnedQuantity: { type: Number, default: 0 }
   }],
   summary: {
     subtotal: { type: Number, required: true },
     tax: { type: Number, default: 0 },
+    taxBreakdown: [{
+      label: String,
+      rate: Number,
+      taxableAmount: Number,
+      amount: Number
+    }],
     shipping: { type: Number, default: 0 },
     discount: { type: Number, default: 0 },
     total: { type: Number, required: true }
   },
+  // Currency the customer saw prices in, when not PKR. summary above is what is
+  // charged and accounted (PKR); these are the same amounts converted with the
+  // exchange rate in force when the order was placed.
+  displayCurrency: {
+    code: String,
+    rate: Number, // PKR for one unit
+    exchangeRateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExchangeRate'
+    },
+    rateSetAt: Date,
+    subtotal: Number,
+    tax: Number,
+    shipping: Number,
+    discount: Number,
+    total: Number
+  },
+  promotion: {
+    promotionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    code: String,
+    name: String,
+    type: { type: String },
+    discount: { type: Number, default: 0 }
+  },
   payment: {
     method: {
       type: String,
@@ -66,12 +122,32 @@ const orderSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending'
     },
+    // Online payments: 'stripe', with transactionId the gateway's payment id (PaymentIntent)
+    gateway: String,
     transactionId: String,
-    paidAt: Date
+    paidAt: Date,
+    failureReason: String,
+    refundedTotal: { type: Number, default: 0 }
   },
+  refunds: [{
+    amount: { type: Number, required: true, min: 0 },
+    reason: String,
+    method: {
+      type: String,
+      enum: ['original_payment', 'bank_transfer', 'wallet', 'cash', 'store_credit'],
+      default: 'original_payment'
+    },
+    reference: String,
+    returnRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest'
+    },
+    refundedBy: String,
+    refundedAt: { type: Date, default: Date.now }
+  }],
   shipping: {
     method: {
       type: String,
@@ -84,6 +160,79 @@ const orderSchema = new mongoose.Schema({
     shippedAt: Date,
     deliveredAt: Date
   },
+  // Parcels the order is sent in - one order can be split across several
+  shipments: [{
+    shipmentNumber: { type: String, required: true },
+    items: [{
+      // _id of the line in Order.items
+      orderItemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      variantId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      variantLabel: String,
+      quantity: { type: Number, required: true, min: 1 }
+    }],
+    courier: String,
+    trackingNumber: String,
+    status: {
+      type: String,
+      enum: SHIPMENT_STATUSES,
+      default: 'preparing'
+    },
+    shippedAt: Date,
+    deliveredAt: Date,
+    timeline: [{
+      status: String,
+      note: String,
+      timestamp: { type: Date, default: Date.now },
+      updatedBy: String
+    }],
+    // Set when the parcel is booked through a courier adapter (utils/couriers)
+    courierCode: String,
+    consignmentId: String,
+    bookedAt: Date,
+    // Held by the request booking the parcel (utils/courierOperations bookShipment)
+    bookingClaimedAt: Date,
+    codAmount: { type: Number, default: 0 },
+    weight: Number,
+    pieces: { type: Number, default: 1 },
+    trackingEvents: [{
+      status: String,
+      rawStatus: String,
+      description: String,
+      location: String,
+      timestamp: Date
+    }],
+    lastTrackedAt: Date,
+    // COD settlement reported by the courier for this parcel
+    remittance: {
+      collectedAmount: Number,
+      fee: Number,
+      reference: String,
+      remittedAt: Date
+    }
+  }],
+  // Courier COD remittances compared with what the customer owed
+  codReconciliation: {
+    expected: Number,
+    collected: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 },
+    difference: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ['pending', 'matched', 'short', 'over'],
+      default: 'pending'
+    },
+    reconciledAt: Date
+  },
+  fulfillmentStatus: {
+    type: String,
+    enum: ['unfulfilled', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered'],
+    default: 'unfulfilled'
+  },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
@@ -93,6 +242,70 @@ const orderSchema = new mongoose.Schema({
     customer: String,
     admin: String
   },
+  // Assigned from the 'invoice' counter the first time an invoice is issued
+  invoice: {
+    number: String,
+    issuedAt: Date,
+    // Set while a request is taking the number (assignInvoiceNumber)
+    claimedAt: Date
+  },
+  // Link emailed when the order is delivered for reviewing its items, each once
+  // (utils/productReviews.js)
+  reviewRequest: {
+    token: String,
+    sentAt: Date,
+    expiresAt: Date
+  },
+  // Where the order was placed from
+  clientInfo: {
+    ipAddress: String,
+    userAgent: String
+  },
+  // Fake / fraudulent order scoring, set when the order is placed
+  risk: {
+    score: { type: Number, default: 0 },
+    level: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'low'
+    },
+    reasons: [{
+      code: String,
+      message: String,
+      points: Number
+    }],
+    // High-risk orders can't be confirmed until a confirmation call succeeds
+    holdForCall: { type: Boolean, default: false },
+    assessedAt: Date
+  },
+  // Phone confirmation of cash on delivery orders
+  confirmationCall: {
+    attempts: [{
+      outcome: {
+        type: String,
+        enum: CALL_OUTCOMES,
+        required: true
+      },
+      note: String,
+      agentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+      },
+      agentName: String,
+      calledAt: { type: Date, default: Date.now }
+    }],
+    attemptCount: { type: Number, default: 0 },
+    failedAttempts: { type: Number, default: 0 },
+    lastOutcome: {
+      type: String,
+      enum: CALL_OUTCOMES
+    },
+    lastCalledAt: Date,
+    nextRetryAt: Date
+  },
+  // One-off side effects of status changes already applied, e.g. 'restoreStock:cancelled'
+  // (claimTransitionEffect)
+  transitionEffects: [String],
   timeline: [{
     status: String,
     timestamp: { type: Date, default: Date.now },
@@ -116,6 +329,19 @@ orderSchema.index({ 'customer.email': 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'payment.status': 1 });
+orderSchema.index({ 'payment.transactionId': 1 });
+orderSchema.index({ 'promotion.promotionId': 1, 'customer.email': 1 });
+orderSchema.index({ status: 1, 'payment.method': 1, 'confirmationCall.nextRetryAt': 1 });
+orderSchema.index({ 'confirmationCall.attempts.agentId': 1 });
+orderSchema.index({ 'customer.normalizedPhone': 1 });
+orderSchema.index({ 'shipments.trackingNumber': 1 });
+orderSchema.index({ 'shipments.courierCode': 1, 'shipments.status': 1 });
+orderSchema.index({ 'codReconciliation.status': 1 });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
+orderSchema.index({ 'reviewRequest.token': 1 }, { unique: true, sparse: true });
+orderSchema.index({ 'customer.userId': 1, status: 1 });
+orderSchema.index({ 'clientInfo.ipAddress': 1, createdAt: -1 });
+orderSchema.index({ 'risk.level': 1, createdAt: -1 });
 
 // Virtual for order age
 orderSchema.virtual('orderAge').get(function() {
@@ -135,6 +361,287 @@ orderSchema.methods.addTimelineEntry = function(status, note, updatedBy) {
   return this.save();
 };
 
+// Method to claim a one-off side effect of a status change (stock restored, coupon
+// use released), so a transition retried after a failure doesn't apply it twice.
+// Returns true for the first caller only.
+orderSchema.methods.claimTransitionEffect = async function(key) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, transitionEffects: { $ne: key } },
+    { $addToSet: { transitionEffects: key } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Method to record a confirmation call attempt. Does not save or change the status;
+// returns what the caller should do next: 'confirm', 'cancel' or 'retry'.
+orderSchema.methods.recordCallAttempt = function({ outcome, note, agent, retryInMinutes }) {
+  const now = new Date();
+  const call = this.confirmationCall;
+
+  call.attempts.push({
+    outcome,
+    note,
+    agentId: agent?._id,
+    agentName: agent?.name,
+    calledAt: now
+  });
+  call.attemptCount = call.attempts.length;
+  call.lastOutcome = outcome;
+  call.lastCalledAt = now;
+
+  if (outcome === 'confirmed' || outcome === 'declined') {
+    call.nextRetryAt = undefined;
+    return outcome === 'confirmed' ? 'confirm' : 'cancel';
+  }
+
+  call.failedAttempts = call.attempts.filter(attempt => FAILED_CALL_OUTCOMES.includes(attempt.outcome)).length;
+  if (call.failedAttempts >= MAX_CALL_ATTEMPTS) {
+    call.nextRetryAt = undefined;
+    return 'cancel';
+  }
+
+  const delayMinutes = retryInMinutes > 0 ? retryInMinutes : getRetryDelayMinutes(call.failedAttempts);
+  call.nextRetryAt = new Date(now.getTime() + delayMinutes * 60 * 1000);
+  return 'retry';
+};
+
+// Method to record a (partial) refund. Does not save. The payment status and
+// refundedTotal follow once the refund is in the payment ledger (recordPaymentTransaction).
+// Returns null when the amount is more than what is left to refund.
+orderSchema.methods.recordRefund = function({ amount, reason, method, reference, returnRequestId, refundedBy }) {
+  const refunded = this.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  const refundable = Math.round((this.summary.total - Math.max(refunded, this.payment.refundedTotal || 0)) * 100) / 100;
+  if (!(amount > 0) || amount > refundable) {
+    return null;
+  }
+
+  this.refunds.push({ amount, reason, method, reference, returnRequestId, refundedBy, refundedAt: new Date() });
+
+  return this.refunds[this.refunds.length - 1];
+};
+
+// Method to get how many units of each line are not yet in a (non-cancelled) shipment,
+// keyed by order item id
+orderSchema.methods.getUnallocatedQuantities = function() {
+  const remaining = {};
+  for (const item of this.items) {
+    remaining[item._id.toString()] = item.quantity;
+  }
+  for (const shipment of this.shipments) {
+    if (shipment.status === 'cancelled') continue;
+    for (const line of shipment.items) {
+      const key = line.orderItemId.toString();
+      if (remaining[key] !== undefined) remaining[key] -= line.quantity;
+    }
+  }
+  return remaining;
+};
+
+// Method to add a parcel. items are [{ orderItemId, quantity }] already checked
+// against getUnallocatedQuantities. Does not save.
+orderSchema.methods.addShipment = function({ items, courier, trackingNumber, status = 'preparing', note, updatedBy }) {
+  const shipment = this.shipments.create({
+    shipmentNumber: `${this.orderNumber}-${this.shipments.length + 1}`,
+    items: items.map(({ orderItemId, quantity }) => {
+      const line = this.items.id(orderItemId);
+      return {
+        orderItemId: line._id,
+        productId: line.productId,
+        variantId: line.variantId,
+        name: line.name,
+        variantLabel: line.variantLabel,
+        quantity
+      };
+    }),
+    courier,
+    trackingNumber,
+    status: 'preparing',
+    timeline: [{ status: 'preparing', note: note || 'Parcel created', updatedBy, timestamp: new Date() }]
+  });
+  this.shipments.push(shipment);
+
+  const added = this.shipments[this.shipments.length - 1];
+  if (status !== 'preparing') {
+    this.updateShipmentStatus(added._id, status, note, updatedBy);
+  }
+  return added;
+};
+
+// Method to move one parcel to a new status with a timeline entry. Does not save.
+orderSchema.methods.updateShipmentStatus = function(shipmentId, status, note, updatedBy) {
+  const shipment = this.shipments.id(shipmentId);
+  if (!shipment) return null;
+
+  const now = new Date();
+  shipment.status = status;
+  shipment.timeline.push({ status, note: note || `Parcel ${status.replace(/_/g, ' ')}`, updatedBy, timestamp: now });
+  if (DISPATCHED_SHIPMENT_STATUSES.includes(status) && !shipment.shippedAt) shipment.shippedAt = now;
+  if (status === 'delivered') shipment.deliveredAt = now;
+
+  return shipment;
+};
+
+// Method to merge courier tracking events into a parcel. New events are added to
+// the parcel timeline and the parcel moves to the latest event's status (never out
+// of delivered / returned / cancelled). Does not save; returns the number of new events.
+orderSchema.methods.recordTrackingEvents = function(shipmentId, events, source) {
+  const shipment = this.shipments.id(shipmentId);
+  if (!shipment) return 0;
+
+  const seen = new Set(shipment.trackingEvents.map(event => `${event.rawStatus}|${new Date(event.timestamp).getTime()}`));
+  const fresh = events
+    .filter(event => !seen.has(`${event.rawStatus}|${new Date(event.timestamp).getTime()}`))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  for (const event of fresh) {
+    shipment.trackingEvents.push(event);
+    const note = [event.description, event.location].filter(Boolean).join(' - ');
+    if (['delivered', 'returned', 'cancelled'].includes(shipment.status)) {
+      continue;
+    }
+    if (event.status !== shipment.status) {
+      this.updateShipmentStatus(shipment._id, event.status, note, source);
+    } else {
+      shipment.timeline.push({ status: event.status, note, updatedBy: source, timestamp: event.timestamp });
+    }
+  }
+
+  shipment.lastTrackedAt = new Date();
+  return fresh.length;
+};
+
+// Method to record a parcel's COD remittance and re-check the order total against
+// everything the couriers have remitted. Does not save.
+orderSchema.methods.recordRemittance = function(shipmentId, { collectedAmount, fee, reference, remittedAt }, tolerance = 1) {
+  const shipment = this.shipments.id(shipmentId);
+  if (!shipment) return null;
+
+  shipment.remittance = { collectedAmount, fee, reference, remittedAt: remittedAt || new Date() };
+
+  const codShipments = this.shipments.filter(parcel => parcel.codAmount > 0 && parcel.status !== 'cancelled');
+  const remitted = codShipments.filter(parcel => parcel.remittance?.collectedAmount !== undefined);
+  const collected = remitted.reduce((sum, parcel) => sum + parcel.remittance.collectedAmount, 0);
+  const fees = remitted.reduce((sum, parcel) => sum + (parcel.remittance.fee || 0), 0);
+  const expected = Math.round((this.summary.total - (this.payment.refundedTotal || 0)) * 100) / 100;
+  const difference = Math.round((collected - expected) * 100) / 100;
+
+  let status = 'pending';
+  if (remitted.length === codShipments.length) {
+    if (Math.abs(difference) <= tolerance) status = 'matched';
+    else status = difference < 0 ? 'short' : 'over';
+  } else if (difference > tolerance) {
+    status = 'over';
+  }
+
+  this.codReconciliation = {
+    expected,
+    collected: Math.round(collected * 100) / 100,
+    fees: Math.round(fees * 100) / 100,
+    difference,
+    status,
+    reconciledAt: new Date()
+  };
+  return this.codReconciliation;
+};
+
+// Method to check whether an invoice can be issued: not for cancelled orders, and
+// not for unpaid orders that haven't been confirmed yet
+orderSchema.methods.isInvoiceable = function() {
+  if (this.status === 'cancelled') return false;
+  return this.status !== 'pending' || this.payment.status === 'paid';
+};
+
+// Method to give the order its invoice number, once. Returns the number.
+// The order is claimed before a value is taken from the counter, so of several
+// concurrent requests only one takes a number and the series stays gap-free. A
+// claim left behind by a request that died is taken over once it is stale.
+orderSchema.methods.assignInvoiceNumber = async function() {
+  if (this.invoice?.number) return this.invoice.number;
+
+  const claimedAt = new Date();
+  const claimed = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      'invoice.number': { $exists: false },
+      $or: [
+        { 'invoice.claimedAt': { $exists: false } },
+        { 'invoice.claimedAt': { $lt: new Date(claimedAt.getTime() - INVOICE_CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { 'invoice.claimedAt': claimedAt } }
+  ).select('_id');
+
+  if (claimed) {
+    const seq = await Counter.nextValue('invoice');
+    const invoice = {
+      number: `${INVOICE_PREFIX}-${String(seq).padStart(INVOICE_NUMBER_DIGITS, '0')}`,
+      issuedAt: new Date()
+    };
+    await this.constructor.updateOne(
+      { _id: this._id, 'invoice.claimedAt': claimedAt },
+      { $set: { invoice } }
+    );
+  }
+
+  // Read the number back; when another request holds the claim, wait for its number
+  for (let attempt = 0; attempt < INVOICE_CLAIM_TIMEOUT_MS / 250; attempt++) {
+    const stored = (await this.constructor.findById(this._id).select('invoice')).invoice;
+    if (stored?.number) {
+      this.invoice = stored;
+      return stored.number;
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`Invoice number for order ${this.orderNumber} is still being assigned`);
+};
+
+// Method to derive fulfilment and order status from the shipments. Does not save or
+// add timeline entries; returns the order status the shipments imply (null when
+// they don't imply a change).
+orderSchema.methods.syncStatusFromShipments = function() {
+  const active = this.shipments.filter(shipment => !['cancelled', 'returned'].includes(shipment.status));
+  const orderedUnits = this.items.reduce((sum, item) => sum + item.quantity, 0);
+  const countUnits = (shipments) => shipments.reduce(
+    (sum, shipment) => sum + shipment.items.reduce((lineSum, line) => lineSum + line.quantity, 0), 0
+  );
+
+  const dispatched = active.filter(shipment => DISPATCHED_SHIPMENT_STATUSES.includes(shipment.status));
+  const delivered = active.filter(shipment => shipment.status === 'delivered');
+  const dispatchedUnits = countUnits(dispatched);
+  const deliveredUnits = countUnits(delivered);
+
+  if (deliveredUnits >= orderedUnits && orderedUnits > 0) {
+    this.fulfillmentStatus = 'delivered';
+  } else if (deliveredUnits > 0) {
+    this.fulfillmentStatus = 'partially_delivered';
+  } else if (dispatchedUnits >= orderedUnits && orderedUnits > 0) {
+    this.fulfillmentStatus = 'shipped';
+  } else if (dispatchedUnits > 0) {
+    this.fulfillmentStatus = 'partially_shipped';
+  } else {
+    this.fulfillmentStatus = 'unfulfilled';
+  }
+
+  // Keep the single-parcel shipping fields for older clients
+  const firstDispatched = dispatched.sort((a, b) => a.shippedAt - b.shippedAt)[0];
+  if (firstDispatched) {
+    this.shipping.shippedAt = this.shipping.shippedAt || firstDispatched.shippedAt;
+    this.shipping.trackingNumber = this.shipping.trackingNumber || firstDispatched.trackingNumber;
+  }
+
+  let derived = null;
+  if (this.fulfillmentStatus === 'delivered') {
+    derived = 'delivered';
+  } else if (dispatchedUnits > 0) {
+    derived = 'shipped';
+  } else if (active.length > 0) {
+    derived = 'processing';
+  }
+
+  // Shipments only ever move an order forward, along the state machine's transitions
+  return derived && isTransitionAllowed(this.status, derived) ? derived : null;
+};
+
 // Method to calculate totals
 orderSchema.methods.calculateTotals = function() {
   this.summary.subtotal = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
@@ -248,4 +755,115 @@ orderSchema.statics.getRevenueAnalysis = async function(dateRange = null) {
   };
 };
 
+// Method to tell whether a held high-risk order may be confirmed yet
+orderSchema.methods.isHeldForCall = function() {
+  return Boolean(this.risk?.holdForCall) && this.confirmationCall?.lastOutcome !== 'confirmed';
+};
+
+// Static method for the confirmation call queue: pending COD (and held high-risk)
+// orders that are due for a call come first - held orders, then fewest attempts,
+// then oldest - followed by those waiting for a retry
+orderSchema.statics.getCallQueue = async function({ page = 1, limit = 20, dueOnly = false, riskLevel } = {}) {
+  const now = new Date();
+  const dueFilter = {
+    $or: [
+      { 'confirmationCall.nextRetryAt': { $exists: false } },
+      { 'confirmationCall.nextRetryAt': null },
+      { 'confirmationCall.nextRetryAt': { $lte: now } }
+    ]
+  };
+  const match = {
+    status: 'pending',
+    $and: [{ $or: [{ 'payment.method': 'cod' }, { 'risk.holdForCall': true }] }]
+  };
+  if (dueOnly) {
+    match.$and.push(dueFilter);
+  }
+  if (riskLevel) {
+    match['risk.level'] = riskLevel;
+  }
+
+  const [orders, total, due] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          isDue: { $lte: [{ $ifNull: ['$confirmationCall.nextRetryAt', now] }, now] },
+          isHeld: { $ifNull: ['$risk.holdForCall', false] },
+          callAttempts: { $ifNull: ['$confirmationCall.attemptCount', 0] },
+          queuedAt: { $ifNull: ['$confirmationCall.nextRetryAt', '$createdAt'] }
+        }
+      },
+      { $sort: { isDue: -1, isHeld: -1, callAttempts: 1, queuedAt: 1 } },
+      { $skip: (parseInt(page) - 1) * parseInt(limit) },
+      { $limit: parseInt(limit) },
+      {
+        $project: {
+          orderNumber: 1,
+          customer: 1,
+          'summary.total': 1,
+          items: 1,
+          createdAt: 1,
+          confirmationCall: 1,
+          risk: 1,
+          isDue: 1
+        }
+      }
+    ]),
+    this.countDocuments(match),
+    this.countDocuments({ ...match, $and: [match.$and[0], dueFilter] })
+  ]);
+
+  return { orders, total, due };
+};
+
+// Static method for per-agent call statistics (confirmation rate per call made)
+orderSchema.statics.getCallAgentStats = async function({ startDate, endDate } = {}) {
+  const calledAt = {};
+  if (startDate) calledAt.$gte = new Date(startDate);
+  if (endDate) calledAt.$lte = new Date(endDate);
+  const dateFilter = Object.keys(calledAt).length > 0 ? { 'confirmationCall.attempts.calledAt': calledAt } : {};
+
+  const stats = await this.aggregate([
+    { $match: { 'confirmationCall.attemptCount': { $gt: 0 } } },
+    { $unwind: '$confirmationCall.attempts' },
+    { $match: dateFilter },
+    {
+      $group: {
+        _id: '$confirmationCall.attempts.agentId',
+        agentName: { $last: '$confirmationCall.attempts.agentName' },
+        calls: { $sum: 1 },
+        confirmed: { $sum: { $cond: [{ $eq: ['$confirmationCall.attempts.outcome', 'confirmed'] }, 1, 0] } },
+        noAnswer: { $sum: { $cond: [{ $eq: ['$confirmationCall.attempts.outcome', 'no_answer'] }, 1, 0] } },
+        wrongNumber: { $sum: { $cond: [{ $eq: ['$confirmationCall.attempts.outcome', 'wrong_number'] }, 1, 0] } },
+        declined: { $sum: { $cond: [{ $eq: ['$confirmationCall.attempts.outcome', 'declined'] }, 1, 0] } },
+        orders: { $addToSet: '$_id' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        agentId: '$_id',
+        agentName: 1,
+        calls: 1,
+        confirmed: 1,
+        noAnswer: 1,
+        wrongNumber: 1,
+        declined: 1,
+        ordersHandled: { $size: '$orders' },
+        confirmationRate: {
+          $cond: [
+            { $gt: ['$calls', 0] },
+            { $round: [{ $multiply: [{ $divide: ['$confirmed', '$calls'] }, 100] }, 1] },
+            0
+          ]
+        }
+      }
+    },
+    { $sort: { confirmed: -1 } }
+  ]);
+
+  return stats;
+};
+
 module.exports = mongoose.model('Order', orderSchema); 
\ No newline at end of file
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// One money movement (or attempt) on an order. The order's payment status, paid date
+// and refunded total are derived from these entries (utils/paymentLedger.js).
+//
+//   authorize - a payment was started (checkout, PaymentIntent, hosted wallet page)
+//   capture   - money was received (gateway confirmation, COD remitted by the courier)
+//   refund    - money went back to the customer
+//   failure   - a payment attempt was declined or abandoned
+//   callback  - a customer came back from a gateway, with what the gateway sent
+const TRANSACTION_TYPES = ['authorize', 'capture', 'refund', 'failure', 'callback'];
+
+const TRANSACTION_SOURCES = ['checkout', 'callback', 'webhook', 'inquiry', 'remittance', 'return', 'migration'];
+
+const paymentTransactionSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  // Who moved the money: 'cod', a gateway code ('stripe', 'jazzcash', 'easypaisa')
+  // or, for refunds made outside the gateway, the refund method ('bank_transfer', 'cash', ...)
+  gateway: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'succeeded'
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'PKR'
+  },
+  transactionId: String, // the gateway's payment reference (PaymentIntent id, pp_TxnRefNo, ...)
+  reference: String, // refund id, retrieval reference, ...
+  // Entries that must only be recorded once (a capture per payment, a refund per
+  // gateway refund id) carry a key; recording the same key again is a no-op
+  idempotencyKey: String,
+  source: {
+    type: String,
+    enum: TRANSACTION_SOURCES,
+    required: true
+  },
+  reason: String,
+  raw: mongoose.Schema.Types.Mixed, // gateway payload, secrets removed
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+paymentTransactionSchema.index({ orderId: 1, createdAt: 1 });
+paymentTransactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+paymentTransactionSchema.index({ gateway: 1, type: 1, createdAt: -1 });
+paymentTransactionSchema.index({ transactionId: 1 });
+
+// Static method to add an entry. An entry whose idempotencyKey is already in the
+// ledger isn't added again.
+// Returns { transaction, duplicate }
+paymentTransactionSchema.statics.record = async function(entry) {
+  try {
+    return { transaction: await this.create(entry), duplicate: false };
+  } catch (error) {
+    if (error.code === 11000 && entry.idempotencyKey) {
+      return { transaction: await this.findOne({ idempotencyKey: entry.idempotencyKey }), duplicate: true };
+    }
+    throw error;
+  }
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Static method to work out an order's payment state from its entries (oldest first):
+// { status, captured, refunded, paidAt, failureReason }
+paymentTransactionSchema.statics.summarize = function(transactions) {
+  let captured = 0;
+  let refunded = 0;
+  let paidAt = null;
+  let lastAttempt = null;
+
+  for (const transaction of transactions) {
+    if (transaction.type === 'capture' && transaction.status === 'succeeded') {
+      captured += transaction.amount;
+      paidAt = paidAt || transaction.createdAt;
+    }
+    if (transaction.type === 'refund' && transaction.status === 'succeeded') {
+      refunded += transaction.amount;
+    }
+    if (['authorize', 'capture', 'failure'].includes(transaction.type)) {
+      lastAttempt = transaction;
+    }
+  }
+
+  let status = 'pending';
+  if (captured > 0) {
+    status = refunded >= captured ? 'refunded' : refunded > 0 ? 'partially_refunded' : 'paid';
+  } else if (lastAttempt && lastAttempt.type === 'failure') {
+    status = 'failed';
+  }
+
+  return {
+    status,
+    captured: round(captured),
+    refunded: round(refunded),
+    paidAt,
+    failureReason: status === 'failed' ? lastAttempt.reason : undefined
+  };
+};
+
+module.exports = mongoose.model('PaymentTransaction', paymentTransactionSchema);
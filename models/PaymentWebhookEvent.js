@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { PAYMENT_EVENT_RETENTION_DAYS } = require('../config/payments');
+
+// Webhook events already handled, so a gateway redelivering one doesn't apply it twice
+const paymentWebhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  orderNumber: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+paymentWebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentWebhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: PAYMENT_EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to claim an event before handling it.
+// Returns false when it was already claimed (a redelivery).
+paymentWebhookEventSchema.statics.claim = async function(provider, eventId, type) {
+  try {
+    await this.create({ provider, eventId, type });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to give up a claim when handling failed, so the retry is processed
+paymentWebhookEventSchema.statics.release = function(provider, eventId) {
+  return this.deleteOne({ provider, eventId });
+};
+
+module.exports = mongoose.model('PaymentWebhookEvent', paymentWebhookEventSchema);
@@ -90,7 +90,75 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Quantity cannot be negative'],
     default: 0
   },
-  
+
+  // Per-product overrides for low stock alerts (falls back to category thresholds)
+  stockAlerts: {
+    lowStockThreshold: {
+      type: Number,
+      min: [1, 'Low stock threshold must be at least 1']
+    },
+    criticalStockThreshold: {
+      type: Number,
+      min: [0, 'Critical stock threshold cannot be negative']
+    }
+  },
+
+  // Option axes offered for this watch, e.g. [{ name: 'strap', values: ['leather', 'steel'] }]
+  variantOptions: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+    values: [{
+      type: String,
+      trim: true
+    }]
+  }],
+
+  // Sellable combinations of the option axes. When a product has variants, its
+  // quantity/inStock are the totals of its active variants.
+  variants: [{
+    sku: {
+      type: String,
+      trim: true
+    },
+    options: {
+      type: Map,
+      of: String
+    },
+    price: {
+      type: Number,
+      min: [0, 'Variant price cannot be negative']
+    },
+    quantity: {
+      type: Number,
+      min: [0, 'Variant quantity cannot be negative'],
+      default: 0
+    },
+    images: [{
+      url: {
+        type: String,
+        required: true
+      },
+      publicId: String,
+      alt: String,
+      isMain: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    inStock: {
+      type: Boolean,
+      default: true
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+
   rating: {
     type: Number,
     min: [0, 'Rating cannot be less than 0'],
@@ -98,24 +166,12 @@ const productSchema = new mongoose.Schema({
     default: 0
   },
   
+  // Reviews themselves are Review documents; count is kept in step by them
   reviews: {
     count: {
       type: Number,
       default: 0
-    },
-    data: [{
-      user: String,
-      rating: {
-        type: Number,
-        min: 1,
-        max: 5
-      },
-      comment: String,
-      date: {
-        type: Date,
-        default: Date.now
-      }
-    }]
+    }
   },
   
   tags: [{
@@ -211,6 +267,77 @@ productSchema.virtual('mainImage').get(function() {
   return mainImg ? mainImg.url : (this.images.length > 0 ? this.images[0].url : null);
 });
 
+// Read variant options whether they are a Mongoose Map or a plain object
+const getOptionEntries = (options) => {
+  if (!options) return [];
+  return options instanceof Map ? Array.from(options.entries()) : Object.entries(options);
+};
+
+// Derive a variant SKU from the product SKU and option values, e.g. PV-LUX-123456-LEATHER-42MM
+const buildVariantSku = (baseSku, options) => {
+  const suffix = getOptionEntries(options)
+    .map(([, value]) => String(value).toUpperCase().replace(/[^A-Z0-9]+/g, ''))
+    .filter(Boolean)
+    .join('-');
+  return suffix ? `${baseSku}-${suffix}` : `${baseSku}-${Date.now().toString(36).toUpperCase()}`;
+};
+
+// Fill in missing variant SKUs and roll variant stock up to the product
+const syncVariantFields = (target, baseSku) => {
+  if (!Array.isArray(target.variants) || target.variants.length === 0) {
+    return target;
+  }
+
+  let total = 0;
+  target.variants.forEach(variant => {
+    if (!variant.sku && baseSku) {
+      variant.sku = buildVariantSku(baseSku, variant.options);
+    }
+    const quantity = Math.max(0, Number(variant.quantity) || 0);
+    const isActive = variant.isActive !== false;
+    variant.inStock = isActive && quantity > 0;
+    if (isActive) total += quantity;
+  });
+
+  target.quantity = total;
+  target.inStock = total > 0;
+  return target;
+};
+
+// Validate variants against the declared option axes
+productSchema.pre('validate', function(next) {
+  if (!this.variants || this.variants.length === 0) {
+    return next();
+  }
+
+  syncVariantFields(this, this.sku);
+
+  const skus = this.variants.map(variant => variant.sku).filter(Boolean);
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate('variants', 'Variant SKUs must be unique');
+  }
+
+  const axes = new Map((this.variantOptions || []).map(option => [option.name, option.values]));
+  const combinations = new Set();
+  this.variants.forEach((variant, index) => {
+    const entries = getOptionEntries(variant.options);
+    for (const [name, value] of entries) {
+      const allowed = axes.get(name);
+      if (!allowed || (allowed.length > 0 && !allowed.includes(value))) {
+        this.invalidate(`variants.${index}.options`, `Invalid option ${name}: ${value}`);
+      }
+    }
+
+    const key = entries.map(([name, value]) => `${name}=${value}`).sort().join('|');
+    if (combinations.has(key)) {
+      this.invalidate(`variants.${index}.options`, 'Each variant must have a unique combination of options');
+    }
+    combinations.add(key);
+  });
+
+  next();
+});
+
 // Pre-save middleware to generate SKU if not provided
 productSchema.pre('save', function(next) {
   if (!this.sku) {
@@ -218,6 +345,9 @@ productSchema.pre('save', function(next) {
     const timestamp = Date.now().toString().slice(-6);
     this.sku = `PV-${category}-${timestamp}`;
   }
+
+  // Variants without a SKU get one derived from the (possibly just generated) product SKU
+  syncVariantFields(this, this.sku);
   
   // Generate slug if not provided
   if (!this.seo.slug) {
@@ -238,6 +368,36 @@ productSchema.index({ price: 1 });
 productSchema.index({ rating: -1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ tags: 1 });
+productSchema.index({ 'variants.sku': 1 });
+
+// Full-text search index, weighted so name matches rank above tags, specifications and description
+productSchema.index({
+  name: 'text',
+  tags: 'text',
+  'specifications.movement': 'text',
+  'specifications.caseMaterial': 'text',
+  'specifications.crystal': 'text',
+  'specifications.bezel': 'text',
+  'specifications.bracelet': 'text',
+  'specifications.display': 'text',
+  shortDescription: 'text',
+  description: 'text'
+}, {
+  name: 'product_text_search',
+  weights: {
+    name: 10,
+    tags: 6,
+    'specifications.movement': 3,
+    'specifications.caseMaterial': 3,
+    'specifications.crystal': 3,
+    'specifications.bezel': 3,
+    'specifications.bracelet': 3,
+    'specifications.display': 3,
+    shortDescription: 1,
+    description: 1
+  },
+  default_language: 'english'
+});
 
 // Static method to get products by category
 productSchema.statics.getByCategory = function(category) {
@@ -249,6 +409,22 @@ productSchema.statics.getFeatured = function() {
   return this.find({ isFeatured: true, isActive: true }).sort({ rating: -1 });
 };
 
+// Instance method to find an active variant by id
+productSchema.methods.findVariant = function(variantId) {
+  if (!variantId || !this.variants || this.variants.length === 0) {
+    return null;
+  }
+  const variant = this.variants.id(variantId);
+  return variant && variant.isActive !== false ? variant : null;
+};
+
+// Instance method to describe a variant for orders and emails, e.g. "Strap: Leather / Size: 42mm"
+productSchema.methods.getVariantLabel = function(variant) {
+  return getOptionEntries(variant?.options)
+    .map(([name, value]) => `${name.charAt(0).toUpperCase()}${name.slice(1)}: ${value}`)
+    .join(' / ');
+};
+
 // Instance method to increment view count
 productSchema.methods.incrementViews = function() {
   this.viewCount += 1;
@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+
+const promotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promotion code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Promotion code cannot exceed 30 characters'],
+    match: [/^[A-Z0-9_-]+$/, 'Promotion code may only contain letters, numbers, dashes and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Promotion type is required'],
+    enum: ['percentage', 'fixed', 'free_shipping']
+  },
+  // Percentage (0-100) for 'percentage', PKR amount for 'fixed', unused for 'free_shipping'
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative']
+  },
+  // Upper bound for percentage discounts (PKR)
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Restrict the discount to matching items - empty means the whole order
+  scope: {
+    categories: [{
+      type: String,
+      enum: ['luxury', 'smart', 'sport', 'classic'],
+      lowercase: true
+    }],
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }]
+  },
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum subtotal cannot be negative']
+  },
+  usageLimit: {
+    type: Number, // Global redemptions allowed; unset = unlimited
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perCustomerLimit: {
+    type: Number, // Redemptions allowed per customer email; unset = unlimited
+    min: [1, 'Per customer limit must be at least 1']
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Redemptions per customer email, counted in the same update that claims a use
+  // so concurrent orders can't go over perCustomerLimit
+  customerRedemptions: {
+    type: [{
+      _id: false,
+      email: { type: String, lowercase: true },
+      count: { type: Number, default: 0, min: 0 }
+    }],
+    select: false
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    adminName: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+// Validate value against type
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Percentage promotions need a value between 1 and 100');
+  }
+  if (this.type === 'fixed' && this.value <= 0) {
+    this.invalidate('value', 'Fixed promotions need a value greater than 0');
+  }
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Does a priced order line fall inside this promotion's scope?
+promotionSchema.methods.appliesToLine = function(line) {
+  const categories = this.scope?.categories || [];
+  const products = (this.scope?.products || []).map(id => id.toString());
+
+  if (categories.length === 0 && products.length === 0) {
+    return true;
+  }
+
+  return categories.includes(line.category) || products.includes(line.productId.toString());
+};
+
+// Redemptions of a promotion by one customer on orders that weren't cancelled
+const countCustomerOrders = (promotionId, email) => mongoose.model('Order').countDocuments({
+  'promotion.promotionId': promotionId,
+  'customer.email': email,
+  status: { $ne: 'cancelled' }
+});
+
+// Check whether the promotion can be used for an order.
+// Returns { eligible, message }
+promotionSchema.methods.checkEligibility = async function({ subtotal, customerEmail, now = new Date() }) {
+  if (!this.isActive) {
+    return { eligible: false, message: 'This promotion code is no longer active' };
+  }
+  if (this.startsAt && this.startsAt > now) {
+    return { eligible: false, message: 'This promotion code is not active yet' };
+  }
+  if (this.endsAt && this.endsAt < now) {
+    return { eligible: false, message: 'This promotion code has expired' };
+  }
+  if (this.usageLimit && this.usageCount >= this.usageLimit) {
+    return { eligible: false, message: 'This promotion code has reached its usage limit' };
+  }
+  if (this.minSubtotal && subtotal < this.minSubtotal) {
+    return {
+      eligible: false,
+      message: `This promotion code requires a minimum order of PKR ${this.minSubtotal.toLocaleString()}`
+    };
+  }
+
+  if (this.perCustomerLimit && customerEmail) {
+    const previousRedemptions = await countCustomerOrders(this._id, customerEmail.toLowerCase());
+
+    if (previousRedemptions >= this.perCustomerLimit) {
+      return { eligible: false, message: 'You have already used this promotion code' };
+    }
+  }
+
+  return { eligible: true };
+};
+
+// Calculate the discount for priced order lines and the shipping fee
+promotionSchema.methods.calculateDiscount = function(lines, shippingFee) {
+  if (this.type === 'free_shipping') {
+    return shippingFee;
+  }
+
+  const eligibleSubtotal = lines
+    .filter(line => this.appliesToLine(line))
+    .reduce((sum, line) => sum + line.lineTotal, 0);
+
+  if (this.type === 'percentage') {
+    const discount = eligibleSubtotal * (this.value / 100);
+    return this.maxDiscount ? Math.min(discount, this.maxDiscount) : discount;
+  }
+
+  return Math.min(this.value, eligibleSubtotal);
+};
+
+// Find an active promotion by its customer-facing code
+promotionSchema.statics.findByCode = function(code) {
+  if (!code || typeof code !== 'string') {
+    return null;
+  }
+  return this.findOne({ code: code.trim().toUpperCase() });
+};
+
+// Atomically count a redemption, respecting the global usage limit and, when a
+// customer email is given, the per-customer limit.
+// Returns the updated promotion or null when a limit has been reached.
+promotionSchema.statics.redeem = async function(promotionId, customerEmail) {
+  const claimable = {
+    _id: promotionId,
+    isActive: true,
+    $or: [
+      { usageLimit: { $exists: false } },
+      { usageLimit: null },
+      { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+    ]
+  };
+
+  const promotion = await this.findById(promotionId).select('perCustomerLimit');
+  const limit = promotion?.perCustomerLimit;
+  const email = typeof customerEmail === 'string' ? customerEmail.trim().toLowerCase() : '';
+
+  if (!limit || !email) {
+    return this.findOneAndUpdate(claimable, { $inc: { usageCount: 1 } }, { new: true });
+  }
+
+  // Customer already has a count: raise it while it is under the limit
+  const redeemAgain = () => this.findOneAndUpdate(
+    { ...claimable, customerRedemptions: { $elemMatch: { email, count: { $lt: limit } } } },
+    { $inc: { usageCount: 1, 'customerRedemptions.$.count': 1 } },
+    { new: true }
+  );
+
+  const redeemed = await redeemAgain();
+  if (redeemed) return redeemed;
+
+  // First counted use: start from the orders placed before counts were kept
+  const previous = await countCustomerOrders(promotionId, email);
+  if (previous >= limit) return null;
+
+  const first = await this.findOneAndUpdate(
+    { ...claimable, 'customerRedemptions.email': { $ne: email } },
+    {
+      $inc: { usageCount: 1 },
+      $push: { customerRedemptions: { email, count: previous + 1 } }
+    },
+    { new: true }
+  );
+  if (first) return first;
+
+  // Another order from the same customer added the count first
+  return redeemAgain();
+};
+
+// Give back a redemption (order failed or was cancelled)
+promotionSchema.statics.releaseRedemption = async function(promotionId, customerEmail) {
+  const email = typeof customerEmail === 'string' ? customerEmail.trim().toLowerCase() : '';
+
+  if (email) {
+    const released = await this.updateOne(
+      {
+        _id: promotionId,
+        usageCount: { $gt: 0 },
+        customerRedemptions: { $elemMatch: { email, count: { $gt: 0 } } }
+      },
+      { $inc: { usageCount: -1, 'customerRedemptions.$.count': -1 } }
+    );
+    if (released.modifiedCount > 0) return released;
+  }
+
+  return this.updateOne(
+    { _id: promotionId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } }
+  );
+};
+
+// Discount cost and revenue per promotion, from the orders that redeemed it
+promotionSchema.statics.getRedemptionStats = async function(filter = {}) {
+  const Order = mongoose.model('Order');
+
+  const match = {
+    'promotion.promotionId': { $exists: true },
+    status: { $nin: ['cancelled'] }
+  };
+  if (filter.promotionId) match['promotion.promotionId'] = new mongoose.Types.ObjectId(filter.promotionId);
+  if (filter.startDate || filter.endDate) {
+    match.createdAt = {};
+    if (filter.startDate) match.createdAt.$gte = new Date(filter.startDate);
+    if (filter.endDate) match.createdAt.$lte = new Date(filter.endDate);
+  }
+
+  return Order.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$promotion.promotionId',
+        code: { $first: '$promotion.code' },
+        redemptions: { $sum: 1 },
+        totalDiscount: { $sum: '$promotion.discount' },
+        grossRevenue: { $sum: '$summary.subtotal' },
+        netRevenue: { $sum: '$summary.total' },
+        uniqueCustomers: { $addToSet: '$customer.email' }
+      }
+    },
+    {
+      $project: {
+        code: 1,
+        redemptions: 1,
+        totalDiscount: 1,
+        grossRevenue: 1,
+        netRevenue: 1,
+        uniqueCustomers: { $size: '$uniqueCustomers' }
+      }
+    },
+    { $sort: { totalDiscount: -1 } }
+  ]);
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { RETURN_REASONS, RETURN_WINDOW_DAYS } = require('../config/returns');
+
+// Customer return / RMA request for some or all line items of a delivered order
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    default: function() {
+      return 'RMA' + Date.now().toString(36).toUpperCase() + Math.random().toString(36).substr(2, 3).toUpperCase();
+    }
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  customer: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    }
+  },
+  items: [{
+    // _id of the line in Order.items
+    orderItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variantId: mongoose.Schema.Types.ObjectId,
+    variantLabel: String,
+    name: String,
+    sku: String,
+    unitPrice: { type: Number, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    receivedQuantity: { type: Number, default: 0 },
+    restockedQuantity: { type: Number, default: 0 },
+    condition: {
+      type: String,
+      enum: ['resellable', 'damaged', 'missing']
+    }
+  }],
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  photos: [String],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+    default: 'requested'
+  },
+  refund: {
+    amount: { type: Number, default: 0 },
+    method: String,
+    reference: String,
+    refundedAt: Date,
+    refundedBy: String
+  },
+  adminNote: String,
+  history: [{
+    status: String,
+    note: String,
+    changedBy: String,
+    changedAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.index({ orderId: 1, status: 1 });
+returnRequestSchema.index({ 'customer.userId': 1, createdAt: -1 });
+returnRequestSchema.index({ 'customer.email': 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+// Value of the received items, the default refund amount
+returnRequestSchema.virtual('receivedValue').get(function() {
+  return Math.round(this.items.reduce((sum, item) => sum + item.unitPrice * item.receivedQuantity, 0) * 100) / 100;
+});
+
+returnRequestSchema.set('toJSON', { virtuals: true });
+returnRequestSchema.set('toObject', { virtuals: true });
+
+// Method to move the request to a new status with a history entry
+returnRequestSchema.methods.setStatus = function(status, note, changedBy) {
+  this.status = status;
+  this.history.push({ status, note, changedBy, changedAt: new Date() });
+  return this;
+};
+
+// Static method to check whether an order can still be returned.
+// Returns an error message, or null when it can.
+returnRequestSchema.statics.getReturnWindowError = function(order) {
+  if (order.status !== 'delivered') {
+    return 'Only delivered orders can be returned';
+  }
+
+  const deliveredAt = order.shipping?.deliveredAt || order.updatedAt;
+  const ageDays = (Date.now() - new Date(deliveredAt).getTime()) / (1000 * 60 * 60 * 24);
+  if (ageDays > RETURN_WINDOW_DAYS) {
+    return `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`;
+  }
+
+  return null;
+};
+
+// Static method to get the quantity of each order line already in an open or
+// completed return request (rejected requests don't count)
+returnRequestSchema.statics.getRequestedQuantities = async function(orderId) {
+  const requested = await this.aggregate([
+    { $match: { orderId: new mongoose.Types.ObjectId(orderId), status: { $ne: 'rejected' } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.orderItemId', quantity: { $sum: '$items.quantity' } } }
+  ]);
+
+  return requested.reduce((acc, entry) => {
+    acc[entry._id.toString()] = entry.quantity;
+    return acc;
+  }, {});
+};
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
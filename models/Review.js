@@ -37,10 +37,41 @@ const reviewSchema = new mongoose.Schema({
     default: Date.now
   },
   
+  // Set for reviews tied to a delivered order line (utils/productReviews.js)
   isVerified: {
     type: Boolean,
     default: false
   },
+
+  // How the review was left: by the signed-in customer, through the review link
+  // emailed on delivery, or before reviews were verified (unverified)
+  source: {
+    type: String,
+    enum: ['account', 'review_link', 'legacy']
+  },
+
+  // The purchase being reviewed. One review per order line.
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantLabel: String,
+
+  // _id of the review in the old embedded Product reviews.data list, for reviews
+  // moved over by scripts/migrateEmbeddedReviews.js
+  legacyReviewId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   
   isActive: {
     type: Boolean,
@@ -56,6 +87,9 @@ const reviewSchema = new mongoose.Schema({
 reviewSchema.index({ productId: 1, date: -1 });
 reviewSchema.index({ rating: 1 });
 reviewSchema.index({ isActive: 1 });
+reviewSchema.index({ orderItemId: 1 }, { unique: true, partialFilterExpression: { orderItemId: { $exists: true } } });
+reviewSchema.index({ legacyReviewId: 1 }, { unique: true, partialFilterExpression: { legacyReviewId: { $exists: true } } });
+reviewSchema.index({ userId: 1 });
 
 // Virtual for formatted date
 reviewSchema.virtual('formattedDate').get(function() {
@@ -107,12 +141,16 @@ reviewSchema.methods.updateProductRating = async function() {
   );
 };
 
-// Pre-save middleware to update product rating
-reviewSchema.pre('save', async function(next) {
-  if (this.isNew || this.isModified('rating')) {
+// Update the product rating once the review is saved, so the new review counts
+reviewSchema.pre('save', function(next) {
+  this.$locals.ratingChanged = this.isNew || this.isModified('rating') || this.isModified('isActive');
+  next();
+});
+
+reviewSchema.post('save', async function() {
+  if (this.$locals.ratingChanged) {
     await this.updateProductRating();
   }
-  next();
 });
 
 // Pre-remove middleware to update product rating
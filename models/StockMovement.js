@@ -14,6 +14,12 @@ const stockMovementSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Set for products sold in variants; quantities then refer to the variant's stock
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  variantLabel: String,
   movementType: {
     type: String,
     required: true,
@@ -109,6 +115,7 @@ const stockMovementSchema = new mongoose.Schema({
 
 // Indexes for efficient querying
 stockMovementSchema.index({ productId: 1, timestamp: -1 });
+stockMovementSchema.index({ productId: 1, variantId: 1, timestamp: -1 });
 stockMovementSchema.index({ movementType: 1, timestamp: -1 });
 stockMovementSchema.index({ relatedOrderId: 1 });
 stockMovementSchema.index({ adminId: 1, timestamp: -1 });
@@ -125,8 +132,11 @@ stockMovementSchema.statics.recordMovement = async function(movementData) {
     if (!product) {
       throw new Error('Product not found');
     }
+
+    // Movements of a variant are measured against the variant's own stock
+    const variant = movementData.variantId ? product.variants.id(movementData.variantId) : null;
+    const currentStock = variant ? variant.quantity : product.quantity;
     
-    const quantityBefore = product.quantity || 0;
     let quantityChange = movementData.quantity;
     
     // Determine if this increases or decreases stock
@@ -139,16 +149,31 @@ stockMovementSchema.statics.recordMovement = async function(movementData) {
       quantityChange = Math.abs(quantityChange);
     }
     
-    const quantityAfter = quantityBefore + quantityChange;
+    // When the caller has already applied the change to Product.quantity
+    // (e.g. an atomic $inc), the current stock is the "after" value
+    let quantityBefore;
+    let quantityAfter;
+    if (movementData.quantityAfter !== undefined) {
+      quantityAfter = movementData.quantityAfter;
+      quantityBefore = quantityAfter - quantityChange;
+    } else if (movementData.stockApplied) {
+      quantityAfter = currentStock || 0;
+      quantityBefore = quantityAfter - quantityChange;
+    } else {
+      quantityBefore = currentStock || 0;
+      quantityAfter = quantityBefore + quantityChange;
+    }
     
     // Create movement record
     const movement = new this({
       productId: movementData.productId,
       productName: product.name,
-      productSku: product.sku,
+      productSku: variant?.sku || product.sku,
+      variantId: variant?._id,
+      variantLabel: variant ? product.getVariantLabel(variant) : undefined,
       movementType: movementData.movementType,
       quantity: Math.abs(movementData.quantity),
-      quantityBefore,
+      quantityBefore: Math.max(0, quantityBefore),
       quantityAfter: Math.max(0, quantityAfter),
       unitCost: movementData.unitCost || 0,
       totalValue: (movementData.unitCost || 0) * Math.abs(movementData.quantity),
@@ -167,6 +192,26 @@ stockMovementSchema.statics.recordMovement = async function(movementData) {
     });
     
     await movement.save();
+
+    // Re-evaluate the product's low stock alert after every recorded movement
+    try {
+      await mongoose.model('LowStockAlert').evaluateProduct(movementData.productId, variant?._id);
+    } catch (alertError) {
+      console.error('Failed to evaluate low stock alert:', alertError);
+    }
+
+    // Tell back-in-stock subscribers when a sold-out product is available again
+    try {
+      await mongoose.model('StockSubscription').handleStockChange(
+        movementData.productId,
+        movement.quantityBefore,
+        movement.quantityAfter,
+        variant?._id
+      );
+    } catch (notifyError) {
+      console.error('Failed to send back in stock notifications:', notifyError);
+    }
+
     return movement;
   } catch (error) {
     console.error('Failed to record stock movement:', error);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const emailService = require('../utils/emailService');
+
+// "Notify me when back in stock" subscription for a sold-out product, or for one
+// sold-out variant of it
+const stockSubscriptionSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // null for the product as a whole
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  variantLabel: String,
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
+      'Please provide a valid email address'
+    ]
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  source: {
+    type: String,
+    enum: ['notify_me', 'wishlist'],
+    default: 'notify_me'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'fulfilled', 'cancelled'],
+    default: 'pending'
+  },
+  fulfilledAt: Date
+}, {
+  timestamps: true
+});
+
+// One open subscription per email and product + variant
+stockSubscriptionSchema.index(
+  { productId: 1, variantId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+stockSubscriptionSchema.index({ productId: 1, variantId: 1, status: 1 });
+
+// Static method to subscribe (re-uses an open subscription if there is one)
+stockSubscriptionSchema.statics.subscribe = async function({ productId, variantId = null, variantLabel, email, userId, source = 'notify_me' }) {
+  const existing = await this.findOne({ productId, variantId, email: email.toLowerCase(), status: 'pending' });
+  if (existing) {
+    return existing;
+  }
+  return this.create({ productId, variantId, variantLabel, email, userId, source });
+};
+
+// Static method to email every pending subscriber of a product (variantId null) or
+// of one of its variants, once it is available.
+// Each subscription is claimed before sending so concurrent restocks can't
+// notify twice; it goes back to pending if the email fails.
+stockSubscriptionSchema.statics.notifySubscribers = async function(productId, variantId = null) {
+  const Product = mongoose.model('Product');
+
+  const product = await Product.findById(productId);
+  if (!product || !product.isActive || (product.quantity || 0) <= 0) {
+    return 0;
+  }
+  const variant = variantId ? product.variants.id(variantId) : null;
+  if (variantId && (!variant || variant.isActive === false || (variant.quantity || 0) <= 0)) {
+    return 0;
+  }
+
+  const subscriptions = await this.find({ productId, variantId, status: 'pending' }).select('_id email');
+
+  let notified = 0;
+  for (const subscription of subscriptions) {
+    const claimed = await this.findOneAndUpdate(
+      { _id: subscription._id, status: 'pending' },
+      { $set: { status: 'fulfilled', fulfilledAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    const sent = await emailService.sendBackInStockNotification({
+      email: claimed.email,
+      product,
+      variantLabel: variant ? product.getVariantLabel(variant) : undefined
+    });
+
+    if (sent) {
+      notified++;
+    } else {
+      await this.updateOne(
+        { _id: claimed._id },
+        { $set: { status: 'pending' }, $unset: { fulfilledAt: 1 } }
+      );
+    }
+  }
+
+  return notified;
+};
+
+// Static method to notify subscribers when stock went from zero to positive.
+// With variantId the quantities are that variant's stock; its subscribers are
+// notified, and so are the product's own once the product has stock again.
+stockSubscriptionSchema.statics.handleStockChange = async function(productId, quantityBefore, quantityAfter, variantId = null) {
+  if ((quantityBefore || 0) > 0 || (quantityAfter || 0) <= 0) {
+    return 0;
+  }
+  const notified = variantId ? await this.notifySubscribers(productId, variantId) : 0;
+  return notified + await this.notifySubscribers(productId);
+};
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
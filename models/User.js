@@ -62,6 +62,17 @@ const userSchema = new mongoose.Schema({
     marketing: { type: Boolean, default: false },
     notifications: { type: Boolean, default: true }
   },
+  wishlist: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   role: {
     type: String,
     enum: ['user', 'admin', 'moderator'],
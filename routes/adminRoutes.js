@@ -24,6 +24,7 @@ const {
 const {
   getAllOrders,
   getOrderById,
+  getOrderTransitions,
   updateOrderStatus,
   deleteOrder,
   getOrderAnalytics
@@ -40,14 +41,94 @@ const {
   getProductStockSummary
 } = require('../controllers/adminLogController');
 
-const { authenticateAdmin } = require('../middleware/auth');
-const { uploadMultiple } = require('../middleware/upload');
+const {
+  getAllPromotions,
+  getPromotionAnalytics,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+} = require('../controllers/promotionController');
+
+const {
+  getExchangeRates,
+  setExchangeRate,
+  getExchangeRateHistory
+} = require('../controllers/currencyController');
+
+const {
+  getCartRecoveryStats,
+  getCartRecoveries,
+  runCartRecovery
+} = require('../controllers/cartRecoveryController');
+
+const {
+  getCallQueue,
+  getOrderCalls,
+  logOrderCall
+} = require('../controllers/orderCallController');
+
+const {
+  getOrderShipments,
+  createShipment,
+  updateShipment
+} = require('../controllers/shipmentController');
+
+const {
+  listCouriers,
+  bookOrderShipment,
+  getShipmentLabel,
+  refreshOrderShipmentTracking,
+  syncCourierTracking,
+  syncCourierRemittances,
+  getRemittanceDiscrepancies,
+  importCourierRemittances,
+  getCourierRemittanceImports,
+  getCourierRemittanceImport,
+  getOutstandingCourierCod
+} = require('../controllers/courierController');
+
+const {
+  getOrderInvoice,
+  getOrderPackingSlip
+} = require('../controllers/invoiceController');
+
+const {
+  bulkOrderOperation,
+  getBulkOrderJob,
+  downloadBulkOrderJob
+} = require('../controllers/bulkOrderController');
+
+const {
+  getAllReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn
+} = require('../controllers/returnController');
+
+const {
+  streamAdminEvents
+} = require('../controllers/adminEventController');
+
+const {
+  refreshOrderPaymentStatus,
+  getOrderPayments,
+  getPaymentReconciliation
+} = require('../controllers/paymentController');
+
+const { authenticateAdmin, acceptQueryToken } = require('../middleware/auth');
+const { uploadMultiple, uploadCsv, handleUploadError } = require('../middleware/upload');
 
 // Authentication Routes
 router.post('/login', adminLogin);
 router.post('/register', adminRegister);
 router.post('/refresh-token', refreshToken);
 
+// Real-time Event Stream (EventSource can't set headers, so ?token= is accepted here)
+router.get('/events', acceptQueryToken, authenticateAdmin, streamAdminEvents);
+
 // Protected Admin Routes (require authentication)
 router.use(authenticateAdmin); // All routes below this require authentication
 
@@ -70,10 +151,72 @@ router.delete('/products/:id/images/:imageId', deleteProductImage);
 // Order Management Routes
 router.get('/orders/analytics', getOrderAnalytics);
 router.get('/orders', getAllOrders);
+router.get('/orders/calls/queue', getCallQueue);
+router.post('/orders/bulk', bulkOrderOperation);
+router.get('/orders/bulk/:jobId', getBulkOrderJob);
+router.get('/orders/bulk/:jobId/download', downloadBulkOrderJob);
 router.get('/orders/:id', getOrderById);
+router.get('/orders/:id/transitions', getOrderTransitions);
 router.put('/orders/:id/status', updateOrderStatus);
 router.delete('/orders/:id', deleteOrder);
 
+// COD Confirmation Call Routes
+router.get('/orders/:id/calls', getOrderCalls);
+router.post('/orders/:id/calls', logOrderCall);
+
+// Invoice and Packing Slip Routes
+router.get('/orders/:id/invoice.pdf', getOrderInvoice);
+router.get('/orders/:id/packing-slip.pdf', getOrderPackingSlip);
+
+// Online Payment Routes
+router.get('/payments/reconciliation', getPaymentReconciliation);
+router.get('/orders/:id/payments', getOrderPayments);
+router.post('/orders/:id/payment/refresh', refreshOrderPaymentStatus);
+
+// Shipment (Parcel) Routes
+router.get('/orders/:id/shipments', getOrderShipments);
+router.post('/orders/:id/shipments', createShipment);
+router.put('/orders/:id/shipments/:shipmentId', updateShipment);
+
+// Courier Integration Routes
+router.get('/couriers', listCouriers);
+router.post('/couriers/tracking/sync', syncCourierTracking);
+router.get('/couriers/remittances/discrepancies', getRemittanceDiscrepancies);
+router.get('/couriers/remittances/outstanding', getOutstandingCourierCod);
+router.post('/couriers/remittances/import', uploadCsv, handleUploadError, importCourierRemittances);
+router.get('/couriers/remittances/imports', getCourierRemittanceImports);
+router.get('/couriers/remittances/imports/:importId', getCourierRemittanceImport);
+router.post('/couriers/:code/remittances/sync', syncCourierRemittances);
+router.post('/orders/:id/shipments/:shipmentId/book', bookOrderShipment);
+router.get('/orders/:id/shipments/:shipmentId/label.pdf', getShipmentLabel);
+router.post('/orders/:id/shipments/:shipmentId/tracking/refresh', refreshOrderShipmentTracking);
+
+// Return (RMA) Management Routes
+router.get('/returns', getAllReturns);
+router.get('/returns/:id', getReturnById);
+router.put('/returns/:id/approve', approveReturn);
+router.put('/returns/:id/reject', rejectReturn);
+router.put('/returns/:id/receive', receiveReturn);
+router.post('/returns/:id/refund', refundReturn);
+
+// Promotion Management Routes
+router.get('/promotions/analytics', getPromotionAnalytics);
+router.get('/promotions', getAllPromotions);
+router.get('/promotions/:id', getPromotionById);
+router.post('/promotions', createPromotion);
+router.put('/promotions/:id', updatePromotion);
+router.delete('/promotions/:id', deletePromotion);
+
+// Currency (Exchange Rate) Routes
+router.get('/currencies', getExchangeRates);
+router.put('/currencies/:code/rate', setExchangeRate);
+router.get('/currencies/:code/history', getExchangeRateHistory);
+
+// Cart Recovery Routes
+router.get('/cart-recovery/stats', getCartRecoveryStats);
+router.get('/cart-recovery', getCartRecoveries);
+router.post('/cart-recovery/run', runCartRecovery);
+
 // Admin Action Logging Routes
 router.get('/logs/actions', getAdminActionLogs);
 router.get('/logs/recent', getRecentActions);
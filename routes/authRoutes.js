@@ -9,7 +9,10 @@ const {
   changePassword,
   deleteAccount,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist
 } = require('../controllers/authController');
 const { authenticate } = require('../middleware/userAuth');
 
@@ -58,4 +61,19 @@ router.put('/change-password', authenticate, changePassword);
 // @access  Private
 router.delete('/account', authenticate, deleteAccount);
 
+// @route   GET /api/auth/wishlist
+// @desc    Get user wishlist
+// @access  Private
+router.get('/wishlist', authenticate, getWishlist);
+
+// @route   POST /api/auth/wishlist
+// @desc    Add product to wishlist
+// @access  Private
+router.post('/wishlist', authenticate, addToWishlist);
+
+// @route   DELETE /api/auth/wishlist/:productId
+// @desc    Remove product from wishlist
+// @access  Private
+router.delete('/wishlist/:productId', authenticate, removeFromWishlist);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,485 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const CartRecovery = require('../models/CartRecovery');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { roundAmount } = require('../utils/pricingEngine');
+const { placeOrder } = require('../utils/orderPlacement');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Guests identify their cart with the X-Cart-Token header
+const getCartToken = (req) => {
+  return req.header('X-Cart-Token') || req.body?.cartToken || req.query.cartToken;
+};
+
+const findCart = (req) => {
+  return Cart.findActiveCart({
+    userId: req.user?._id,
+    cartToken: getCartToken(req)
+  });
+};
+
+// Shape the cart for the storefront
+const formatCart = (cart, issues = []) => {
+  const items = cart ? cart.items.map(item => ({
+    productId: item.productId,
+    variantId: item.variantId,
+    variantLabel: item.variantLabel,
+    name: item.name,
+    price: item.price,
+    quantity: item.quantity,
+    image: item.image,
+    sku: item.sku,
+    lineTotal: roundAmount(item.price * item.quantity)
+  })) : [];
+
+  return {
+    cartToken: cart && !cart.userId ? cart.cartToken : undefined,
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: roundAmount(items.reduce((sum, item) => sum + item.lineTotal, 0)),
+    issues
+  };
+};
+
+// Validate a quantity from the request body
+const parseQuantity = (value, { allowZero = false } = {}) => {
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity < (allowZero ? 0 : 1)) {
+    return null;
+  }
+  return quantity;
+};
+
+// @desc    Get the current cart (re-priced against the catalog)
+// @route   GET /api/cart
+// @access  Public (with optional authentication)
+const getCart = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    const issues = cart ? await cart.refreshFromCatalog() : [];
+
+    res.status(200).json({
+      success: true,
+      data: formatCart(cart, issues)
+    });
+
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Add a product to the cart
+// @route   POST /api/cart/items
+// @access  Public (with optional authentication)
+const addCartItem = async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const quantity = parseQuantity(req.body.quantity ?? 1);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId) || !quantity) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid productId and quantity are required'
+      });
+    }
+
+    const product = await Product.findOne({ _id: productId, isActive: true });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found or no longer available'
+      });
+    }
+
+    // Products sold in variants need a selected variant
+    const hasVariants = product.variants && product.variants.length > 0;
+    const variant = hasVariants ? product.findVariant(variantId) : null;
+    if (hasVariants && !variant) {
+      return res.status(400).json({
+        success: false,
+        message: `Please choose options for ${product.name}`
+      });
+    }
+
+    let cart = await findCart(req);
+    if (!cart) {
+      cart = new Cart(req.user
+        ? { userId: req.user._id }
+        : { cartToken: Cart.generateToken() });
+    }
+
+    const inCart = cart.findItem(product._id, variant?._id)?.quantity || 0;
+    const available = Math.max(0, (variant ? variant.quantity : product.quantity) || 0);
+    if (inCart + quantity > available) {
+      return res.status(409).json({
+        success: false,
+        message: `Insufficient stock for ${product.name}. Available: ${available}`,
+        data: { available, inCart }
+      });
+    }
+
+    cart.addItem(product, quantity, variant);
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Item added to cart',
+      data: formatCart(cart)
+    });
+
+  } catch (error) {
+    console.error('Add cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update the quantity of a cart item (0 removes it)
+// @route   PUT /api/cart/items/:productId
+// @access  Public (with optional authentication)
+const updateCartItem = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const variantId = req.body.variantId || req.query.variantId || null;
+    const quantity = parseQuantity(req.body.quantity, { allowZero: true });
+
+    if (quantity === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a whole number of 0 or more'
+      });
+    }
+
+    const cart = await findCart(req);
+    if (!cart || !cart.findItem(productId, variantId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in cart'
+      });
+    }
+
+    if (quantity > 0) {
+      const product = await Product.findOne({ _id: productId, isActive: true });
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found or no longer available'
+        });
+      }
+
+      const variant = variantId ? product.findVariant(variantId) : null;
+      if (variantId && !variant) {
+        return res.status(404).json({
+          success: false,
+          message: 'The selected option is no longer available'
+        });
+      }
+
+      const available = Math.max(0, (variant ? variant.quantity : product.quantity) || 0);
+      if (quantity > available) {
+        return res.status(409).json({
+          success: false,
+          message: `Insufficient stock for ${product.name}. Available: ${available}`,
+          data: { available }
+        });
+      }
+
+      cart.findItem(productId, variantId).price = variant?.price ?? product.price;
+    }
+
+    cart.setItemQuantity(productId, quantity, variantId);
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart updated',
+      data: formatCart(cart)
+    });
+
+  } catch (error) {
+    console.error('Update cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Remove a product from the cart
+// @route   DELETE /api/cart/items/:productId
+// @access  Public (with optional authentication)
+const removeCartItem = async (req, res) => {
+  try {
+    const variantId = req.body?.variantId || req.query.variantId || null;
+    const cart = await findCart(req);
+    if (!cart || !cart.setItemQuantity(req.params.productId, 0, variantId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in cart'
+      });
+    }
+
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Item removed from cart',
+      data: formatCart(cart)
+    });
+
+  } catch (error) {
+    console.error('Remove cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Empty the cart
+// @route   DELETE /api/cart
+// @access  Public (with optional authentication)
+const clearCart = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (cart) {
+      cart.items = [];
+      cart.lastActivityAt = new Date();
+      await cart.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart cleared',
+      data: formatCart(cart)
+    });
+
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Put a cart claimed for checkout back to active after the order failed
+const releaseCheckoutClaim = async (cart) => {
+  try {
+    await Cart.updateOne({ _id: cart._id, status: 'checking_out' }, { $set: { status: 'active' } });
+  } catch (releaseError) {
+    // e.g. the user started another active cart meanwhile
+    console.error('Failed to release cart checkout claim:', releaseError);
+  }
+};
+
+// @desc    Place an order from the cart
+// @route   POST /api/cart/checkout
+// @access  Public (with optional authentication)
+const checkoutCart = async (req, res) => {
+  try {
+    const { customer, shipping, payment, notes, promotionCode, currency, marketingConsent } = req.body;
+
+    const cart = await findCart(req);
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    // Keep the contact details so an abandoned checkout can be followed up
+    if (customer?.email) {
+      cart.email = customer.email;
+      cart.customerName = customer.name;
+      cart.marketingConsent = marketingConsent === true;
+      cart.lastActivityAt = new Date();
+      await cart.save();
+    }
+
+    // Make sure the shopper sees any price or availability change before paying
+    const issues = await cart.refreshFromCatalog();
+    const blocking = issues.filter(issue => issue.issue !== 'price_changed');
+    if (blocking.length > 0 || cart.items.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in your cart are no longer available in the requested quantity',
+        data: formatCart(cart, issues)
+      });
+    }
+
+    // Claim the cart so a double submit can't place two orders from it
+    const claimed = await Cart.findOneAndUpdate(
+      { _id: cart._id, status: 'active' },
+      { $set: { status: 'checking_out' } }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This cart is already being checked out'
+      });
+    }
+
+    let result;
+    try {
+      result = await placeOrder({
+        customer,
+        items: cart.items.map(item => ({
+          productId: item.productId,
+          variantId: item.variantId,
+          quantity: item.quantity,
+          image: item.image
+        })),
+        shipping,
+        payment,
+        notes,
+        promotionCode,
+        currency,
+        user: req.user,
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        }
+      });
+    } finally {
+      // Give the claim back when no order was placed, so the shopper can try again
+      if (!result?.success) {
+        await releaseCheckoutClaim(cart);
+      }
+    }
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { order } = result;
+
+    cart.status = 'converted';
+    cart.convertedOrderId = order._id;
+    cart.convertedAt = new Date();
+    await cart.save();
+
+    // Credit the conversion to any reminder emails sent for this cart
+    try {
+      await CartRecovery.markRecovered({ cartId: cart._id }, order);
+    } catch (recoveryError) {
+      console.error('Failed to record cart recovery:', recoveryError);
+    }
+
+    await order.populate('items.productId', 'name images sku category');
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: order
+    });
+
+  } catch (error) {
+    console.error('Cart checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Restore a cart or pending checkout from a reminder email link
+// @route   GET /api/cart/restore/:token
+// @access  Public (with optional authentication)
+const restoreCart = async (req, res) => {
+  try {
+    const recovery = await CartRecovery.findOne({ token: req.params.token });
+    if (!recovery) {
+      return res.status(404).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    recovery.clickCount += 1;
+    recovery.lastClickedAt = new Date();
+    await recovery.save();
+
+    if (recovery.sourceType === 'order') {
+      const order = await Order.findById(recovery.orderId).select('orderNumber status');
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          sourceType: 'order',
+          orderNumber: order.orderNumber,
+          status: order.status
+        }
+      });
+    }
+
+    const cart = await Cart.findById(recovery.cartId);
+    if (!cart || cart.status !== 'active') {
+      return res.status(410).json({
+        success: false,
+        message: 'This cart has already been checked out'
+      });
+    }
+
+    // Account carts are only handed to their owner
+    if (cart.userId && (!req.user || req.user._id.toString() !== cart.userId.toString())) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          sourceType: 'cart',
+          requiresLogin: true
+        }
+      });
+    }
+
+    const issues = await cart.refreshFromCatalog();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sourceType: 'cart',
+        requiresLogin: false,
+        ...formatCart(cart, issues)
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Routes - all cart routes work for guests (cart token) and logged-in users
+router.use(optionalAuth);
+
+router.get('/', getCart);
+router.delete('/', clearCart);
+router.post('/items', addCartItem);
+router.put('/items/:productId', updateCartItem);
+router.delete('/items/:productId', removeCartItem);
+router.post('/checkout', checkoutCart);
+router.get('/restore/:token', restoreCart);
+
+module.exports = router;
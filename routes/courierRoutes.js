@@ -0,0 +1,9 @@
+const express = require('express');
+const { receiveCourierWebhook } = require('../controllers/courierController');
+
+const router = express.Router();
+
+// Courier status webhooks - each adapter verifies its own signature
+router.post('/:code/webhook', receiveCourierWebhook);
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
-const emailService = require('../utils/emailService');
+const { buildQuote, getShippingMethods } = require('../utils/pricingEngine');
+const { placeOrder } = require('../utils/orderPlacement');
+const { resolveDisplayCurrency, convertSummary } = require('../utils/currency');
+const { generateInvoice, verifyInvoiceToken, getInvoiceDownloadPath } = require('../utils/orderDocuments');
+const { transitionOrder } = require('../utils/orderStateMachine');
 const { authenticate, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -11,154 +14,89 @@ const router = express.Router();
 // @access  Public (with optional authentication)
 const createOrder = async (req, res) => {
   try {
-    const { customer, items, summary, payment, notes } = req.body;
+    const { customer, items, shipping, payment, notes, promotionCode, currency } = req.body;
+
+    const result = await placeOrder({
+      customer,
+      items,
+      shipping,
+      payment,
+      notes,
+      promotionCode,
+      currency,
+      user: req.user,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
 
-    // Validate required fields
-    if (!customer || !items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({
+    if (!result.success) {
+      return res.status(result.statusCode).json({
         success: false,
-        message: 'Customer information and order items are required'
+        message: result.message
       });
     }
 
-    // Validate customer data
-    if (!customer.name || !customer.email || !customer.phone) {
-      return res.status(400).json({
-        success: false,
-        message: 'Customer name, email, and phone are required'
-      });
-    }
+    const { order } = result;
 
-    // Validate address
-    if (!customer.address || !customer.address.street || !customer.address.city) {
-      return res.status(400).json({
-        success: false,
-        message: 'Complete address is required'
-      });
-    }
-
-    // Validate items
-    for (const item of items) {
-      if (!item.productId || !item.name || !item.price || !item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: 'Each item must have productId, name, price, and quantity'
-        });
-      }
-    }
+    // Populate product details for response
+    await order.populate('items.productId', 'name images sku category');
 
-    // Get product details to verify prices and stock
-    const productIds = items.map(item => item.productId);
-    const products = await Product.find({ _id: { $in: productIds } });
-
-    // Validate prices and stock (skip stock validation for now as not all products have stock field)
-    for (const orderItem of items) {
-      const product = products.find(p => p._id.toString() === orderItem.productId);
-      
-      if (!product) {
-        return res.status(400).json({
-          success: false,
-          message: `Product ${orderItem.name} not found`
-        });
-      }
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: order
+    });
 
-      // Price validation (allow some tolerance for currency conversion)
-      if (Math.abs(product.price - orderItem.price) > 1) {
-        return res.status(400).json({
-          success: false,
-          message: `Price mismatch for ${product.name}. Current price: Rs.${product.price}`
-        });
-      }
+  } catch (error) {
+    console.error('Create order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
 
-      // Stock validation (only if product has stock field)
-      if (product.quantity !== undefined && product.quantity < orderItem.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.quantity}`
-        });
-      }
-    }
+// @desc    Get a priced quote for a prospective order
+// @route   POST /api/orders/quote
+// @access  Public
+const getOrderQuote = async (req, res) => {
+  try {
+    const { items, shippingMethod = 'standard', promotionCode, email, currency } = req.body;
 
-    // Prepare customer data with user ID if authenticated
-    const customerData = {
-      name: customer.name,
-      email: customer.email.toLowerCase(),
-      phone: customer.phone,
-      address: customer.address
-    };
-
-    // If user is authenticated via JWT token, add userId to customer data
-    if (req.user && req.user._id) {
-      customerData.userId = req.user._id;
-    }
-    // If userId is provided in customer data (from frontend), use it
-    else if (customer.userId) {
-      customerData.userId = customer.userId;
+    const display = await resolveDisplayCurrency(currency);
+    if (!display.success) {
+      return res.status(400).json({
+        success: false,
+        message: display.message
+      });
     }
 
-    // Create order
-    const order = new Order({
-      customer: customerData,
-      items: items.map(item => ({
-        productId: item.productId,
-        name: item.name,
-        price: item.price,
-        quantity: item.quantity,
-        image: item.image,
-        sku: item.sku
-      })),
-      summary: {
-        subtotal: summary.subtotal,
-        tax: summary.tax || 0,
-        shipping: summary.shipping || 0,
-        discount: summary.discount || 0,
-        total: summary.total
-      },
-      payment: {
-        method: payment.method || 'cod',
-        status: payment.status || 'pending'
-      },
-      notes: {
-        customer: notes?.customer || ''
-      },
-      status: 'pending'
+    const pricing = await buildQuote({
+      items,
+      shippingMethod,
+      promotionCode,
+      customerEmail: email
     });
-
-    // Calculate totals to verify
-    order.calculateTotals();
-    
-    await order.save();
-
-    // Update product stock only if product has quantity field
-    for (const orderItem of items) {
-      const product = products.find(p => p._id.toString() === orderItem.productId);
-      if (product && product.quantity !== undefined) {
-        await Product.findByIdAndUpdate(
-          orderItem.productId,
-          { $inc: { quantity: -orderItem.quantity } }
-        );
-      }
-    }
-
-    // Send order confirmation email
-    try {
-      await emailService.sendOrderConfirmation(order);
-    } catch (emailError) {
-      console.error('Failed to send order confirmation email:', emailError);
-      // Continue with order creation even if email fails
+    if (!pricing.success) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.message
+      });
     }
 
-    // Populate product details for response
-    await order.populate('items.productId', 'name images sku category');
-
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'Order created successfully',
-      data: order
+      data: {
+        ...pricing.quote,
+        ...(display.currency && { displayCurrency: convertSummary(pricing.quote.summary, display.currency) }),
+        shippingMethods: getShippingMethods()
+      }
     });
 
   } catch (error) {
-    console.error('Create order error:', error);
+    console.error('Get order quote error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -209,7 +147,7 @@ const getOrderTracking = async (req, res) => {
     const { orderNumber } = req.params;
 
     const order = await Order.findOne({ orderNumber })
-      .select('orderNumber status timeline shipping.trackingNumber shipping.estimatedDelivery createdAt');
+      .select('orderNumber status fulfillmentStatus timeline shipping.trackingNumber shipping.estimatedDelivery shipments createdAt');
 
     if (!order) {
       return res.status(404).json({
@@ -224,8 +162,26 @@ const getOrderTracking = async (req, res) => {
         orderNumber: order.orderNumber,
         status: order.status,
         timeline: order.timeline,
+        fulfillmentStatus: order.fulfillmentStatus,
         trackingNumber: order.shipping?.trackingNumber,
         estimatedDelivery: order.shipping?.estimatedDelivery,
+        // One entry per parcel, each with its own items and status timeline
+        shipments: order.shipments
+          .filter(shipment => shipment.status !== 'cancelled')
+          .map(shipment => ({
+            shipmentNumber: shipment.shipmentNumber,
+            status: shipment.status,
+            courier: shipment.courier,
+            trackingNumber: shipment.trackingNumber,
+            shippedAt: shipment.shippedAt,
+            deliveredAt: shipment.deliveredAt,
+            items: shipment.items.map(item => ({
+              name: item.name,
+              variantLabel: item.variantLabel,
+              quantity: item.quantity
+            })),
+            timeline: shipment.timeline
+          })),
         orderDate: order.createdAt
       }
     });
@@ -263,6 +219,7 @@ const getOrdersByUserId = async (req, res) => {
     const orderData = orders.map(order => {
       const data = order.toObject();
       delete data.notes?.admin;
+      data.invoiceUrl = getInvoiceDownloadPath(order);
       return data;
     });
 
@@ -343,6 +300,7 @@ const trackGuestOrder = async (req, res) => {
     // Remove sensitive admin information
     const orderData = order.toObject();
     delete orderData.notes?.admin;
+    orderData.invoiceUrl = getInvoiceDownloadPath(order);
 
     res.status(200).json({
       success: true,
@@ -379,6 +337,7 @@ const getMyOrders = async (req, res) => {
     const orderData = orders.map(order => {
       const data = order.toObject();
       delete data.notes?.admin;
+      data.invoiceUrl = getInvoiceDownloadPath(order);
       return data;
     });
 
@@ -396,6 +355,108 @@ const getMyOrders = async (req, res) => {
   }
 };
 
+// @desc    Download an order's invoice
+// @route   GET /api/orders/:orderNumber/invoice.pdf
+// @access  Public with the signed ?token= from invoiceUrl, or the order's own customer
+const downloadInvoice = async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderNumber: req.params.orderNumber });
+
+    const isOwner = order && req.user && order.customer.userId?.equals(req.user._id);
+    if (!order || (!isOwner && !verifyInvoiceToken(order.orderNumber, req.query.token))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (!order.isInvoiceable()) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invoice is not available for this order yet'
+      });
+    }
+
+    await order.assignInvoiceNumber();
+    const pdf = await generateInvoice(order);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${order.invoice.number}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Cancel an order as the customer
+// @route   POST /api/orders/:orderNumber/cancel
+// @access  Public (order owner, or order number + email for guests)
+const cancelMyOrder = async (req, res) => {
+  try {
+    const { email, reason } = req.body;
+
+    const order = await Order.findOne({ orderNumber: req.params.orderNumber });
+
+    const isOwner = order && req.user && order.customer.userId?.equals(req.user._id);
+    const emailMatches = order && typeof email === 'string' && email.toLowerCase().trim() === order.customer.email;
+    if (!order || (!isOwner && !emailMatches)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found. Please check your order number and email address.'
+      });
+    }
+
+    // A repeated click, or an admin who cancelled it first
+    if (order.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: 'This order has already been cancelled'
+      });
+    }
+
+    // transitionOrder claims the status atomically, so a racing cancel can't
+    // restock the order twice
+    const cleanReason = typeof reason === 'string' ? reason.trim().slice(0, 500) : '';
+    const result = await transitionOrder(order, 'cancelled', {
+      note: cleanReason ? `Cancelled by customer: ${cleanReason}` : 'Cancelled by customer',
+      updatedBy: `Customer (${order.customer.name})`,
+      source: 'customer'
+    });
+
+    if (!result.success) {
+      return res.status(result.conflict ? 409 : 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    // Remove sensitive admin information
+    const orderData = order.toObject();
+    delete orderData.notes?.admin;
+
+    res.status(200).json({
+      success: true,
+      message: 'Your order has been cancelled',
+      data: orderData
+    });
+
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // @desc    Get all orders (simplified version for frontend)
 // @route   GET /api/orders
 // @access  Public (for basic order listing)
@@ -434,11 +495,14 @@ const getAllOrdersPublic = async (req, res) => {
 // Routes - Order specific routes before parameterized ones
 router.get('/', getAllOrdersPublic);  // Add this route for general order listing
 router.post('/', optionalAuth, createOrder);  // Optional auth to allow both logged-in and guest orders
+router.post('/quote', getOrderQuote);  // Public route for server-side pricing
 router.get('/my-orders', authenticate, getMyOrders);  // Protected route for authenticated users
 router.get('/user/:userId', authenticate, getOrdersByUserId);  // Protected route
 router.get('/by-email/:email', getOrdersByEmail);  // Public route for email-based lookup
 router.post('/track-guest', trackGuestOrder);  // Public route for guest order tracking
 router.get('/:orderNumber/tracking', getOrderTracking);
+router.get('/:orderNumber/invoice.pdf', optionalAuth, downloadInvoice);
+router.post('/:orderNumber/cancel', optionalAuth, cancelMyOrder);  // Owner, or guest with order email
 router.get('/:orderNumber', getOrderByNumber);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,44 +1,29 @@
 const express = require('express');
-const crypto = require('crypto');
-const axios = require('axios');
 const Order = require('../models/Order');
-const emailService = require('../utils/emailService');
-const { google } = require('googleapis');
+const {
+  initializeOrderPayment,
+  handleGatewayCallback,
+  processStripeEvent
+} = require('../utils/paymentOperations');
+const { recordPaymentTransaction } = require('../utils/paymentLedger');
+const { getGateway, getEnabledGateways } = require('../utils/paymentGateways');
+const simulator = require('../utils/paymentGateways/simulator');
+const { PAYMENT_SIMULATOR } = require('../config/payments');
 
 const router = express.Router();
 
-// Payment Gateway Configurations - Updated for new payment methods
-const PAYMENT_GATEWAYS = {
-  mastercard: {
-    // Mastercard/Credit Card processing via Stripe or similar
-    apiKey: process.env.STRIPE_SECRET_KEY || process.env.MASTERCARD_API_KEY,
-    apiUrl: 'https://api.stripe.com/v1/payment_intents',
-    publicKey: process.env.STRIPE_PUBLISHABLE_KEY || process.env.MASTERCARD_PUBLIC_KEY,
-    returnUrl: `${process.env.FRONTEND_URL}/payment/callback/mastercard`
-  },
-  googlepay: {
-    // Google Pay integration
-    merchantId: process.env.GOOGLEPAY_MERCHANT_ID,
-    environment: process.env.NODE_ENV === 'production' ? 'PRODUCTION' : 'TEST',
-    apiUrl: 'https://pay.google.com/gp/p/ui/pay',
-    returnUrl: `${process.env.FRONTEND_URL}/payment/callback/googlepay`
-  },
-  faysal: {
-    // Faysal Bank - Temporarily disabled
-    merchantId: process.env.FAYSAL_MERCHANT_ID,
-    password: process.env.FAYSAL_PASSWORD,
-    apiUrl: 'https://faysalbank.com/ecommerce/api/payment',
-    returnUrl: `${process.env.FRONTEND_URL}/payment/callback/faysal`,
-    enabled: false // Temporarily disabled
-  }
-};
+// Payment gateways live in utils/paymentGateways (one adapter per gateway) and are
+// configured in config/payments.js
+
+// Payment methods currently offered at checkout: 'cod' and each enabled gateway's code
+const getSupportedMethods = () => ['cod', ...getEnabledGateways().map(gateway => gateway.code)];
 
 // @desc    Initialize payment with selected gateway
 // @route   POST /api/payments/initialize
 // @access  Public
 const initializePayment = async (req, res) => {
   try {
-    const { orderNumber, paymentMethod, amount, currency = 'PKR' } = req.body;
+    const { orderNumber, paymentMethod, amount, currency } = req.body;
 
     // Validate required fields
     if (!orderNumber || !paymentMethod || !amount) {
@@ -49,11 +34,11 @@ const initializePayment = async (req, res) => {
     }
 
     // Check if payment method is supported
-    const supportedMethods = ['cod'];
+    const supportedMethods = getSupportedMethods();
     if (!supportedMethods.includes(paymentMethod)) {
       return res.status(400).json({
         success: false,
-        message: 'We currently accept Cash on Delivery (COD) only. Other payment methods are not available at this time.'
+        message: 'Unsupported payment method. Available methods: ' + supportedMethods.join(', ')
       });
     }
 
@@ -66,33 +51,60 @@ const initializePayment = async (req, res) => {
       });
     }
 
-    // Verify amount matches order total
-    if (parseFloat(amount) !== order.summary.total) {
+    // Verify amount matches order total - in PKR, or in the currency the order was
+    // placed in. Either way the gateway charges the PKR total.
+    const code = String(currency || 'PKR').toUpperCase();
+    const expectedAmount = code === 'PKR'
+      ? order.summary.total
+      : (order.displayCurrency?.code === code ? order.displayCurrency.total : null);
+    if (expectedAmount === null) {
+      return res.status(400).json({
+        success: false,
+        message: `This order can be paid in PKR` + (order.displayCurrency?.code ? ` or ${order.displayCurrency.code}` : '')
+      });
+    }
+    if (parseFloat(amount) !== expectedAmount) {
       return res.status(400).json({
         success: false,
         message: 'Payment amount does not match order total'
       });
     }
 
-    let paymentResponse;
+    if (['paid', 'partially_refunded', 'refunded'].includes(order.payment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This order has already been paid'
+      });
+    }
 
-    switch (paymentMethod) {
-      case 'cod':
-        paymentResponse = await processCOD(order);
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'We currently accept Cash on Delivery (COD) only. Other payment methods are not available at this time.'
-        });
+    if (['cancelled', 'returned'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This order is ${order.status}`
+      });
     }
 
-    // Update order with payment information
-    order.payment.method = paymentMethod;
-    order.payment.transactionId = paymentResponse.transactionId;
-    order.payment.status = 'processing';
-    order.payment.gatewayResponse = paymentResponse.gatewayResponse || {};
-    await order.save();
+    let paymentResponse;
+
+    if (paymentMethod === 'cod') {
+      paymentResponse = await processCOD(order);
+      order.payment.method = 'cod';
+      order.payment.gateway = undefined;
+      order.payment.transactionId = paymentResponse.transactionId;
+      // Collected by the courier; the capture is recorded when the order is delivered
+      await recordPaymentTransaction(order, {
+        type: 'authorize',
+        status: 'pending',
+        gateway: 'cod',
+        amount: order.summary.total,
+        transactionId: paymentResponse.transactionId,
+        source: 'checkout'
+      });
+      await order.save();
+    } else {
+      // Marked paid only once the gateway confirms
+      paymentResponse = await initializeOrderPayment(order, paymentMethod);
+    }
 
     res.json({
       success: true,
@@ -110,98 +122,6 @@ const initializePayment = async (req, res) => {
   }
 };
 
-// Mastercard/Credit Card Payment Integration
-const initializeMastercard = async (order, amount) => {
-  const config = PAYMENT_GATEWAYS.mastercard;
-  const transactionId = `MC${Date.now()}${Math.random().toString(36).substr(2, 5)}`;
-  
-  try {
-    // For Stripe integration
-    const paymentIntent = {
-      amount: Math.round(amount * 100), // Convert to smallest currency unit
-      currency: 'pkr',
-      payment_method_types: ['card'],
-      metadata: {
-        orderId: order._id.toString(),
-        orderNumber: order.orderNumber,
-        customerEmail: order.customer.email
-      },
-      receipt_email: order.customer.email,
-      description: `Payment for Order ${order.orderNumber} - Prince Vibe`
-    };
-
-    // In a real implementation, you would make an API call to Stripe here
-    // const stripeResponse = await axios.post(config.apiUrl, paymentIntent, {
-    //   headers: {
-    //     'Authorization': `Bearer ${config.apiKey}`,
-    //     'Content-Type': 'application/json'
-    //   }
-    // });
-
-    return {
-      transactionId,
-      paymentUrl: `${process.env.FRONTEND_URL}/payment/card-form`,
-      method: 'GET',
-      params: {
-        orderId: order._id,
-        amount: amount,
-        currency: 'PKR'
-      },
-      redirectUrl: `${process.env.FRONTEND_URL}/payment/card-form?order=${order._id}&amount=${amount}`
-    };
-  } catch (error) {
-    console.error('Mastercard payment initialization error:', error);
-    throw new Error('Failed to initialize Mastercard payment');
-  }
-};
-
-// Google Pay Payment Integration
-const initializeGooglePay = async (order, amount) => {
-  const config = PAYMENT_GATEWAYS.googlepay;
-  const transactionId = `GP${Date.now()}${Math.random().toString(36).substr(2, 5)}`;
-  
-  try {
-    const paymentData = {
-      apiVersion: 2,
-      apiVersionMinor: 0,
-      allowedPaymentMethods: [{
-        type: 'CARD',
-        parameters: {
-          allowedAuthMethods: ['PAN_ONLY', 'CRYPTOGRAM_3DS'],
-          allowedCardNetworks: ['MASTERCARD', 'VISA']
-        },
-        tokenizationSpecification: {
-          type: 'PAYMENT_GATEWAY',
-          parameters: {
-            gateway: 'stripe',
-            gatewayMerchantId: config.merchantId
-          }
-        }
-      }],
-      transactionInfo: {
-        totalPrice: amount.toString(),
-        totalPriceStatus: 'FINAL',
-        currencyCode: 'PKR',
-        transactionId: transactionId
-      },
-      merchantInfo: {
-        merchantName: 'Prince Vibe',
-        merchantId: config.merchantId
-      }
-    };
-
-    return {
-      transactionId,
-      paymentData,
-      environment: config.environment,
-      redirectUrl: `${process.env.FRONTEND_URL}/payment/googlepay?order=${order._id}&amount=${amount}`
-    };
-  } catch (error) {
-    console.error('Google Pay payment initialization error:', error);
-    throw new Error('Failed to initialize Google Pay payment');
-  }
-};
-
 // Cash on Delivery Processing
 const processCOD = async (order) => {
   const transactionId = `COD${Date.now()}${Math.random().toString(36).substr(2, 5)}`;
@@ -221,62 +141,50 @@ const processCOD = async (order) => {
   }
 };
 
-// @desc    Handle payment callbacks from gateways
+// @desc    Handle the customer returning from a gateway (JazzCash posts the result,
+//          Easypaisa redirects with it in the query string)
 // @route   POST /api/payments/callback/:gateway
-// @access  Public
+// @route   GET  /api/payments/callback/:gateway
+// @access  Public (each adapter verifies the gateway's integrity check)
 const handlePaymentCallback = async (req, res) => {
   try {
     const { gateway } = req.params;
-    const callbackData = req.body;
-
-    let verificationResult;
-
-    switch (gateway) {
-      case 'mastercard':
-        verificationResult = await verifyMastercardPayment(callbackData);
-        break;
-      case 'googlepay':
-        verificationResult = await verifyGooglePayPayment(callbackData);
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid payment gateway'
-        });
-    }
 
-    if (verificationResult.success) {
-      // Update order status
-      const order = await Order.findById(verificationResult.orderId);
-      if (order) {
-        order.payment.status = 'completed';
-        order.payment.completedAt = new Date();
-        order.payment.gatewayResponse = verificationResult.gatewayResponse;
-        order.status = 'confirmed';
-        await order.save();
-
-        // Send confirmation email
-        await emailService.sendPaymentConfirmation(order);
-
-        res.json({
-          success: true,
-          message: 'Payment verified successfully',
-          orderId: order._id
-        });
-      } else {
-        res.status(404).json({
-          success: false,
-          message: 'Order not found'
-        });
-      }
-    } else {
-      res.status(400).json({
+    let result;
+    try {
+      result = await handleGatewayCallback(gateway, { body: req.body || {}, query: req.query });
+    } catch (verificationError) {
+      console.error(`Payment callback rejected (${gateway}):`, verificationError.message);
+      return res.status(400).json({
         success: false,
         message: 'Payment verification failed',
-        error: verificationResult.error
+        error: verificationError.message
       });
     }
 
+    // A customer's browser is sent on to the storefront's result page
+    if (req.accepts(['json', 'html']) === 'html') {
+      const params = new URLSearchParams({
+        order: result.orderNumber || '',
+        status: result.paymentStatus || 'unknown'
+      });
+      return res.redirect(`${process.env.FRONTEND_URL}/payment/result?${params}`);
+    }
+
+    if (!result.matched) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: result.paymentStatus === 'paid',
+      message: result.paymentStatus === 'paid' ? 'Payment verified successfully' : `Payment ${result.paymentStatus}`,
+      orderId: result.orderId,
+      data: result
+    });
+
   } catch (error) {
     console.error('Payment callback error:', error);
     res.status(500).json({
@@ -286,49 +194,98 @@ const handlePaymentCallback = async (req, res) => {
   }
 };
 
-// Verify Mastercard/Stripe payment
-const verifyMastercardPayment = async (data) => {
+// @desc    Receive Stripe webhook events (payment succeeded / failed, refunds)
+// @route   POST /api/payments/webhook/stripe
+// @access  Public (verified with the Stripe-Signature header)
+const handleStripeWebhook = async (req, res) => {
   try {
-    // In a real implementation, verify the payment with Stripe API
-    // const verification = await stripe.paymentIntents.retrieve(data.payment_intent);
-    
-    return {
+    let event;
+    try {
+      event = getGateway('stripe').constructWebhookEvent(req.rawBody, req.get('Stripe-Signature'));
+    } catch (webhookError) {
+      console.error('Stripe webhook rejected:', webhookError.message);
+      return res.status(400).json({
+        success: false,
+        message: webhookError.message
+      });
+    }
+
+    const result = await processStripeEvent(event);
+
+    // Events for unknown orders are acknowledged so Stripe stops retrying
+    res.status(200).json({
       success: true,
-      orderId: data.orderId,
-      transactionId: data.transactionId,
-      gatewayResponse: data
-    };
+      data: { eventId: event.id, type: event.type, ...result }
+    });
+
   } catch (error) {
-    return {
+    console.error('Stripe webhook error:', error);
+    res.status(500).json({
       success: false,
-      error: error.message
-    };
+      message: 'Internal server error'
+    });
   }
 };
 
-// Verify Google Pay payment
-const verifyGooglePayPayment = async (data) => {
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// @desc    Simulated hosted checkout of a wallet gateway: checks the signed request and
+//          sends the customer back with a signed result. ?outcome=failed declines it.
+// @route   POST /api/payments/simulator/:gateway/checkout
+// @access  Public (PAYMENT_SIMULATOR only)
+const simulatorCheckout = (req, res) => {
+  let callback;
   try {
-    // In a real implementation, verify the Google Pay token
-    // This would involve decrypting and validating the payment token
-    
-    return {
+    callback = simulator.checkout(req.params.gateway, req.body, req.query.outcome);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  // Tests read the result directly
+  if (req.accepts(['json', 'html']) === 'json') {
+    return res.json({
       success: true,
-      orderId: data.orderId,
-      transactionId: data.transactionId,
-      gatewayResponse: data
-    };
+      data: callback
+    });
+  }
+
+  if (callback.method === 'GET') {
+    return res.redirect(`${callback.url}?${new URLSearchParams(callback.params)}`);
+  }
+
+  const inputs = Object.entries(callback.params)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+  res.send(`<!DOCTYPE html><html><body onload="document.forms[0].submit()"><form method="POST" action="${escapeHtml(callback.url)}">${inputs}<noscript><button type="submit">Continue</button></noscript></form></body></html>`);
+};
+
+// @desc    Simulated server-to-server gateway API (status inquiry, refund)
+// @route   POST /api/payments/simulator/:gateway/api/:operation
+// @access  Public (PAYMENT_SIMULATOR only)
+const simulatorApi = (req, res) => {
+  try {
+    res.json(simulator.callApi(req.params.gateway, req.params.operation, req.body, req.headers));
   } catch (error) {
-    return {
+    res.status(404).json({
       success: false,
-      error: error.message
-    };
+      message: error.message
+    });
   }
 };
 
 // Routes
 router.post('/initialize', initializePayment);
 router.post('/callback/:gateway', handlePaymentCallback);
+router.get('/callback/:gateway', handlePaymentCallback);
+router.post('/webhook/stripe', handleStripeWebhook);
+
+if (PAYMENT_SIMULATOR) {
+  router.post('/simulator/:gateway/checkout', simulatorCheckout);
+  router.post('/simulator/:gateway/api/:operation', simulatorApi);
+}
 
 // @desc    Get supported payment methods
 // @route   GET /api/payments/methods
@@ -341,13 +298,22 @@ router.get('/methods', (req, res) => {
       description: 'Pay cash when your order is delivered to your doorstep',
       enabled: true,
       popular: true
-    }
+    },
+    ...getEnabledGateways().map(gateway => ({
+      id: gateway.code,
+      name: gateway.name,
+      description: gateway.description,
+      type: gateway.method,
+      enabled: true
+    }))
   ];
 
   res.json({
     success: true,
     data: supportedMethods,
-    message: 'We currently accept Cash on Delivery (COD) only for your security and convenience.'
+    message: supportedMethods.length > 1
+      ? 'Pay online now, or cash when your order arrives.'
+      : 'We currently accept Cash on Delivery (COD) only for your security and convenience.'
   });
 });
 
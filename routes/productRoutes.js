@@ -6,10 +6,14 @@ const {
   getProductsByCategory,
   getFeaturedProducts,
   searchProducts,
+  getSearchSuggestions,
   getProductStats,
   getProductReviews,
-  addProductReview
+  addProductReview,
+  subscribeBackInStock
 } = require('../controllers/productController');
+const { getCurrencies } = require('../controllers/currencyController');
+const { optionalAuth } = require('../middleware/auth');
 
 // Public Routes (no authentication required)
 
@@ -25,6 +29,12 @@ router.get('/category/:category', getProductsByCategory);
 // GET /api/products/search - Search products
 router.get('/search', searchProducts);
 
+// GET /api/products/search/suggest - Autocomplete suggestions
+router.get('/search/suggest', getSearchSuggestions);
+
+// GET /api/products/currencies - Display currencies and their exchange rates
+router.get('/currencies', getCurrencies);
+
 // GET /api/products/stats - Get product statistics
 router.get('/stats', getProductStats);
 
@@ -34,7 +44,10 @@ router.get('/:id', getProductById);
 // GET /api/products/:id/reviews - Get reviews for a product
 router.get('/:id/reviews', getProductReviews);
 
-// POST /api/products/:id/reviews - Add a review to a product
-router.post('/:id/reviews', addProductReview);
+// POST /api/products/:id/reviews - Review a delivered purchase of a product
+router.post('/:id/reviews', optionalAuth, addProductReview);
+
+// POST /api/products/:id/notify-me - Get emailed when a sold-out product is restocked
+router.post('/:id/notify-me', optionalAuth, subscribeBackInStock);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,247 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const emailService = require('../utils/emailService');
+const { publishAdminEvent } = require('../utils/adminEvents');
+const { uploadToCloudinary } = require('../config/cloudinary');
+const { RETURN_REASONS, RETURN_MAX_PHOTOS } = require('../config/returns');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { uploadMultiple, handleUploadError } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Find an order the requester may act on: their own account order, or any order
+// whose email matches (the guest tracking flow)
+const findCustomerOrder = async (req, orderNumber, email) => {
+  if (!orderNumber) return null;
+  const order = await Order.findOne({ orderNumber: String(orderNumber) });
+  if (!order) return null;
+
+  const ownsByAccount = req.user && order.customer.userId &&
+    order.customer.userId.toString() === req.user._id.toString();
+  const ownsByEmail = typeof email === 'string' && email.toLowerCase().trim() === order.customer.email;
+
+  return ownsByAccount || ownsByEmail ? order : null;
+};
+
+// items may arrive as JSON text when the request is multipart (photos attached)
+const parseItems = (items) => {
+  if (typeof items === 'string') {
+    try {
+      return JSON.parse(items);
+    } catch (error) {
+      return null;
+    }
+  }
+  return items;
+};
+
+// Hide admin-only fields from customers
+const formatReturn = (returnRequest) => {
+  const data = returnRequest.toObject();
+  delete data.adminNote;
+  return data;
+};
+
+// @desc    Open a return request for some or all items of a delivered order
+// @route   POST /api/returns
+// @access  Public (order owner, or order number + email for guests)
+const createReturnRequest = async (req, res) => {
+  try {
+    const { orderNumber, email, reason, description } = req.body;
+    const requestedItems = parseItems(req.body.items);
+
+    const order = await findCustomerOrder(req, orderNumber, email);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found. Please check your order number and email address.'
+      });
+    }
+
+    const windowError = ReturnRequest.getReturnWindowError(order);
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        message: windowError
+      });
+    }
+
+    if (!RETURN_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid return reason. Valid reasons: ' + RETURN_REASONS.join(', ')
+      });
+    }
+
+    if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose at least one item to return'
+      });
+    }
+
+    // Match each requested line to the order and make sure it isn't over-returned
+    const alreadyRequested = await ReturnRequest.getRequestedQuantities(order._id);
+    const lines = new Map();
+
+    for (const requested of requestedItems) {
+      const quantity = Number(requested.quantity);
+      const line = order.items.find(item => {
+        if (requested.orderItemId) {
+          return mongoose.Types.ObjectId.isValid(requested.orderItemId) && item._id.equals(requested.orderItemId);
+        }
+        return item.productId.toString() === String(requested.productId) &&
+          String(item.variantId || '') === String(requested.variantId || '');
+      });
+
+      if (!line || !Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each item needs a valid order line and a quantity of at least 1'
+        });
+      }
+
+      const key = line._id.toString();
+      const total = (lines.get(key)?.quantity || 0) + quantity;
+      const returnable = line.quantity - (alreadyRequested[key] || 0);
+      if (total > returnable) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${Math.max(0, returnable)} of ${line.name} can still be returned`
+        });
+      }
+
+      lines.set(key, {
+        orderItemId: line._id,
+        productId: line.productId,
+        variantId: line.variantId,
+        variantLabel: line.variantLabel,
+        name: line.name,
+        sku: line.sku,
+        unitPrice: line.price,
+        quantity: total
+      });
+    }
+
+    // Upload photos of the items (damage, wrong item, ...)
+    const files = (req.files || []).slice(0, RETURN_MAX_PHOTOS);
+    const photos = [];
+    for (const file of files) {
+      const result = await uploadToCloudinary(file.buffer, { folder: 'prince-vibe/returns' });
+      photos.push(result.secure_url);
+    }
+
+    const returnRequest = new ReturnRequest({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      customer: {
+        userId: order.customer.userId,
+        name: order.customer.name,
+        email: order.customer.email
+      },
+      items: Array.from(lines.values()),
+      reason,
+      description,
+      photos
+    });
+    returnRequest.setStatus('requested', 'Return requested by customer', order.customer.name);
+    await returnRequest.save();
+
+    await publishAdminEvent('return.requested', {
+      returnId: returnRequest._id,
+      rmaNumber: returnRequest.rmaNumber,
+      orderNumber: order.orderNumber,
+      customerName: order.customer.name,
+      reason,
+      itemCount: returnRequest.items.reduce((sum, item) => sum + item.quantity, 0)
+    });
+
+    try {
+      await emailService.sendReturnStatusUpdate(returnRequest);
+    } catch (emailError) {
+      console.error('Failed to send return request email:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Return request submitted successfully',
+      data: formatReturn(returnRequest)
+    });
+
+  } catch (error) {
+    console.error('Create return request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get current user's return requests
+// @route   GET /api/returns/my-returns
+// @access  Private (User)
+const getMyReturns = async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ 'customer.userId': req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: returns.map(formatReturn)
+    });
+
+  } catch (error) {
+    console.error('Get my returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Track return requests of a guest order by order number and email
+// @route   POST /api/returns/track-guest
+// @access  Public
+const trackGuestReturns = async (req, res) => {
+  try {
+    const { orderNumber, email } = req.body;
+
+    if (!orderNumber || !email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order number and email are required'
+      });
+    }
+
+    const order = await findCustomerOrder(req, orderNumber, email);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found. Please check your order number and email address.'
+      });
+    }
+
+    const returns = await ReturnRequest.find({ orderId: order._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: returns.map(formatReturn)
+    });
+
+  } catch (error) {
+    console.error('Track guest returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Routes
+router.post('/', optionalAuth, uploadMultiple, handleUploadError, createReturnRequest);
+router.get('/my-returns', authenticate, getMyReturns);
+router.post('/track-guest', trackGuestReturns);
+
+module.exports = router;
@@ -3,16 +3,34 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Review = require('../models/Review');
 const Product = require('../models/Product');
-const { uploadToCloudinary } = require('../config/cloudinary');
+const Order = require('../models/Order');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const {
+  PRIVATE_REVIEW_FIELDS,
+  findOrderByReviewToken,
+  getReviewableItems,
+  submitVerifiedReview
+} = require('../utils/productReviews');
 const multer = require('multer');
 const upload = multer();
 
-// Validation middleware
+// Validation middleware. The purchase is picked by productId and/or orderItemId;
+// name defaults to the customer's name on the order.
 const validateReview = [
   body('productId')
+    .optional()
     .isMongoId()
     .withMessage('Invalid product ID'),
+  body('orderItemId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid order item ID'),
+  body('reviewToken')
+    .optional()
+    .isString()
+    .withMessage('Invalid review link'),
   body('name')
+    .optional()
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Name must be between 1 and 100 characters'),
@@ -25,6 +43,57 @@ const validateReview = [
     .withMessage('Review text must be between 1 and 1000 characters')
 ];
 
+// GET /api/reviews/link/:token - Items of the order a review link was emailed for
+router.get('/link/:token', async (req, res) => {
+  try {
+    const order = await findOrderByReviewToken(req.params.token);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'This review link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        customerName: order.customer.name,
+        expiresAt: order.reviewRequest.expiresAt,
+        items: await getReviewableItems([order])
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching review link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch review link'
+    });
+  }
+});
+
+// GET /api/reviews/my/purchases - Signed-in customer's delivered items and whether each is reviewed
+router.get('/my/purchases', authenticate, async (req, res) => {
+  try {
+    const orders = await Order.find({ 'customer.userId': req.user._id, status: 'delivered' })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: await getReviewableItems(orders)
+    });
+
+  } catch (error) {
+    console.error('Error fetching reviewable purchases:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchases'
+    });
+  }
+});
+
 // GET /api/reviews/:productId - Get reviews for a specific product
 router.get('/:productId', async (req, res) => {
   try {
@@ -72,6 +141,7 @@ router.get('/:productId', async (req, res) => {
 
     // Get reviews with pagination
     const reviews = await Review.find(query)
+      .select(PRIVATE_REVIEW_FIELDS)
       .sort(sortObject)
       .skip(skip)
       .limit(limitNum)
@@ -107,8 +177,9 @@ router.get('/:productId', async (req, res) => {
   }
 });
 
-// POST /api/reviews - Create a new review with image upload
-router.post('/', upload.array('images', 3), validateReview, async (req, res) => {
+// POST /api/reviews - Review a delivered purchase, as the signed-in customer or
+// with the review link (reviewToken) from the delivery email
+router.post('/', optionalAuth, upload.array('images', 3), validateReview, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -120,55 +191,34 @@ router.post('/', upload.array('images', 3), validateReview, async (req, res) =>
       });
     }
 
-    const { productId, name, rating, text } = req.body;
+    const { productId, orderItemId, reviewToken, name, rating, text } = req.body;
 
-    // Check if product exists
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found'
-      });
-    }
-
-    // Check if product is active
-    if (!product.isActive) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot review inactive product'
-      });
-    }
-
-    // Handle image uploads to Cloudinary
-    let imageUrls = [];
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        const result = await uploadToCloudinary(file.buffer);
-        imageUrls.push(result.secure_url);
-      }
-    }
-
-    // Create new review
-    const review = new Review({
+    const result = await submitVerifiedReview({
       productId,
+      orderItemId,
+      reviewToken,
       name,
       rating,
       text,
-      images: imageUrls
+      user: req.user,
+      files: req.files || []
     });
 
-    await review.save();
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
 
-    // Get updated reviews for the product
-    const updatedReviews = await Review.find({ productId, isActive: true })
-      .sort({ date: -1 })
-      .lean();
+    const { review } = result;
+    const totalReviews = await Review.countDocuments({ productId: review.productId, isActive: true });
 
     res.status(201).json({
       success: true,
       message: 'Review submitted successfully',
       data: review,
-      totalReviews: updatedReviews.length
+      totalReviews
     });
 
   } catch (error) {
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const PaymentTransaction = require('../models/PaymentTransaction');
+const { syncOrderPayment } = require('../utils/paymentLedger');
+require('dotenv').config();
+
+// Order payment status, paid date and refunded total now come from the payment
+// ledger. Orders placed before it have no ledger entries, so their status would
+// reset to pending on the next payment change - this records what they already have.
+// Safe to run more than once: orders that have entries are skipped.
+async function backfillPaymentLedger() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const ledgerOrderIds = await PaymentTransaction.distinct('orderId');
+    const cursor = Order.find({ _id: { $nin: ledgerOrderIds } }).cursor();
+
+    let backfilled = 0;
+    for (let order = await cursor.next(); order; order = await cursor.next()) {
+      const gateway = order.payment.gateway || order.payment.method;
+      const base = {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        gateway,
+        transactionId: order.payment.transactionId,
+        source: 'migration',
+        createdBy: 'Migration'
+      };
+      const entries = [];
+
+      if (['paid', 'partially_refunded', 'refunded'].includes(order.payment.status)) {
+        entries.push({
+          ...base,
+          type: 'capture',
+          amount: order.summary.total,
+          idempotencyKey: `migration:capture:${order._id}`,
+          createdAt: order.payment.paidAt || order.createdAt
+        });
+      } else if (order.payment.status === 'failed') {
+        entries.push({
+          ...base,
+          type: 'failure',
+          status: 'failed',
+          amount: order.summary.total,
+          idempotencyKey: `migration:failure:${order._id}`,
+          reason: order.payment.failureReason || 'Payment failed',
+          createdAt: order.updatedAt
+        });
+      }
+
+      for (const refund of order.refunds) {
+        entries.push({
+          ...base,
+          gateway: refund.method === 'original_payment' ? gateway : refund.method,
+          type: 'refund',
+          amount: refund.amount,
+          reference: refund.reference,
+          idempotencyKey: `migration:refund:${refund._id}`,
+          reason: refund.reason,
+          createdBy: refund.refundedBy || 'Migration',
+          createdAt: refund.refundedAt
+        });
+      }
+
+      if (entries.length === 0) continue;
+
+      for (const entry of entries) {
+        await PaymentTransaction.record(entry);
+      }
+      await syncOrderPayment(order);
+      await order.save();
+      backfilled++;
+    }
+
+    console.log(`✅ Backfilled the payment ledger for ${backfilled} orders`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Error backfilling payment ledger:', err);
+    process.exit(1);
+  }
+}
+
+backfillPaymentLedger();
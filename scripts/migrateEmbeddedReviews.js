@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+require('dotenv').config();
+
+// Reviews used to be kept in two places: Review documents and a reviews.data list
+// embedded in each product. Every review now lives in the Review collection. This
+// moves the embedded reviews over as unverified 'legacy' reviews, removes
+// reviews.data and recomputes the rating and review count of the products moved.
+// Safe to run again: moved reviews are matched by their old _id.
+async function migrateEmbeddedReviews() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // The unique legacyReviewId index makes a second run skip reviews already moved
+    await Review.syncIndexes();
+
+    // Read straight from the collection: reviews.data is no longer in the schema
+    const cursor = Product.collection.find(
+      { 'reviews.data': { $exists: true } },
+      { projection: { name: 1, 'reviews.data': 1 } }
+    );
+
+    let products = 0;
+    let moved = 0;
+    let skipped = 0;
+
+    for await (const product of cursor) {
+      const entries = Array.isArray(product.reviews.data) ? product.reviews.data : [];
+      const operations = [];
+
+      entries.forEach(entry => {
+        const rating = Math.round(Number(entry.rating));
+        const text = typeof entry.comment === 'string' ? entry.comment.trim() : '';
+        if (!(rating >= 1 && rating <= 5) || !text) {
+          skipped++;
+          return;
+        }
+
+        const legacyReviewId = entry._id || new mongoose.Types.ObjectId();
+        operations.push({
+          updateOne: {
+            filter: { legacyReviewId },
+            update: {
+              $setOnInsert: {
+                productId: product._id,
+                name: (typeof entry.user === 'string' && entry.user.trim().slice(0, 100)) || 'Customer',
+                rating,
+                text: text.slice(0, 1000),
+                images: [],
+                date: entry.date || new Date(),
+                isVerified: false,
+                isActive: true,
+                source: 'legacy',
+                legacyReviewId
+              }
+            },
+            upsert: true
+          }
+        });
+      });
+
+      if (operations.length > 0) {
+        const result = await Review.bulkWrite(operations, { ordered: false });
+        moved += result.upsertedCount;
+      }
+
+      const stats = await Review.getAverageRating(product._id);
+      await Product.collection.updateOne(
+        { _id: product._id },
+        {
+          $unset: { 'reviews.data': '' },
+          $set: { rating: stats.averageRating, 'reviews.count': stats.totalReviews }
+        }
+      );
+
+      products++;
+      console.log(`${product.name}: ${operations.length} of ${entries.length} reviews moved, rating ${stats.averageRating} from ${stats.totalReviews} reviews`);
+    }
+
+    console.log(`✅ Moved ${moved} embedded reviews from ${products} products (${skipped} without a rating or comment skipped)`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Error migrating embedded reviews:', err);
+    process.exit(1);
+  }
+}
+
+migrateEmbeddedReviews();
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const LowStockAlert = require('../models/LowStockAlert');
+const StockSubscription = require('../models/StockSubscription');
+require('dotenv').config();
+
+// Low stock alerts used to be unique per product, and open back in stock
+// subscriptions per product + email. With variants both include the variant, so
+// the old unique indexes have to be replaced.
+async function migrateVariantIndexes() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const indexes = await LowStockAlert.collection.indexes();
+    const legacyIndex = indexes.find(index => index.name === 'productId_1' && index.unique);
+
+    if (legacyIndex) {
+      await LowStockAlert.collection.dropIndex('productId_1');
+      console.log('Dropped legacy unique index productId_1');
+    } else {
+      console.log('Legacy unique index productId_1 not found - nothing to drop');
+    }
+
+    await LowStockAlert.syncIndexes();
+    console.log('✅ Low stock alert indexes are up to date');
+
+    // syncIndexes drops indexes the schema no longer declares
+    // (productId_1_email_1 and productId_1_status_1)
+    await StockSubscription.syncIndexes();
+    console.log('✅ Back in stock subscription indexes are up to date');
+    process.exit(0);
+  } catch (err) {
+    console.error('Error migrating indexes:', err);
+    process.exit(1);
+  }
+}
+
+migrateVariantIndexes();
@@ -38,9 +38,14 @@ const orderRoutes = require('./routes/orderRoutes');
 const authRoutes = require('./routes/authRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const reviewRoutes = require('./routes/reviewRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const courierRoutes = require('./routes/courierRoutes');
 const pixelRoutes = require('./routes/pixelRoutes');
 const securityMiddleware = require('./middleware/security');
 const emailService = require('./utils/emailService');
+const { startCartRecoveryJob } = require('./utils/cartRecovery');
+const { recoverInterruptedBulkJobs } = require('./utils/bulkOrderOperations');
 
 // Create Express app
 const app = express();
@@ -116,7 +121,9 @@ app.use(hpp());
 // Compression middleware
 app.use(compression());
 
-// Logging
+// Logging. The admin event stream takes its access token as ?token=, which must not
+// end up in the access log.
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/g, '$1[redacted]'));
 if (process.env.NODE_ENV === 'production') {
   app.use(morgan('combined'));
 } else {
@@ -167,7 +174,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Cart-Token'],
   exposedHeaders: ['X-Total-Count', 'X-Page-Count']
 }));
 
@@ -177,6 +184,8 @@ app.use(express.json({
   verify: (req, res, buf) => {
     try {
       JSON.parse(buf);
+      // Kept for webhook signature checks, which are computed over the exact bytes sent
+      req.rawBody = buf;
     } catch (e) {
       res.status(400).json({
         success: false,
@@ -209,6 +218,9 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/couriers', courierRoutes);
 app.use('/api', pixelRoutes);
 
 // Enhanced health check route
@@ -262,6 +274,10 @@ const connectDB = async () => {
     });
     
     console.log(`🍃 MongoDB Connected: ${conn.connection.host}`);
+
+    // Background jobs that need the database
+    startCartRecoveryJob();
+    recoverInterruptedBulkJobs();
     
     // Handle connection events
     mongoose.connection.on('error', (err) => {
@@ -0,0 +1,74 @@
+const { EventEmitter } = require('events');
+const AdminEvent = require('../models/AdminEvent');
+
+// In-process fan-out to the open admin event streams
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Persist an event and push it to connected dashboards.
+// Never throws - a failed notification must not fail the request that caused it.
+const publishAdminEvent = async (type, data = {}) => {
+  try {
+    const event = await AdminEvent.create({ type, data });
+    bus.emit('event', {
+      id: event._id.toString(),
+      type: event.type,
+      data: event.data,
+      createdAt: event.createdAt
+    });
+    return event;
+  } catch (error) {
+    console.error(`Failed to publish admin event ${type}:`, error);
+    return null;
+  }
+};
+
+// Register a listener for live events; returns the unsubscribe function
+const subscribeAdminEvents = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+// Event payloads - kept small, the dashboard fetches full records when needed
+const orderEventData = (order) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  status: order.status,
+  customerName: order.customer?.name,
+  customerPhone: order.customer?.phone,
+  city: order.customer?.address?.city,
+  paymentMethod: order.payment?.method,
+  itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+  total: order.summary?.total,
+  riskLevel: order.risk?.level,
+  riskScore: order.risk?.score,
+  heldForCall: Boolean(order.risk?.holdForCall)
+});
+
+const stockAlertEventData = (alert) => ({
+  alertId: alert._id,
+  productId: alert.productId,
+  variantId: alert.variantId,
+  productName: alert.productName,
+  variantLabel: alert.variantLabel,
+  productSku: alert.productSku,
+  currentStock: alert.currentStock,
+  alertLevel: alert.alertLevel
+});
+
+const reviewEventData = (review) => ({
+  reviewId: review._id,
+  productId: review.productId,
+  name: review.name,
+  rating: review.rating,
+  text: review.text,
+  isVerified: review.isVerified
+});
+
+module.exports = {
+  publishAdminEvent,
+  subscribeAdminEvents,
+  orderEventData,
+  stockAlertEventData,
+  reviewEventData
+};
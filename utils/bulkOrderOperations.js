@@ -0,0 +1,433 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const BulkOrderJob = require('../models/BulkOrderJob');
+const AdminActionLog = require('../models/AdminActionLog');
+const { ORDER_STATUSES, changeOrderStatus } = require('./orderStatus');
+const { bookShipment } = require('./courierOperations');
+const { getCourier } = require('./couriers');
+const { generateInvoices, generatePackingSlips } = require('./orderDocuments');
+const { generateShippingLabels } = require('./shippingLabel');
+const { BULK_ACTIONS, BULK_ORDER_MAX, BULK_ORDER_SYNC_LIMIT } = require('../config/bulkOrders');
+
+// Background jobs save their progress every this many orders
+const PROGRESS_SAVE_INTERVAL = 10;
+
+// Parcels that still need a label
+const LABEL_SHIPMENT_STATUSES = ['preparing', 'shipped', 'in_transit', 'out_for_delivery', 'failed_delivery'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The parcel a tracking number goes on: an open parcel without one, or a new
+// parcel holding everything not yet in a parcel. Null when everything is shipped.
+const findParcelToTrack = (order, updatedBy) => {
+  const open = order.shipments.find(shipment => shipment.status === 'preparing' && !shipment.trackingNumber);
+  if (open) return open;
+
+  const unallocated = order.getUnallocatedQuantities();
+  const remaining = Object.keys(unallocated)
+    .filter(orderItemId => unallocated[orderItemId] > 0)
+    .map(orderItemId => ({ orderItemId, quantity: unallocated[orderItemId] }));
+  if (remaining.length === 0) return null;
+
+  return order.addShipment({ items: remaining, note: 'Parcel created by bulk tracking', updatedBy });
+};
+
+const logOrderAction = async (context, action, order, description, changes) => {
+  if (!context.admin) return;
+  try {
+    await AdminActionLog.logAction({
+      adminId: context.admin._id,
+      adminName: context.admin.name,
+      adminEmail: context.admin.email,
+      action,
+      targetType: 'order',
+      targetId: order._id.toString(),
+      targetName: `Order ${order.orderNumber}`,
+      description,
+      changes,
+      metadata: { ...context.metadata, bulkJobId: context.jobId },
+      severity: 'medium',
+      status: 'success'
+    });
+  } catch (logError) {
+    console.error('Failed to log bulk order activity:', logError);
+  }
+};
+
+// One handler per bulk action:
+//   validate(body)   -> { error } or { params, orderIds? } (cleaned params stored on the job)
+//   process(order, params, context) -> { success, message, item? }
+//   render(items)    -> { filename, contentType, data } for actions that produce a file
+const HANDLERS = {
+  status: {
+    validate(body) {
+      if (!ORDER_STATUSES.includes(body.status)) {
+        return { error: 'Invalid order status. Valid statuses: ' + ORDER_STATUSES.join(', ') };
+      }
+      return { params: { status: body.status, note: body.note } };
+    },
+
+    async process(order, params, context) {
+      // Same transition rules, stock restoration, logging and email as a single update
+      const result = await changeOrderStatus(order, {
+        status: params.status,
+        note: params.note,
+        admin: context.admin,
+        metadata: { ...context.metadata, bulkJobId: context.jobId }
+      });
+      return {
+        success: result.success,
+        message: result.success ? `${result.previousStatus} -> ${params.status}` : result.message
+      };
+    }
+  },
+
+  tracking: {
+    validate(body) {
+      if (body.courier) {
+        const courier = getCourier(body.courier);
+        if (!courier) return { error: `Unknown courier: ${body.courier}` };
+        if (!courier.isConfigured()) return { error: `${courier.name} is not configured` };
+        return { params: { courier: courier.code } };
+      }
+
+      if (!Array.isArray(body.assignments) || body.assignments.length === 0) {
+        return { error: 'Send a courier to book with, or assignments: [{ orderId, trackingNumber, courier }]' };
+      }
+      const invalid = body.assignments.find(entry =>
+        !mongoose.Types.ObjectId.isValid(entry.orderId) || !entry.trackingNumber
+      );
+      if (invalid) {
+        return { error: 'Each assignment needs a valid orderId and a trackingNumber' };
+      }
+      return {
+        params: {
+          assignments: body.assignments.map(entry => ({
+            orderId: String(entry.orderId),
+            trackingNumber: String(entry.trackingNumber).trim(),
+            courier: entry.courier
+          }))
+        },
+        orderIds: body.assignments.map(entry => entry.orderId)
+      };
+    },
+
+    async process(order, params, context) {
+      if (!['confirmed', 'processing', 'shipped'].includes(order.status)) {
+        return { success: false, message: `Cannot ship an order that is ${order.status}` };
+      }
+
+      const updatedBy = context.admin?.name;
+      const shipment = findParcelToTrack(order, updatedBy);
+      if (!shipment) {
+        return { success: false, message: 'Every parcel of this order already has a tracking number' };
+      }
+
+      if (params.courier) {
+        let booked;
+        try {
+          booked = await bookShipment(order, shipment, { courierCode: params.courier, updatedBy });
+        } catch (bookingError) {
+          return { success: false, message: `Courier booking failed: ${bookingError.message}` };
+        }
+        if (!booked) {
+          return { success: false, message: `Parcel ${shipment.shipmentNumber} is already being booked` };
+        }
+        await logOrderAction(context, 'shipment_booked', order, `Booked parcel ${shipment.shipmentNumber} with ${shipment.courier}`, {
+          after: { shipmentNumber: shipment.shipmentNumber, courier: shipment.courierCode, trackingNumber: shipment.trackingNumber, codAmount: shipment.codAmount }
+        });
+        return { success: true, message: `Booked ${shipment.trackingNumber}` };
+      }
+
+      const assignment = params.assignments.find(entry => entry.orderId === order._id.toString());
+      shipment.trackingNumber = assignment.trackingNumber;
+      if (assignment.courier) shipment.courier = assignment.courier;
+      shipment.timeline.push({
+        status: shipment.status,
+        note: `Tracking number ${assignment.trackingNumber} assigned`,
+        updatedBy,
+        timestamp: new Date()
+      });
+      await order.save();
+
+      await logOrderAction(context, 'tracking_added', order, `Assigned tracking ${assignment.trackingNumber} to parcel ${shipment.shipmentNumber}`, {
+        after: { shipmentNumber: shipment.shipmentNumber, courier: shipment.courier, trackingNumber: shipment.trackingNumber }
+      });
+      return { success: true, message: `Tracking ${assignment.trackingNumber} assigned` };
+    }
+  },
+
+  invoices: {
+    validate() {
+      return { params: {} };
+    },
+
+    async process(order) {
+      if (!order.isInvoiceable()) {
+        return { success: false, message: `Cannot invoice an order that is ${order.status}` };
+      }
+      await order.assignInvoiceNumber();
+      return { success: true, message: order.invoice.number, item: order };
+    },
+
+    async render(orders) {
+      return {
+        filename: `invoices-${today()}.pdf`,
+        contentType: 'application/pdf',
+        data: await generateInvoices(orders)
+      };
+    }
+  },
+
+  labels: {
+    validate() {
+      return { params: {} };
+    },
+
+    async process(order) {
+      const shipments = order.shipments.filter(shipment =>
+        shipment.trackingNumber && LABEL_SHIPMENT_STATUSES.includes(shipment.status)
+      );
+      if (shipments.length === 0) {
+        return { success: false, message: 'No parcels with a tracking number to label' };
+      }
+      return {
+        success: true,
+        message: `${shipments.length} label(s)`,
+        item: shipments.map(shipment => ({ order, shipment }))
+      };
+    },
+
+    async render(items) {
+      return {
+        filename: `labels-${today()}.pdf`,
+        contentType: 'application/pdf',
+        data: await generateShippingLabels(items.flat())
+      };
+    }
+  },
+
+  packing_slips: {
+    validate() {
+      return { params: {} };
+    },
+
+    async process(order) {
+      if (order.status === 'cancelled') {
+        return { success: false, message: 'Order is cancelled' };
+      }
+      return { success: true, message: 'Packing slip added', item: order };
+    },
+
+    async render(orders) {
+      return {
+        filename: `packing-slips-${today()}.pdf`,
+        contentType: 'application/pdf',
+        data: await generatePackingSlips(orders)
+      };
+    }
+  },
+
+  export: {
+    validate() {
+      return { params: {} };
+    },
+
+    async process(order) {
+      return { success: true, message: 'Exported', item: order };
+    },
+
+    async render(orders) {
+      const header = [
+        'Order Number', 'Created At', 'Status', 'Fulfillment', 'Payment Method', 'Payment Status',
+        'Customer', 'Phone', 'Email', 'Street', 'City', 'State', 'Items', 'Units',
+        'Subtotal', 'Shipping', 'Discount', 'Tax', 'Total', 'Courier', 'Tracking Numbers', 'Invoice Number'
+      ];
+      const rows = orders.map(order => [
+        order.orderNumber,
+        order.createdAt?.toISOString(),
+        order.status,
+        order.fulfillmentStatus,
+        order.payment.method,
+        order.payment.status,
+        order.customer.name,
+        order.customer.phone,
+        order.customer.email,
+        order.customer.address.street,
+        order.customer.address.city,
+        order.customer.address.state,
+        order.items.map(item => `${item.quantity} x ${item.name}${item.variantLabel ? ` (${item.variantLabel})` : ''}`).join('; '),
+        order.items.reduce((sum, item) => sum + item.quantity, 0),
+        order.summary.subtotal,
+        order.summary.shipping,
+        order.summary.discount,
+        order.summary.tax,
+        order.summary.total,
+        [...new Set(order.shipments.map(shipment => shipment.courier).filter(Boolean))].join('; '),
+        order.shipments.map(shipment => shipment.trackingNumber).filter(Boolean).join('; ') || order.shipping.trackingNumber,
+        order.invoice?.number
+      ]);
+
+      const csv = [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+      return {
+        filename: `orders-${today()}.csv`,
+        contentType: 'text/csv; charset=utf-8',
+        // BOM so Excel opens Urdu names correctly
+        data: Buffer.from('\uFEFF' + csv, 'utf8')
+      };
+    }
+  }
+};
+
+// Work through a job's orders, recording each outcome and rendering its file.
+// Never throws; a failure of the whole job is stored on it.
+const runBulkJob = async (job, context) => {
+  const handler = HANDLERS[job.action];
+  const items = [];
+
+  try {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await job.save();
+
+    for (const orderId of job.orderIds) {
+      const order = await Order.findById(orderId);
+      if (!order) {
+        job.recordResult({ _id: orderId }, false, 'Order not found');
+      } else {
+        try {
+          const result = await handler.process(order, job.params, { ...context, jobId: job._id.toString() });
+          job.recordResult(order, result.success, result.message);
+          if (result.success && result.item) items.push(result.item);
+        } catch (error) {
+          console.error(`Bulk ${job.action} failed for order ${order.orderNumber}:`, error);
+          job.recordResult(order, false, error.message);
+        }
+      }
+
+      if (job.progress.processed % PROGRESS_SAVE_INTERVAL === 0) {
+        await job.save();
+      }
+    }
+
+    if (handler.render && items.length > 0) {
+      const output = await handler.render(items);
+      job.output = {
+        filename: output.filename,
+        contentType: output.contentType,
+        size: output.data.length,
+        data: output.data
+      };
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    console.error(`Bulk ${job.action} job ${job._id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.completedAt = new Date();
+  try {
+    await job.save();
+  } catch (saveError) {
+    console.error('Failed to save bulk job:', saveError);
+  }
+
+  if (context.admin) {
+    try {
+      await AdminActionLog.logAction({
+        adminId: context.admin._id,
+        adminName: context.admin.name,
+        adminEmail: context.admin.email,
+        action: job.action === 'export' ? 'data_export' : 'bulk_action_performed',
+        targetType: 'system',
+        targetId: job._id.toString(),
+        targetName: `Bulk ${job.action}`,
+        description: `Bulk ${job.action} on ${job.progress.total} order(s): ${job.progress.succeeded} succeeded, ${job.progress.failed} failed`,
+        changes: { after: job.params },
+        metadata: context.metadata,
+        severity: job.action === 'status' && ['cancelled', 'returned'].includes(job.params.status) ? 'high' : 'medium',
+        status: job.status === 'completed' ? 'success' : 'failed',
+        errorMessage: job.error
+      });
+    } catch (logError) {
+      console.error('Failed to log bulk order job:', logError);
+    }
+  }
+
+  return job;
+};
+
+// Validate a bulk request and start it. Small selections finish before this
+// resolves; larger ones keep running in the background.
+//
+// body: { action, orderIds, ...action params }
+// Returns { success, message } or { success, job, background }
+const startBulkOperation = async (body, { admin, metadata } = {}) => {
+  const { action } = body;
+  const handler = HANDLERS[action];
+  if (!BULK_ACTIONS.includes(action) || !handler) {
+    return { success: false, message: 'Invalid bulk action. Valid actions: ' + BULK_ACTIONS.join(', ') };
+  }
+
+  const validated = handler.validate(body);
+  if (validated.error) {
+    return { success: false, message: validated.error };
+  }
+
+  const requestedIds = validated.orderIds || body.orderIds;
+  if (!Array.isArray(requestedIds) || requestedIds.length === 0) {
+    return { success: false, message: 'Select at least one order (orderIds)' };
+  }
+  if (requestedIds.some(orderId => !mongoose.Types.ObjectId.isValid(orderId))) {
+    return { success: false, message: 'orderIds contains an invalid order id' };
+  }
+
+  const orderIds = [...new Set(requestedIds.map(String))];
+  if (orderIds.length > BULK_ORDER_MAX) {
+    return { success: false, message: `A bulk operation can include at most ${BULK_ORDER_MAX} orders` };
+  }
+
+  const job = await BulkOrderJob.create({
+    action,
+    params: validated.params,
+    orderIds,
+    progress: { total: orderIds.length },
+    createdBy: admin ? { adminId: admin._id, adminName: admin.name } : undefined
+  });
+
+  const context = { admin, metadata };
+  if (orderIds.length <= BULK_ORDER_SYNC_LIMIT) {
+    await runBulkJob(job, context);
+    return { success: true, job, background: false };
+  }
+
+  setImmediate(() => {
+    runBulkJob(job, context).catch(error => console.error('Bulk job error:', error));
+  });
+  return { success: true, job, background: true };
+};
+
+// Fail jobs that were cut off by a restart (called once the database is up)
+const recoverInterruptedBulkJobs = async () => {
+  try {
+    const result = await BulkOrderJob.failInterrupted();
+    if (result.modifiedCount > 0) {
+      console.log(`📦 Marked ${result.modifiedCount} interrupted bulk order job(s) as failed`);
+    }
+  } catch (error) {
+    console.error('Failed to recover bulk order jobs:', error);
+  }
+};
+
+module.exports = {
+  startBulkOperation,
+  runBulkJob,
+  recoverInterruptedBulkJobs
+};
@@ -0,0 +1,266 @@
+const Cart = require('../models/Cart');
+const CartRecovery = require('../models/CartRecovery');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { roundAmount } = require('./pricingEngine');
+const {
+  RECOVERY_ENABLED,
+  RECOVERY_STEPS_HOURS,
+  RECOVERY_INTERVAL_MINUTES,
+  RECOVERY_MAX_AGE_DAYS,
+  getRestoreUrl
+} = require('../config/cartRecovery');
+
+const HOUR_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+let jobTimer = null;
+let cycleRunning = false;
+
+// Only email shoppers who opted in. Account holders are governed by
+// User.preferences.marketing; guests by the consent box ticked at checkout.
+const hasMarketingConsent = async ({ user, email, explicitConsent }) => {
+  const account = user || (email ? await User.findOne({ email }).select('preferences') : null);
+  if (account) {
+    return account.preferences?.marketing === true;
+  }
+  return explicitConsent === true;
+};
+
+// Send the next reminder in the sequence if the shopper has been idle long enough.
+// Returns true when an email was attempted.
+const processCandidate = async ({ filter, source, idleSince, email, name, user, explicitConsent, items, total }) => {
+  let recovery = await CartRecovery.findOne(filter);
+  if (recovery && recovery.status !== 'active') {
+    return false;
+  }
+
+  const stepIndex = recovery ? recovery.emails.length : 0;
+  if (stepIndex >= RECOVERY_STEPS_HOURS.length) {
+    recovery.status = 'completed';
+    await recovery.save();
+    return false;
+  }
+
+  const idleHours = (Date.now() - idleSince.getTime()) / HOUR_MS;
+  if (idleHours < RECOVERY_STEPS_HOURS[stepIndex]) {
+    return false;
+  }
+
+  if (!(await hasMarketingConsent({ user, email, explicitConsent }))) {
+    return false;
+  }
+
+  if (!recovery) {
+    recovery = new CartRecovery({
+      ...filter,
+      sourceType: source,
+      userId: user?._id,
+      email,
+      customerName: name
+    });
+  }
+  recovery.cartValue = total;
+
+  const sent = await emailService.sendCartRecoveryEmail({
+    email,
+    name,
+    items,
+    total,
+    restoreUrl: getRestoreUrl(recovery.token),
+    step: stepIndex + 1,
+    sourceType: source
+  });
+
+  recovery.recordEmail(stepIndex + 1, sent ? 'sent' : 'failed');
+  await recovery.save();
+  return true;
+};
+
+// Call handle for every document matching the query, oldest first, a page at a
+// time. Paging past each batch means candidates that are skipped on every run (no
+// consent, sequence finished, next step not due) can't starve the newer ones.
+const forEachCandidate = async (Model, query, dateField, handle) => {
+  let after = null;
+  for (;;) {
+    const pageQuery = after
+      ? {
+        $and: [query, {
+          $or: [
+            { [dateField]: { $gt: after.date } },
+            { [dateField]: after.date, _id: { $gt: after.id } }
+          ]
+        }]
+      }
+      : query;
+
+    const page = await Model.find(pageQuery)
+      .sort({ [dateField]: 1, _id: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const doc of page) {
+      await handle(doc);
+    }
+    if (page.length < BATCH_SIZE) {
+      return;
+    }
+    const last = page[page.length - 1];
+    after = { date: last[dateField], id: last._id };
+  }
+};
+
+// Idle carts that still hold items
+const processAbandonedCarts = async (now) => {
+  const query = {
+    status: 'active',
+    'items.0': { $exists: true },
+    // Guest carts can only be followed up once checkout captured an email
+    $or: [
+      { userId: { $exists: true, $ne: null } },
+      { email: { $exists: true, $nin: [null, ''] } }
+    ],
+    lastActivityAt: {
+      $lte: new Date(now - RECOVERY_STEPS_HOURS[0] * HOUR_MS),
+      $gte: new Date(now - RECOVERY_MAX_AGE_DAYS * 24 * HOUR_MS)
+    }
+  };
+
+  let sent = 0;
+  await forEachCandidate(Cart, query, 'lastActivityAt', async (cart) => {
+    try {
+      const user = cart.userId
+        ? await User.findById(cart.userId).select('firstName email preferences isActive')
+        : null;
+      if (cart.userId && (!user || !user.isActive)) {
+        return;
+      }
+
+      const email = user?.email || cart.email;
+      if (!email) {
+        return;
+      }
+
+      const attempted = await processCandidate({
+        filter: { cartId: cart._id },
+        source: 'cart',
+        idleSince: cart.lastActivityAt,
+        email,
+        name: user?.firstName || cart.customerName,
+        user,
+        explicitConsent: cart.marketingConsent,
+        items: cart.items,
+        total: roundAmount(cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0))
+      });
+      if (attempted) sent++;
+    } catch (error) {
+      console.error(`Cart recovery failed for cart ${cart._id}:`, error);
+    }
+  });
+  return sent;
+};
+
+// Cash on delivery orders that were placed but never confirmed
+const processPendingCheckouts = async (now) => {
+  const query = {
+    status: 'pending',
+    'payment.method': 'cod',
+    createdAt: {
+      $lte: new Date(now - RECOVERY_STEPS_HOURS[0] * HOUR_MS),
+      $gte: new Date(now - RECOVERY_MAX_AGE_DAYS * 24 * HOUR_MS)
+    }
+  };
+
+  let sent = 0;
+  await forEachCandidate(Order, query, 'createdAt', async (order) => {
+    try {
+      const user = order.customer.userId
+        ? await User.findById(order.customer.userId).select('preferences')
+        : null;
+
+      const attempted = await processCandidate({
+        filter: { orderId: order._id },
+        source: 'order',
+        idleSince: order.createdAt,
+        email: order.customer.email,
+        name: order.customer.name,
+        user,
+        items: order.items,
+        total: order.summary.total
+      });
+      if (attempted) sent++;
+    } catch (error) {
+      console.error(`Checkout recovery failed for order ${order.orderNumber}:`, error);
+    }
+  });
+  return sent;
+};
+
+// Credit pending orders that were confirmed after a reminder, and close sequences
+// for orders that were cancelled
+const reconcilePendingCheckouts = async () => {
+  const recoveries = await CartRecovery.find({ sourceType: 'order', status: 'active' })
+    .select('orderId')
+    .limit(BATCH_SIZE * 5);
+
+  let recovered = 0;
+  for (const recovery of recoveries) {
+    const order = await Order.findById(recovery.orderId).select('status summary.total');
+    if (!order || order.status === 'cancelled') {
+      await CartRecovery.updateOne({ _id: recovery._id }, { $set: { status: 'completed' } });
+    } else if (order.status !== 'pending') {
+      if (await CartRecovery.markRecovered({ _id: recovery._id }, order)) recovered++;
+    }
+  }
+  return recovered;
+};
+
+// Run one pass of the recovery job
+const runRecoveryCycle = async () => {
+  if (cycleRunning) {
+    return { success: false, message: 'A recovery cycle is already running' };
+  }
+
+  cycleRunning = true;
+  try {
+    const now = Date.now();
+    const recovered = await reconcilePendingCheckouts();
+    const cartEmails = await processAbandonedCarts(now);
+    const checkoutEmails = await processPendingCheckouts(now);
+
+    if (cartEmails || checkoutEmails || recovered) {
+      console.log(`🛒 Cart recovery: ${cartEmails} cart reminders, ${checkoutEmails} checkout reminders, ${recovered} checkouts recovered`);
+    }
+
+    return { success: true, cartEmails, checkoutEmails, recovered };
+  } catch (error) {
+    console.error('Cart recovery cycle error:', error);
+    return { success: false, message: error.message };
+  } finally {
+    cycleRunning = false;
+  }
+};
+
+// Start the recurring background job (no-op when disabled or already started)
+const startCartRecoveryJob = () => {
+  if (!RECOVERY_ENABLED || jobTimer) {
+    return;
+  }
+
+  jobTimer = setInterval(runRecoveryCycle, RECOVERY_INTERVAL_MINUTES * 60 * 1000);
+  jobTimer.unref();
+  console.log(`🛒 Cart recovery job scheduled every ${RECOVERY_INTERVAL_MINUTES} minutes`);
+};
+
+const stopCartRecoveryJob = () => {
+  if (jobTimer) {
+    clearInterval(jobTimer);
+    jobTimer = null;
+  }
+};
+
+module.exports = {
+  runRecoveryCycle,
+  startCartRecoveryJob,
+  stopCartRecoveryJob
+};
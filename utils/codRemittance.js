@@ -0,0 +1,344 @@
+const Order = require('../models/Order');
+const CodRemittance = require('../models/CodRemittance');
+const { getCourier } = require('./couriers');
+const { getDefaultCodAmount, settleCodPayment } = require('./courierOperations');
+const { COD_REMITTANCE_TOLERANCE, COD_REMITTANCE_IMPORT_MAX_ROWS } = require('../config/couriers');
+
+// COD cash collection: courier settlement files imported by admins, and the cash
+// couriers still hold for delivered parcels. A COD order is only marked paid once
+// its remittances reconcile with what the customer owed (settleCodPayment).
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Settlement file columns, by header with case, spaces and punctuation ignored.
+// Couriers name them differently, so each field takes a few spellings.
+const CSV_COLUMNS = {
+  orderNumber: ['ordernumber', 'orderno', 'order', 'orderid', 'orderref', 'customerreference'],
+  trackingNumber: ['trackingnumber', 'tracking', 'trackingno', 'cn', 'cnnumber', 'consignment', 'consignmentnumber'],
+  collectedAmount: ['collectedamount', 'collected', 'codcollected', 'codamount', 'amountcollected', 'amount'],
+  fee: ['fee', 'fees', 'charges', 'deliverycharges', 'servicecharges', 'courierfee']
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Split CSV text into rows of cells (quoted cells, "" escapes, CRLF or LF)
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// "Rs. 2,450.00" -> 2450. Blank -> undefined, unreadable -> NaN
+const parseAmount = (value) => {
+  const text = String(value || '').replace(/pkr|rs\.?|,|\s/gi, '');
+  if (text === '') return undefined;
+  return /^-?\d+(\.\d+)?$/.test(text) ? roundAmount(parseFloat(text)) : NaN;
+};
+
+// Read a settlement file into lines: [{ line, orderNumber, trackingNumber, collectedAmount, fee }]
+// Returns { lines } or { error }
+const readSettlementCsv = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { error: 'The file is empty' };
+  }
+
+  const columns = {};
+  header.forEach((name, index) => {
+    const key = normalizeHeader(name);
+    const field = Object.keys(CSV_COLUMNS).find(candidate => CSV_COLUMNS[candidate].includes(key));
+    if (field && columns[field] === undefined) columns[field] = index;
+  });
+  if (columns.orderNumber === undefined || columns.collectedAmount === undefined) {
+    return { error: 'The file needs an order number column and a collected amount column' };
+  }
+  if (rows.length === 0) {
+    return { error: 'The file has no settlement lines' };
+  }
+  if (rows.length > COD_REMITTANCE_IMPORT_MAX_ROWS) {
+    return { error: `A settlement file may have at most ${COD_REMITTANCE_IMPORT_MAX_ROWS} lines` };
+  }
+
+  const cellAt = (cells, field) => (columns[field] === undefined ? '' : (cells[columns[field]] || '').trim());
+  return {
+    lines: rows.map((cells, index) => ({
+      line: index + 2,
+      orderNumber: cellAt(cells, 'orderNumber').toUpperCase(),
+      trackingNumber: cellAt(cells, 'trackingNumber') || undefined,
+      collectedAmount: parseAmount(cellAt(cells, 'collectedAmount')),
+      fee: parseAmount(cellAt(cells, 'fee'))
+    }))
+  };
+};
+
+// Whether a parcel went out with the courier a settlement file is from. Parcels
+// with no courier recorded are accepted.
+const isCourierParcel = (parcel, courierKey, adapter) => {
+  if (adapter && parcel.courierCode === adapter.code) return true;
+  if (parcel.courierCode) return false;
+
+  const name = (parcel.courier || '').trim().toLowerCase();
+  if (!name) return true;
+  return name === courierKey.toLowerCase() || (adapter && name === adapter.name.toLowerCase());
+};
+
+// Find the parcel a settlement line pays for.
+// Returns { parcel } or { status, message } when the line can't be recorded
+const findSettlementParcel = (order, line, courierKey, adapter) => {
+  const parcels = order.shipments.filter(parcel => parcel.status !== 'cancelled');
+
+  if (line.trackingNumber) {
+    const parcel = parcels.find(candidate => candidate.trackingNumber === line.trackingNumber);
+    if (!parcel) {
+      return { status: 'unmatched', message: `Order ${order.orderNumber} has no parcel with tracking number ${line.trackingNumber}` };
+    }
+    if (!isCourierParcel(parcel, courierKey, adapter)) {
+      return { status: 'unmatched', message: `Parcel ${parcel.shipmentNumber} was shipped with ${parcel.courierCode || parcel.courier}` };
+    }
+    if (parcel.remittance?.collectedAmount !== undefined) {
+      return { status: 'already_remitted', message: `Remitted before (${parcel.remittance.reference || 'no reference'})` };
+    }
+    if (parcel.status !== 'delivered') {
+      return { status: 'not_delivered', message: `Parcel ${parcel.shipmentNumber} is ${parcel.status}` };
+    }
+    return { parcel };
+  }
+
+  const courierParcels = parcels.filter(parcel => isCourierParcel(parcel, courierKey, adapter));
+  const open = courierParcels.filter(parcel => parcel.remittance?.collectedAmount === undefined);
+  const delivered = open.filter(parcel => parcel.status === 'delivered');
+
+  if (delivered.length === 1) {
+    return { parcel: delivered[0] };
+  }
+  if (delivered.length > 1) {
+    return { status: 'unmatched', message: `Order ${order.orderNumber} has ${delivered.length} delivered parcels - add their tracking numbers to the file` };
+  }
+  if (courierParcels.length === 0) {
+    return { status: 'unmatched', message: `Order ${order.orderNumber} has no parcel with this courier` };
+  }
+  if (open.length === 0) {
+    return { status: 'already_remitted', message: 'Remitted before' };
+  }
+  return { status: 'not_delivered', message: `Order ${order.orderNumber} hasn't been delivered` };
+};
+
+// Import a courier settlement file: record each line's cash against its delivered
+// COD parcel, reconcile the order and mark it paid when everything matches.
+// Lines that can't be recorded are kept on the import with the reason.
+//
+// file: { courier, reference, settledAt, fileName, csv }
+// Returns { success, message } or { success, remittance }
+const importSettlementFile = async ({ courier, reference, settledAt, fileName, csv }, { admin } = {}) => {
+  if (!courier || !String(courier).trim()) {
+    return { success: false, message: 'Courier is required' };
+  }
+  const adapter = getCourier(courier);
+  const courierKey = adapter ? adapter.code : String(courier).trim();
+
+  const { lines, error } = readSettlementCsv(csv || '');
+  if (error) {
+    return { success: false, message: error };
+  }
+
+  const orders = await Order.find({ orderNumber: { $in: [...new Set(lines.map(line => line.orderNumber))] } });
+  const ordersByNumber = new Map(orders.map(order => [order.orderNumber, order]));
+  const touched = new Set();
+  const updatedBy = admin ? admin.name : 'Admin';
+  const remittedAt = settledAt || new Date();
+
+  const results = [];
+  for (const line of lines) {
+    const result = { ...line };
+    results.push(result);
+
+    if (!line.orderNumber || line.collectedAmount === undefined || Number.isNaN(line.collectedAmount) ||
+        line.collectedAmount < 0 || Number.isNaN(line.fee)) {
+      result.status = 'invalid';
+      result.message = 'Needs an order number and a collected amount';
+      if (Number.isNaN(result.collectedAmount)) result.collectedAmount = undefined;
+      if (Number.isNaN(result.fee)) result.fee = undefined;
+      continue;
+    }
+
+    const order = ordersByNumber.get(line.orderNumber);
+    if (!order) {
+      result.status = 'unmatched';
+      result.message = `No order ${line.orderNumber}`;
+      continue;
+    }
+    result.orderId = order._id;
+
+    if (order.payment.method !== 'cod') {
+      result.status = 'not_cod';
+      result.message = `Paid by ${order.payment.method}`;
+      continue;
+    }
+
+    const { parcel, status, message } = findSettlementParcel(order, line, courierKey, adapter);
+    if (!parcel) {
+      result.status = status;
+      result.message = message;
+      continue;
+    }
+    result.shipmentNumber = parcel.shipmentNumber;
+
+    // Manually tracked parcels never had a COD amount put on them
+    if (!parcel.codAmount) {
+      parcel.codAmount = getDefaultCodAmount(order, parcel);
+    }
+
+    const reconciliation = order.recordRemittance(parcel._id, {
+      collectedAmount: line.collectedAmount,
+      fee: line.fee || 0,
+      reference,
+      remittedAt
+    }, COD_REMITTANCE_TOLERANCE);
+    parcel.timeline.push({
+      status: parcel.status,
+      note: `COD remitted: PKR ${line.collectedAmount}` + (reference ? ` (${reference})` : ''),
+      updatedBy
+    });
+
+    const captured = await settleCodPayment(order, { reference, createdBy: updatedBy });
+    result.status = reconciliation.status;
+    if (reconciliation.status === 'pending') {
+      result.message = 'Waiting for the order\'s other parcels';
+    } else if (reconciliation.status !== 'matched') {
+      result.message = `Expected PKR ${reconciliation.expected}, received PKR ${reconciliation.collected}`;
+    } else if (captured) {
+      result.message = 'Payment received';
+    }
+    touched.add(order);
+  }
+
+  for (const order of touched) {
+    await order.save();
+  }
+
+  const recorded = results.filter(result => ['matched', 'short', 'over', 'pending'].includes(result.status));
+  const collected = roundAmount(recorded.reduce((sum, result) => sum + result.collectedAmount, 0));
+  const fees = roundAmount(recorded.reduce((sum, result) => sum + (result.fee || 0), 0));
+
+  const remittance = await CodRemittance.create({
+    courier: courierKey,
+    reference,
+    fileName,
+    settledAt,
+    lines: results,
+    totals: {
+      lines: results.length,
+      recorded: recorded.length,
+      matched: results.filter(result => result.status === 'matched').length,
+      flagged: results.length - results.filter(result => ['matched', 'pending'].includes(result.status)).length,
+      collected,
+      fees,
+      net: roundAmount(collected - fees)
+    },
+    importedBy: admin ? { adminId: admin._id, adminName: admin.name } : undefined
+  });
+
+  return { success: true, remittance };
+};
+
+// Cash couriers collected on delivered COD parcels but haven't remitted yet,
+// per courier (adapter code, or the courier name on manually tracked parcels).
+//
+// options: { courier } - limit to one courier and list its parcels
+// Returns { couriers: [{ courier, parcels, orders, amount, oldestDeliveredAt }], total, parcels? }
+const getOutstandingCod = async ({ courier } = {}) => {
+  const orders = await Order.find({
+    'payment.method': 'cod',
+    'payment.status': 'pending',
+    shipments: {
+      $elemMatch: {
+        status: 'delivered',
+        'remittance.collectedAmount': { $exists: false }
+      }
+    }
+  }).select('orderNumber customer.name summary.total payment shipments');
+
+  const byCourier = new Map();
+  const parcels = [];
+  for (const order of orders) {
+    for (const parcel of order.shipments) {
+      if (parcel.status !== 'delivered' || parcel.remittance?.collectedAmount !== undefined) continue;
+
+      const key = parcel.courierCode || (parcel.courier || '').trim() || 'unassigned';
+      if (courier && key.toLowerCase() !== String(courier).toLowerCase()) continue;
+
+      const amount = parcel.codAmount || getDefaultCodAmount(order, parcel);
+      const entry = byCourier.get(key) ||
+        { courier: key, parcels: 0, orders: new Set(), amount: 0, oldestDeliveredAt: null };
+      entry.parcels += 1;
+      entry.orders.add(order.orderNumber);
+      entry.amount = roundAmount(entry.amount + amount);
+      if (parcel.deliveredAt && (!entry.oldestDeliveredAt || parcel.deliveredAt < entry.oldestDeliveredAt)) {
+        entry.oldestDeliveredAt = parcel.deliveredAt;
+      }
+      byCourier.set(key, entry);
+
+      if (courier) {
+        parcels.push({
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          customerName: order.customer.name,
+          shipmentNumber: parcel.shipmentNumber,
+          trackingNumber: parcel.trackingNumber,
+          amount,
+          deliveredAt: parcel.deliveredAt
+        });
+      }
+    }
+  }
+
+  const couriers = Array.from(byCourier.values())
+    .map(entry => ({ ...entry, orders: entry.orders.size }))
+    .sort((a, b) => b.amount - a.amount);
+
+  return {
+    couriers,
+    total: roundAmount(couriers.reduce((sum, entry) => sum + entry.amount, 0)),
+    ...(courier && { parcels: parcels.sort((a, b) => (a.deliveredAt || 0) - (b.deliveredAt || 0)) })
+  };
+};
+
+module.exports = {
+  importSettlementFile,
+  getOutstandingCod
+};
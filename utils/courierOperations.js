@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+const { getCourier } = require('./couriers');
+const { applyShipmentChange } = require('./orderFulfillment');
+const { recordPaymentTransaction } = require('./paymentLedger');
+const { SHIPPER, COD_REMITTANCE_TOLERANCE } = require('../config/couriers');
+
+// Parcels that still need tracking updates from their courier
+const TRACKABLE_SHIPMENT_STATUSES = ['shipped', 'in_transit', 'out_for_delivery', 'failed_delivery'];
+
+// How long a booking request may hold the claim on a parcel
+const BOOKING_CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Amount the courier should collect for a parcel: whatever is still owed on a COD
+// order after the COD already put on the order's other active parcels.
+const getDefaultCodAmount = (order, shipment) => {
+  if (order.payment.method !== 'cod' || order.payment.status !== 'pending') return 0;
+
+  const assigned = order.shipments
+    .filter(parcel => !parcel._id.equals(shipment._id) && parcel.status !== 'cancelled')
+    .reduce((sum, parcel) => sum + (parcel.codAmount || 0), 0);
+
+  return Math.max(0, roundAmount(order.summary.total - assigned));
+};
+
+// Book a parcel with a courier. Sets the tracking number, courier and COD amount
+// on the parcel and saves the order. Throws when the courier rejects the booking.
+// The parcel is claimed with a conditional update before the courier is called, so
+// of two requests booking it at once only one creates a consignment; the other
+// gets null. A claim left behind by a request that died is taken over once stale.
+const bookShipment = async (order, shipment, { courierCode, codAmount, weight, pieces, updatedBy } = {}) => {
+  const courier = getCourier(courierCode);
+  if (!courier) {
+    throw new Error(`Unknown courier: ${courierCode}`);
+  }
+  if (!courier.isConfigured()) {
+    throw new Error(`${courier.name} is not configured`);
+  }
+
+  const amount = codAmount !== undefined ? roundAmount(Number(codAmount)) : getDefaultCodAmount(order, shipment);
+
+  const Order = mongoose.model('Order');
+  const claimedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      shipments: {
+        $elemMatch: {
+          _id: shipment._id,
+          bookedAt: { $exists: false },
+          $or: [
+            { bookingClaimedAt: { $exists: false } },
+            { bookingClaimedAt: { $lt: new Date(claimedAt.getTime() - BOOKING_CLAIM_TIMEOUT_MS) } }
+          ]
+        }
+      }
+    },
+    { $set: { 'shipments.$.bookingClaimedAt': claimedAt } }
+  ).select('_id');
+  if (!claimed) return null;
+
+  let booking;
+  try {
+    booking = await courier.bookShipment({
+      order,
+      shipment,
+      codAmount: amount,
+      weight,
+      pieces,
+      shipper: SHIPPER
+    });
+  } catch (bookingError) {
+    // Let the parcel be booked again
+    await Order.updateOne(
+      { _id: order._id, shipments: { $elemMatch: { _id: shipment._id, bookingClaimedAt: claimedAt } } },
+      { $unset: { 'shipments.$.bookingClaimedAt': '' } }
+    );
+    throw bookingError;
+  }
+
+  shipment.courierCode = courier.code;
+  shipment.courier = courier.name;
+  shipment.trackingNumber = booking.trackingNumber;
+  shipment.consignmentId = booking.consignmentId || booking.trackingNumber;
+  shipment.bookedAt = new Date();
+  shipment.bookingClaimedAt = claimedAt;
+  shipment.codAmount = amount;
+  if (weight !== undefined) shipment.weight = weight;
+  if (pieces !== undefined) shipment.pieces = pieces;
+  shipment.timeline.push({
+    status: shipment.status,
+    note: `Booked with ${courier.name} (${booking.trackingNumber})`,
+    updatedBy,
+    timestamp: new Date()
+  });
+
+  await order.save();
+  return shipment;
+};
+
+// Merge courier tracking events into a parcel and roll the change up to the order.
+// Returns the number of new events.
+const applyTrackingEvents = async (order, shipment, events, source) => {
+  const previousStatus = shipment.status;
+  const added = order.recordTrackingEvents(shipment._id, events, source);
+
+  if (added === 0) {
+    await order.save();
+    return 0;
+  }
+
+  await applyShipmentChange(order, {
+    note: `Parcel ${shipment.shipmentNumber} ${shipment.status.replace(/_/g, ' ')}`,
+    updatedBy: source,
+    dispatchedShipment: previousStatus === 'preparing' && shipment.status !== 'preparing' ? shipment : null
+  });
+  return added;
+};
+
+// Pull the latest tracking for one booked parcel from its courier
+const refreshShipmentTracking = async (order, shipment) => {
+  const courier = getCourier(shipment.courierCode);
+  if (!courier) {
+    throw new Error(`Parcel ${shipment.shipmentNumber} was not booked through a courier integration`);
+  }
+
+  const events = await courier.getTracking({
+    trackingNumber: shipment.trackingNumber,
+    bookedAt: shipment.bookedAt
+  });
+  return applyTrackingEvents(order, shipment, events, courier.name);
+};
+
+// Refresh every in-flight parcel, optionally for one courier only.
+// Failures are counted rather than thrown so one bad parcel doesn't stop the run.
+const syncAllTracking = async ({ courierCode, limit = 200 } = {}) => {
+  const Order = mongoose.model('Order');
+  const match = {
+    courierCode: courierCode || { $exists: true, $ne: null },
+    trackingNumber: { $exists: true, $ne: null },
+    status: { $in: ['preparing', ...TRACKABLE_SHIPMENT_STATUSES] }
+  };
+
+  const orders = await Order.find({ shipments: { $elemMatch: match } })
+    .sort({ 'shipping.shippedAt': 1 })
+    .limit(limit);
+
+  const result = { orders: orders.length, parcels: 0, events: 0, failed: 0 };
+  for (const order of orders) {
+    const shipments = order.shipments.filter(parcel =>
+      parcel.courierCode && parcel.trackingNumber &&
+      (!courierCode || parcel.courierCode === courierCode) &&
+      ['preparing', ...TRACKABLE_SHIPMENT_STATUSES].includes(parcel.status)
+    );
+
+    for (const shipment of shipments) {
+      try {
+        result.events += await refreshShipmentTracking(order, shipment);
+        result.parcels += 1;
+      } catch (error) {
+        result.failed += 1;
+        console.error(`Tracking sync failed for ${shipment.trackingNumber}:`, error.message);
+      }
+    }
+  }
+  return result;
+};
+
+// Mark a COD order paid once its couriers' remittances match what the customer
+// owed: the cash is recorded in the payment ledger as captured. Short and over
+// remittances leave the payment pending for an admin to look into. Does not save.
+// Returns true when the payment was captured
+const settleCodPayment = async (order, { reference, createdBy } = {}) => {
+  if (order.payment.method !== 'cod' || order.payment.status !== 'pending') return false;
+  if (order.codReconciliation?.status !== 'matched') return false;
+
+  const { expected, collected, fees } = order.codReconciliation;
+  const { duplicate } = await recordPaymentTransaction(order, {
+    type: 'capture',
+    gateway: 'cod',
+    amount: collected,
+    idempotencyKey: `cod:capture:${order._id}`,
+    reference,
+    source: 'remittance',
+    raw: { expected, collected, fees },
+    createdBy
+  });
+  if (duplicate) return false;
+
+  order.timeline.push({
+    status: order.status,
+    note: `COD payment of PKR ${collected} received from the courier`,
+    updatedBy: createdBy,
+    timestamp: new Date()
+  });
+  return true;
+};
+
+// The order and parcel a courier's tracking number belongs to, or null. Consignment
+// numbers are plain numbers that can repeat across couriers, so the parcel must have
+// been booked with the same courier.
+const findCourierParcel = async (courier, trackingNumber) => {
+  const Order = mongoose.model('Order');
+  const order = await Order.findOne({
+    shipments: { $elemMatch: { trackingNumber, courierCode: courier.code } }
+  });
+  if (!order) return null;
+
+  const shipment = order.shipments.find(parcel =>
+    parcel.trackingNumber === trackingNumber && parcel.courierCode === courier.code
+  );
+  return { order, shipment };
+};
+
+// Store one courier remittance line against its parcel. Returns the order's
+// reconciliation, or null when none of the courier's parcels carries that tracking number.
+const applyRemittance = async (remittance, courier) => {
+  const found = await findCourierParcel(courier, remittance.trackingNumber);
+  if (!found) return null;
+
+  const { order, shipment } = found;
+  const reconciliation = order.recordRemittance(shipment._id, remittance, COD_REMITTANCE_TOLERANCE);
+  await settleCodPayment(order, { reference: remittance.reference, createdBy: courier.name });
+  await order.save();
+  return { order, reconciliation };
+};
+
+// Handle a courier status webhook: verify it through the adapter, then apply its
+// tracking events and any COD settlement. Throws on a bad signature or payload.
+const handleCourierWebhook = async (courierCode, { headers, body, rawBody }) => {
+  const courier = getCourier(courierCode);
+  if (!courier) {
+    throw new Error(`Unknown courier: ${courierCode}`);
+  }
+
+  const payload = courier.parseWebhook({ headers, body, rawBody });
+
+  const found = await findCourierParcel(courier, payload.trackingNumber);
+  if (!found) {
+    return { matched: false, trackingNumber: payload.trackingNumber };
+  }
+
+  const { order, shipment } = found;
+  const events = await applyTrackingEvents(order, shipment, payload.events, courier.name);
+
+  if (payload.remittance) {
+    order.recordRemittance(shipment._id, payload.remittance, COD_REMITTANCE_TOLERANCE);
+    await settleCodPayment(order, { reference: payload.remittance.reference, createdBy: courier.name });
+    await order.save();
+  }
+
+  return { matched: true, orderNumber: order.orderNumber, shipmentNumber: shipment.shipmentNumber, events };
+};
+
+// Fetch a courier's COD settlement report and reconcile each line with its order
+const syncRemittances = async (courierCode, { from, to } = {}) => {
+  const courier = getCourier(courierCode);
+  if (!courier) {
+    throw new Error(`Unknown courier: ${courierCode}`);
+  }
+
+  const Order = mongoose.model('Order');
+  const orders = await Order.find({
+    shipments: {
+      $elemMatch: {
+        courierCode: courier.code,
+        codAmount: { $gt: 0 },
+        'remittance.collectedAmount': { $exists: false }
+      }
+    }
+  }).select('shipments');
+
+  const shipments = orders.flatMap(order => order.shipments.filter(parcel =>
+    parcel.courierCode === courier.code && parcel.codAmount > 0 && parcel.remittance?.collectedAmount === undefined
+  ));
+
+  const remittances = await courier.getRemittances({ from, to, shipments });
+
+  const result = { received: remittances.length, reconciled: 0, unmatched: [], discrepancies: [] };
+  for (const remittance of remittances) {
+    const applied = await applyRemittance(remittance, courier);
+    if (!applied) {
+      result.unmatched.push(remittance.trackingNumber);
+      continue;
+    }
+    result.reconciled += 1;
+    if (['short', 'over'].includes(applied.reconciliation.status)) {
+      result.discrepancies.push({
+        orderNumber: applied.order.orderNumber,
+        ...applied.reconciliation
+      });
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  getDefaultCodAmount,
+  settleCodPayment,
+  bookShipment,
+  refreshShipmentTracking,
+  syncAllTracking,
+  handleCourierWebhook,
+  syncRemittances
+};
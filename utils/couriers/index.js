@@ -0,0 +1,53 @@
+const mockCourier = require('./mockCourier');
+const { verifyHmacSignature } = require('./signature');
+
+// Courier adapter registry.
+//
+// An adapter is a plain object describing one courier (TCS, Leopards, PostEx, ...):
+//
+//   code, name               - 'tcs', 'TCS Express'
+//   isConfigured()           - true when its credentials are set
+//   bookShipment({ order, shipment, codAmount, weight, pieces, shipper })
+//     -> { trackingNumber, consignmentId, raw }
+//        Pakistani couriers return a consignment (CN) number used as the tracking number.
+//   getTracking({ trackingNumber, bookedAt })
+//     -> [{ status, rawStatus, description, location, timestamp }]
+//   parseWebhook({ headers, body, rawBody })
+//     -> { trackingNumber, events: [...same shape as getTracking...], remittance? }
+//        Throws when the signature doesn't verify.
+//   getRemittances({ from, to, shipments })
+//     -> [{ trackingNumber, collectedAmount, fee, reference, remittedAt }]
+//        The COD settlement report (the courier's "payments" / "invoice" API).
+//
+// status is always one of the Order shipment statuses ('preparing', 'shipped',
+// 'in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'returned',
+// 'cancelled'); each adapter maps its courier's own status codes onto them.
+
+const REQUIRED_METHODS = ['isConfigured', 'bookShipment', 'getTracking', 'parseWebhook', 'getRemittances'];
+
+const adapters = new Map();
+
+const registerCourier = (adapter) => {
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (!adapter.code || missing.length > 0) {
+    throw new Error(`Courier adapter ${adapter.code || '(unnamed)'} is missing: ${missing.join(', ') || 'code'}`);
+  }
+  adapters.set(adapter.code, adapter);
+};
+
+const getCourier = (code) => adapters.get(String(code || '').toLowerCase()) || null;
+
+const listCouriers = () => Array.from(adapters.values()).map(adapter => ({
+  code: adapter.code,
+  name: adapter.name,
+  configured: adapter.isConfigured()
+}));
+
+registerCourier(mockCourier);
+
+module.exports = {
+  registerCourier,
+  getCourier,
+  listCouriers,
+  verifyHmacSignature
+};
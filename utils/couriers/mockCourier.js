@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { verifyHmacSignature } = require('./signature');
+const {
+  MOCK_COURIER_STEP_MINUTES,
+  MOCK_COURIER_FEE,
+  getWebhookSecret
+} = require('../../config/couriers');
+
+// Local courier for development and tests. Nothing leaves the server: tracking
+// numbers encode the booking time, and parcels advance one status every
+// MOCK_COURIER_STEP_MINUTES until delivered.
+
+const PROGRESSION = [
+  { status: 'preparing', rawStatus: 'BOOKED', description: 'Shipment booked' },
+  { status: 'shipped', rawStatus: 'PICKED_UP', description: 'Picked up from shipper' },
+  { status: 'in_transit', rawStatus: 'ARRIVED_AT_HUB', description: 'Arrived at destination hub' },
+  { status: 'out_for_delivery', rawStatus: 'OUT_FOR_DELIVERY', description: 'Out for delivery' },
+  { status: 'delivered', rawStatus: 'DELIVERED', description: 'Delivered to consignee' }
+];
+
+// The mock's own status codes, as a real courier would send them
+const STATUS_MAP = PROGRESSION.reduce((acc, step) => {
+  acc[step.rawStatus] = step.status;
+  return acc;
+}, { DELIVERY_FAILED: 'failed_delivery', RETURNED_TO_SHIPPER: 'returned', CANCELLED: 'cancelled' });
+
+const STEP_MS = MOCK_COURIER_STEP_MINUTES * 60 * 1000;
+
+// MOCK-<booking time base36>-<random>
+const parseBookingTime = (trackingNumber) => {
+  const match = /^MOCK-([0-9A-Z]+)-/.exec(trackingNumber || '');
+  return match ? parseInt(match[1], 36) : null;
+};
+
+const mockCourier = {
+  code: 'mock',
+  name: 'Mock Courier',
+
+  isConfigured() {
+    return true;
+  },
+
+  async bookShipment({ order, codAmount }) {
+    const bookedAt = Date.now();
+    const trackingNumber = `MOCK-${bookedAt.toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    return {
+      trackingNumber,
+      consignmentId: trackingNumber,
+      raw: { orderNumber: order.orderNumber, codAmount, bookedAt }
+    };
+  },
+
+  async getTracking({ trackingNumber }) {
+    const bookedAt = parseBookingTime(trackingNumber);
+    if (!bookedAt) return [];
+
+    const steps = Math.min(PROGRESSION.length, Math.floor((Date.now() - bookedAt) / STEP_MS) + 1);
+    return PROGRESSION.slice(0, steps).map((step, index) => ({
+      status: step.status,
+      rawStatus: step.rawStatus,
+      description: step.description,
+      location: index < 2 ? 'Origin hub' : 'Destination hub',
+      timestamp: new Date(bookedAt + index * STEP_MS)
+    }));
+  },
+
+  // Body: { trackingNumber, status, description, location, timestamp, codCollected }
+  // Header X-Mock-Signature: hex HMAC-SHA256 of the raw body. Unsigned webhooks are
+  // only accepted in development with no secret set.
+  parseWebhook({ headers, body, rawBody }) {
+    const secret = getWebhookSecret('mock');
+    if (!secret && process.env.NODE_ENV !== 'development') {
+      throw new Error('COURIER_WEBHOOK_SECRET_MOCK is not set');
+    }
+    if (secret && !verifyHmacSignature(rawBody, headers['x-mock-signature'], secret)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const status = STATUS_MAP[String(body.status || '').toUpperCase()];
+    if (!body.trackingNumber || !status) {
+      throw new Error('Webhook needs a trackingNumber and a known status');
+    }
+
+    return {
+      trackingNumber: body.trackingNumber,
+      events: [{
+        status,
+        rawStatus: String(body.status).toUpperCase(),
+        description: body.description || status,
+        location: body.location,
+        timestamp: body.timestamp ? new Date(body.timestamp) : new Date()
+      }],
+      remittance: body.codCollected !== undefined ? {
+        collectedAmount: Number(body.codCollected),
+        fee: MOCK_COURIER_FEE,
+        reference: `MOCK-SETTLE-${body.trackingNumber}`,
+        remittedAt: new Date()
+      } : null
+    };
+  },
+
+  // The mock settles every delivered parcel in full, less its flat fee
+  async getRemittances({ shipments = [] }) {
+    const remittances = [];
+    for (const shipment of shipments) {
+      const events = await this.getTracking({ trackingNumber: shipment.trackingNumber });
+      const delivered = events.find(event => event.status === 'delivered');
+      if (delivered) {
+        remittances.push({
+          trackingNumber: shipment.trackingNumber,
+          collectedAmount: shipment.codAmount || 0,
+          fee: MOCK_COURIER_FEE,
+          reference: `MOCK-SETTLE-${shipment.trackingNumber}`,
+          remittedAt: delivered.timestamp
+        });
+      }
+    }
+    return remittances;
+  }
+};
+
+module.exports = mockCourier;
@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 check shared by adapters whose webhooks sign the raw body
+const verifyHmacSignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const given = String(signature).replace(/^sha256=/, '');
+  return expected.length === given.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given));
+};
+
+module.exports = {
+  verifyHmacSignature
+};
@@ -0,0 +1,119 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { BASE_CURRENCY, DISPLAY_CURRENCIES, EXCHANGE_RATE_MAX_AGE_DAYS } = require('../config/currency');
+
+// Display currencies. Everything is priced, charged and accounted in PKR; a display
+// currency converts PKR amounts for showing them, with the admin-set rate recorded
+// wherever a converted amount is kept (orders).
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Look up the display currency a request asks for (?currency=USD).
+// Returns { success, currency } - currency is null for PKR or when none was asked
+// for, otherwise { code, rate, exchangeRateId, rateSetAt } - or { success: false, message }
+const resolveDisplayCurrency = async (code) => {
+  const requested = String(code || '').trim().toUpperCase();
+  if (!requested || requested === BASE_CURRENCY) {
+    return { success: true, currency: null };
+  }
+
+  if (!DISPLAY_CURRENCIES.includes(requested)) {
+    return {
+      success: false,
+      message: `Unsupported currency. Available: ${[BASE_CURRENCY, ...DISPLAY_CURRENCIES].join(', ')}`
+    };
+  }
+
+  const entry = await ExchangeRate.findOne({ currency: requested }).sort({ createdAt: -1 });
+  if (!entry) {
+    return { success: false, message: `Prices are not available in ${requested} yet` };
+  }
+
+  return {
+    success: true,
+    currency: {
+      code: requested,
+      rate: entry.rate,
+      exchangeRateId: entry._id,
+      rateSetAt: entry.createdAt
+    }
+  };
+};
+
+// PKR amount in the display currency
+const convertAmount = (amount, currency) => {
+  if (amount === undefined || amount === null) return amount;
+  return roundAmount(amount / currency.rate);
+};
+
+// A product (document or plain object) with displayPrice added to it and its
+// variants: { currency, price, originalPrice }. Prices themselves stay in PKR.
+const localizeProduct = (product, currency) => {
+  const data = typeof product.toJSON === 'function' ? product.toJSON() : { ...product };
+  if (!currency) return data;
+
+  data.displayPrice = {
+    currency: currency.code,
+    price: convertAmount(data.price, currency),
+    originalPrice: convertAmount(data.originalPrice, currency)
+  };
+  if (Array.isArray(data.variants)) {
+    data.variants = data.variants.map(variant => ({
+      ...variant,
+      displayPrice: {
+        currency: currency.code,
+        price: convertAmount(variant.price ?? data.price, currency)
+      }
+    }));
+  }
+  return data;
+};
+
+// An order summary (PKR) converted for display, with the rate used:
+// { code, rate, exchangeRateId, rateSetAt, subtotal, tax, shipping, discount, total }
+const convertSummary = (summary, currency) => ({
+  ...currency,
+  subtotal: convertAmount(summary.subtotal, currency),
+  tax: convertAmount(summary.tax || 0, currency),
+  shipping: convertAmount(summary.shipping || 0, currency),
+  discount: convertAmount(summary.discount || 0, currency),
+  total: convertAmount(summary.total, currency)
+});
+
+// Rates for the storefront's currency picker: [{ code, rate, rateSetAt }], PKR first
+const getDisplayCurrencies = async () => {
+  const rates = await ExchangeRate.getCurrentRates();
+  return [
+    { code: BASE_CURRENCY, rate: 1, base: true },
+    ...DISPLAY_CURRENCIES
+      .filter(code => rates.has(code))
+      .map(code => ({ code, rate: rates.get(code).rate, rateSetAt: rates.get(code).createdAt }))
+  ];
+};
+
+// Every display currency with its current rate for the admin panel, flagging
+// missing and stale rates
+const getExchangeRateOverview = async () => {
+  const rates = await ExchangeRate.getCurrentRates();
+  const staleBefore = Date.now() - EXCHANGE_RATE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+  return DISPLAY_CURRENCIES.map(code => {
+    const entry = rates.get(code);
+    return {
+      code,
+      rate: entry ? entry.rate : null,
+      rateSetAt: entry ? entry.createdAt : null,
+      setBy: entry ? entry.setBy?.adminName : null,
+      note: entry ? entry.note : null,
+      stale: !entry || entry.createdAt.getTime() < staleBefore
+    };
+  });
+};
+
+module.exports = {
+  resolveDisplayCurrency,
+  convertAmount,
+  localizeProduct,
+  convertSummary,
+  getDisplayCurrencies,
+  getExchangeRateOverview
+};
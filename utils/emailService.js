@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { generateInvoice } = require('./orderDocuments');
 
 class EmailService {
   constructor() {
@@ -82,7 +83,8 @@ class EmailService {
         to: options.to,
         subject: options.subject,
         html: options.html || options.text,
-        text: options.text
+        text: options.text,
+        attachments: options.attachments
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -130,13 +132,16 @@ class EmailService {
     }
   }
 
-  async sendShippingNotification(order) {
+  async sendShippingNotification(order, shipment = null) {
     try {
-      const emailContent = this.generateShippingNotificationEmail(order);
+      const emailContent = this.generateShippingNotificationEmail(order, shipment);
+      const parcelCount = order.shipments?.length || 0;
       
       return await this.sendEmail({
         to: order.customer?.email || order.email,
-        subject: `Order Shipped - ${order.orderNumber || order._id}`,
+        subject: shipment && parcelCount > 1
+          ? `Parcel ${shipment.shipmentNumber} Shipped - ${order.orderNumber || order._id}`
+          : `Order Shipped - ${order.orderNumber || order._id}`,
         html: emailContent
       });
     } catch (error) {
@@ -147,12 +152,15 @@ class EmailService {
 
   async sendOrderStatusUpdate(order, previousStatus) {
     try {
-      const emailContent = this.generateOrderStatusUpdateEmail(order, previousStatus);
+      // Delivered orders get their invoice attached
+      const attachments = order.status === 'delivered' ? await this.buildInvoiceAttachments(order) : [];
+      const emailContent = this.generateOrderStatusUpdateEmail(order, previousStatus, attachments.length > 0);
       
       return await this.sendEmail({
         to: order.customer?.email || order.email,
         subject: `Order Status Update - ${order.orderNumber || order._id}`,
-        html: emailContent
+        html: emailContent,
+        attachments
       });
     } catch (error) {
       console.error('❌ Failed to send order status update email:', error.message);
@@ -160,6 +168,26 @@ class EmailService {
     }
   }
 
+  // Invoice PDF as a nodemailer attachment; empty when it can't be produced so the
+  // email still goes out without it
+  async buildInvoiceAttachments(order) {
+    try {
+      if (typeof order.assignInvoiceNumber !== 'function' || !order.isInvoiceable()) {
+        return [];
+      }
+      await order.assignInvoiceNumber();
+      const pdf = await generateInvoice(order);
+      return [{
+        filename: `${order.invoice.number}.pdf`,
+        content: pdf,
+        contentType: 'application/pdf'
+      }];
+    } catch (error) {
+      console.error('❌ Failed to attach invoice:', error.message);
+      return [];
+    }
+  }
+
   async sendPasswordResetEmail({ email, name, resetUrl, resetToken }) {
     try {
       const emailContent = this.generatePasswordResetEmail(name, resetUrl, resetToken);
@@ -190,6 +218,74 @@ class EmailService {
     }
   }
 
+  async sendCartRecoveryEmail({ email, name, items, total, restoreUrl, step, sourceType }) {
+    try {
+      const emailContent = this.generateCartRecoveryEmail({ name, items, total, restoreUrl, step, sourceType });
+      const subjects = [
+        'You left something behind - Prince Vibe',
+        'Your watch is still waiting for you - Prince Vibe',
+        'Last reminder: your cart is about to expire - Prince Vibe'
+      ];
+
+      return await this.sendEmail({
+        to: email,
+        subject: sourceType === 'order'
+          ? 'Please confirm your order - Prince Vibe'
+          : subjects[Math.min(step, subjects.length) - 1],
+        html: emailContent
+      });
+    } catch (error) {
+      console.error('❌ Failed to send cart recovery email:', error.message);
+      return false;
+    }
+  }
+
+  async sendBackInStockNotification({ email, product, variantLabel }) {
+    try {
+      const productUrl = `${process.env.FRONTEND_URL}/product/${product._id}`;
+      const emailContent = this.generateBackInStockEmail(product, productUrl, variantLabel);
+
+      return await this.sendEmail({
+        to: email,
+        subject: `Back in Stock: ${product.name}${variantLabel ? ` (${variantLabel})` : ''} - Prince Vibe`,
+        html: emailContent
+      });
+    } catch (error) {
+      console.error('❌ Failed to send back in stock email:', error.message);
+      return false;
+    }
+  }
+
+  async sendReturnStatusUpdate(returnRequest) {
+    try {
+      const emailContent = this.generateReturnStatusEmail(returnRequest);
+
+      return await this.sendEmail({
+        to: returnRequest.customer?.email,
+        subject: `Return ${returnRequest.rmaNumber} - ${returnRequest.status.charAt(0).toUpperCase() + returnRequest.status.slice(1)} - Prince Vibe`,
+        html: emailContent
+      });
+    } catch (error) {
+      console.error('❌ Failed to send return status email:', error.message);
+      return false;
+    }
+  }
+
+  async sendReviewRequest(order, reviewUrl) {
+    try {
+      const emailContent = this.generateReviewRequestEmail(order, reviewUrl);
+
+      return await this.sendEmail({
+        to: order.customer?.email,
+        subject: `How is your order ${order.orderNumber}? - Prince Vibe`,
+        html: emailContent
+      });
+    } catch (error) {
+      console.error('❌ Failed to send review request email:', error.message);
+      return false;
+    }
+  }
+
   generateOrderConfirmationEmail(order) {
     const items = order.items?.map(item => `
       <tr>
@@ -225,6 +321,9 @@ class EmailService {
             <p><strong>Order Number:</strong> ${order.orderNumber || order._id}</p>
             <p><strong>Order Date:</strong> ${new Date(order.createdAt || Date.now()).toLocaleDateString()}</p>
             <p><strong>Total Amount:</strong> PKR ${(order.total || order.summary?.total || 0).toLocaleString()}</p>
+            ${order.displayCurrency?.code ? `
+            <p style="color: #666;">About ${order.displayCurrency.code} ${order.displayCurrency.total.toLocaleString()} at 1 ${order.displayCurrency.code} = PKR ${order.displayCurrency.rate}. You are charged the PKR amount.</p>
+            ` : ''}
           </div>
           
           ${items ? `
@@ -252,6 +351,222 @@ class EmailService {
     `;
   }
 
+  generateCartRecoveryEmail({ name, items = [], total = 0, restoreUrl, step = 1, sourceType = 'cart' }) {
+    const rows = items.map(item => `
+      <tr>
+        <td style="padding: 10px; border-bottom: 1px solid #eee;">
+          ${item.name}
+        </td>
+        <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">
+          ${item.quantity}
+        </td>
+        <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">
+          PKR ${(item.price * item.quantity).toLocaleString()}
+        </td>
+      </tr>
+    `).join('');
+
+    const intro = sourceType === 'order'
+      ? 'Your cash on delivery order is still waiting for confirmation. Confirm it in one click so we can ship it to you.'
+      : step > 1
+        ? 'The items in your cart are still available, but stock on these pieces is limited.'
+        : 'Looks like you left some items in your cart. We saved them for you.';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Your Cart</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #2c3e50;">${sourceType === 'order' ? 'Confirm Your Order' : 'Still Thinking It Over?'}</h2>
+          
+          <p>Dear ${name || 'Customer'},</p>
+          
+          <p>${intro}</p>
+          
+          ${rows ? `
+          <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+            <thead>
+              <tr style="background: #f1f1f1;">
+                <th style="padding: 10px; text-align: left; border-bottom: 2px solid #ddd;">Item</th>
+                <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Quantity</th>
+                <th style="padding: 10px; text-align: right; border-bottom: 2px solid #ddd;">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rows}
+            </tbody>
+          </table>
+          <p><strong>Total:</strong> PKR ${total.toLocaleString()}</p>
+          ` : ''}
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${restoreUrl}" style="display: inline-block; background: #2c3e50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">
+              ${sourceType === 'order' ? 'Confirm My Order' : 'Return to My Cart'}
+            </a>
+          </div>
+          
+          <p style="font-size: 12px; color: #777;">You are receiving this email because you opted in to marketing emails from Prince Vibe. You can turn these off in your account preferences.</p>
+          
+          <p>Best regards,<br>Prince Vibe Team</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  generateBackInStockEmail(product, productUrl, variantLabel) {
+    const image = product.mainImage;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Back in Stock</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #27ae60;">It's Back in Stock!</h2>
+          
+          <p>Good news! A watch you asked us to keep an eye on is available again.</p>
+          
+          <div style="background: #f8f9fa; padding: 15px; margin: 20px 0; border-radius: 5px; text-align: center;">
+            ${image ? `<img src="${image}" alt="${product.name}" style="max-width: 200px; margin-bottom: 10px;">` : ''}
+            <h3>${product.name}</h3>
+            ${variantLabel ? `<p>${variantLabel}</p>` : ''}
+            <p><strong>Price:</strong> PKR ${(product.price || 0).toLocaleString()}</p>
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${productUrl}" style="display: inline-block; background: #27ae60; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">
+              Shop Now
+            </a>
+          </div>
+          
+          <p>Stock is limited, so we can't hold it for you for long.</p>
+          
+          <p>Best regards,<br>Prince Vibe Team</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  generateReviewRequestEmail(order, reviewUrl) {
+    const items = order.items?.map(item => `
+      <tr>
+        <td style="padding: 10px; border-bottom: 1px solid #eee; width: 70px;">
+          ${item.image ? `<img src="${item.image}" alt="${item.name}" style="max-width: 60px;">` : ''}
+        </td>
+        <td style="padding: 10px; border-bottom: 1px solid #eee;">
+          ${item.name}${item.variantLabel ? ` (${item.variantLabel})` : ''}
+        </td>
+      </tr>
+    `).join('') || '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Review Your Order</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #2c3e50;">How Did We Do?</h2>
+          
+          <p>Dear ${order.customer?.name || 'Customer'},</p>
+          
+          <p>Your order <strong>${order.orderNumber}</strong> has been delivered. We'd love to hear what you think of it - your review helps other customers choose.</p>
+          
+          <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+            <tbody>
+              ${items}
+            </tbody>
+          </table>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${reviewUrl}" style="display: inline-block; background: #2c3e50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">
+              Write a Review
+            </a>
+          </div>
+          
+          <p style="font-size: 12px; color: #777;">This link is for your order only. Each item can be reviewed once, and reviews left through it are marked as verified purchases.</p>
+          
+          <p>Best regards,<br>Prince Vibe Team</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  generateReturnStatusEmail(returnRequest) {
+    const messages = {
+      requested: 'We have received your return request and will review it shortly.',
+      approved: 'Your return has been approved. Please pack the items securely and send them back to us, quoting the return number below.',
+      rejected: 'Unfortunately we are unable to accept this return.',
+      received: 'We have received your returned items and are processing your refund.',
+      refunded: `Your refund of PKR ${(returnRequest.refund?.amount || 0).toLocaleString()} has been issued.`
+    };
+
+    const items = returnRequest.items?.map(item => `
+      <tr>
+        <td style="padding: 10px; border-bottom: 1px solid #eee;">
+          ${item.name}${item.variantLabel ? ` (${item.variantLabel})` : ''}
+        </td>
+        <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">
+          ${item.quantity}
+        </td>
+      </tr>
+    `).join('') || '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Return Update</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #9b59b6;">Return Update</h2>
+          
+          <p>Dear ${returnRequest.customer?.name || 'Customer'},</p>
+          
+          <p>${messages[returnRequest.status] || 'Your return request has been updated.'}</p>
+          
+          <div style="background: #f8f9fa; padding: 15px; margin: 20px 0; border-radius: 5px;">
+            <p><strong>Return Number:</strong> ${returnRequest.rmaNumber}</p>
+            <p><strong>Order Number:</strong> ${returnRequest.orderNumber}</p>
+            <p><strong>Status:</strong> ${returnRequest.status}</p>
+            ${returnRequest.status === 'rejected' && returnRequest.adminNote ? `<p><strong>Reason:</strong> ${returnRequest.adminNote}</p>` : ''}
+          </div>
+          
+          <table style="width: 100%; border-collapse: collapse;">
+            <thead>
+              <tr style="background: #f8f9fa;">
+                <th style="padding: 10px; text-align: left;">Item</th>
+                <th style="padding: 10px; text-align: center;">Qty</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${items}
+            </tbody>
+          </table>
+          
+          <p>If you have any questions, just reply to this email.</p>
+          
+          <p>Best regards,<br>Prince Vibe Team</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   generatePaymentConfirmationEmail(order) {
     return `
       <!DOCTYPE html>
@@ -285,7 +600,28 @@ class EmailService {
     `;
   }
 
-  generateShippingNotificationEmail(order) {
+  generateShippingNotificationEmail(order, shipment = null) {
+    const shipments = order.shipments || [];
+    const parcels = shipments.filter(parcel => parcel.status !== 'cancelled').map((parcel, index) => {
+      const isNew = shipment && parcel._id?.toString() === shipment._id?.toString();
+      const items = parcel.items.map(item => `
+        <li>${item.name}${item.variantLabel ? ` (${item.variantLabel})` : ''} &times; ${item.quantity}</li>
+      `).join('');
+
+      return `
+        <div style="background: ${isNew ? '#e3f2fd' : '#f8f9fa'}; padding: 15px; margin: 15px 0; border-radius: 5px; ${isNew ? 'border-left: 4px solid #3498db;' : ''}">
+          <h4 style="margin: 0 0 10px;">Parcel ${index + 1} of ${shipments.length}${isNew ? ' - just shipped' : ''}</h4>
+          <p><strong>Status:</strong> ${parcel.status.replace(/_/g, ' ')}</p>
+          ${parcel.courier ? `<p><strong>Courier:</strong> ${parcel.courier}</p>` : ''}
+          ${parcel.trackingNumber ? `<p><strong>Tracking Number:</strong> ${parcel.trackingNumber}</p>` : ''}
+          <ul>${items}</ul>
+        </div>
+      `;
+    }).join('');
+
+    const trackingNumber = order.shipping?.trackingNumber || order.trackingNumber;
+    const estimatedDelivery = order.shipping?.estimatedDelivery || order.estimatedDelivery;
+
     return `
       <!DOCTYPE html>
       <html>
@@ -299,20 +635,24 @@ class EmailService {
           
           <p>Dear ${order.customer?.name || 'Customer'},</p>
           
-          <p>Great news! Your order has been shipped and is on its way to you.</p>
+          <p>${shipments.length > 1
+            ? 'Your order is being sent in more than one parcel. Here is where each one is.'
+            : 'Great news! Your order has been shipped and is on its way to you.'}</p>
           
           <div style="background: #e3f2fd; padding: 15px; margin: 20px 0; border-radius: 5px; border-left: 4px solid #3498db;">
             <h3>Shipping Details</h3>
             <p><strong>Order Number:</strong> ${order.orderNumber || order._id}</p>
-            ${order.trackingNumber ? `<p><strong>Tracking Number:</strong> ${order.trackingNumber}</p>` : ''}
+            ${!parcels && trackingNumber ? `<p><strong>Tracking Number:</strong> ${trackingNumber}</p>` : ''}
             <p><strong>Shipping Address:</strong><br>
             ${order.customer?.address?.street || ''}<br>
             ${order.customer?.address?.city || ''}, ${order.customer?.address?.state || ''}<br>
             ${order.customer?.address?.zipCode || ''}</p>
-            ${order.estimatedDelivery ? `<p><strong>Estimated Delivery:</strong> ${new Date(order.estimatedDelivery).toLocaleDateString()}</p>` : ''}
+            ${estimatedDelivery ? `<p><strong>Estimated Delivery:</strong> ${new Date(estimatedDelivery).toLocaleDateString()}</p>` : ''}
           </div>
           
-          <p>You can track your package using the tracking number provided above.</p>
+          ${parcels}
+          
+          <p>You can track your ${shipments.length > 1 ? 'parcels' : 'package'} using the tracking ${shipments.length > 1 ? 'numbers' : 'number'} provided above.</p>
           
           <p>Best regards,<br>Prince Vibe Team</p>
         </div>
@@ -321,7 +661,7 @@ class EmailService {
     `;
   }
 
-  generateOrderStatusUpdateEmail(order, previousStatus) {
+  generateOrderStatusUpdateEmail(order, previousStatus, invoiceAttached = false) {
     return `
       <!DOCTYPE html>
       <html>
@@ -344,7 +684,9 @@ class EmailService {
             <p><strong>Current Status:</strong> ${order.status || 'N/A'}</p>
             <p><strong>Updated On:</strong> ${new Date().toLocaleDateString()}</p>
           </div>
-          
+          ${invoiceAttached ? `
+          <p>Your invoice (${order.invoice.number}) is attached to this email.</p>
+          ` : ''}
           <p>Thank you for shopping with us!</p>
           
           <p>Best regards,<br>Prince Vibe Team</p>
@@ -0,0 +1,52 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { restoreVariantStock } = require('./stockReservation');
+
+// Put an order's items back into stock and record a movement per line.
+// movementType is 'cancellation' or 'return'; pass items ({ productId, variantId,
+// quantity }) to restock only part of the order. Returns the recorded movements.
+const restoreOrderStock = async (order, { items = order.items, movementType = 'cancellation', reason, notes, admin, source = 'admin' } = {}) => {
+  const movements = [];
+
+  for (const item of items) {
+    if (!(item.quantity > 0)) continue;
+
+    try {
+      await Product.findByIdAndUpdate(
+        item.productId,
+        {
+          $inc: { quantity: item.quantity },
+          $set: { inStock: true }
+        }
+      );
+      if (item.variantId) {
+        await restoreVariantStock(item.productId, item.variantId, item.quantity);
+      }
+
+      const movement = await StockMovement.recordMovement({
+        productId: item.productId,
+        variantId: item.variantId,
+        movementType,
+        quantity: item.quantity,
+        stockApplied: true,
+        relatedOrderId: order._id,
+        relatedOrderNumber: order.orderNumber,
+        adminId: admin?._id,
+        adminName: admin?.name,
+        reason,
+        notes,
+        source: admin ? source : 'system'
+      });
+      movements.push(movement);
+    } catch (stockError) {
+      console.error('Stock restoration error:', stockError);
+      // Continue with the remaining items even if one fails
+    }
+  }
+
+  return movements;
+};
+
+module.exports = {
+  restoreOrderStock
+};
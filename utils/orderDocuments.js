@@ -0,0 +1,274 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { renderPdf, formatAmount } = require('./pdf');
+const { STORE, getInvoiceLinkSecret } = require('../config/invoices');
+
+const PAGE_MARGIN = 40;
+const PAGE_OPTIONS = { size: 'A4', margin: PAGE_MARGIN };
+const PAYMENT_METHOD_LABELS = {
+  cod: 'Cash on delivery',
+  card: 'Card',
+  bank_transfer: 'Bank transfer',
+  wallet: 'Mobile wallet'
+};
+
+const formatDate = (date) => new Date(date || Date.now()).toLocaleDateString('en-PK', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+// Store branding block shared by the invoice and the packing slip. Returns the y below it.
+const drawStoreHeader = (doc, title, rightLines) => {
+  const top = PAGE_MARGIN;
+  let textX = PAGE_MARGIN;
+
+  if (STORE.logoPath && fs.existsSync(STORE.logoPath)) {
+    try {
+      doc.image(STORE.logoPath, PAGE_MARGIN, top, { fit: [60, 60] });
+      textX += 70;
+    } catch (error) {
+      console.error('Invoice logo could not be drawn:', error.message);
+    }
+  }
+
+  doc.fillColor(STORE.accentColor).font('Helvetica-Bold').fontSize(18).text(STORE.name, textX, top, { width: 260 });
+  doc.fillColor('#333333').font('Helvetica').fontSize(9);
+  [STORE.address, STORE.phone, STORE.email, STORE.taxId ? `NTN: ${STORE.taxId}` : null]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, textX, doc.y, { width: 260 }));
+  const leftBottom = doc.y;
+
+  const rightX = doc.page.width - PAGE_MARGIN - 200;
+  doc.fillColor(STORE.accentColor).font('Helvetica-Bold').fontSize(20).text(title, rightX, top, { width: 200, align: 'right' });
+  doc.fillColor('#333333').font('Helvetica').fontSize(9);
+  rightLines.forEach(line => doc.text(line, rightX, doc.y, { width: 200, align: 'right' }));
+
+  return Math.max(leftBottom, doc.y, top + 60) + 20;
+};
+
+const drawAddressBlock = (doc, heading, order, x, y) => {
+  const address = order.customer.address;
+  doc.fillColor(STORE.accentColor).font('Helvetica-Bold').fontSize(9).text(heading, x, y, { width: 240 });
+  doc.fillColor('#333333').font('Helvetica-Bold').fontSize(10).text(order.customer.name, x, doc.y, { width: 240 });
+  doc.font('Helvetica').fontSize(9)
+    .text(address.street, x, doc.y, { width: 240 })
+    .text(`${address.city}, ${address.state} ${address.zipCode}`, x, doc.y, { width: 240 })
+    .text(address.country || 'Pakistan', x, doc.y, { width: 240 })
+    .text(order.customer.phone, x, doc.y, { width: 240 })
+    .text(order.customer.email, x, doc.y, { width: 240 });
+  return doc.y;
+};
+
+// Draw a table with a coloured header row, starting new pages as needed.
+// columns: [{ header, width, align }]; rows: arrays of cell strings. Returns the y below it.
+const drawTable = (doc, columns, rows, startY) => {
+  const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  const padding = 4;
+  let y = startY;
+
+  const drawHeader = () => {
+    doc.rect(PAGE_MARGIN, y, tableWidth, 18).fill(STORE.accentColor);
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(9);
+    let x = PAGE_MARGIN;
+    for (const column of columns) {
+      doc.text(column.header, x + padding, y + 5, { width: column.width - padding * 2, align: column.align || 'left' });
+      x += column.width;
+    }
+    y += 18;
+  };
+
+  drawHeader();
+  doc.font('Helvetica').fontSize(9).fillColor('#333333');
+  for (const row of rows) {
+    const height = Math.max(...row.map((cell, index) =>
+      doc.heightOfString(String(cell), { width: columns[index].width - padding * 2 })
+    )) + padding * 2;
+
+    if (y + height > doc.page.height - PAGE_MARGIN - 40) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+      drawHeader();
+      doc.font('Helvetica').fontSize(9).fillColor('#333333');
+    }
+
+    let x = PAGE_MARGIN;
+    row.forEach((cell, index) => {
+      doc.text(String(cell), x + padding, y + padding, { width: columns[index].width - padding * 2, align: columns[index].align || 'left' });
+      x += columns[index].width;
+    });
+    y += height;
+    doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + tableWidth, y).lineWidth(0.5).strokeColor('#dddddd').stroke();
+  }
+  return y;
+};
+
+// Totals block: label / amount pairs aligned to the right edge
+const drawTotals = (doc, lines, startY) => {
+  const labelX = doc.page.width - PAGE_MARGIN - 260;
+  let y = startY + 10;
+
+  if (y + lines.length * 16 > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  }
+
+  for (const line of lines) {
+    doc.fillColor('#333333').font(line.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(line.bold ? 11 : 9);
+    doc.text(line.label, labelX, y, { width: 160, align: 'right' });
+    doc.text(line.amount, labelX + 160, y, { width: 100, align: 'right' });
+    y += line.bold ? 18 : 14;
+  }
+  return y;
+};
+
+const describeItem = (item) => item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name;
+
+// Draw an invoice starting on the current page. The order must already have an
+// invoice number (order.assignInvoiceNumber()).
+const drawInvoice = (doc, order) => {
+  let y = drawStoreHeader(doc, 'INVOICE', [
+    `Invoice No: ${order.invoice?.number || '-'}`,
+    `Invoice Date: ${formatDate(order.invoice?.issuedAt)}`,
+    `Order No: ${order.orderNumber}`,
+    `Order Date: ${formatDate(order.createdAt)}`,
+    `Payment: ${PAYMENT_METHOD_LABELS[order.payment.method] || order.payment.method} (${order.payment.status.replace(/_/g, ' ')})`
+  ]);
+
+  y = drawAddressBlock(doc, 'BILL TO', order, PAGE_MARGIN, y) + 20;
+
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  y = drawTable(doc, [
+    { header: 'SKU', width: 90 },
+    { header: 'Item', width: contentWidth - 90 - 40 - 90 - 95 },
+    { header: 'Qty', width: 40, align: 'right' },
+    { header: 'Unit Price', width: 90, align: 'right' },
+    { header: 'Amount', width: 95, align: 'right' }
+  ], order.items.map(item => [
+    item.sku || '-',
+    describeItem(item),
+    item.quantity,
+    formatAmount(item.price),
+    formatAmount(item.price * item.quantity)
+  ]), y);
+
+  const summary = order.summary;
+  const lines = [{ label: 'Subtotal', amount: formatAmount(summary.subtotal) }];
+  if (summary.discount > 0) {
+    lines.push({
+      label: order.promotion?.code ? `Discount (${order.promotion.code})` : 'Discount',
+      amount: `- ${formatAmount(summary.discount)}`
+    });
+  }
+  lines.push({ label: 'Shipping', amount: formatAmount(summary.shipping) });
+  if (summary.taxBreakdown?.length > 0) {
+    for (const tax of summary.taxBreakdown) {
+      lines.push({
+        label: `${tax.label} ${Math.round(tax.rate * 10000) / 100}% on ${formatAmount(tax.taxableAmount)}`,
+        amount: formatAmount(tax.amount)
+      });
+    }
+  } else if (summary.tax > 0) {
+    lines.push({ label: 'Tax', amount: formatAmount(summary.tax) });
+  }
+  lines.push({ label: 'Total', amount: formatAmount(summary.total), bold: true });
+  if (order.payment.refundedTotal > 0) {
+    lines.push({ label: 'Refunded', amount: `- ${formatAmount(order.payment.refundedTotal)}` });
+    lines.push({ label: 'Net', amount: formatAmount(summary.total - order.payment.refundedTotal), bold: true });
+  }
+
+  y = drawTotals(doc, lines, y);
+
+  doc.fillColor('#777777').font('Helvetica').fontSize(8)
+    .text(`Thank you for shopping with ${STORE.name}. This is a computer-generated invoice and needs no signature.`,
+      PAGE_MARGIN, y + 30, { width: contentWidth, align: 'center' });
+};
+
+// Draw a warehouse packing slip starting on the current page - the whole order,
+// or one parcel of it. No prices are printed.
+const drawPackingSlip = (doc, order, shipment = null) => {
+  const headerLines = [
+    `Order No: ${order.orderNumber}`,
+    `Order Date: ${formatDate(order.createdAt)}`,
+    `Shipping: ${order.shipping.method}`
+  ];
+  if (shipment) {
+    headerLines.push(`Parcel: ${shipment.shipmentNumber}`);
+    if (shipment.trackingNumber) headerLines.push(`Tracking: ${shipment.courier || ''} ${shipment.trackingNumber}`.trim());
+  }
+  let y = drawStoreHeader(doc, 'PACKING SLIP', headerLines);
+
+  y = drawAddressBlock(doc, 'SHIP TO', order, PAGE_MARGIN, y) + 20;
+
+  const lines = shipment
+    ? shipment.items.map(item => ({ ...order.items.id(item.orderItemId)?.toObject(), quantity: item.quantity, name: item.name, variantLabel: item.variantLabel }))
+    : order.items;
+
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  y = drawTable(doc, [
+    { header: 'SKU', width: 110 },
+    { header: 'Item', width: contentWidth - 110 - 50 - 60 },
+    { header: 'Qty', width: 50, align: 'right' },
+    { header: 'Packed', width: 60, align: 'center' }
+  ], lines.map(item => [item.sku || '-', describeItem(item), item.quantity, '[   ]']), y);
+
+  const units = lines.reduce((sum, item) => sum + item.quantity, 0);
+  doc.fillColor('#333333').font('Helvetica-Bold').fontSize(10)
+    .text(`Total units: ${units}`, PAGE_MARGIN, y + 12, { width: contentWidth, align: 'right' });
+
+  if (order.notes?.customer) {
+    doc.moveDown(1.5);
+    doc.fillColor(STORE.accentColor).font('Helvetica-Bold').fontSize(9).text('CUSTOMER NOTE', PAGE_MARGIN, doc.y, { width: contentWidth });
+    doc.fillColor('#333333').font('Helvetica').fontSize(9).text(order.notes.customer, PAGE_MARGIN, doc.y, { width: contentWidth });
+  }
+};
+
+// Render one invoice. Resolves to a PDF Buffer.
+const generateInvoice = (order) => renderPdf(PAGE_OPTIONS, doc => drawInvoice(doc, order));
+
+// Render several invoices into one PDF for printing, one order per page run
+const generateInvoices = (orders) => renderPdf(PAGE_OPTIONS, (doc) => {
+  orders.forEach((order, index) => {
+    if (index > 0) doc.addPage();
+    drawInvoice(doc, order);
+  });
+});
+
+// Render a packing slip. Resolves to a PDF Buffer.
+const generatePackingSlip = (order, shipment = null) => renderPdf(PAGE_OPTIONS, doc => drawPackingSlip(doc, order, shipment));
+
+// Render the packing slips of several orders into one PDF
+const generatePackingSlips = (orders) => renderPdf(PAGE_OPTIONS, (doc) => {
+  orders.forEach((order, index) => {
+    if (index > 0) doc.addPage();
+    drawPackingSlip(doc, order);
+  });
+});
+
+// Customer invoice links are signed so they work without logging in
+// (guest tracking, email) but can't be guessed from an order number
+const getInvoiceToken = (orderNumber) => crypto
+  .createHmac('sha256', getInvoiceLinkSecret())
+  .update(`invoice:${orderNumber}`)
+  .digest('hex');
+
+const verifyInvoiceToken = (orderNumber, token) => {
+  if (typeof token !== 'string') return false;
+  const expected = Buffer.from(getInvoiceToken(orderNumber));
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// API path a customer can open to download the invoice, or null while the order can't be invoiced
+const getInvoiceDownloadPath = (order) => order.isInvoiceable()
+  ? `/api/orders/${order.orderNumber}/invoice.pdf?token=${getInvoiceToken(order.orderNumber)}`
+  : null;
+
+module.exports = {
+  generateInvoice,
+  generateInvoices,
+  generatePackingSlip,
+  generatePackingSlips,
+  verifyInvoiceToken,
+  getInvoiceDownloadPath
+};
@@ -0,0 +1,46 @@
+const emailService = require('./emailService');
+const { transitionOrder } = require('./orderStateMachine');
+
+// Save an order after its shipments changed and roll the change up to the order:
+// move the order to the status its parcels imply (through the order state machine,
+// which records the timeline entry, notifies the dashboard and emails the customer)
+// and send the shipping email when a later parcel leaves the warehouse.
+//
+// dispatchedShipment - the parcel that was just shipped, if any
+// Returns { previousStatus, statusChanged }
+const applyShipmentChange = async (order, { note, updatedBy, dispatchedShipment } = {}) => {
+  const previousStatus = order.status;
+  const derivedStatus = order.syncStatusFromShipments();
+
+  let statusChanged = false;
+  if (derivedStatus) {
+    const result = await transitionOrder(order, derivedStatus, {
+      note: note || `Order ${derivedStatus} (from shipments)`,
+      updatedBy: updatedBy || 'System',
+      source: 'shipments',
+      shipment: dispatchedShipment
+    });
+    statusChanged = result.success;
+    if (!result.success) {
+      console.error(`Order ${order.orderNumber} could not follow its shipments:`, result.message);
+    }
+  }
+
+  if (!statusChanged) {
+    await order.save();
+
+    if (dispatchedShipment) {
+      try {
+        await emailService.sendShippingNotification(order, dispatchedShipment);
+      } catch (emailError) {
+        console.error('Failed to send shipment email:', emailError);
+      }
+    }
+  }
+
+  return { previousStatus, statusChanged };
+};
+
+module.exports = {
+  applyShipmentChange
+};
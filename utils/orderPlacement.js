@@ -0,0 +1,215 @@
+const Order = require('../models/Order');
+const StockMovement = require('../models/StockMovement');
+const Promotion = require('../models/Promotion');
+const emailService = require('./emailService');
+const { reserveStock, releaseStock } = require('./stockReservation');
+const { buildQuote } = require('./pricingEngine');
+const { resolveDisplayCurrency, convertSummary } = require('./currency');
+const { assessOrderRisk } = require('./orderRisk');
+const { publishAdminEvent, orderEventData } = require('./adminEvents');
+
+// Check the customer block of an order request
+const validateCustomer = (customer) => {
+  if (!customer || !customer.name || !customer.email || !customer.phone) {
+    return 'Customer name, email, and phone are required';
+  }
+  if (!customer.address || !customer.address.street || !customer.address.city) {
+    return 'Complete address is required';
+  }
+  return null;
+};
+
+// Price, reserve and persist an order. Shared by POST /api/orders and cart checkout.
+//
+// Options:
+//   customer, items, shipping, payment, notes, promotionCode - from the request body
+//   currency - display currency the customer shopped in (charged in PKR either way)
+//   user     - authenticated user, if any
+//   metadata - { ipAddress, userAgent } recorded on stock movements
+//
+// Returns { success: true, order } or { success: false, statusCode, message }
+const placeOrder = async ({
+  customer,
+  items,
+  shipping,
+  payment,
+  notes,
+  promotionCode,
+  currency,
+  user,
+  metadata = {}
+}) => {
+  if (!customer || !Array.isArray(items) || items.length === 0) {
+    return { success: false, statusCode: 400, message: 'Customer information and order items are required' };
+  }
+
+  const customerError = validateCustomer(customer);
+  if (customerError) {
+    return { success: false, statusCode: 400, message: customerError };
+  }
+
+  // Price the order from the catalog - client-supplied prices and totals are ignored
+  const pricing = await buildQuote({
+    items,
+    shippingMethod: shipping?.method || 'standard',
+    promotionCode,
+    customerEmail: customer.email
+  });
+  if (!pricing.success) {
+    return { success: false, statusCode: 400, message: pricing.message };
+  }
+  const { quote } = pricing;
+
+  const display = await resolveDisplayCurrency(currency);
+  if (!display.success) {
+    return { success: false, statusCode: 400, message: display.message };
+  }
+
+  const paymentMethod = payment?.method || 'cod';
+
+  // Score the order for fake / fraudulent COD signals before anything is reserved
+  const risk = await assessOrderRisk({
+    customer,
+    summary: quote.summary,
+    paymentMethod,
+    ipAddress: metadata.ipAddress
+  });
+
+  // Prepare customer data with user ID if authenticated
+  const customerData = {
+    name: customer.name,
+    email: customer.email.toLowerCase(),
+    phone: customer.phone,
+    normalizedPhone: risk.normalizedPhone || undefined,
+    address: customer.address
+  };
+
+  // If user is authenticated via JWT token, add userId to customer data
+  if (user && user._id) {
+    customerData.userId = user._id;
+  }
+  // If userId is provided in customer data (from frontend), use it
+  else if (customer.userId) {
+    customerData.userId = customer.userId;
+  }
+
+  const order = new Order({
+    customer: customerData,
+    items: quote.items.map(line => ({
+      productId: line.productId,
+      name: line.name,
+      price: line.price,
+      quantity: line.quantity,
+      image: line.image || items.find(item => item.productId?.toString() === line.productId.toString())?.image,
+      sku: line.sku,
+      ...(line.variantId && { variantId: line.variantId, variantLabel: line.variantLabel })
+    })),
+    summary: quote.summary,
+    ...(quote.promotion && { promotion: quote.promotion }),
+    shipping: {
+      method: quote.shipping.method,
+      fee: quote.shipping.fee,
+      estimatedDelivery: quote.shipping.estimatedDelivery
+    },
+    payment: {
+      method: paymentMethod,
+      status: 'pending' // set from the payment ledger from here on
+    },
+    notes: {
+      customer: notes?.customer || ''
+    },
+    clientInfo: {
+      ipAddress: metadata.ipAddress,
+      userAgent: metadata.userAgent
+    },
+    risk: {
+      score: risk.score,
+      level: risk.level,
+      reasons: risk.reasons,
+      holdForCall: risk.level === 'high',
+      assessedAt: new Date()
+    },
+    status: 'pending'
+  });
+
+  // Calculate totals to verify
+  order.calculateTotals();
+
+  // Charged in PKR; the display amounts keep the rate they were converted with
+  if (display.currency) {
+    order.displayCurrency = convertSummary(order.summary, display.currency);
+  }
+
+  // Count the promotion redemption atomically so global and per-customer limits can't be exceeded
+  if (quote.promotion) {
+    const redeemed = await Promotion.redeem(quote.promotion.promotionId, order.customer.email);
+    if (!redeemed) {
+      return {
+        success: false,
+        statusCode: 409,
+        message: 'This promotion code has reached its usage limit or you have already used it'
+      };
+    }
+  }
+
+  // Reserve stock for all items atomically before the order is persisted
+  const reservation = await reserveStock(order.items);
+  if (!reservation.success) {
+    if (quote.promotion) {
+      await Promotion.releaseRedemption(quote.promotion.promotionId, order.customer.email);
+    }
+    return {
+      success: false,
+      statusCode: 409,
+      message: `Insufficient stock for ${reservation.productName || 'a product in your cart'}. Available: ${reservation.available}`
+    };
+  }
+
+  try {
+    await order.save();
+  } catch (saveError) {
+    // Roll back the reservations so stock and coupon uses aren't lost on a failed order
+    await releaseStock(reservation.reservations);
+    if (quote.promotion) {
+      await Promotion.releaseRedemption(quote.promotion.promotionId, order.customer.email);
+    }
+    throw saveError;
+  }
+
+  // Record a sale movement per reserved item (also re-evaluates low stock alerts)
+  for (const reserved of reservation.reservations) {
+    try {
+      await StockMovement.recordMovement({
+        productId: reserved.productId,
+        variantId: reserved.variantId,
+        movementType: 'sale',
+        quantity: reserved.quantity,
+        quantityAfter: reserved.quantityAfter,
+        relatedOrderId: order._id,
+        relatedOrderNumber: order.orderNumber,
+        reason: `Order ${order.orderNumber} placed`,
+        source: 'system',
+        metadata
+      });
+    } catch (movementError) {
+      console.error('Failed to record sale stock movement:', movementError);
+    }
+  }
+
+  // Let staff watching the dashboard know there is a new order to call about
+  await publishAdminEvent('order.created', orderEventData(order));
+
+  // Send order confirmation email
+  try {
+    await emailService.sendOrderConfirmation(order);
+  } catch (emailError) {
+    console.error('Failed to send order confirmation email:', emailError);
+    // Continue with order creation even if email fails
+  }
+
+  return { success: true, order };
+};
+
+module.exports = {
+  placeOrder
+};
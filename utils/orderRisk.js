@@ -0,0 +1,139 @@
+const Order = require('../models/Order');
+const {
+  HIGH_VALUE_THRESHOLD,
+  IP_WINDOW_MINUTES,
+  RISK_WEIGHTS,
+  getRiskLevel
+} = require('../config/orderRisk');
+
+// Reduce a Pakistani mobile number to 03XXXXXXXXX; null if it isn't one.
+// Accepts 03001234567, 3001234567, +92 300 1234567, 0092-300-1234567 etc.
+const normalizePakistaniPhone = (phone) => {
+  if (!phone) return null;
+  let digits = String(phone).replace(/\D/g, '');
+
+  if (digits.startsWith('0092')) digits = digits.slice(4);
+  else if (digits.startsWith('92') && digits.length === 12) digits = digits.slice(2);
+  if (digits.length === 10 && digits.startsWith('3')) digits = `0${digits}`;
+
+  return /^03\d{9}$/.test(digits) ? digits : null;
+};
+
+// Numbers people type when they don't want to give a real one
+const isSuspiciousPhone = (normalized) => {
+  const subscriber = normalized.slice(4);
+  return /(\d)\1{5,}/.test(subscriber) || '0123456789'.includes(subscriber) || '9876543210'.includes(subscriber);
+};
+
+const getAddressIssues = (address = {}) => {
+  const issues = [];
+  const street = (address.street || '').trim();
+
+  if (street.length < 10) issues.push('street address too short');
+  if (!address.city || address.city.trim().length < 3) issues.push('city missing');
+  if (!address.state || !address.state.trim()) issues.push('province missing');
+  if (!/^\d{5}$/.test((address.zipCode || '').trim())) issues.push('postal code is not 5 digits');
+
+  return issues;
+};
+
+// Count this customer's previous orders by status (matched on phone or email)
+const getCustomerHistory = async ({ normalizedPhone, email }) => {
+  const identities = [{ 'customer.email': email }];
+  if (normalizedPhone) identities.push({ 'customer.normalizedPhone': normalizedPhone });
+
+  const counts = await Order.aggregate([
+    { $match: { $or: identities } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((acc, entry) => {
+    acc[entry._id] = entry.count;
+    return acc;
+  }, {});
+};
+
+// Score a new order before it is saved.
+//
+// Returns { score, level, reasons: [{ code, message, points }], normalizedPhone }.
+// Scores run 0-100; see config/orderRisk.js for weights and level thresholds.
+const assessOrderRisk = async ({ customer, summary, paymentMethod = 'cod', ipAddress }) => {
+  const reasons = [];
+  const add = (code, message, points) => {
+    if (points !== 0) reasons.push({ code, message, points });
+  };
+
+  // Phone format
+  const normalizedPhone = normalizePakistaniPhone(customer.phone);
+  if (!normalizedPhone) {
+    add('invalid_phone', 'Phone is not a valid Pakistani mobile number', RISK_WEIGHTS.invalidPhone);
+  } else if (isSuspiciousPhone(normalizedPhone)) {
+    add('suspicious_phone', 'Phone number looks made up (repeated or sequential digits)', RISK_WEIGHTS.suspiciousPhone);
+  }
+
+  // Order history for the same phone or email
+  const history = await getCustomerHistory({ normalizedPhone, email: customer.email.toLowerCase() });
+  const cancelled = history.cancelled || 0;
+  const returned = history.returned || 0;
+  const delivered = history.delivered || 0;
+
+  if (cancelled || returned) {
+    const points = Math.min(
+      cancelled * RISK_WEIGHTS.cancelledOrder + returned * RISK_WEIGHTS.returnedOrder,
+      RISK_WEIGHTS.maxHistory
+    );
+    add('order_history', `Customer has ${cancelled} cancelled and ${returned} returned orders`, points);
+  }
+  if (delivered) {
+    add(
+      'delivered_history',
+      `Customer has ${delivered} delivered orders`,
+      Math.max(delivered * RISK_WEIGHTS.deliveredOrderCredit, RISK_WEIGHTS.maxCredit)
+    );
+  }
+  if (history.pending) {
+    add('open_orders', `Customer already has ${history.pending} orders awaiting confirmation`, RISK_WEIGHTS.openOrders);
+  }
+
+  // Orders from the same IP address in the velocity window (this one included)
+  if (ipAddress) {
+    const recentFromIp = await Order.countDocuments({
+      'clientInfo.ipAddress': ipAddress,
+      createdAt: { $gte: new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000) }
+    }) + 1;
+
+    if (recentFromIp >= 5) {
+      add('ip_velocity', `${recentFromIp} orders from this IP address in ${IP_WINDOW_MINUTES} minutes`, RISK_WEIGHTS.ipVelocityHigh);
+    } else if (recentFromIp >= 3) {
+      add('ip_velocity', `${recentFromIp} orders from this IP address in ${IP_WINDOW_MINUTES} minutes`, RISK_WEIGHTS.ipVelocityMedium);
+    }
+  }
+
+  // Address completeness
+  const addressIssues = getAddressIssues(customer.address);
+  if (addressIssues.length > 0) {
+    add('incomplete_address', `Address looks incomplete: ${addressIssues.join(', ')}`, RISK_WEIGHTS.incompleteAddress);
+  }
+
+  // Order value - only cash on delivery puts the courier fee at risk
+  if (paymentMethod === 'cod' && summary?.total >= HIGH_VALUE_THRESHOLD * 2) {
+    add('high_value', `COD order value ${summary.total} is very high`, RISK_WEIGHTS.veryHighValue);
+  } else if (paymentMethod === 'cod' && summary?.total >= HIGH_VALUE_THRESHOLD) {
+    add('high_value', `COD order value ${summary.total} is high`, RISK_WEIGHTS.highValue);
+  }
+
+  const total = reasons.reduce((sum, reason) => sum + reason.points, 0);
+  const score = Math.max(0, Math.min(100, total));
+
+  return {
+    score,
+    level: getRiskLevel(score),
+    reasons,
+    normalizedPhone
+  };
+};
+
+module.exports = {
+  normalizePakistaniPhone,
+  assessOrderRisk
+};
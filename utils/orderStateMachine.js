@@ -0,0 +1,305 @@
+const Order = require('../models/Order');
+const Promotion = require('../models/Promotion');
+const emailService = require('./emailService');
+const { publishAdminEvent, orderEventData } = require('./adminEvents');
+const { restoreOrderStock } = require('./orderCancellation');
+const { sendReviewRequest } = require('./productReviews');
+const {
+  ORDER_CHANGE_WINDOW_DAYS,
+  CUSTOMER_CANCEL_WINDOW_HOURS,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  ORDER_STATUSES,
+  TRANSITIONS
+} = require('../config/orderStateMachine');
+
+// Every change of Order.status goes through transitionOrder(). The allowed moves and
+// which requirements, guards and hooks apply to each live in config/orderStateMachine.js.
+//
+// Options accepted by the checks and hooks:
+//   note, updatedBy, admin    - timeline note and who made the change
+//   source                    - 'admin', 'shipments', 'call', 'customer', 'payment' or 'return'
+//   trackingNumber, courier   - for shipping without booked parcels
+//   shipment                  - the parcel to name in the shipping email
+//   returnRequestId           - set when a return request drives the change
+//   notify                    - false to skip the customer email
+
+// Input a transition can't go ahead without, unless the order already has it
+const REQUIREMENTS = {
+  trackingNumber: {
+    message: 'A tracking number is required to ship this order. Send trackingNumber, or add tracking to every parcel first.',
+    isSatisfied: (order, options) => {
+      if (options.trackingNumber) return true;
+      const unallocated = order.getUnallocatedQuantities();
+      const openParcels = order.shipments.filter(shipment => shipment.status === 'preparing');
+      return Object.values(unallocated).every(quantity => quantity <= 0) &&
+        order.shipments.length > 0 &&
+        openParcels.every(shipment => Boolean(shipment.trackingNumber));
+    }
+  }
+};
+
+// Checks that can block a transition. Each returns an error message or null.
+const GUARDS = {
+  // ✅ HIGH-RISK ORDERS are held until a confirmation call succeeds
+  notHeldForCall: (order) => order.payment.status !== 'paid' && order.isHeldForCall()
+    ? 'This order is high risk and on hold. Log a confirmed call at /api/admin/orders/:id/calls before confirming it.'
+    : null,
+
+  // ✅ PREVENT MODIFICATION OF OLD ORDERS (an approved return request has its own window)
+  withinChangeWindow: (order, options) => {
+    if (options.returnRequestId) return null;
+    const orderAge = (new Date() - new Date(order.createdAt)) / (1000 * 60 * 60 * 24); // Days
+    return orderAge > ORDER_CHANGE_WINDOW_DAYS
+      ? `Cannot cancel or return orders older than ${ORDER_CHANGE_WINDOW_DAYS} days. Please contact system administrator.`
+      : null;
+  },
+
+  // Customers can only cancel their own order early on; the store isn't limited by this
+  customerCancelWindow: (order, options) => {
+    if (options.source !== 'customer') return null;
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      return `This order is already ${order.status} and can no longer be cancelled online. Please contact us for help.`;
+    }
+    const orderAge = (new Date() - new Date(order.createdAt)) / (1000 * 60 * 60); // Hours
+    return orderAge > CUSTOMER_CANCEL_WINDOW_HOURS
+      ? `Orders can only be cancelled online within ${CUSTOMER_CANCEL_WINDOW_HOURS} hours of being placed. Please contact us for help.`
+      : null;
+  }
+};
+
+// Side effects. 'before' hooks change the order ahead of the save; 'after' hooks
+// run once it is saved and never fail the transition. Hooks that change other
+// records claim their effect on the order first (claimTransitionEffect), so
+// they run once per order even when a failed transition is retried.
+const HOOKS = {
+  restoreStock: {
+    phase: 'before',
+    run: async (order, context) => {
+      if (!(await order.claimTransitionEffect(`restoreStock:${context.status}`))) return;
+      if (context.status === 'cancelled') {
+        context.stockMovements = await restoreOrderStock(order, {
+          movementType: 'cancellation',
+          reason: 'Order cancelled - stock restored',
+          notes: context.note || 'Order cancelled',
+          admin: context.admin
+        });
+      } else {
+        // Units already received through return requests were restocked then
+        context.stockMovements = await restoreOrderStock(order, {
+          items: order.items.map(item => ({
+            productId: item.productId,
+            variantId: item.variantId,
+            quantity: item.quantity - (item.returnedQuantity || 0)
+          })),
+          movementType: 'return',
+          reason: 'Order returned - stock restored',
+          notes: context.note || 'Order returned by customer',
+          admin: context.admin
+        });
+      }
+    }
+  },
+
+  // Give the coupon use back when a promoted order is cancelled
+  releasePromotion: {
+    phase: 'before',
+    run: async (order, context) => {
+      if (!order.promotion?.promotionId) return;
+      if (!(await order.claimTransitionEffect(`releasePromotion:${context.status}`))) return;
+      try {
+        await Promotion.releaseRedemption(order.promotion.promotionId, order.customer.email);
+      } catch (promotionError) {
+        console.error('Promotion release error:', promotionError);
+      }
+    }
+  },
+
+  // Keep the parcels in step with a manual shipped / delivered update: anything not
+  // yet in a parcel goes into one, and open parcels move to the same status.
+  // Changes that come from the parcels themselves skip this.
+  syncParcels: {
+    phase: 'before',
+    run: async (order, context) => {
+      if (context.source === 'shipments') return;
+
+      const { status, note, updatedBy, trackingNumber, courier } = context;
+      if (status === 'shipped' && trackingNumber) {
+        order.shipping.trackingNumber = trackingNumber;
+        order.shipping.shippedAt = new Date();
+      }
+
+      const openStatuses = status === 'shipped' ? ['preparing'] : ['preparing', 'shipped', 'in_transit', 'out_for_delivery', 'failed_delivery'];
+      order.shipments
+        .filter(shipment => openStatuses.includes(shipment.status))
+        .forEach(shipment => order.updateShipmentStatus(shipment._id, status, note, updatedBy));
+
+      const unallocated = order.getUnallocatedQuantities();
+      const remaining = Object.keys(unallocated)
+        .filter(orderItemId => unallocated[orderItemId] > 0)
+        .map(orderItemId => ({ orderItemId, quantity: unallocated[orderItemId] }));
+      if (remaining.length > 0) {
+        order.addShipment({ items: remaining, courier, trackingNumber, status, note, updatedBy });
+      }
+      order.syncStatusFromShipments();
+    }
+  },
+
+  // COD orders stay unpaid until the courier's remittance is reconciled
+  // (utils/codRemittance.js)
+  markDelivered: {
+    phase: 'before',
+    run: async (order) => {
+      order.shipping.deliveredAt = new Date();
+    }
+  },
+
+  publishEvent: {
+    phase: 'after',
+    run: (order, context) => publishAdminEvent('order.status_changed', {
+      ...orderEventData(order),
+      previousStatus: context.previousStatus,
+      changedBy: context.updatedBy,
+      source: context.source || 'admin',
+      note: context.note
+    })
+  },
+
+  notifyCustomer: {
+    phase: 'after',
+    run: async (order, context) => {
+      if (context.notify === false) return;
+      if (context.status === 'shipped') {
+        await emailService.sendShippingNotification(order, context.shipment || null);
+      } else {
+        await emailService.sendOrderStatusUpdate(order, context.previousStatus);
+      }
+    }
+  },
+
+  // Email the review link for the delivered items (utils/productReviews.js)
+  requestReviews: {
+    phase: 'after',
+    run: (order) => sendReviewRequest(order)
+  }
+};
+
+const getTransition = (from, to) => (TRANSITIONS[from] && TRANSITIONS[from][to]) || null;
+
+// Check whether an order may move to a status. Returns an error message or null.
+const checkTransition = (order, status, options = {}) => {
+  if (!ORDER_STATUSES.includes(status)) {
+    return 'Invalid order status. Valid statuses: ' + ORDER_STATUSES.join(', ');
+  }
+  if (order.status === status) {
+    return `Order is already ${status}`;
+  }
+
+  const transition = getTransition(order.status, status);
+  if (!transition) {
+    const allowed = Object.keys(TRANSITIONS[order.status] || {});
+    return `Cannot change order status from ${order.status} to ${status}. ` +
+      (allowed.length > 0 ? `Allowed next statuses: ${allowed.join(', ')}` : `${order.status} is final.`);
+  }
+
+  // Shipment-driven changes are backed by the parcels themselves
+  if (options.source !== 'shipments') {
+    for (const field of transition.requires || []) {
+      if (!REQUIREMENTS[field].isSatisfied(order, options)) {
+        return REQUIREMENTS[field].message;
+      }
+    }
+  }
+
+  for (const name of transition.guards || []) {
+    const error = GUARDS[name](order, options);
+    if (error) return error;
+  }
+
+  return null;
+};
+
+// Statuses the order can move to next, for the admin UI:
+// [{ status, allowed, blockedBy, requires }] - requires lists input still needed
+const getNextStatuses = (order) => Object.keys(TRANSITIONS[order.status] || {}).map((status) => {
+  const transition = getTransition(order.status, status);
+  const blockedBy = (transition.guards || [])
+    .map(name => GUARDS[name](order, {}))
+    .find(Boolean) || null;
+
+  return {
+    status,
+    allowed: !blockedBy,
+    blockedBy,
+    requires: (transition.requires || []).filter(field => !REQUIREMENTS[field].isSatisfied(order, {}))
+  };
+});
+
+// Move an order to a new status: check the transition, claim the status change,
+// run its hooks, record the timeline entry and save.
+// Returns { success, message, previousStatus, stockMovements }; conflict is set when
+// another request changed the status first
+const transitionOrder = async (order, status, options = {}) => {
+  const error = checkTransition(order, status, options);
+  if (error) {
+    return { success: false, message: error };
+  }
+
+  const previousStatus = order.status;
+  const hooks = getTransition(previousStatus, status).hooks || [];
+  const context = {
+    ...options,
+    status,
+    previousStatus,
+    updatedBy: options.updatedBy || options.admin?.name || 'System',
+    stockMovements: []
+  };
+
+  // Claim the move before any hook runs. Of two requests racing on the same order
+  // only one still finds the old status, so stock and coupon uses are given back once.
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, status: previousStatus },
+    { $set: { status, updatedAt: new Date() } }
+  );
+  if (!claimed) {
+    return {
+      success: false,
+      conflict: true,
+      message: `Order is no longer ${previousStatus}: it was changed by another request`
+    };
+  }
+
+  try {
+    for (const name of hooks.filter(hook => HOOKS[hook].phase === 'before')) {
+      await HOOKS[name].run(order, context);
+    }
+
+    await order.addTimelineEntry(status, options.note || `Order status updated to ${status}`, context.updatedBy);
+  } catch (error) {
+    // Give the claim back so the change can be tried again. restoreStock and
+    // releasePromotion record on the order that they ran, so a retry skips them.
+    await Order.updateOne({ _id: order._id, status }, { $set: { status: previousStatus } });
+    throw error;
+  }
+
+  for (const name of hooks.filter(hook => HOOKS[hook].phase === 'after')) {
+    try {
+      await HOOKS[name].run(order, context);
+    } catch (hookError) {
+      console.error(`Order ${order.orderNumber} ${name} hook failed:`, hookError);
+      // The status change itself is already saved
+    }
+  }
+
+  return {
+    success: true,
+    message: 'Order status updated successfully',
+    previousStatus,
+    stockMovements: context.stockMovements
+  };
+};
+
+module.exports = {
+  checkTransition,
+  getNextStatuses,
+  transitionOrder
+};
@@ -0,0 +1,61 @@
+const AdminActionLog = require('../models/AdminActionLog');
+const { transitionOrder } = require('./orderStateMachine');
+const { ORDER_STATUSES } = require('../config/orderStateMachine');
+
+// Apply an admin status change to an order through the order state machine
+// (transition rules, stock restoration, parcels, dashboard event and email),
+// then write the AdminActionLog entry.
+//
+// options: { status, note, trackingNumber, courier, admin, metadata: { ipAddress, userAgent } }
+// Returns { success, message, previousStatus, stockMovements }
+const changeOrderStatus = async (order, { status, note, trackingNumber, courier, admin, metadata = {} }) => {
+  const result = await transitionOrder(order, status, {
+    note,
+    trackingNumber,
+    courier,
+    admin,
+    source: 'admin'
+  });
+  if (!result.success) {
+    return result;
+  }
+
+  const { previousStatus, stockMovements } = result;
+
+  // ✅ ADMIN ACTION LOGGING
+  if (admin) {
+    try {
+      await AdminActionLog.logAction({
+        adminId: admin._id,
+        adminName: admin.name,
+        adminEmail: admin.email,
+        action: 'order_status_update',
+        targetType: 'order',
+        targetId: order._id.toString(),
+        targetName: `Order ${order.orderNumber}`,
+        description: `Updated order status from ${previousStatus} to ${status}`,
+        changes: {
+          before: { status: previousStatus },
+          after: { status: status, note: note }
+        },
+        metadata: {
+          ...metadata,
+          stockMovements: stockMovements.length,
+          trackingNumber
+        },
+        severity: ['cancelled', 'returned'].includes(status) ? 'high' : 'medium',
+        status: 'success'
+      });
+    } catch (logError) {
+      console.error('Admin action logging error:', logError);
+      // Continue even if logging fails
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  changeOrderStatus
+};
@@ -0,0 +1,127 @@
+const axios = require('axios');
+const { easypaisaHashRequest } = require('./hashing');
+const {
+  EASYPAISA,
+  PAYMENT_SIMULATOR,
+  PAYMENT_EXPIRY_MINUTES,
+  getSimulatorBase
+} = require('../../config/payments');
+
+// Easypaisa hosted checkout (Easypay). The request is signed with merchantHashedReq.
+// Easypay's redirect back to us isn't signed, so a result is only accepted after the
+// transaction inquiry API - authenticated with the store's credentials - confirms it.
+
+// Inquiry transactionStatus values
+const STATUS_MAP = {
+  PAID: 'paid',
+  FAILED: 'failed',
+  EXPIRED: 'failed',
+  REVERSED: 'failed',
+  PENDING: 'pending',
+  INITIATED: 'pending'
+};
+
+const getEndpoints = () => {
+  if (PAYMENT_SIMULATOR) {
+    const base = getSimulatorBase('easypaisa');
+    return { checkout: `${base}/checkout`, inquire: `${base}/api/inquire` };
+  }
+  return {
+    checkout: `${EASYPAISA.apiBase}/easypay/Index.jsf`,
+    inquire: `${EASYPAISA.apiBase}/easypay-service/rest/v4/inquire-transaction`
+  };
+};
+
+// yyyyMMdd HHmmss in Pakistan time
+const formatExpiry = (date) => {
+  const digits = new Date(date.getTime() + 5 * 60 * 60 * 1000).toISOString().replace(/[-:T]/g, '');
+  return `${digits.slice(0, 8)} ${digits.slice(8, 14)}`;
+};
+
+// 03XXXXXXXXX, the form Easypay expects
+const toMobileNumber = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.startsWith('92') ? `0${digits.slice(2)}` : digits;
+};
+
+const inquire = async (orderRefNum) => {
+  const response = await axios.post(getEndpoints().inquire, {
+    orderId: orderRefNum,
+    storeId: EASYPAISA.storeId,
+    accountNum: EASYPAISA.accountNum
+  }, {
+    headers: {
+      Credentials: Buffer.from(`${EASYPAISA.username}:${EASYPAISA.password}`).toString('base64')
+    },
+    timeout: 15000
+  });
+
+  const data = response.data || {};
+  if (data.responseCode !== '0000') {
+    throw new Error(`Easypaisa inquiry failed: ${data.responseDesc || data.responseCode}`);
+  }
+  return {
+    transactionId: orderRefNum,
+    status: STATUS_MAP[data.transactionStatus] || 'pending',
+    amount: data.transactionAmount !== undefined ? Number(data.transactionAmount) : undefined,
+    reason: data.transactionStatus,
+    raw: { transactionStatus: data.transactionStatus, transactionId: data.transactionId }
+  };
+};
+
+const easypaisaGateway = {
+  code: 'easypaisa',
+  name: 'Easypaisa',
+  description: 'Pay from your Easypaisa mobile account',
+  method: 'wallet',
+
+  isEnabled() {
+    return Boolean(EASYPAISA.storeId && EASYPAISA.hashKey && EASYPAISA.username && EASYPAISA.password);
+  },
+
+  async initialize({ order, amount, callbackUrl }) {
+    // A new reference for every attempt
+    const orderRefNum = `${order.orderNumber}-${Date.now().toString(36).toUpperCase()}`;
+
+    const fields = {
+      amount: amount.toFixed(1),
+      autoRedirect: '1',
+      emailAddr: order.customer.email,
+      expiryDate: formatExpiry(new Date(Date.now() + PAYMENT_EXPIRY_MINUTES * 60 * 1000)),
+      mobileNum: toMobileNumber(order.customer.phone),
+      orderRefNum,
+      paymentMethod: 'MA_PAYMENT_METHOD',
+      postBackURL: callbackUrl,
+      storeId: EASYPAISA.storeId
+    };
+
+    return {
+      transactionId: orderRefNum,
+      status: 'pending',
+      redirect: {
+        url: getEndpoints().checkout,
+        method: 'POST',
+        params: { ...fields, merchantHashedReq: easypaisaHashRequest(fields, EASYPAISA.hashKey) }
+      }
+    };
+  },
+
+  // Easypay redirects back with ?status=&desc=&orderRefNumber=
+  async verifyCallback({ body = {}, query = {} }) {
+    const orderRefNum = body.orderRefNumber || query.orderRefNumber;
+    if (!orderRefNum) {
+      throw new Error('orderRefNumber is required');
+    }
+    return inquire(orderRefNum);
+  },
+
+  async queryStatus({ order }) {
+    return inquire(order.payment.transactionId);
+  },
+
+  async refund() {
+    throw new Error('Easypaisa refunds are made from the Easypay merchant portal. Record it with the wallet refund method instead.');
+  }
+};
+
+module.exports = easypaisaGateway;
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Integrity checks of the Pakistani wallet gateways, shared by their adapters and
+// the local simulator
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// JazzCash pp_SecureHash: HMAC-SHA256 keyed with the integrity salt over the salt and
+// every non-empty pp_ field, sorted by name and joined with '&'. Upper-case hex.
+const jazzcashSecureHash = (fields, integritySalt) => {
+  const values = Object.keys(fields)
+    .filter(key => key.startsWith('pp_') && key !== 'pp_SecureHash')
+    .filter(key => fields[key] !== undefined && fields[key] !== null && fields[key] !== '')
+    .sort()
+    .map(key => fields[key]);
+
+  return crypto.createHmac('sha256', integritySalt)
+    .update([integritySalt, ...values].join('&'))
+    .digest('hex')
+    .toUpperCase();
+};
+
+// Easypay merchantHashedReq: the request fields as sorted key=value pairs,
+// AES/ECB encrypted with the store's hash key, base64
+const easypaisaHashRequest = (fields, hashKey) => {
+  const plain = Object.keys(fields)
+    .filter(key => key !== 'merchantHashedReq')
+    .sort()
+    .map(key => `${key}=${fields[key]}`)
+    .join('&');
+
+  const key = Buffer.from(hashKey);
+  const cipher = crypto.createCipheriv(`aes-${key.length * 8}-ecb`, key, null);
+  return Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]).toString('base64');
+};
+
+module.exports = {
+  safeEqual,
+  jazzcashSecureHash,
+  easypaisaHashRequest
+};
@@ -0,0 +1,50 @@
+const stripeGateway = require('./stripe');
+const jazzcashGateway = require('./jazzcash');
+const easypaisaGateway = require('./easypaisa');
+
+// Online payment gateway registry.
+//
+// An adapter is a plain object describing one gateway:
+//
+//   code, name, description  - 'jazzcash', 'JazzCash', shown at checkout
+//   method                   - the Order payment.method it takes: 'card' or 'wallet'
+//   isEnabled()              - true when its credentials are set
+//   initialize({ order, amount, callbackUrl })
+//     -> { transactionId, status, redirect?: { url, method, params }, clientSecret?, ... }
+//        Hosted checkouts return a redirect: the storefront sends the customer there
+//        with params, and the gateway brings them back to callbackUrl.
+//   verifyCallback({ body, query })
+//     -> { transactionId, status, amount, reason, raw }
+//        Throws when the gateway's integrity check (hash / HMAC) doesn't verify.
+//   queryStatus({ order })   -> same shape as verifyCallback, asked of the gateway directly
+//   refund({ order, amount, reason }) -> { reference }
+//        Throws when the gateway refuses or doesn't support refunds.
+//
+// status is always 'paid', 'failed' or 'pending'; amount is in PKR.
+
+const REQUIRED_METHODS = ['isEnabled', 'initialize', 'verifyCallback', 'queryStatus', 'refund'];
+
+const adapters = new Map();
+
+const registerGateway = (adapter) => {
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (!adapter.code || missing.length > 0) {
+    throw new Error(`Payment gateway adapter ${adapter.code || '(unnamed)'} is missing: ${missing.join(', ') || 'code'}`);
+  }
+  adapters.set(adapter.code, adapter);
+};
+
+const getGateway = (code) => adapters.get(String(code || '').toLowerCase()) || null;
+
+// Gateways that can take payments right now
+const getEnabledGateways = () => Array.from(adapters.values()).filter(adapter => adapter.isEnabled());
+
+registerGateway(stripeGateway);
+registerGateway(jazzcashGateway);
+registerGateway(easypaisaGateway);
+
+module.exports = {
+  registerGateway,
+  getGateway,
+  getEnabledGateways
+};
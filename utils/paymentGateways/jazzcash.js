@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { safeEqual, jazzcashSecureHash } = require('./hashing');
+const {
+  JAZZCASH,
+  PAYMENT_SIMULATOR,
+  PAYMENT_EXPIRY_MINUTES,
+  getSimulatorBase
+} = require('../../config/payments');
+
+// JazzCash hosted checkout (Page Redirection v1.1). The customer is posted to
+// JazzCash's page with the pp_ fields and comes back to our return URL with the
+// result, both sides signed with pp_SecureHash.
+
+// pp_ResponseCode / pp_PaymentResponseCode values
+const PAID_CODES = ['000', '121'];
+const PENDING_CODES = ['124', '157']; // voucher awaiting cash at a retailer, transaction pending
+
+const getEndpoints = () => {
+  if (PAYMENT_SIMULATOR) {
+    const base = getSimulatorBase('jazzcash');
+    return { checkout: `${base}/checkout`, inquire: `${base}/api/inquire`, refund: `${base}/api/refund` };
+  }
+  return {
+    checkout: `${JAZZCASH.apiBase}/CustomerPortal/transactionmanagement/merchantform/`,
+    inquire: `${JAZZCASH.apiBase}/ApplicationAPI/API/PaymentInquiry/Inquire`,
+    refund: `${JAZZCASH.apiBase}/ApplicationAPI/API/Purchase/domwalletrefundtransaction`
+  };
+};
+
+// yyyyMMddHHmmss in Pakistan time, as JazzCash expects
+const formatDateTime = (date) => new Date(date.getTime() + 5 * 60 * 60 * 1000)
+  .toISOString()
+  .replace(/[-:T]/g, '')
+  .slice(0, 14);
+
+const sign = (fields) => ({ ...fields, pp_SecureHash: jazzcashSecureHash(fields, JAZZCASH.integritySalt) });
+
+// Check a response's pp_SecureHash. Throws when it doesn't verify.
+const verifyHash = (fields) => {
+  if (!safeEqual(jazzcashSecureHash(fields, JAZZCASH.integritySalt), String(fields.pp_SecureHash || '').toUpperCase())) {
+    throw new Error('Invalid JazzCash secure hash');
+  }
+};
+
+const toStatus = (code) => {
+  if (PAID_CODES.includes(code)) return 'paid';
+  if (PENDING_CODES.includes(code)) return 'pending';
+  return 'failed';
+};
+
+const callApi = async (url, fields) => {
+  const response = await axios.post(url, sign(fields), { timeout: 15000 });
+  const data = response.data || {};
+  if (data.pp_SecureHash) {
+    verifyHash(data);
+  }
+  return data;
+};
+
+const jazzcashGateway = {
+  code: 'jazzcash',
+  name: 'JazzCash',
+  description: 'Pay from your JazzCash mobile wallet',
+  method: 'wallet',
+
+  isEnabled() {
+    return Boolean(JAZZCASH.merchantId && JAZZCASH.password && JAZZCASH.integritySalt);
+  },
+
+  async initialize({ order, amount, callbackUrl }) {
+    const now = new Date();
+    // A new reference for every attempt - JazzCash refuses a reused one
+    const txnRefNo = `T${formatDateTime(now)}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+
+    const params = sign({
+      pp_Version: '1.1',
+      pp_TxnType: '',
+      pp_Language: 'EN',
+      pp_MerchantID: JAZZCASH.merchantId,
+      pp_Password: JAZZCASH.password,
+      pp_TxnRefNo: txnRefNo,
+      pp_Amount: String(Math.round(amount * 100)),
+      pp_TxnCurrency: 'PKR',
+      pp_TxnDateTime: formatDateTime(now),
+      pp_BillReference: order.orderNumber.replace(/[^A-Za-z0-9]/g, ''),
+      pp_Description: `Order ${order.orderNumber}`,
+      pp_TxnExpiryDateTime: formatDateTime(new Date(now.getTime() + PAYMENT_EXPIRY_MINUTES * 60 * 1000)),
+      pp_ReturnURL: callbackUrl
+    });
+
+    return {
+      transactionId: txnRefNo,
+      status: 'pending',
+      redirect: {
+        url: getEndpoints().checkout,
+        method: 'POST',
+        params
+      }
+    };
+  },
+
+  // JazzCash posts the result back to pp_ReturnURL
+  async verifyCallback({ body = {} }) {
+    verifyHash(body);
+    return {
+      transactionId: body.pp_TxnRefNo,
+      status: toStatus(body.pp_ResponseCode),
+      amount: Number(body.pp_Amount) / 100,
+      reason: body.pp_ResponseMessage,
+      raw: {
+        responseCode: body.pp_ResponseCode,
+        responseMessage: body.pp_ResponseMessage,
+        retrievalReferenceNo: body.pp_RetreivalReferenceNo
+      }
+    };
+  },
+
+  async queryStatus({ order }) {
+    const data = await callApi(getEndpoints().inquire, {
+      pp_TxnRefNo: order.payment.transactionId,
+      pp_MerchantID: JAZZCASH.merchantId,
+      pp_Password: JAZZCASH.password
+    });
+    if (data.pp_ResponseCode !== '000') {
+      throw new Error(`JazzCash inquiry failed: ${data.pp_ResponseMessage || data.pp_ResponseCode}`);
+    }
+    return {
+      transactionId: order.payment.transactionId,
+      status: toStatus(data.pp_PaymentResponseCode),
+      amount: data.pp_Amount !== undefined ? Number(data.pp_Amount) / 100 : undefined,
+      reason: data.pp_PaymentResponseMessage,
+      raw: { responseCode: data.pp_PaymentResponseCode, status: data.pp_Status }
+    };
+  },
+
+  async refund({ order, amount }) {
+    if (!JAZZCASH.mpin) {
+      throw new Error('JAZZCASH_MPIN is required for JazzCash refunds');
+    }
+    const data = await callApi(getEndpoints().refund, {
+      pp_TxnRefNo: order.payment.transactionId,
+      pp_Amount: String(Math.round(amount * 100)),
+      pp_TxnCurrency: 'PKR',
+      pp_MerchantID: JAZZCASH.merchantId,
+      pp_Password: JAZZCASH.password,
+      pp_MerchantMPIN: JAZZCASH.mpin
+    });
+    if (data.pp_ResponseCode !== '000') {
+      throw new Error(data.pp_ResponseMessage || `JazzCash refund failed (${data.pp_ResponseCode})`);
+    }
+    return { reference: data.pp_RetreivalReferenceNo || `${order.payment.transactionId}-R${order.refunds.length}` };
+  }
+};
+
+module.exports = jazzcashGateway;
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { safeEqual, jazzcashSecureHash, easypaisaHashRequest } = require('./hashing');
+const { JAZZCASH, EASYPAISA } = require('../../config/payments');
+
+// Local stand-in for the JazzCash and Easypaisa servers, for development and tests
+// (PAYMENT_SIMULATOR=true). It checks requests the way the gateways do and answers
+// with correctly signed results, so the adapters run unchanged against it.
+// Transactions are kept in memory only.
+
+// `${gateway}:${reference}` -> { amount, paid, refunded }
+const transactions = new Map();
+
+const reference = () => crypto.randomBytes(6).toString('hex').toUpperCase();
+
+const signJazzcash = (fields) => ({ ...fields, pp_SecureHash: jazzcashSecureHash(fields, JAZZCASH.integritySalt) });
+
+// The hosted checkout page. outcome is 'success' (default) or 'failed'.
+// Returns { url, method, params } - where the gateway sends the customer back to.
+// Throws when the request's integrity check fails, as the gateway would refuse it.
+const checkout = (gatewayCode, params, outcome = 'success') => {
+  const paid = outcome !== 'failed';
+
+  if (gatewayCode === 'jazzcash') {
+    if (!safeEqual(jazzcashSecureHash(params, JAZZCASH.integritySalt), params.pp_SecureHash)) {
+      throw new Error('Invalid pp_SecureHash');
+    }
+    transactions.set(`jazzcash:${params.pp_TxnRefNo}`, { amount: Number(params.pp_Amount), paid, refunded: 0 });
+
+    return {
+      url: params.pp_ReturnURL,
+      method: 'POST',
+      params: signJazzcash({
+        pp_Version: params.pp_Version,
+        pp_TxnType: 'MWALLET',
+        pp_Language: params.pp_Language,
+        pp_MerchantID: params.pp_MerchantID,
+        pp_TxnRefNo: params.pp_TxnRefNo,
+        pp_Amount: params.pp_Amount,
+        pp_TxnCurrency: params.pp_TxnCurrency,
+        pp_TxnDateTime: params.pp_TxnDateTime,
+        pp_BillReference: params.pp_BillReference,
+        pp_ResponseCode: paid ? '000' : '999',
+        pp_ResponseMessage: paid ? 'Thank you for Using JazzCash, your transaction was successful.' : 'Transaction declined (simulator)',
+        pp_RetreivalReferenceNo: reference()
+      })
+    };
+  }
+
+  if (gatewayCode === 'easypaisa') {
+    if (!safeEqual(easypaisaHashRequest(params, EASYPAISA.hashKey), params.merchantHashedReq)) {
+      throw new Error('Invalid merchantHashedReq');
+    }
+    transactions.set(`easypaisa:${params.orderRefNum}`, { amount: Number(params.amount), paid, refunded: 0 });
+
+    return {
+      url: params.postBackURL,
+      method: 'GET',
+      params: {
+        status: paid ? '0000' : '0001',
+        desc: paid ? 'Transaction successful' : 'Transaction failed (simulator)',
+        orderRefNumber: params.orderRefNum
+      }
+    };
+  }
+
+  throw new Error(`Unknown gateway: ${gatewayCode}`);
+};
+
+// The gateways' server-to-server APIs: 'inquire', and 'refund' for JazzCash.
+// Returns the JSON response body.
+const callApi = (gatewayCode, operation, body = {}, headers = {}) => {
+  if (gatewayCode === 'jazzcash') {
+    if (!safeEqual(jazzcashSecureHash(body, JAZZCASH.integritySalt), body.pp_SecureHash) || body.pp_Password !== JAZZCASH.password) {
+      return signJazzcash({ pp_ResponseCode: '110', pp_ResponseMessage: 'Invalid merchant credentials or secure hash' });
+    }
+    const transaction = transactions.get(`jazzcash:${body.pp_TxnRefNo}`);
+    if (!transaction) {
+      return signJazzcash({ pp_ResponseCode: '199', pp_ResponseMessage: 'Transaction not found' });
+    }
+
+    if (operation === 'inquire') {
+      return signJazzcash({
+        pp_ResponseCode: '000',
+        pp_ResponseMessage: 'Inquiry successful',
+        pp_TxnRefNo: body.pp_TxnRefNo,
+        pp_Amount: String(transaction.amount),
+        pp_PaymentResponseCode: transaction.paid ? '121' : '999',
+        pp_PaymentResponseMessage: transaction.paid ? 'Transaction completed' : 'Transaction failed',
+        pp_Status: transaction.paid ? 'Completed' : 'Failed'
+      });
+    }
+
+    if (operation === 'refund') {
+      const amount = Number(body.pp_Amount);
+      if (!transaction.paid || !(amount > 0) || transaction.refunded + amount > transaction.amount || body.pp_MerchantMPIN !== JAZZCASH.mpin) {
+        return signJazzcash({ pp_ResponseCode: '999', pp_ResponseMessage: 'Refund not allowed' });
+      }
+      transaction.refunded += amount;
+      return signJazzcash({ pp_ResponseCode: '000', pp_ResponseMessage: 'Refund successful', pp_RetreivalReferenceNo: reference() });
+    }
+  }
+
+  if (gatewayCode === 'easypaisa' && operation === 'inquire') {
+    const credentials = Buffer.from(`${EASYPAISA.username}:${EASYPAISA.password}`).toString('base64');
+    if (headers.credentials !== credentials || body.storeId !== EASYPAISA.storeId) {
+      return { responseCode: '0001', responseDesc: 'Invalid credentials' };
+    }
+    const transaction = transactions.get(`easypaisa:${body.orderId}`);
+    if (!transaction) {
+      return { responseCode: '0003', responseDesc: 'Transaction not found' };
+    }
+    return {
+      responseCode: '0000',
+      responseDesc: 'SUCCESS',
+      orderId: body.orderId,
+      transactionStatus: transaction.paid ? 'PAID' : 'FAILED',
+      transactionAmount: transaction.amount,
+      transactionId: reference()
+    };
+  }
+
+  throw new Error(`Unknown simulator operation: ${gatewayCode} ${operation}`);
+};
+
+module.exports = {
+  checkout,
+  callApi
+};
@@ -0,0 +1,153 @@
+const Stripe = require('stripe');
+const { STRIPE } = require('../../config/payments');
+
+// Card payments through Stripe PaymentIntents. The storefront confirms the intent with
+// the client secret; the order is only marked paid from the signed webhook or from the
+// intent read back from Stripe, never from what the browser says.
+
+let client = null;
+
+// Stripe client, created on first use. STRIPE_API_BASE points it at stripe-mock or a local fake.
+const getStripe = () => {
+  if (!STRIPE.secretKey) {
+    throw new Error('Stripe is not configured');
+  }
+  if (!client) {
+    const options = {};
+    if (STRIPE.apiBase) {
+      const url = new URL(STRIPE.apiBase);
+      options.protocol = url.protocol.replace(':', '');
+      options.host = url.hostname;
+      options.port = url.port || (options.protocol === 'http' ? 80 : 443);
+    }
+    client = new Stripe(STRIPE.secretKey, options);
+  }
+  return client;
+};
+
+// Stripe amounts are in the smallest currency unit (paisa for PKR)
+const toMinorUnits = (amount) => Math.round(amount * 100);
+const fromMinorUnits = (amount) => Math.round(amount) / 100;
+
+const INTENT_STATUS_MAP = {
+  succeeded: 'paid',
+  canceled: 'failed'
+};
+
+const describeIntent = (intent) => ({
+  transactionId: intent.id,
+  orderId: intent.metadata?.orderId,
+  status: INTENT_STATUS_MAP[intent.status] ||
+    (intent.status === 'requires_payment_method' && intent.last_payment_error ? 'failed' : 'pending'),
+  amount: fromMinorUnits(intent.amount_received || intent.amount),
+  reason: intent.last_payment_error?.message,
+  raw: { id: intent.id, status: intent.status }
+});
+
+const stripeGateway = {
+  code: 'stripe',
+  name: 'Credit / Debit Card',
+  description: 'Pay securely with Visa or Mastercard',
+  method: 'card',
+
+  isEnabled() {
+    return Boolean(STRIPE.secretKey);
+  },
+
+  // Create the PaymentIntent for the order, or reuse the open one from an earlier
+  // attempt so a customer retrying checkout can't be charged twice
+  async initialize({ order, amount }) {
+    const stripe = getStripe();
+    const minorAmount = toMinorUnits(amount);
+    let intent = null;
+
+    if (order.payment.gateway === 'stripe' && order.payment.transactionId) {
+      const existing = await stripe.paymentIntents.retrieve(order.payment.transactionId);
+      if (existing.status !== 'canceled' && existing.amount === minorAmount) {
+        intent = existing;
+      }
+    }
+
+    if (!intent) {
+      intent = await stripe.paymentIntents.create({
+        amount: minorAmount,
+        currency: STRIPE.currency,
+        payment_method_types: ['card'],
+        metadata: {
+          orderId: order._id.toString(),
+          orderNumber: order.orderNumber
+        },
+        receipt_email: order.customer.email,
+        description: `Payment for Order ${order.orderNumber} - Prince Vibe`
+      }, {
+        idempotencyKey: `order-${order._id}-${minorAmount}-${order.payment.transactionId || 'first'}`
+      });
+    }
+
+    return {
+      transactionId: intent.id,
+      clientSecret: intent.client_secret,
+      publishableKey: STRIPE.publishableKey,
+      status: intent.status,
+      amount: fromMinorUnits(intent.amount),
+      currency: intent.currency
+    };
+  },
+
+  // The browser only names the PaymentIntent; its status is read back from Stripe
+  async verifyCallback({ body = {}, query = {} }) {
+    const paymentIntentId = body.payment_intent || body.paymentIntentId || query.payment_intent;
+    if (!paymentIntentId) {
+      throw new Error('payment_intent is required');
+    }
+    return describeIntent(await getStripe().paymentIntents.retrieve(paymentIntentId));
+  },
+
+  async queryStatus({ order }) {
+    return describeIntent(await getStripe().paymentIntents.retrieve(order.payment.transactionId));
+  },
+
+  async refund({ order, amount, reason }) {
+    const refund = await getStripe().refunds.create({
+      payment_intent: order.payment.transactionId,
+      amount: toMinorUnits(amount),
+      metadata: {
+        orderNumber: order.orderNumber,
+        recordedBy: 'store',
+        ...(reason && { reason: reason.slice(0, 500) })
+      }
+    }, {
+      idempotencyKey: `refund-${order._id}-${order.refunds.length}-${toMinorUnits(amount)}`
+    });
+    return { reference: refund.id };
+  },
+
+  // Verify a webhook's Stripe-Signature over the raw request body.
+  // Throws when the signature doesn't verify.
+  constructWebhookEvent(rawBody, signature) {
+    if (!STRIPE.webhookSecret) {
+      throw new Error('Stripe webhook secret is not configured');
+    }
+    if (!rawBody) {
+      throw new Error('Missing request body');
+    }
+    return getStripe().webhooks.constructEvent(rawBody, signature, STRIPE.webhookSecret);
+  },
+
+  describeIntent,
+
+  // Refunds on a payment, including ones made from the Stripe dashboard:
+  // [{ reference, amount, reason, status, recordedByStore }]
+  async listRefunds(paymentIntentId) {
+    const refunds = await getStripe().refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+    return refunds.data.map(refund => ({
+      reference: refund.id,
+      amount: fromMinorUnits(refund.amount),
+      reason: refund.reason,
+      status: refund.status,
+      recordedByStore: refund.metadata?.recordedBy === 'store'
+    }));
+  }
+};
+
+module.exports = stripeGateway;
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const PaymentTransaction = require('../models/PaymentTransaction');
+
+// The payment ledger: every authorize, capture, refund, failure and gateway callback
+// is a PaymentTransaction, and Order.payment.status / paidAt / refundedTotal are
+// only ever set from it.
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Copy the ledger's totals onto the order. Does not save.
+// Returns the summary ({ status, captured, refunded, paidAt, failureReason })
+const syncOrderPayment = async (order) => {
+  const transactions = await PaymentTransaction.find({ orderId: order._id }).sort({ createdAt: 1 });
+  const summary = PaymentTransaction.summarize(transactions);
+
+  order.payment.status = summary.status;
+  order.payment.paidAt = summary.paidAt || undefined;
+  order.payment.refundedTotal = summary.refunded;
+  order.payment.failureReason = summary.failureReason;
+
+  return summary;
+};
+
+// Add an entry to an order's ledger and refresh the order's payment fields from it.
+// Does not save the order.
+//
+// entry: { type, gateway, amount, status, transactionId, reference, idempotencyKey,
+//          source, reason, raw, createdBy }
+// Returns { transaction, duplicate }
+const recordPaymentTransaction = async (order, entry) => {
+  const result = await PaymentTransaction.record({
+    currency: 'PKR',
+    ...entry,
+    orderId: order._id,
+    orderNumber: order.orderNumber
+  });
+  await syncOrderPayment(order);
+  return result;
+};
+
+// An order's ledger with its totals, for the admin payments view
+const getOrderPaymentLedger = async (order) => {
+  const transactions = await PaymentTransaction.find({ orderId: order._id }).sort({ createdAt: 1 });
+  return {
+    summary: PaymentTransaction.summarize(transactions),
+    transactions
+  };
+};
+
+// Find what doesn't add up on an order: [{ type, message }]
+const findDiscrepancies = (order, captured, refunded) => {
+  const total = order.summary.total;
+  const issues = [];
+
+  if (captured > round(total + 0.01)) {
+    issues.push({ type: 'overpaid', message: `Received PKR ${captured} for an order total of PKR ${total}` });
+  } else if (captured > 0 && captured < round(total - 0.01)) {
+    issues.push({ type: 'underpaid', message: `Received PKR ${captured} of PKR ${total}` });
+  }
+  if (refunded > round(captured + 0.01)) {
+    issues.push({ type: 'over_refunded', message: `Refunded PKR ${refunded} but only received PKR ${captured}` });
+  }
+  if (order.status === 'cancelled' && round(captured - refunded) > 0) {
+    issues.push({ type: 'cancelled_not_refunded', message: `Cancelled with PKR ${round(captured - refunded)} still held` });
+  }
+  if (['paid', 'partially_refunded', 'refunded'].includes(order.payment.status) && captured === 0) {
+    issues.push({ type: 'missing_capture', message: `Marked ${order.payment.status} with no capture in the ledger` });
+  }
+
+  return issues;
+};
+
+// Money received and refunded per gateway over a period, and the orders touched in
+// it whose ledger doesn't add up.
+//
+// options: { from, to, gateway }
+// Returns { period, gateways: [{ gateway, captured, captures, refunded, refunds, net }], discrepancies }
+const getReconciliationReport = async ({ from, to, gateway } = {}) => {
+  const Order = mongoose.model('Order');
+
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+  if (gateway) match.gateway = gateway;
+
+  const totals = await PaymentTransaction.aggregate([
+    { $match: { ...match, status: 'succeeded', type: { $in: ['capture', 'refund'] } } },
+    { $group: { _id: { gateway: '$gateway', type: '$type' }, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+
+  const byGateway = new Map();
+  for (const row of totals) {
+    const entry = byGateway.get(row._id.gateway) ||
+      { gateway: row._id.gateway, captured: 0, captures: 0, refunded: 0, refunds: 0, net: 0 };
+    if (row._id.type === 'capture') {
+      entry.captured = round(row.amount);
+      entry.captures = row.count;
+    } else {
+      entry.refunded = round(row.amount);
+      entry.refunds = row.count;
+    }
+    entry.net = round(entry.captured - entry.refunded);
+    byGateway.set(row._id.gateway, entry);
+  }
+
+  // Check each order touched in the period against its whole ledger, so a refund
+  // made after the period still counts
+  const orderIds = await PaymentTransaction.distinct('orderId', match);
+  const ledgers = await PaymentTransaction.aggregate([
+    { $match: { orderId: { $in: orderIds }, status: 'succeeded' } },
+    {
+      $group: {
+        _id: '$orderId',
+        captured: { $sum: { $cond: [{ $eq: ['$type', 'capture'] }, '$amount', 0] } },
+        refunded: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] } }
+      }
+    }
+  ]);
+  const ledgerByOrder = new Map(ledgers.map(row => [row._id.toString(), row]));
+
+  const orders = await Order.find({ _id: { $in: orderIds } })
+    .select('orderNumber status summary.total payment');
+
+  const discrepancies = [];
+  for (const order of orders) {
+    const ledger = ledgerByOrder.get(order._id.toString()) || { captured: 0, refunded: 0 };
+    const issues = findDiscrepancies(order, round(ledger.captured), round(ledger.refunded));
+    if (issues.length > 0) {
+      discrepancies.push({
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        orderStatus: order.status,
+        total: order.summary.total,
+        paymentStatus: order.payment.status,
+        gateway: order.payment.gateway || order.payment.method,
+        captured: round(ledger.captured),
+        refunded: round(ledger.refunded),
+        issues
+      });
+    }
+  }
+
+  return {
+    period: { from: from || null, to: to || null },
+    gateways: Array.from(byGateway.values()),
+    discrepancies
+  };
+};
+
+module.exports = {
+  syncOrderPayment,
+  recordPaymentTransaction,
+  getOrderPaymentLedger,
+  getReconciliationReport
+};
@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const PaymentWebhookEvent = require('../models/PaymentWebhookEvent');
+const emailService = require('./emailService');
+const { transitionOrder } = require('./orderStateMachine');
+const { recordPaymentTransaction } = require('./paymentLedger');
+const { getGateway } = require('./paymentGateways');
+const { PAYMENT_CALLBACK_BASE_URL } = require('../config/payments');
+
+const SETTLED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Gateway payloads are kept in the ledger without anything that works as a credential
+const stripSecrets = (fields = {}) => Object.fromEntries(
+  Object.entries(fields).filter(([key]) => !/secret|password|mpin|token/i.test(key))
+);
+
+// Record a verified online payment in the ledger (which marks the order paid), confirm
+// the order if it was still pending and email the customer. Safe to call again for the
+// same payment.
+//
+// payment: { gateway, transactionId, amount, source, raw }
+// Returns { alreadyPaid }
+const markOrderPaid = async (order, { gateway, transactionId, amount, source, raw }) => {
+  const wasSettled = SETTLED_PAYMENT_STATUSES.includes(order.payment.status);
+
+  // A second payment for a paid order is still recorded - reconciliation flags it
+  const { duplicate } = await recordPaymentTransaction(order, {
+    type: 'capture',
+    gateway,
+    amount: amount !== undefined ? amount : order.summary.total,
+    transactionId,
+    idempotencyKey: `${gateway}:capture:${transactionId}`,
+    source,
+    raw
+  });
+  if (wasSettled || duplicate) {
+    await order.save();
+    return { alreadyPaid: true };
+  }
+
+  order.payment.gateway = gateway;
+  order.payment.transactionId = transactionId;
+
+  // A paid order no longer waits for confirmation; the payment email below covers the customer
+  const statusResult = order.status === 'pending'
+    ? await transitionOrder(order, 'confirmed', {
+      note: `Payment verified (${gateway})`,
+      source: 'payment',
+      notify: false
+    })
+    : null;
+  if (!statusResult?.success) {
+    await order.save();
+  }
+
+  await emailService.sendPaymentConfirmation(order);
+
+  return { alreadyPaid: false };
+};
+
+// Record a declined or abandoned online payment. The order stays as it is so the
+// customer can try again; a paid order keeps its status.
+//
+// failure: { gateway, transactionId, amount, reason, source, raw, idempotencyKey }
+// Returns { ignored }
+const markOrderPaymentFailed = async (order, { gateway, transactionId, amount, reason, source, raw, idempotencyKey }) => {
+  const { duplicate } = await recordPaymentTransaction(order, {
+    type: 'failure',
+    status: 'failed',
+    gateway,
+    amount: amount !== undefined ? amount : order.summary.total,
+    transactionId,
+    idempotencyKey: idempotencyKey || `${gateway}:failure:${transactionId}`,
+    source,
+    reason: reason || 'Payment failed',
+    raw
+  });
+  if (duplicate || order.payment.status !== 'failed') {
+    await order.save();
+    return { ignored: true };
+  }
+
+  await order.addTimelineEntry(order.status, `Payment failed: ${order.payment.failureReason}`, 'System');
+
+  return { ignored: false };
+};
+
+// Gateway result status -> ledger entry status
+const CALLBACK_STATUSES = {
+  paid: 'succeeded',
+  failed: 'failed',
+  pending: 'pending'
+};
+
+const getCallbackUrl = (gatewayCode) => `${PAYMENT_CALLBACK_BASE_URL}/api/payments/callback/${gatewayCode}`;
+
+const findOrderForPayment = async (gatewayCode, transactionId, orderId) => {
+  const order = transactionId
+    ? await Order.findOne({ 'payment.gateway': gatewayCode, 'payment.transactionId': transactionId })
+    : null;
+  if (order || !mongoose.Types.ObjectId.isValid(orderId)) {
+    return order;
+  }
+  return Order.findById(orderId);
+};
+
+// Apply a verified gateway result ({ transactionId, status, amount, reason, raw }) to its order.
+// options: { source, idempotencyKey } - where the result came from, and a key for failures
+const applyPaymentResult = async (order, gateway, result, { source, idempotencyKey } = {}) => {
+  const entry = {
+    gateway: gateway.code,
+    transactionId: result.transactionId,
+    amount: result.amount,
+    source,
+    raw: result.raw
+  };
+
+  if (result.status === 'paid') {
+    if (result.amount !== undefined && Math.round(result.amount * 100) < Math.round(order.summary.total * 100)) {
+      await markOrderPaymentFailed(order, {
+        ...entry,
+        idempotencyKey,
+        reason: `${gateway.name} reported PKR ${result.amount} paid, but the order total is PKR ${order.summary.total}`
+      });
+      return;
+    }
+    await markOrderPaid(order, entry);
+  } else if (result.status === 'failed') {
+    await markOrderPaymentFailed(order, {
+      ...entry,
+      idempotencyKey,
+      reason: result.reason ? `${gateway.name}: ${result.reason}` : `${gateway.name} payment failed`
+    });
+  }
+};
+
+// Start an online payment of the order total through a gateway. The order stays
+// unpaid until the gateway confirms it.
+// Returns what the storefront needs to continue (the adapter's initialize() result)
+const initializeOrderPayment = async (order, gatewayCode) => {
+  const gateway = getGateway(gatewayCode);
+  if (!gateway || !gateway.isEnabled()) {
+    throw new Error(`Payment gateway ${gatewayCode} is not available`);
+  }
+
+  const response = await gateway.initialize({
+    order,
+    amount: order.summary.total,
+    callbackUrl: getCallbackUrl(gateway.code)
+  });
+
+  // Every attempt is in the ledger; a new attempt after a failure puts the order back to pending
+  await recordPaymentTransaction(order, {
+    type: 'authorize',
+    status: 'pending',
+    gateway: gateway.code,
+    amount: order.summary.total,
+    transactionId: response.transactionId,
+    source: 'checkout',
+    raw: { status: response.status, redirectUrl: response.redirect?.url }
+  });
+
+  order.payment.method = gateway.method;
+  order.payment.gateway = gateway.code;
+  order.payment.transactionId = response.transactionId;
+  await order.save();
+
+  return { gateway: gateway.code, ...response };
+};
+
+// Handle a customer coming back from a gateway. Throws when the gateway is unknown
+// or the result's integrity check fails.
+// Returns { matched, orderId, orderNumber, paymentStatus, transactionId }
+const handleGatewayCallback = async (gatewayCode, { body, query }) => {
+  const gateway = getGateway(gatewayCode);
+  if (!gateway || !gateway.isEnabled()) {
+    throw new Error(`Unknown payment gateway: ${gatewayCode}`);
+  }
+
+  const result = await gateway.verifyCallback({ body, query });
+  const order = await findOrderForPayment(gateway.code, result.transactionId, result.orderId);
+  if (!order) {
+    return { matched: false, transactionId: result.transactionId };
+  }
+
+  await recordPaymentTransaction(order, {
+    type: 'callback',
+    status: CALLBACK_STATUSES[result.status],
+    gateway: gateway.code,
+    amount: result.amount || 0,
+    transactionId: result.transactionId,
+    source: 'callback',
+    reason: result.reason,
+    raw: { body: stripSecrets(body), query: stripSecrets(query) }
+  });
+  await applyPaymentResult(order, gateway, result, { source: 'callback' });
+
+  return {
+    matched: true,
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    paymentStatus: order.payment.status,
+    transactionId: result.transactionId
+  };
+};
+
+// Ask the gateway for the current state of an order's payment and apply it -
+// for customers who closed the browser before coming back.
+// Returns { gatewayStatus, paymentStatus }
+const refreshOrderPayment = async (order) => {
+  const gateway = getGateway(order.payment.gateway);
+  if (!gateway || !order.payment.transactionId) {
+    throw new Error('This order has no online payment to check');
+  }
+
+  const result = await gateway.queryStatus({ order });
+  await applyPaymentResult(order, gateway, result, { source: 'inquiry' });
+
+  return { gatewayStatus: result.status, paymentStatus: order.payment.status };
+};
+
+// Send part or all of an online payment back through its gateway. The caller records
+// the refund on the order (recordRefund) and in the ledger with the returned reference.
+// Returns { reference }
+const refundOrderPayment = async (order, amount, { reason } = {}) => {
+  const gateway = getGateway(order.payment.gateway);
+  if (!gateway || !order.payment.transactionId) {
+    throw new Error('This order has no online payment to refund');
+  }
+  return gateway.refund({ order, amount, reason });
+};
+
+// Record refunds issued from the Stripe dashboard. Refunds the store created
+// itself (refundOrderPayment) are already on the order.
+const syncStripeRefunds = async (order, paymentIntentId, eventId) => {
+  const refunds = await getGateway('stripe').listRefunds(paymentIntentId);
+  const known = new Set(order.refunds.map(refund => refund.reference).filter(Boolean));
+
+  const recorded = [];
+  for (const refund of refunds) {
+    if (known.has(refund.reference) || refund.recordedByStore) continue;
+    if (!['pending', 'succeeded'].includes(refund.status)) continue;
+
+    const entry = order.recordRefund({
+      amount: refund.amount,
+      reason: refund.reason ? `Stripe: ${refund.reason}` : 'Refunded in Stripe',
+      method: 'original_payment',
+      reference: refund.reference,
+      refundedBy: 'Stripe'
+    });
+    if (!entry) continue;
+
+    await recordPaymentTransaction(order, {
+      type: 'refund',
+      gateway: 'stripe',
+      amount: refund.amount,
+      transactionId: paymentIntentId,
+      reference: refund.reference,
+      idempotencyKey: `stripe:refund:${refund.reference}`,
+      source: 'webhook',
+      reason: entry.reason,
+      raw: { eventId, refund: refund.reference, status: refund.status },
+      createdBy: 'Stripe'
+    });
+    recorded.push(entry);
+  }
+
+  if (recorded.length > 0) {
+    const total = recorded.reduce((sum, refund) => sum + refund.amount, 0);
+    await order.addTimelineEntry(order.status, `Refunded PKR ${total} in Stripe`, 'System');
+  }
+  return recorded.length;
+};
+
+const applyStripeIntent = async (intent, event, status) => {
+  const stripeGateway = getGateway('stripe');
+  const result = stripeGateway.describeIntent(intent);
+  result.raw = { eventId: event.id, type: event.type, ...result.raw };
+  // A failure event can arrive while the intent is still open for another try
+  if (status) result.status = status;
+
+  const order = await findOrderForPayment('stripe', result.transactionId, result.orderId);
+  if (!order) return { matched: false };
+  await applyPaymentResult(order, stripeGateway, result, { source: 'webhook', idempotencyKey: `stripe:${event.id}` });
+  return { matched: true, orderNumber: order.orderNumber, paymentStatus: order.payment.status };
+};
+
+const STRIPE_EVENT_HANDLERS = {
+  'payment_intent.succeeded': (intent, event) => applyStripeIntent(intent, event),
+  'payment_intent.payment_failed': (intent, event) => applyStripeIntent(intent, event, 'failed'),
+  'charge.refunded': async (charge, event) => {
+    const order = await findOrderForPayment('stripe', charge.payment_intent, charge.metadata?.orderId);
+    if (!order) return { matched: false };
+    const refunds = await syncStripeRefunds(order, charge.payment_intent, event.id);
+    return { matched: true, orderNumber: order.orderNumber, refunds };
+  }
+};
+
+// Apply a verified Stripe event once. Stripe redelivers events, so each id is claimed
+// first; a failed handler gives the claim back and Stripe's retry processes it again.
+// Returns { handled, duplicate, ...handler result }
+const processStripeEvent = async (event) => {
+  const handler = STRIPE_EVENT_HANDLERS[event.type];
+  if (!handler) {
+    return { handled: false };
+  }
+
+  const claimed = await PaymentWebhookEvent.claim('stripe', event.id, event.type);
+  if (!claimed) {
+    return { handled: false, duplicate: true };
+  }
+
+  try {
+    return { handled: true, ...(await handler(event.data.object, event)) };
+  } catch (error) {
+    await PaymentWebhookEvent.release('stripe', event.id);
+    throw error;
+  }
+};
+
+module.exports = {
+  markOrderPaid,
+  markOrderPaymentFailed,
+  initializeOrderPayment,
+  handleGatewayCallback,
+  refreshOrderPayment,
+  refundOrderPayment,
+  processStripeEvent
+};
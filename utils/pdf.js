@@ -0,0 +1,24 @@
+const PDFDocument = require('pdfkit');
+
+// Render a PDF with pdfkit. draw(doc) lays out the pages; resolves to a Buffer.
+const renderPdf = (options, draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument(options);
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+const formatAmount = (amount) => `PKR ${Number(amount || 0).toLocaleString('en-PK', { maximumFractionDigits: 2 })}`;
+
+module.exports = {
+  renderPdf,
+  formatAmount
+};
@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+const {
+  TAX_RULES,
+  SHIPPING_METHODS,
+  SHIPPING_CLASS_SURCHARGES,
+  FREE_SHIPPING_THRESHOLD
+} = require('../config/pricing');
+
+// Round to paisa so totals never drift on floating point arithmetic
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Validate raw request items ({ productId, variantId?, quantity }) and merge duplicates
+const normalizeItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { success: false, message: 'Order items are required' };
+  }
+
+  const merged = new Map();
+  for (const item of items) {
+    const productId = item?.productId?._id || item?.productId;
+    const variantId = item?.variantId || null;
+    const quantity = Number(item?.quantity);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      return { success: false, message: 'Each item must have a valid productId' };
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      return { success: false, message: 'Invalid variantId' };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { success: false, message: 'Each item must have a quantity of at least 1' };
+    }
+
+    const key = `${productId}:${variantId || ''}`;
+    const existing = merged.get(key);
+    merged.set(key, {
+      productId: productId.toString(),
+      variantId: variantId ? variantId.toString() : null,
+      quantity: (existing?.quantity || 0) + quantity
+    });
+  }
+
+  return {
+    success: true,
+    items: Array.from(merged.values())
+  };
+};
+
+// Group taxable amounts by rate so the breakdown can be shown on invoices
+const calculateTax = (lines) => {
+  const byRate = new Map();
+
+  for (const line of lines) {
+    const rate = TAX_RULES.categoryRates[line.category] ?? TAX_RULES.defaultRate;
+    byRate.set(rate, (byRate.get(rate) || 0) + line.lineTotal);
+  }
+
+  const breakdown = Array.from(byRate, ([rate, taxableAmount]) => ({
+    label: `${TAX_RULES.label} (${roundAmount(rate * 100)}%)`,
+    rate,
+    taxableAmount: roundAmount(taxableAmount),
+    amount: roundAmount(taxableAmount * rate)
+  })).filter(entry => entry.rate > 0);
+
+  return {
+    tax: roundAmount(breakdown.reduce((sum, entry) => sum + entry.amount, 0)),
+    breakdown
+  };
+};
+
+// Shipping fee for the chosen tier.
+// Standard delivery (and class surcharges) are waived when every item ships
+// free or the subtotal reaches FREE_SHIPPING_THRESHOLD; faster tiers then only
+// charge the difference over standard.
+const calculateShipping = (lines, subtotal, method) => {
+  const tier = SHIPPING_METHODS[method];
+  const standardFee = SHIPPING_METHODS.standard.fee;
+
+  const qualifiesForFreeShipping =
+    lines.every(line => line.freeShipping) ||
+    (FREE_SHIPPING_THRESHOLD > 0 && subtotal >= FREE_SHIPPING_THRESHOLD);
+
+  let fee;
+  if (qualifiesForFreeShipping) {
+    fee = Math.max(0, tier.fee - standardFee);
+  } else {
+    const surcharges = lines
+      .filter(line => !line.freeShipping)
+      .reduce((sum, line) => sum + (SHIPPING_CLASS_SURCHARGES[line.shippingClass] || 0), 0);
+    fee = tier.fee + surcharges;
+  }
+
+  const estimatedDelivery = new Date();
+  estimatedDelivery.setDate(estimatedDelivery.getDate() + tier.estimatedDays);
+
+  return {
+    method,
+    name: tier.name,
+    fee: roundAmount(fee),
+    freeShipping: qualifiesForFreeShipping && fee === 0,
+    estimatedDelivery
+  };
+};
+
+// Build the complete, server-side priced order summary from the catalog.
+// Client-supplied prices and totals are never used.
+//
+// Options:
+//   items          - [{ productId, variantId?, quantity }]
+//   shippingMethod - 'standard' | 'express' | 'overnight'
+//   checkStock     - reject items with insufficient stock (default true)
+//   promotionCode  - optional coupon code to apply
+//   customerEmail  - used for per-customer promotion limits
+const buildQuote = async ({
+  items,
+  shippingMethod = 'standard',
+  checkStock = true,
+  promotionCode,
+  customerEmail
+} = {}) => {
+  // Own keys only: inherited names like 'constructor' would price shipping as NaN
+  if (typeof shippingMethod !== 'string' || !Object.hasOwn(SHIPPING_METHODS, shippingMethod)) {
+    return {
+      success: false,
+      message: 'Invalid shipping method. Valid methods: ' + Object.keys(SHIPPING_METHODS).join(', ')
+    };
+  }
+
+  const normalized = normalizeItems(items);
+  if (!normalized.success) {
+    return normalized;
+  }
+
+  const productIds = normalized.items.map(item => item.productId);
+  const products = await Product.find({ _id: { $in: productIds }, isActive: true });
+
+  const lines = [];
+  for (const item of normalized.items) {
+    const product = products.find(p => p._id.toString() === item.productId);
+
+    if (!product) {
+      return { success: false, message: `Product ${item.productId} not found or no longer available` };
+    }
+
+    // Products sold in variants must be ordered as a specific variant
+    let variant = null;
+    if (product.variants && product.variants.length > 0) {
+      variant = product.findVariant(item.variantId);
+      if (!variant) {
+        return {
+          success: false,
+          message: item.variantId
+            ? `The selected option for ${product.name} is no longer available`
+            : `Please choose options for ${product.name}`
+        };
+      }
+    }
+
+    const stock = variant ? variant.quantity : product.quantity;
+    if (checkStock && (stock || 0) < item.quantity) {
+      return {
+        success: false,
+        message: `Insufficient stock for ${product.name}. Available: ${Math.max(0, stock || 0)}`
+      };
+    }
+
+    const price = variant?.price ?? product.price;
+    const variantImage = variant?.images?.find(img => img.isMain) || variant?.images?.[0];
+
+    lines.push({
+      productId: product._id,
+      variantId: variant ? variant._id : null,
+      variantLabel: variant ? product.getVariantLabel(variant) : null,
+      name: product.name,
+      price,
+      quantity: item.quantity,
+      image: variantImage?.url || product.mainImage,
+      sku: variant ? variant.sku : product.sku,
+      category: product.category,
+      freeShipping: product.shipping?.freeShipping !== false,
+      shippingClass: product.shipping?.shippingClass || 'standard',
+      lineTotal: roundAmount(price * item.quantity)
+    });
+  }
+
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const { tax, breakdown } = calculateTax(lines);
+  const shipping = calculateShipping(lines, subtotal, shippingMethod);
+
+  // Apply the promotion code, if any
+  let discount = 0;
+  let promotion = null;
+  if (promotionCode) {
+    const found = await Promotion.findByCode(promotionCode);
+    if (!found) {
+      return { success: false, message: 'Invalid promotion code' };
+    }
+
+    const eligibility = await found.checkEligibility({ subtotal, customerEmail });
+    if (!eligibility.eligible) {
+      return { success: false, message: eligibility.message };
+    }
+
+    discount = roundAmount(Math.min(found.calculateDiscount(lines, shipping.fee), subtotal + shipping.fee));
+    if (discount <= 0) {
+      return { success: false, message: 'This promotion code does not apply to the items in your cart' };
+    }
+
+    promotion = {
+      promotionId: found._id,
+      code: found.code,
+      name: found.name,
+      type: found.type,
+      discount
+    };
+  }
+
+  return {
+    success: true,
+    quote: {
+      currency: 'PKR',
+      items: lines,
+      shipping,
+      promotion,
+      summary: {
+        subtotal,
+        tax,
+        taxBreakdown: breakdown,
+        shipping: shipping.fee,
+        discount,
+        total: roundAmount(subtotal + tax + shipping.fee - discount)
+      }
+    }
+  };
+};
+
+// Available shipping tiers for the storefront
+const getShippingMethods = () => {
+  return Object.entries(SHIPPING_METHODS).map(([id, tier]) => ({
+    id,
+    name: tier.name,
+    fee: tier.fee,
+    estimatedDays: tier.estimatedDays
+  }));
+};
+
+module.exports = {
+  buildQuote,
+  getShippingMethods,
+  roundAmount
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const emailService = require('./emailService');
+const { publishAdminEvent, reviewEventData } = require('./adminEvents');
+const { uploadToCloudinary } = require('../config/cloudinary');
+const { REVIEW_REQUESTS_ENABLED, REVIEW_LINK_EXPIRY_DAYS, getReviewUrl } = require('../config/reviews');
+
+// Verified reviews. Every new review belongs to one line of a delivered order and
+// each line can be reviewed once: by the signed-in customer who placed the order,
+// or by whoever holds the review link emailed when the order was delivered.
+
+// Fields that link a review to its buyer, left out of storefront responses
+const PRIVATE_REVIEW_FIELDS = '-userId -orderId -orderItemId -legacyReviewId';
+
+// Order a review link belongs to, or null when the link is unknown or expired
+const findOrderByReviewToken = async (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const order = await Order.findOne({ 'reviewRequest.token': token });
+  if (!order || !order.reviewRequest.expiresAt || order.reviewRequest.expiresAt < new Date()) {
+    return null;
+  }
+  return order;
+};
+
+// Ids of the given order lines that already have a review
+const getReviewedItemIds = async (orderItemIds) => {
+  const reviews = await Review.find({ orderItemId: { $in: orderItemIds } }).select('orderItemId');
+  return new Set(reviews.map(review => review.orderItemId.toString()));
+};
+
+// Lines of delivered orders with whether each has been reviewed:
+// [{ orderId, orderNumber, orderItemId, productId, name, image, variantLabel, deliveredAt, reviewed }]
+const getReviewableItems = async (orders) => {
+  const delivered = orders.filter(order => order.status === 'delivered');
+  const reviewedIds = await getReviewedItemIds(
+    delivered.flatMap(order => order.items.map(item => item._id))
+  );
+
+  return delivered.flatMap(order => order.items.map(item => ({
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    orderItemId: item._id,
+    productId: item.productId,
+    name: item.name,
+    image: item.image,
+    variantLabel: item.variantLabel,
+    deliveredAt: order.shipping?.deliveredAt,
+    reviewed: reviewedIds.has(item._id.toString())
+  })));
+};
+
+// Email the customer a review link for a delivered order. Sent once per order;
+// the token is claimed with a conditional update so a repeated delivery update
+// can't send a second email.
+const sendReviewRequest = async (order) => {
+  if (!REVIEW_REQUESTS_ENABLED || order.reviewRequest?.token) return false;
+
+  const sentAt = new Date();
+  const reviewRequest = {
+    token: crypto.randomBytes(24).toString('hex'),
+    sentAt,
+    expiresAt: new Date(sentAt.getTime() + REVIEW_LINK_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+  };
+
+  const claimed = await Order.updateOne(
+    { _id: order._id, 'reviewRequest.token': { $exists: false } },
+    { $set: { reviewRequest } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  order.reviewRequest = reviewRequest;
+  return emailService.sendReviewRequest(order, getReviewUrl(reviewRequest.token));
+};
+
+// The delivered order line a review is for. A review link names the order; for a
+// signed-in customer their delivered orders are searched. productId, orderItemId or
+// both pick the line; the first line not yet reviewed is used.
+// Returns { success: true, order, item } or { success: false, statusCode, message }
+const findReviewableLine = async ({ productId, orderItemId, user, reviewToken }) => {
+  if (!productId && !orderItemId) {
+    return { success: false, statusCode: 400, message: 'Product ID or order item ID is required' };
+  }
+
+  let orders;
+  if (reviewToken) {
+    const order = await findOrderByReviewToken(reviewToken);
+    if (!order) {
+      return { success: false, statusCode: 404, message: 'This review link is invalid or has expired' };
+    }
+    if (order.status !== 'delivered') {
+      return { success: false, statusCode: 400, message: 'Only delivered orders can be reviewed' };
+    }
+    orders = [order];
+  } else if (user) {
+    const query = { 'customer.userId': user._id, status: 'delivered' };
+    if (productId) query['items.productId'] = productId;
+    if (orderItemId) query['items._id'] = orderItemId;
+    orders = await Order.find(query).sort({ createdAt: -1 });
+  } else {
+    return {
+      success: false,
+      statusCode: 401,
+      message: 'Only customers who received this product can review it. Sign in, or use the review link from your delivery email.'
+    };
+  }
+
+  const lines = orders.flatMap(order => order.items
+    .filter(item => (!productId || item.productId.toString() === productId.toString()) &&
+      (!orderItemId || item._id.toString() === orderItemId.toString()))
+    .map(item => ({ order, item })));
+
+  if (lines.length === 0) {
+    return {
+      success: false,
+      statusCode: 403,
+      message: reviewToken
+        ? 'This item is not part of the order'
+        : 'None of your delivered orders include this product'
+    };
+  }
+
+  const reviewedIds = await getReviewedItemIds(lines.map(line => line.item._id));
+  const line = lines.find(({ item }) => !reviewedIds.has(item._id.toString()));
+  if (!line) {
+    return { success: false, statusCode: 409, message: 'You have already reviewed this purchase' };
+  }
+
+  return { success: true, ...line };
+};
+
+// Check the purchase, upload any photos and save a verified review.
+// Returns { success: true, review } or { success: false, statusCode, message }
+const submitVerifiedReview = async ({ productId, orderItemId, rating, text, name, user, reviewToken, files = [] }) => {
+  const found = await findReviewableLine({ productId, orderItemId, user, reviewToken });
+  if (!found.success) return found;
+
+  const { order, item } = found;
+  const product = await Product.findById(item.productId);
+  if (!product) {
+    return { success: false, statusCode: 404, message: 'Product not found' };
+  }
+  if (!product.isActive) {
+    return { success: false, statusCode: 400, message: 'Cannot review inactive product' };
+  }
+
+  const images = [];
+  for (const file of files) {
+    const result = await uploadToCloudinary(file.buffer);
+    images.push(result.secure_url);
+  }
+
+  const review = new Review({
+    productId: item.productId,
+    name: name || (user ? user.fullName : order.customer.name),
+    rating: Number(rating),
+    text,
+    images,
+    isVerified: true,
+    source: reviewToken ? 'review_link' : 'account',
+    userId: user ? user._id : order.customer.userId,
+    orderId: order._id,
+    orderItemId: item._id,
+    variantId: item.variantId,
+    variantLabel: item.variantLabel
+  });
+
+  try {
+    await review.save();
+  } catch (error) {
+    // Two submissions for the same line at once: the unique index keeps one
+    if (error.code === 11000) {
+      return { success: false, statusCode: 409, message: 'You have already reviewed this purchase' };
+    }
+    if (error.name === 'ValidationError') {
+      return { success: false, statusCode: 400, message: Object.values(error.errors).map(err => err.message).join(', ') };
+    }
+    throw error;
+  }
+
+  await publishAdminEvent('review.created', reviewEventData(review));
+
+  return { success: true, review };
+};
+
+module.exports = {
+  PRIVATE_REVIEW_FIELDS,
+  findOrderByReviewToken,
+  getReviewableItems,
+  sendReviewRequest,
+  submitVerifiedReview
+};
@@ -0,0 +1,279 @@
+const Product = require('../models/Product');
+
+// Upper bounds (PKR) of the price facet buckets; anything above the last lands in "250000+"
+const PRICE_BUCKETS = [0, 10000, 25000, 50000, 100000, 250000];
+
+// Searchable vocabulary is rebuilt at most this often
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+const MAX_QUERY_LENGTH = 100;
+
+let vocabularyCache = { terms: [], builtAt: 0 };
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Trim and bound the raw search string
+const normalizeQuery = (q) => {
+  if (typeof q !== 'string') {
+    return '';
+  }
+  return q.trim().slice(0, MAX_QUERY_LENGTH);
+};
+
+// Build the non-text filters shared by search results and facets
+const buildSearchFilters = (queryParams) => {
+  const filters = { isActive: true };
+
+  if (queryParams.category) filters.category = String(queryParams.category).toLowerCase();
+  if (queryParams.badge) filters.badge = String(queryParams.badge);
+  if (queryParams.movement) filters['specifications.movement'] = String(queryParams.movement);
+  if (queryParams.caseMaterial) filters['specifications.caseMaterial'] = String(queryParams.caseMaterial);
+
+  if (queryParams.priceMin || queryParams.priceMax) {
+    filters.price = {};
+    if (queryParams.priceMin) filters.price.$gte = Number(queryParams.priceMin);
+    if (queryParams.priceMax) filters.price.$lte = Number(queryParams.priceMax);
+  }
+
+  if (queryParams.rating) {
+    filters.rating = { $gte: Number(queryParams.rating) };
+  }
+
+  if (queryParams.inStock === 'true') {
+    filters.quantity = { $gt: 0 };
+  }
+
+  return filters;
+};
+
+// Facet counts for the matched products
+const buildFacetStage = () => ({
+  $facet: {
+    category: [
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ],
+    badge: [
+      { $match: { badge: { $exists: true, $ne: null } } },
+      { $group: { _id: '$badge', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ],
+    price: [
+      {
+        $bucket: {
+          groupBy: '$price',
+          boundaries: PRICE_BUCKETS,
+          default: `${PRICE_BUCKETS[PRICE_BUCKETS.length - 1]}+`,
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ],
+    movement: [
+      { $match: { 'specifications.movement': { $exists: true, $nin: [null, ''] } } },
+      { $group: { _id: '$specifications.movement', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ],
+    caseMaterial: [
+      { $match: { 'specifications.caseMaterial': { $exists: true, $nin: [null, ''] } } },
+      { $group: { _id: '$specifications.caseMaterial', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ],
+    rating: [
+      { $group: { _id: { $floor: { $ifNull: ['$rating', 0] } }, count: { $sum: 1 } } },
+      { $sort: { _id: -1 } }
+    ]
+  }
+});
+
+// Turn raw $facet output into { value, count } lists (price buckets get labels)
+const formatFacets = (raw = {}) => {
+  const toList = (entries = []) => entries.map(entry => ({ value: entry._id, count: entry.count }));
+
+  const price = (raw.price || []).map(entry => {
+    if (typeof entry._id !== 'number') {
+      return { value: entry._id, min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, count: entry.count };
+    }
+    const index = PRICE_BUCKETS.indexOf(entry._id);
+    return {
+      value: `${entry._id}-${PRICE_BUCKETS[index + 1]}`,
+      min: entry._id,
+      max: PRICE_BUCKETS[index + 1],
+      count: entry.count
+    };
+  });
+
+  return {
+    category: toList(raw.category),
+    badge: toList(raw.badge),
+    price,
+    movement: toList(raw.movement),
+    caseMaterial: toList(raw.caseMaterial),
+    rating: toList(raw.rating)
+  };
+};
+
+// Relevance-ranked search with facet counts.
+// Facets are computed over everything that matches the query and filters.
+const searchCatalog = async ({ q, queryParams, skip, limit }) => {
+  const match = { ...buildSearchFilters(queryParams), $text: { $search: q } };
+
+  const sort = queryParams.sortBy === 'price'
+    ? { price: queryParams.sortOrder === 'asc' ? 1 : -1 }
+    : queryParams.sortBy === 'rating'
+      ? { rating: -1 }
+      : { score: { $meta: 'textScore' }, salesCount: -1 };
+
+  const [products, total, facetResult] = await Promise.all([
+    Product.find(match, { score: { $meta: 'textScore' } })
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .select('-__v'),
+    Product.countDocuments(match),
+    Product.aggregate([{ $match: match }, buildFacetStage()])
+  ]);
+
+  return {
+    products,
+    total,
+    facets: formatFacets(facetResult[0])
+  };
+};
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+const editDistance = (a, b) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+  for (let i = 0; i < rows; i++) d[i][0] = i;
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+};
+
+// Words customers search for: product names, tags, brands/materials in specifications
+const getVocabulary = async () => {
+  if (Date.now() - vocabularyCache.builtAt < VOCABULARY_TTL_MS) {
+    return vocabularyCache.terms;
+  }
+
+  const products = await Product.find({ isActive: true })
+    .select('name tags specifications.movement specifications.caseMaterial')
+    .lean();
+
+  const terms = new Set();
+  for (const product of products) {
+    const sources = [
+      product.name,
+      ...(product.tags || []),
+      product.specifications?.movement,
+      product.specifications?.caseMaterial
+    ];
+    for (const source of sources) {
+      if (!source) continue;
+      source.toLowerCase().split(/[^a-z0-9]+/).forEach(word => {
+        if (word.length >= 3) terms.add(word);
+      });
+    }
+  }
+
+  vocabularyCache = { terms: Array.from(terms), builtAt: Date.now() };
+  return vocabularyCache.terms;
+};
+
+// Correct each word of the query to the closest catalog term (typo tolerance)
+const correctQuery = async (q) => {
+  const vocabulary = await getVocabulary();
+  const words = q.toLowerCase().split(/\s+/).filter(Boolean);
+
+  let changed = false;
+  const corrected = words.map(word => {
+    if (word.length < 3 || vocabulary.includes(word)) {
+      return word;
+    }
+
+    // Allow one typo for short words, two for longer ones
+    const maxDistance = word.length <= 5 ? 1 : 2;
+    let best = null;
+    let bestDistance = maxDistance + 1;
+    for (const term of vocabulary) {
+      if (Math.abs(term.length - word.length) > maxDistance) continue;
+      const distance = editDistance(word, term);
+      if (distance < bestDistance) {
+        best = term;
+        bestDistance = distance;
+      }
+    }
+
+    if (best) {
+      changed = true;
+      return best;
+    }
+    return word;
+  });
+
+  return changed ? corrected.join(' ') : null;
+};
+
+// Autocomplete: name prefix matches first, then text matches, then a corrected query
+const getSuggestions = async (q, limit = 8) => {
+  const projection = 'name price category images';
+  const prefix = new RegExp(`(^|\\s)${escapeRegex(q)}`, 'i');
+
+  const prefixMatches = await Product.find({ isActive: true, name: prefix })
+    .sort({ salesCount: -1 })
+    .limit(limit)
+    .select(projection);
+
+  let products = prefixMatches;
+  let correctedQuery = null;
+
+  if (products.length < limit) {
+    correctedQuery = await correctQuery(q);
+    const textQuery = correctedQuery || q;
+
+    const textMatches = await Product.find(
+      {
+        isActive: true,
+        _id: { $nin: products.map(product => product._id) },
+        $text: { $search: textQuery }
+      },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit - products.length)
+      .select(projection);
+
+    products = products.concat(textMatches);
+  }
+
+  return {
+    products: products.map(product => ({
+      _id: product._id,
+      name: product.name,
+      price: product.price,
+      category: product.category,
+      image: product.mainImage
+    })),
+    didYouMean: correctedQuery
+  };
+};
+
+module.exports = {
+  normalizeQuery,
+  searchCatalog,
+  correctQuery,
+  getSuggestions
+};
@@ -0,0 +1,75 @@
+const { renderPdf, formatAmount } = require('./pdf');
+const { SHIPPER } = require('../config/couriers');
+
+// 4 x 6 inch thermal label
+const LABEL_SIZE = [288, 432];
+const MARGIN = 14;
+
+const LABEL_OPTIONS = { size: LABEL_SIZE, margin: MARGIN };
+
+// Draw a parcel's label starting on the current page
+const drawShippingLabel = (doc, order, shipment) => {
+  const width = LABEL_SIZE[0] - MARGIN * 2;
+  const divider = () => {
+    doc.moveDown(0.4);
+    doc.moveTo(MARGIN, doc.y).lineTo(LABEL_SIZE[0] - MARGIN, doc.y).lineWidth(1).stroke();
+    doc.moveDown(0.4);
+  };
+
+  // Courier and tracking number
+  doc.font('Helvetica-Bold').fontSize(14).text(shipment.courier || 'Courier', { width });
+  doc.font('Helvetica').fontSize(8).text(`Booked ${(shipment.bookedAt || new Date()).toLocaleDateString('en-PK')}`, { width });
+  doc.moveDown(0.3);
+  doc.font('Courier-Bold').fontSize(16).text(shipment.trackingNumber || 'NOT BOOKED', { width, align: 'center' });
+  divider();
+
+  // Consignee
+  const address = order.customer.address;
+  doc.font('Helvetica-Bold').fontSize(8).text('DELIVER TO', { width });
+  doc.font('Helvetica-Bold').fontSize(12).text(order.customer.name, { width });
+  doc.font('Helvetica').fontSize(10)
+    .text(address.street, { width })
+    .text(`${address.city}, ${address.state} ${address.zipCode}`, { width })
+    .text(order.customer.phone, { width });
+  divider();
+
+  // Shipper
+  doc.font('Helvetica-Bold').fontSize(8).text('FROM', { width });
+  doc.font('Helvetica').fontSize(9)
+    .text(SHIPPER.name, { width })
+    .text([SHIPPER.address, SHIPPER.city].filter(Boolean).join(', '), { width });
+  if (SHIPPER.phone) doc.text(SHIPPER.phone, { width });
+  divider();
+
+  // Amount to collect
+  const codAmount = shipment.codAmount || 0;
+  doc.font('Helvetica-Bold').fontSize(codAmount > 0 ? 16 : 12)
+    .text(codAmount > 0 ? `COLLECT ${formatAmount(codAmount)}` : 'PREPAID - DO NOT COLLECT', { width, align: 'center' });
+  divider();
+
+  // Parcel contents
+  doc.font('Helvetica').fontSize(8)
+    .text(`Order ${order.orderNumber}   Parcel ${shipment.shipmentNumber}`, { width })
+    .text(`Pieces: ${shipment.pieces || 1}${shipment.weight ? `   Weight: ${shipment.weight} kg` : ''}`, { width });
+  doc.moveDown(0.3);
+  for (const item of shipment.items) {
+    doc.text(`${item.quantity} x ${item.name}${item.variantLabel ? ` (${item.variantLabel})` : ''}`, { width, ellipsis: true, height: 12 });
+  }
+};
+
+// Render a parcel's shipping label. Resolves to a PDF Buffer.
+const generateShippingLabel = (order, shipment) => renderPdf(LABEL_OPTIONS, doc => drawShippingLabel(doc, order, shipment));
+
+// Render several labels into one PDF, one label per page.
+// labels: [{ order, shipment }]
+const generateShippingLabels = (labels) => renderPdf(LABEL_OPTIONS, (doc) => {
+  labels.forEach(({ order, shipment }, index) => {
+    if (index > 0) doc.addPage();
+    drawShippingLabel(doc, order, shipment);
+  });
+});
+
+module.exports = {
+  generateShippingLabel,
+  generateShippingLabels
+};
@@ -0,0 +1,119 @@
+const Product = require('../models/Product');
+
+// Combine line items that reference the same product (and variant) so each is
+// decremented exactly once
+const groupQuantities = (items) => {
+  const quantities = new Map();
+  for (const item of items) {
+    const productId = item.productId.toString();
+    const variantId = item.variantId ? item.variantId.toString() : null;
+    const key = `${productId}:${variantId || ''}`;
+    const existing = quantities.get(key);
+    quantities.set(key, {
+      productId,
+      variantId,
+      quantity: (existing?.quantity || 0) + Number(item.quantity)
+    });
+  }
+  return Array.from(quantities.values());
+};
+
+// Put reserved stock back (used for rollback and cancellations)
+const releaseStock = async (reservations) => {
+  for (const reservation of reservations) {
+    try {
+      await Product.updateOne(
+        { _id: reservation.productId },
+        {
+          $inc: { quantity: reservation.quantity },
+          $set: { inStock: true }
+        }
+      );
+      if (reservation.variantId) {
+        await restoreVariantStock(reservation.productId, reservation.variantId, reservation.quantity);
+      }
+    } catch (error) {
+      console.error(`Failed to release stock for product ${reservation.productId}:`, error);
+    }
+  }
+};
+
+// Return units to a single variant (the product total is handled by the caller)
+const restoreVariantStock = (productId, variantId, quantity) => {
+  return Product.updateOne(
+    { _id: productId, 'variants._id': variantId },
+    {
+      $inc: { 'variants.$.quantity': quantity },
+      $set: { 'variants.$.inStock': true }
+    }
+  );
+};
+
+// Atomically reserve stock for every line item of an order.
+//
+// Each product is decremented with a conditional update that only matches
+// while enough stock is left, so two concurrent checkouts can never take the
+// last unit twice. If any item cannot be reserved, everything reserved so far
+// is released and the failing product is reported back.
+const reserveStock = async (items) => {
+  const reservations = [];
+
+  for (const { productId, variantId, quantity } of groupQuantities(items)) {
+    // Variant stock and the product total are decremented in the same update
+    const filter = variantId
+      ? { _id: productId, variants: { $elemMatch: { _id: variantId, quantity: { $gte: quantity } } } }
+      : { _id: productId, quantity: { $gte: quantity } };
+    const update = variantId
+      ? { $inc: { quantity: -quantity, 'variants.$.quantity': -quantity } }
+      : { $inc: { quantity: -quantity } };
+
+    const product = await Product.findOneAndUpdate(filter, update, { new: true })
+      .select('name quantity variants._id variants.quantity');
+
+    if (!product) {
+      await releaseStock(reservations);
+
+      const current = await Product.findById(productId).select('name quantity variants');
+      const stock = variantId ? current?.variants?.id(variantId)?.quantity : current?.quantity;
+      return {
+        success: false,
+        productId,
+        variantId,
+        productName: current?.name,
+        requested: quantity,
+        available: Math.max(0, stock || 0)
+      };
+    }
+
+    const variant = variantId ? product.variants.id(variantId) : null;
+
+    // Sold out - flag it so storefront filters hide the product / option
+    if (variant && variant.quantity <= 0) {
+      await Product.updateOne(
+        { _id: productId, variants: { $elemMatch: { _id: variantId, quantity: { $lte: 0 } } } },
+        { $set: { 'variants.$.inStock': false } }
+      );
+    }
+    if (product.quantity <= 0) {
+      await Product.updateOne({ _id: productId, quantity: { $lte: 0 } }, { $set: { inStock: false } });
+    }
+
+    reservations.push({
+      productId,
+      variantId,
+      quantity,
+      quantityAfter: variant ? variant.quantity : product.quantity
+    });
+  }
+
+  return {
+    success: true,
+    reservations
+  };
+};
+
+module.exports = {
+  reserveStock,
+  releaseStock,
+  restoreVariantStock
+};